@@ -0,0 +1,174 @@
+// Route test harness: routers mounted on an ephemeral Express app, with the personnel and device
+// lookups held in memory, and requests signed by a device key made the way the PWA makes it.
+import { once } from 'events';
+import { jest } from '@jest/globals';
+import express from 'express';
+import MilitaryAuth from '../../middleware/auth.js';
+import Device from '../../models/Device.js';
+import Personnel from '../../models/Personnel.js';
+import RevokedToken from '../../models/RevokedToken.js';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+const { subtle } = globalThis.crypto;
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// A settled Mongoose-style query: awaitable, with the chain methods routes call on it
+export const query = (value) => {
+  const result = Promise.resolve(value);
+  const chain = () => result;
+  Object.assign(result, { select: chain, sort: chain, limit: chain, skip: chain, and: chain });
+  result.lean = () => query(value?.toObject ? value.toObject() : value);
+  return result;
+};
+
+// ECDSA P-256 key pair with its RFC 7638 thumbprint, as services/deviceIdentity.js makes it
+export const createDevice = async () => {
+  const keys = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const { crv, kty, x, y } = await subtle.exportKey('jwk', keys.publicKey);
+  const publicKey = { crv, kty, x, y };
+  const fingerprint = base64url(await subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(publicKey))));
+
+  // `body` is the request body exactly as sent
+  const sign = async (method, path, { timestamp = Date.now(), nonce = crypto.randomUUID(), body = '' } = {}) => {
+    const bodyHash = base64url(await subtle.digest('SHA-256', new TextEncoder().encode(body)));
+    const signature = await subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      keys.privateKey,
+      new TextEncoder().encode([method, path, timestamp, nonce, bodyHash].join('\n'))
+    );
+    return {
+      'x-device-fingerprint': fingerprint,
+      'x-device-timestamp': String(timestamp),
+      'x-device-nonce': nonce,
+      'x-device-signature': base64url(signature)
+    };
+  };
+
+  return { publicKey, fingerprint, sign };
+};
+
+// Personnel, enrolled devices and the token denylist in memory; restored by jest.restoreAllMocks()
+export const stubAuthStores = (people = []) => {
+  const personnel = new Map(people.map(person => [person.soldierId, {
+    status: 'active',
+    unit: person.unitPath?.at(-1),
+    ...person
+  }]));
+  const devices = new Map();
+
+  jest.spyOn(Personnel, 'findBySoldierId').mockImplementation(soldierId => query(personnel.get(soldierId) || null));
+  jest.spyOn(Device, 'findByFingerprint').mockImplementation(fingerprint => query(devices.get(fingerprint) || null));
+  jest.spyOn(Device.prototype, 'save').mockImplementation(async function () {
+    devices.set(this.deviceFingerprint, this);
+    return this;
+  });
+  jest.spyOn(RevokedToken, 'exists').mockResolvedValue(null);
+
+  return { personnel, devices };
+};
+
+// A model's collection in memory, keyed by its readable ID: save() runs validation (and so the
+// pre('validate') ID hooks), find() and findOne() match plain and dotted-path equality filters,
+// array fields by membership, $ne, $in, $and and $or, find().and([...]) narrows the same way and
+// find().limit(n) keeps the first n;
+// findById() matches the string form of _id; findOneAndUpdate() and findByIdAndUpdate() apply $set, $push
+// and plain fields, and findOneAndUpdate() with upsert saves a new document from the filter and the fields
+export const stubCollection = (Model, key) => {
+  const documents = new Map();
+  const matches = (filter = {}) => (document) => Object.entries(filter).every(([path, value]) => {
+    if (path === '$and') return value.every(part => matches(part)(document));
+    if (path === '$or') return value.some(part => matches(part)(document));
+    const actual = document.get(path);
+    if (value && Object.hasOwn(value, '$ne')) return actual !== value.$ne;
+    if (value && Object.hasOwn(value, '$in')) return value.$in.includes(actual);
+    return Array.isArray(actual) ? actual.includes(value) : actual === value;
+  });
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    documents.set(String(this.get(key)), this);
+    return this;
+  });
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query([...documents.values()].find(matches(filter)) || null));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(documents.get(String(id)) || null));
+  const find = (filter, limit) => Object.assign(query([...documents.values()].filter(matches(filter)).slice(0, limit)), {
+    and: filters => find({ $and: [filter, ...filters] }, limit),
+    limit: count => find(filter, count)
+  });
+  const update = (document, { $set = {}, $push = {}, ...fields } = {}) => {
+    if (document) {
+      document.set({ ...fields, ...$set });
+      Object.entries($push).forEach(([path, value]) => document.get(path).push(value));
+    }
+    return query(document || null);
+  };
+  const upsert = async (filter, { $set = {}, ...fields } = {}) => {
+    const document = new Model({ ...filter, ...fields, ...$set });
+    return document.save();
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation(filter => find(filter));
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, changes, options = {}) => {
+    const document = [...documents.values()].find(matches(filter));
+    return !document && options.upsert ? query(upsert(filter, changes)) : update(document, changes);
+  });
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, changes) => update(documents.get(String(id)), changes));
+
+  return documents;
+};
+
+// An enrolled device and an access token bound to it for one of the stubbed personnel
+export const signIn = async (stores, soldierId) => {
+  const soldier = stores.personnel.get(soldierId);
+  const device = await createDevice();
+  stores.devices.set(device.fingerprint, new Device({ deviceFingerprint: device.fingerprint, publicKey: device.publicKey }));
+
+  const token = MilitaryAuth.generateToken(soldierId, soldier?.unit, soldier?.role || 'soldier', {
+    deviceFingerprint: device.fingerprint
+  });
+  return { soldierId, device, token };
+};
+
+// Mount routers ({ '/api/x': router }) behind the body parsers of server.js and send JSON requests
+// (a string body is sent as is), signed and authenticated when `as` is given. Responses carry the
+// status, headers, the parsed JSON body (null if it isn't JSON) and the raw text.
+export const startApp = async (mounts) => {
+  const app = express();
+  const keepRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+  };
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(express.text({ type: ['text/csv', 'text/plain'], verify: keepRawBody }));
+  Object.entries(mounts).forEach(([mount, router]) => app.use(mount, router));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, as, headers = {} } = {}) => {
+    const sent = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+    const signed = as ? await as.device.sign(method, path.split('?')[0], { body: sent }) : {};
+    const response = await fetch(`${origin}${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...signed,
+        ...(as?.token && { authorization: `Bearer ${as.token}` }),
+        ...headers
+      },
+      body: sent
+    });
+    const text = await response.text();
+    const parse = () => {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return null;
+      }
+    };
+    return { status: response.status, headers: response.headers, body: parse(), text };
+  };
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
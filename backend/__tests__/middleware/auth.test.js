@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import MilitaryAuth from '../../middleware/auth.js';
+import { createDevice, signIn, startApp, stubAuthStores } from '../helpers/api.js';
+
+const PATH = '/api/echo';
+const BODY = { soldierId: 'rifleman-1', triageLevel: 'DELAYED' };
+
+describe('MilitaryAuth.authenticate', () => {
+  let app;
+  let stores;
+  let rifleman;
+
+  // Send with the token of `as` and the given device headers instead of a fresh signature
+  const send = (as, deviceHeaders, body = BODY) => app.request('POST', PATH, {
+    body,
+    headers: { authorization: `Bearer ${as.token}`, ...deviceHeaders }
+  });
+  const signed = (as, options = {}) => as.device.sign('POST', PATH, { body: JSON.stringify(BODY), ...options });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stores = stubAuthStores([
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '1st Platoon'] },
+      { soldierId: 'rifleman-2', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '1st Platoon'] }
+    ]);
+    rifleman = await signIn(stores, 'rifleman-1');
+
+    const router = express.Router();
+    router.post('/', MilitaryAuth.authenticate, (req, res) => res.json({ soldierId: req.soldier.soldierId, body: req.body }));
+    app = await startApp({ [PATH]: router });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test('lets a signed request from the token\'s device through', async () => {
+    const response = await app.request('POST', PATH, { as: rifleman, body: BODY });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ soldierId: 'rifleman-1', body: BODY });
+  });
+
+  test('refuses a timestamp outside the window', async () => {
+    const response = await send(rifleman, await signed(rifleman, { timestamp: Date.now() - 10 * 60000 }));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toMatchObject({ error: 'Device verification failed', code: 'STALE' });
+  });
+
+  test('refuses a nonce used before', async () => {
+    const headers = await signed(rifleman);
+
+    expect((await send(rifleman, headers)).status).toBe(200);
+    const replayed = await send(rifleman, headers);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('REPLAYED');
+  });
+
+  test('refuses a captured signature replayed with another body', async () => {
+    const headers = await signed(rifleman);
+
+    const response = await send(rifleman, headers, { ...BODY, triageLevel: 'EXPECTANT' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_SIGNATURE');
+    expect((await send(rifleman, headers)).status).toBe(200);
+  });
+
+  test('refuses a signature made with another key', async () => {
+    const stolen = await createDevice();
+    const headers = { ...(await stolen.sign('POST', PATH, { body: JSON.stringify(BODY) })), 'x-device-fingerprint': rifleman.device.fingerprint };
+
+    const response = await send(rifleman, headers);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_SIGNATURE');
+  });
+
+  test('refuses a token presented from another enrolled device', async () => {
+    const other = await signIn(stores, 'rifleman-2');
+
+    const response = await send(rifleman, await signed(other));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Device verification failed', message: 'Invalid device fingerprint' });
+  });
+
+  test('refuses a device that never enrolled', async () => {
+    const unenrolled = await createDevice();
+    const token = MilitaryAuth.generateToken('rifleman-1', '1st Platoon', 'soldier', { deviceFingerprint: unenrolled.fingerprint });
+
+    const response = await send({ token, device: unenrolled }, await signed({ device: unenrolled }));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Device verification failed', message: 'Device is not enrolled', code: 'UNKNOWN' });
+  });
+
+  test('refuses a request without a signature', async () => {
+    const response = await send(rifleman, { 'x-device-fingerprint': rifleman.device.fingerprint });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('MISSING');
+  });
+});
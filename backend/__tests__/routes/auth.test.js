@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import RevokedToken from '../../models/RevokedToken.js';
+import Session from '../../models/Session.js';
+import authRoutes from '../../routes/auth.js';
+import SessionRegistry from '../../services/auth/SessionRegistry.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+const sessionRegistry = new SessionRegistry();
+
+describe('/api/auth sessions', () => {
+  let app;
+  let stores;
+  let sessions;
+  let medic;
+  let rifleman;
+  let officer;
+
+  // A logged-in session on the soldier's enrolled device, as POST /login creates it
+  const login = (as) => sessionRegistry.create(stores.personnel.get(as.soldierId), { deviceFingerprint: as.device.fingerprint });
+  const refresh = (as, refreshToken) => app.request('POST', '/api/auth/refresh', {
+    as: { device: as.device },
+    body: { refreshToken }
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] },
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', 'Alpha Company'] },
+      { soldierId: 'officer-1', role: 'officer', rank: 'CPT', unitPath: ['1st Brigade'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    officer = await signIn(stores, 'officer-1');
+    jest.spyOn(RevokedToken, 'updateOne').mockResolvedValue({});
+    app = await startApp({ '/api/auth': authRoutes });
+  });
+
+  beforeEach(() => {
+    sessions = stubCollection(Session, 'sessionId');
+    jest.spyOn(Session, 'findActive').mockImplementation(filter => Session.find(filter));
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /refresh', () => {
+    test('trades the refresh token for a new pair, once', async () => {
+      const { refreshToken, sessionId } = await login(medic);
+
+      const first = await refresh(medic, refreshToken);
+      expect(first.status).toBe(200);
+      expect(first.body.data).toMatchObject({ sessionId, token: expect.any(String) });
+      expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+      const second = await refresh(medic, first.body.data.refreshToken);
+      expect(second.status).toBe(200);
+    });
+
+    test('presenting a spent token revokes the session', async () => {
+      const { refreshToken, sessionId } = await login(medic);
+      const { body } = await refresh(medic, refreshToken);
+
+      const replay = await refresh(medic, refreshToken);
+
+      expect(replay.status).toBe(401);
+      expect(replay.body.code).toBe('REUSED');
+      expect(sessions.get(sessionId).status).toBe('revoked');
+      expect((await refresh(medic, body.data.refreshToken)).body.code).toBe('REVOKED');
+    });
+
+    test('of two refreshes with the same token at once, one wins and the session is revoked', async () => {
+      const { refreshToken, sessionId } = await login(medic);
+
+      const results = await Promise.all([
+        sessionRegistry.rotate(refreshToken, { deviceFingerprint: medic.device.fingerprint }),
+        sessionRegistry.rotate(refreshToken, { deviceFingerprint: medic.device.fingerprint })
+      ]);
+
+      expect(results.filter(result => result.tokens)).toHaveLength(1);
+      expect(results.map(result => result.error).filter(Boolean)).toEqual(['REUSED']);
+      expect(sessions.get(sessionId)).toMatchObject({ status: 'revoked', revokedReason: 'Refresh token reuse detected' });
+    });
+
+    test('a refresh token signed for by another device revokes the session', async () => {
+      const { refreshToken, sessionId } = await login(medic);
+
+      const response = await refresh(rifleman, refreshToken);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('DEVICE');
+      expect(sessions.get(sessionId).status).toBe('revoked');
+    });
+
+    test('is limited per device, not per address', async () => {
+      const responses = [];
+      for (let attempt = 0; attempt < 11; attempt++) {
+        responses.push(await refresh(officer, 'unknown.token'));
+      }
+
+      expect(responses.slice(0, 10).map(response => response.status)).toEqual(Array(10).fill(401));
+      expect(responses[10].status).toBe(429);
+      expect(responses[10].body.error).toBe('Token refresh rate limit exceeded');
+      expect((await refresh(rifleman, 'unknown.token')).status).toBe(401);
+    });
+  });
+
+  describe('GET /sessions', () => {
+    test('lists your own sessions', async () => {
+      await login(rifleman);
+
+      const response = await app.request('GET', '/api/auth/sessions', { as: rifleman });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(1);
+    });
+
+    test.each([
+      ['a soldier', 403, () => rifleman],
+      ['an officer', 200, () => officer]
+    ])('another soldier\'s sessions need system access: %s gets %i', async (name, status, as) => {
+      const response = await app.request('GET', '/api/auth/sessions?soldierId=medic-1', { as: as() });
+
+      expect(response.status).toBe(status);
+      if (status === 403) expect(response.body).toEqual({ error: 'Insufficient permissions', message: 'Required: system:access' });
+    });
+  });
+});
@@ -0,0 +1,494 @@
+import { jest } from '@jest/globals';
+import Casualty from '../../models/Casualty.js';
+import CasualtyCard from '../../models/CasualtyCard.js';
+import AccessPolicy from '../../../shared/authorization/AccessPolicy.js';
+import { CASUALTY_CARD_SCHEMA } from '../../../shared/casualtyCard/CasualtyCard.js';
+import casualtyRoutes from '../../routes/casualties.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+describe('/api/casualties', () => {
+  let app;
+  let medic;
+  let rifleman;
+  let casualties;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] },
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PVT', unitPath: ['1st Brigade', '2nd Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    casualties = stubCollection(Casualty, 'casualtyId');
+    app = await startApp({ '/api/casualties': casualtyRoutes });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  const register = async (body) => {
+    const response = await app.request('POST', '/api/casualties', { as: medic, body });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  const reassess = (casualtyId, body) =>
+    app.request('POST', `/api/casualties/${casualtyId}/assessments`, { as: medic, body });
+
+  describe('POST /', () => {
+    test('registers a casualty with its first assessment on the timeline', async () => {
+      const casualty = await register({ description: 'Male, left leg', triageLevel: 'DELAYED' });
+
+      expect(casualty.casualtyId).toMatch(/^CAS-\d{8}-[0-9A-F]{6}$/);
+      expect(casualty).toMatchObject({
+        status: 'ACTIVE',
+        unit: 'Medical Platoon',
+        createdBy: 'medic-1',
+        currentTriage: { level: 'DELAYED', source: 'manual' }
+      });
+      expect(casualty.timeline).toEqual([
+        expect.objectContaining({ type: 'ASSESSMENT', triageLevel: 'DELAYED', recordedBy: 'medic-1' })
+      ]);
+      expect(casualty.trend).toMatchObject({ direction: 'stable', assessments: 1, currentLevel: 'DELAYED' });
+    });
+
+    test('triages from a primary survey', async () => {
+      const casualty = await register({ assessment: { breathing: 'absent' } });
+
+      expect(casualty.currentTriage).toMatchObject({ level: 'IMMEDIATE', source: 'primary-survey' });
+    });
+
+    test('asks for the next START measurement instead of registering', async () => {
+      const response = await app.request('POST', '/api/casualties', {
+        as: medic,
+        body: { startAssessment: { ambulatory: false, breathing: true } }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        error: 'START assessment incomplete',
+        awaiting: { field: 'respiratoryRate' }
+      });
+    });
+
+    test('rejects an unknown category', async () => {
+      const response = await app.request('POST', '/api/casualties', { as: medic, body: { triageLevel: 'URGENT' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Triage level must be one of IMMEDIATE, DELAYED, MINOR, EXPECTANT');
+    });
+  });
+
+  describe('POST /:casualtyId/assessments', () => {
+    test('records each re-triage as a triage change with its direction', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const worse = await reassess(casualtyId, { triageLevel: 'IMMEDIATE' });
+      expect(worse.status).toBe(200);
+      expect(worse.body.data.change).toEqual({ from: 'DELAYED', to: 'IMMEDIATE', direction: 'deteriorated' });
+      expect(worse.body.data.trend).toMatchObject({ direction: 'deteriorated', deteriorations: 1, improvements: 0 });
+
+      const better = await reassess(casualtyId, { triageLevel: 'MINOR' });
+      const { timeline, trend } = better.body.data;
+
+      expect(better.body.data.change.direction).toBe('improved');
+      expect(timeline.map(entry => entry.type)).toEqual([
+        'ASSESSMENT', 'ASSESSMENT', 'TRIAGE_CHANGE', 'ASSESSMENT', 'TRIAGE_CHANGE'
+      ]);
+      expect(timeline.filter(entry => entry.type === 'TRIAGE_CHANGE').map(entry => entry.data)).toEqual([
+        { from: 'DELAYED', to: 'IMMEDIATE', direction: 'deteriorated', source: 'manual' },
+        { from: 'IMMEDIATE', to: 'MINOR', direction: 'improved', source: 'manual' }
+      ]);
+      expect(trend).toMatchObject({
+        direction: 'improved',
+        overall: 'improved',
+        initialLevel: 'DELAYED',
+        currentLevel: 'MINOR',
+        assessments: 3,
+        improvements: 1,
+        deteriorations: 1,
+        lastChange: expect.objectContaining({ from: 'IMMEDIATE', to: 'MINOR' })
+      });
+    });
+
+    test('an unchanged category adds no triage change', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+
+      const response = await reassess(casualtyId, { triageLevel: 'MINOR' });
+
+      expect(response.body.data.change.direction).toBe('stable');
+      expect(response.body.data.timeline.map(entry => entry.type)).toEqual(['ASSESSMENT', 'ASSESSMENT']);
+    });
+
+    test('records the vitals given with a symptom assessment', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+
+      const response = await reassess(casualtyId, {
+        symptoms: 'massive bleeding from leg',
+        vitalSigns: { heartRate: 140, bloodPressure: '80/50' }
+      });
+
+      expect(response.body.data.currentTriage.source).toBe('symptom-analysis');
+      expect(response.body.data.change).toMatchObject({ from: 'MINOR', direction: 'deteriorated' });
+      expect(response.body.data.timeline.at(-1)).toMatchObject({
+        type: 'VITALS',
+        data: { vitals: { heartRate: 140 }, scores: expect.objectContaining({ shockIndex: expect.any(Object) }) }
+      });
+    });
+
+    test('asks for something to triage from', async () => {
+      const { casualtyId } = await register({});
+
+      const response = await reassess(casualtyId, {});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Provide triageLevel, startAssessment, assessment, symptoms or vitalSigns');
+    });
+
+    test('is a 404 for an unknown casualty', async () => {
+      const response = await reassess('CAS-00000000-000000', { triageLevel: 'MINOR' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ success: false, error: 'Casualty CAS-00000000-000000 not found' });
+    });
+  });
+
+  describe('GET /', () => {
+    test('lists the most urgent first and counts the deteriorating', async () => {
+      const minor = await register({ triageLevel: 'MINOR', unit: 'Recce Troop' });
+      const worsening = await register({ triageLevel: 'DELAYED', unit: 'Recce Troop' });
+      await reassess(worsening.casualtyId, { triageLevel: 'IMMEDIATE' });
+      const delayed = await register({ triageLevel: 'DELAYED', unit: 'Recce Troop' });
+
+      const response = await app.request('GET', '/api/casualties?unit=Recce%20Troop', { as: medic });
+
+      expect(response.status).toBe(200);
+      const { casualties, total, deteriorating } = response.body.data;
+      expect(casualties.map(casualty => casualty.casualtyId)).toEqual([
+        worsening.casualtyId, delayed.casualtyId, minor.casualtyId
+      ]);
+      expect(casualties[0]).toMatchObject({ timelineLength: 3, trend: { direction: 'deteriorated' } });
+      expect(casualties[0].timeline).toBeUndefined();
+      expect(total).toBe(3);
+      expect(deteriorating).toBe(1);
+    });
+
+    test.each([
+      ['2', 2],
+      ['abc', 3],
+      ['-1', 3]
+    ])('limit=%s returns %i casualties', async (limit, count) => {
+      const unit = `Limit ${limit}`;
+      for (const triageLevel of ['IMMEDIATE', 'DELAYED', 'MINOR']) {
+        await register({ triageLevel, unit });
+      }
+
+      const response = await app.request('GET', `/api/casualties?unit=${encodeURIComponent(unit)}&limit=${limit}`, { as: medic });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(count);
+    });
+  });
+
+  describe('PATCH /:casualtyId/status', () => {
+    test('records the disposition on the timeline', async () => {
+      const { casualtyId } = await register({ triageLevel: 'IMMEDIATE' });
+
+      const response = await app.request('PATCH', `/api/casualties/${casualtyId}/status`, {
+        as: medic,
+        body: { status: 'EVACUATED', reason: 'Rotary wing to Role 2' }
+      });
+      const history = await app.request('GET', `/api/casualties/${casualtyId}`, { as: medic });
+
+      expect(response.body.data.status).toBe('EVACUATED');
+      expect(history.body.data.timeline.at(-1)).toMatchObject({
+        type: 'STATUS_CHANGE',
+        summary: 'ACTIVE → EVACUATED',
+        data: { from: 'ACTIVE', to: 'EVACUATED', reason: 'Rotary wing to Role 2' }
+      });
+    });
+
+    test('rejects an unknown status', async () => {
+      const response = await app.request('PATCH', '/api/casualties/CAS-1/status', { as: medic, body: { status: 'LOST' } });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /:casualtyId/vitals', () => {
+    test('adds a scored reading without re-triaging', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const response = await app.request('POST', `/api/casualties/${casualtyId}/vitals`, {
+        as: medic,
+        body: { vitalSigns: { heartRate: 88, bloodPressure: '124/78', respiratoryRate: 16, oxygenSaturation: 98 } }
+      });
+      const history = await app.request('GET', `/api/casualties/${casualtyId}`, { as: medic });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.entry).toMatchObject({ type: 'VITALS', recordedBy: 'medic-1' });
+      expect(history.body.data.currentTriage.level).toBe('DELAYED');
+      expect(history.body.data.trend.assessments).toBe(1);
+    });
+
+    test('rejects an impossible reading before touching the casualty', async () => {
+      const response = await app.request('POST', '/api/casualties/CAS-1/vitals', {
+        as: medic,
+        body: { vitalSigns: { oxygenSaturation: 140, gcs: 2 } }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        error: 'Invalid vital signs',
+        details: [
+          'Oxygen saturation must be between 0% and 100%',
+          'GCS must be an object with eye, verbal and motor scores'
+        ]
+      });
+    });
+  });
+
+  describe('POST /:casualtyId/interventions', () => {
+    const intervene = (casualtyId, body) =>
+      app.request('POST', `/api/casualties/${casualtyId}/interventions`, { as: medic, body });
+
+    test('records the treatment at the time it was performed', async () => {
+      const { casualtyId } = await register({ triageLevel: 'IMMEDIATE' });
+
+      const response = await intervene(casualtyId, { type: 'TOURNIQUET', bodyLocation: 'left thigh', performedAt: '2026-03-01T10:00:00Z' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.entry).toMatchObject({
+        type: 'INTERVENTION',
+        summary: 'TOURNIQUET (left thigh)',
+        timestamp: '2026-03-01T10:00:00.000Z',
+        recordedBy: 'medic-1'
+      });
+    });
+
+    test('rejects a time that is not a date, leaving the timeline as it was', async () => {
+      const { casualtyId } = await register({ triageLevel: 'IMMEDIATE' });
+
+      const response = await intervene(casualtyId, { type: 'TOURNIQUET', performedAt: 'at dawn' });
+      const history = await app.request('GET', `/api/casualties/${casualtyId}`, { as: medic });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: 'performedAt must be a valid date and time' });
+      expect(history.body.data.timeline.map(entry => entry.type)).not.toContain('INTERVENTION');
+    });
+  });
+
+  describe('POST /:casualtyId/medications', () => {
+    const give = (casualtyId, body, as = medic) =>
+      app.request('POST', `/api/casualties/${casualtyId}/medications`, { as, body });
+    const record = async casualtyId =>
+      (await app.request('GET', `/api/casualties/${casualtyId}/medications`, { as: medic })).body.data;
+
+    test('logs an allowed dose and keeps the patient details for the next one', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const response = await give(casualtyId, { drug: 'KETAMINE', route: 'IM', weightKg: 80, allergies: 'penicillin' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.entry).toMatchObject({
+        type: 'MEDICATION',
+        summary: 'Ketamine 24 mg IM',
+        recordedBy: 'medic-1'
+      });
+      expect(await record(casualtyId)).toMatchObject({
+        weightKg: 80,
+        allergies: 'penicillin',
+        administrations: [expect.objectContaining({ drug: 'KETAMINE', dose: 24 })]
+      });
+    });
+
+    test('leaves the casualty untouched when the dose is refused', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const response = await give(casualtyId, {
+        drug: 'KETAMINE',
+        route: 'IM',
+        dose: 90,
+        weightKg: 80,
+        allergies: 'penicillin',
+        timeOfInjury: '2026-01-01T10:00:00Z'
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details).toEqual([expect.objectContaining({ code: 'INVALID_DOSE' })]);
+      expect(await record(casualtyId)).toMatchObject({
+        weightKg: null,
+        allergies: null,
+        injuredAt: null,
+        administrations: []
+      });
+    });
+
+    test('is closed to callers who cannot write casualty records', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+
+      const response = await give(casualtyId, { drug: 'MELOXICAM', route: 'PO' }, rifleman);
+
+      expect(response.status).toBe(403);
+      expect((await record(casualtyId)).administrations).toEqual([]);
+    });
+
+    test.each([
+      ['administeredAt', 'yesterday-ish'],
+      ['timeOfInjury', 'at dawn']
+    ])('rejects %s when it is not a date', async (field, value) => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const response = await give(casualtyId, { drug: 'KETAMINE', route: 'IM', [field]: value });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: `${field} must be a valid date and time` });
+      expect((await record(casualtyId)).administrations).toEqual([]);
+    });
+  });
+
+  describe('casualty card', () => {
+    const cardOf = casualtyId => app.request('GET', `/api/casualties/${casualtyId}/card`, { as: medic });
+    const saveCard = (casualtyId, card, as = medic) =>
+      app.request('PUT', `/api/casualties/${casualtyId}/card`, { as, body: { card } });
+    const exportCard = (casualtyId, format) =>
+      app.request('GET', `/api/casualties/${casualtyId}/card/export${format ? `?format=${format}` : ''}`, { as: medic });
+
+    beforeEach(() => {
+      stubCollection(CasualtyCard, 'casualtyId');
+    });
+
+    test('starts as a draft prefilled from the timeline', async () => {
+      const { casualtyId } = await register({ triageLevel: 'IMMEDIATE' });
+      await app.request('POST', `/api/casualties/${casualtyId}/vitals`, {
+        as: medic,
+        body: { vitalSigns: { heartRate: 128, bloodPressure: '88/50' } }
+      });
+
+      const response = await cardOf(casualtyId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        draft: true,
+        card: { form: 'DD1380', casualtyId, evacuationCategory: 'URGENT', patient: { unit: 'Medical Platoon' } },
+        validation: { valid: true }
+      });
+      expect(response.body.data.card.vitals).toEqual([expect.objectContaining({ pulse: 128, bloodPressure: '88/50' })]);
+    });
+
+    test('saves the edited card and keeps its ID', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+      const { card: draft } = (await cardOf(casualtyId)).body.data;
+
+      const saved = await saveCard(casualtyId, { ...draft, patient: { lastName: 'Doe', last4: '1234' }, injury: { mechanisms: ['GSW'] } });
+      const again = await saveCard(casualtyId, { patient: { lastName: 'Doe', firstName: 'John' } });
+
+      expect(saved.status).toBe(200);
+      expect(saved.body.data).toMatchObject({ draft: false, card: { cardId: draft.cardId, patient: { lastName: 'Doe', last4: '1234' } } });
+      expect(again.body.data.card).toMatchObject({ cardId: draft.cardId, patient: { firstName: 'John' } });
+      expect((await cardOf(casualtyId)).body.data).toMatchObject({ draft: false, card: { patient: { firstName: 'John' } } });
+    });
+
+    test('rejects a card that would fail the export schema, with the fields to fix', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      const response = await saveCard(casualtyId, { evacuationCategory: 'ASAP', vitals: [{ pulse: 90 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Casualty card is invalid',
+        details: [
+          { field: 'evacuationCategory', message: 'Unknown evacuation category "ASAP"' },
+          { field: 'vitals[0].time', message: 'Time is required for every vitals entry' }
+        ]
+      });
+      expect((await cardOf(casualtyId)).body.data.draft).toBe(true);
+    });
+
+    test('is saved only by callers who can write casualty records', async () => {
+      const { casualtyId } = await register({ triageLevel: 'DELAYED' });
+
+      expect((await saveCard(casualtyId, {}, rifleman)).status).toBe(403);
+    });
+
+    test('exports JSON tagged with the schema, as a download', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+      const { card } = (await saveCard(casualtyId, { injury: { mechanisms: ['FALL'] } })).body.data;
+
+      const response = await exportCard(casualtyId, 'JSON');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="${card.cardId}.json"`);
+      const { createdAt, updatedAt, ...fields } = card;
+      expect(response.body).toEqual({ $schema: CASUALTY_CARD_SCHEMA.$id, ...fields, createdAt: expect.any(String), updatedAt: expect.any(String) });
+    });
+
+    test('exports printable HTML by default', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+
+      const response = await exportCard(casualtyId);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^text\/html/);
+      expect(response.text).toMatch(/^<!DOCTYPE html>/);
+      expect(response.text).toContain(`Casualty ${casualtyId}`);
+    });
+
+    test.each([
+      ['pdf', 400],
+      ['json', 404]
+    ])('export as %s of an unknown casualty is %i', async (format, status) => {
+      expect((await exportCard('CAS-20260101-000000', format)).status).toBe(status);
+    });
+
+    test('the schema is served to any signed-in caller', async () => {
+      const response = await app.request('GET', '/api/casualties/card-schema', { as: rifleman });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(JSON.parse(JSON.stringify(CASUALTY_CARD_SCHEMA)));
+    });
+  });
+
+  describe('access scope', () => {
+    // A grant narrower than the medic's 'all', as a leader's platoon scope would be
+    const narrowTo = (scope) => jest.spyOn(AccessPolicy.prototype, 'scopeFor').mockReturnValue(scope);
+
+    afterEach(() => {
+      if (jest.isMockFunction(AccessPolicy.prototype.scopeFor)) AccessPolicy.prototype.scopeFor.mockRestore();
+    });
+
+    test('registers the casualty under the unit of whoever registered it', async () => {
+      const { casualtyId } = await register({ triageLevel: 'MINOR' });
+
+      expect([...casualties.get(casualtyId).unitPath]).toEqual(['1st Brigade', 'Medical Platoon']);
+    });
+
+    test('lists and finds only the casualties the scope reaches', async () => {
+      const own = await register({ triageLevel: 'MINOR', unit: 'Scoped' });
+      const other = new Casualty({ unit: 'Scoped', unitPath: ['1st Brigade', '2nd Platoon'], createdBy: 'medic-2' });
+      await other.save();
+      narrowTo('platoon');
+
+      const list = await app.request('GET', '/api/casualties?unit=Scoped', { as: medic });
+      const found = await app.request('GET', `/api/casualties/${other.casualtyId}`, { as: medic });
+
+      expect(list.body.data.casualties.map(casualty => casualty.casualtyId)).toEqual([own.casualtyId]);
+      expect(found.status).toBe(404);
+      expect((await reassess(other.casualtyId, { triageLevel: 'IMMEDIATE' })).status).toBe(404);
+    });
+
+    test('a caller without the grant gets the 403 in the shape of authenticate\'s 401s', async () => {
+      const response = await app.request('GET', '/api/casualties', { as: rifleman });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Insufficient permissions', message: 'Required: casualties:read' });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import DeviceWipe from '../../models/DeviceWipe.js';
+import RevokedToken from '../../models/RevokedToken.js';
+import Session from '../../models/Session.js';
+import devicesRoutes from '../../routes/devices.js';
+import eventStream from '../../services/ai/communication/EventStream.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+describe('/api/devices remote wipe', () => {
+  let app;
+  let stores;
+  let wipes;
+  let officer;
+  let rifleman;
+  let medic;
+
+  // The lost device itself: signed with its key, no token
+  const lostDevice = () => ({ device: rifleman.device });
+  const orderWipe = () => app.request('POST', `/api/devices/${rifleman.device.fingerprint}/wipe`, {
+    as: officer,
+    body: { reason: 'Captured at checkpoint' }
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stores = stubAuthStores([
+      { soldierId: 'officer-1', role: 'officer', rank: 'CPT', unitPath: ['1st Brigade'] },
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', 'Alpha Company'] },
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] }
+    ]);
+    officer = await signIn(stores, 'officer-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    medic = await signIn(stores, 'medic-1');
+    jest.spyOn(RevokedToken, 'updateOne').mockResolvedValue({});
+    jest.spyOn(eventStream, 'publish').mockImplementation(() => {});
+    app = await startApp({ '/api/devices': devicesRoutes });
+  });
+
+  beforeEach(() => {
+    wipes = stubCollection(DeviceWipe, 'wipeId');
+    stubCollection(Session, 'sessionId');
+    stores.devices.forEach(device => device.set({ status: 'active' }));
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test('ordering a wipe revokes the device key', async () => {
+    const response = await orderWipe();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ deviceFingerprint: rifleman.device.fingerprint, status: 'PENDING' });
+    expect(stores.devices.get(rifleman.device.fingerprint).status).toBe('revoked');
+  });
+
+  describe('POST /wipe-check', () => {
+    test('hands the order to the device signing with its revoked key', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', '/api/devices/wipe-check', { as: lostDevice() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.wipe).toMatchObject({ wipeId, reason: 'Captured at checkpoint', status: 'DELIVERED' });
+      expect(wipes.get(wipeId).status).toBe('DELIVERED');
+    });
+
+    test('answers null for a device without an order', async () => {
+      const response = await app.request('POST', '/api/devices/wipe-check', { as: { device: medic.device } });
+
+      expect(response.body.data.wipe).toBeNull();
+    });
+
+    test('refuses a bare fingerprint', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', '/api/devices/wipe-check', {
+        headers: { 'x-device-fingerprint': rifleman.device.fingerprint }
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('MISSING');
+      expect(wipes.get(wipeId).status).toBe('PENDING');
+    });
+
+    test('refuses another key claiming the device fingerprint', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', '/api/devices/wipe-check', {
+        as: { device: medic.device },
+        headers: { 'x-device-fingerprint': rifleman.device.fingerprint }
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(wipes.get(wipeId).status).toBe('PENDING');
+    });
+  });
+
+  describe('POST /wipes/:wipeId/confirm', () => {
+    const report = { indexedDB: true, caches: 3, serviceWorkers: 1, storage: true, errors: [] };
+
+    test('records the report from the device the order was for', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', `/api/devices/wipes/${wipeId}/confirm`, { as: lostDevice(), body: { report } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ wipeId, status: 'CONFIRMED' });
+      expect(wipes.get(wipeId).report).toMatchObject({ caches: 3, serviceWorkers: 1 });
+      expect(eventStream.publish).toHaveBeenCalledWith('DEVICE_WIPE_CONFIRMED', expect.objectContaining({ wipeId }), expect.anything());
+    });
+
+    test('is not found for another enrolled device', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', `/api/devices/wipes/${wipeId}/confirm`, { as: { device: medic.device }, body: { report } });
+
+      expect(response.status).toBe(404);
+      expect(wipes.get(wipeId).status).toBe('PENDING');
+    });
+
+    test('refuses an unsigned confirmation naming the device', async () => {
+      const { body: { data: { wipeId } } } = await orderWipe();
+
+      const response = await app.request('POST', `/api/devices/wipes/${wipeId}/confirm`, {
+        headers: { 'x-device-fingerprint': rifleman.device.fingerprint },
+        body: { report }
+      });
+
+      expect(response.status).toBe(401);
+      expect(wipes.get(wipeId).status).toBe('PENDING');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import diagnosisRoutes from '../../routes/diagnosis.js';
+import { signIn, startApp, stubAuthStores } from '../helpers/api.js';
+
+describe('/api/diagnose', () => {
+  let app;
+  let medic;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    app = await startApp({ '/api/diagnose': diagnosisRoutes });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /analyze', () => {
+    test('explains the symptom matches, the score and the emergency actions', async () => {
+      const response = await app.request('POST', '/api/diagnose/analyze', {
+        as: medic,
+        body: { symptoms: 'GSW to thigh, severe bleeding', vitalSigns: { heartRate: 150 } }
+      });
+
+      expect(response.status).toBe(200);
+      const { explanation, rulePack } = response.body.data;
+      expect(rulePack).toMatchObject({ id: 'default' });
+      expect(explanation.symptomMatches.map(match => match.matchedKey)).toEqual(['gunshot wound', 'bleeding']);
+      expect(explanation.triageScoring.contributions.map(rule => rule.id)).toEqual(['keyword-combat', 'keyword-critical', 'vital-heart-rate']);
+      expect(explanation.triageScoring.score).toBe(90);
+      expect(explanation.emergencyActionTriggers.map(trigger => trigger.trigger)).toEqual(['major-hemorrhage']);
+    });
+  });
+
+  describe('vital sign validation', () => {
+    test.each([
+      ['/api/diagnose/analyze', { oxygenSaturation: 140 }, 'Oxygen saturation must be between 0% and 100%'],
+      ['/api/diagnose/triage', { oxygenSaturation: 140 }, 'Oxygen saturation must be between 0% and 100%'],
+      ['/api/diagnose/analyze', { gcs: 2 }, 'GCS must be an object with eye, verbal and motor scores'],
+      ['/api/diagnose/triage', { gcs: { eye: 1, verbal: 1, motor: 0 } }, 'GCS motor score must be between 1 and 6']
+    ])('%s rejects %j', async (path, vitalSigns, detail) => {
+      const response = await app.request('POST', path, { as: medic, body: { symptoms: 'chest pain', vitalSigns } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ success: false, error: 'Invalid vital signs', details: [detail] });
+    });
+
+    test('accepts the readings of a casualty in arrest', async () => {
+      const response = await app.request('POST', '/api/diagnose/triage', {
+        as: medic,
+        body: { symptoms: 'gunshot wound to chest', vitalSigns: { heartRate: 0, respiratoryRate: 0, bloodPressure: '0/0' } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.triageLevel).toBe('IMMEDIATE');
+    });
+  });
+
+  describe('POST /start-triage', () => {
+    test('rejects a measurement that is not a number', async () => {
+      const response = await app.request('POST', '/api/diagnose/start-triage', {
+        as: medic,
+        body: { assessment: { ambulatory: false, breathing: true, respiratoryRate: 'abc' } }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Invalid assessment',
+        details: ['respiratoryRate must be a non-negative number']
+      });
+    });
+
+    test('asks for a measurement that was not given', async () => {
+      const response = await app.request('POST', '/api/diagnose/start-triage', {
+        as: medic,
+        body: { assessment: { ambulatory: false, breathing: true } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ complete: false, awaiting: { field: 'respiratoryRate' } });
+    });
+  });
+
+  describe('POST /mass-casualty', () => {
+    test('sorts the casualties and summarizes them by tag', async () => {
+      const response = await app.request('POST', '/api/diagnose/mass-casualty', {
+        as: medic,
+        body: {
+          casualties: [
+            { id: 'walking', symptoms: 'abrasion on forearm' },
+            { id: 'bleeding', symptoms: 'massive bleeding from leg', vitalSigns: { heartRate: 140 } }
+          ]
+        }
+      });
+
+      expect(response.status).toBe(200);
+      const { analyses, summary, totalCasualties, immediate } = response.body.data;
+      expect(totalCasualties).toBe(2);
+      expect(immediate).toBe(1);
+      expect(analyses.map(analysis => [analysis.casualtyId, analysis.triageTag])).toEqual([
+        ['bleeding', 'RED'],
+        ['walking', 'GREEN']
+      ]);
+      expect(summary).toEqual({
+        red: 1,
+        yellow: 0,
+        green: 1,
+        black: 0,
+        recommendations: ['IMMEDIATE: 1 critical casualties require urgent evacuation']
+      });
+    });
+
+    test('points larger batches at the incident board', async () => {
+      const response = await app.request('POST', '/api/diagnose/mass-casualty', {
+        as: medic,
+        body: { casualties: Array.from({ length: 51 }, (_, index) => ({ id: `c${index}`, symptoms: 'cut' })) }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Maximum 50 casualties per request - use /api/incidents for larger incidents');
+    });
+  });
+
+  describe('POST /triage', () => {
+    test('triages from body-map injuries alone and derives the mechanism', async () => {
+      const response = await app.request('POST', '/api/diagnose/triage', {
+        as: medic,
+        body: { injuries: [{ region: 'chest', type: 'GUNSHOT' }, { region: 'left-arm-front', type: 'ABRASION' }] }
+      });
+
+      expect(response.status).toBe(200);
+      const { triageLevel, triageReason, mechanismOfInjury, injuries } = response.body.data;
+      expect(triageLevel).toBe('IMMEDIATE');
+      expect(triageReason).toBe('Life-threatening injuries: gunshot wound chest, abrasion left arm');
+      expect(mechanismOfInjury).toBe('gunshot');
+      expect(injuries.map(injury => [injury.location, injury.view, injury.code])).toEqual([
+        ['chest', 'front', 'GUNSHOT'],
+        ['left arm', 'front', 'ABRASION']
+      ]);
+    });
+
+    test('a serious wound makes a walking casualty DELAYED', async () => {
+      const response = await app.request('POST', '/api/diagnose/triage', {
+        as: medic,
+        body: { symptoms: 'pain in leg', injuries: [{ region: 'right-leg-front', type: 'FRACTURE' }] }
+      });
+
+      expect(response.body.data.triageLevel).toBe('DELAYED');
+    });
+
+    test('rejects an injury off the body map', async () => {
+      const response = await app.request('POST', '/api/diagnose/triage', {
+        as: medic,
+        body: { injuries: [{ region: 'tail', type: 'GUNSHOT' }] }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid injuries', details: ['injuries[0]: unknown region "tail"'] });
+    });
+
+    test('does not call a casualty EXPECTANT before the airway has been repositioned', async () => {
+      const response = await app.request('POST', '/api/diagnose/triage', {
+        as: medic,
+        body: { symptoms: 'gunshot wound to chest', assessment: { breathing: 'absent' } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.triageLevel).toBe('IMMEDIATE');
+      expect(response.body.data.triageReason).toBe('Not breathing - reposition the airway and reassess');
+      expect(response.body.data.triageDecision.awaiting.field).toBe('breathingAfterAirwayRepositioning');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import Casualty from '../../models/Casualty.js';
+import Incident from '../../models/Incident.js';
+import evacRoutes from '../../routes/evac.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+const LINES = {
+  location: { gridReference: '38S MB 12345 67890' },
+  frequency: '45.500',
+  callsign: 'DUSTOFF',
+  security: 'N',
+  marking: 'SMOKE'
+};
+
+describe('/api/evac/nine-line', () => {
+  let app;
+  let medic;
+  let rifleman;
+
+  const nineLine = (body, as = medic) => app.request('POST', '/api/evac/nine-line', { as, body });
+
+  const casualty = async (triageLevel, fields = {}) => {
+    const stored = new Casualty({ unitPath: ['1st Brigade', 'Medical Platoon'], ...fields });
+    stored.recordAssessment(triageLevel, { source: 'manual', recordedBy: 'medic-1' });
+    await stored.save();
+    return stored;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] },
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '2nd Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    app = await startApp({ '/api/evac': evacRoutes });
+  });
+
+  beforeEach(() => {
+    stubCollection(Casualty, 'casualtyId');
+    stubCollection(Incident, 'incidentId');
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test('builds a complete request for ad-hoc patients', async () => {
+    const response = await nineLine({ ...LINES, patients: [{ triageLevel: 'IMMEDIATE' }, { triageLevel: 'MINOR' }] }, rifleman);
+
+    expect(response.status).toBe(200);
+    const { request, validation, text, voice } = response.body.data;
+    expect(validation).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(request.lines[2]).toMatchObject({ line: 3, value: '1A, 1D' });
+    expect(text).toMatch(/^MEDEVAC REQUEST - 9 LINE\nLINE 1: 38S MB 12345 67890\n/);
+    expect(voice).toMatch(/^MEDEVAC request, nine line\. Break\./);
+  });
+
+  test('reports numeric call signs and grids as lines to fix, not as a server error', async () => {
+    const response = await nineLine({ ...LINES, callsign: 42, markingDetail: 7, location: { gridReference: 38 }, patients: [{ triageLevel: 'DELAYED' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.request).toMatchObject({ callsign: '42', markingDetail: '7' });
+    expect(response.body.data.validation.errors).toEqual([{ line: 1, message: '"38" is not a valid MGRS grid reference' }]);
+  });
+
+  test('takes the patient and pickup site from a casualty', async () => {
+    const stored = await casualty('IMMEDIATE', { location: { gridReference: '38S MB 11111 22222' } });
+
+    const response = await nineLine({ ...LINES, location: undefined, casualtyId: stored.casualtyId, patients: [{ casualtyId: stored.casualtyId, ambulatory: true }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.request.patients).toEqual([
+      expect.objectContaining({ casualtyId: stored.casualtyId, triageLevel: 'IMMEDIATE', precedence: 'A', type: 'A' })
+    ]);
+    expect(response.body.data.request.location.gridReference).toBe('38S MB 11111 22222');
+  });
+
+  test('takes the ACTIVE casualties of an incident', async () => {
+    const incident = new Incident({ name: 'Convoy IED', createdBy: 'medic-1', unitPath: ['1st Brigade', 'Medical Platoon'] });
+    await incident.save();
+    await casualty('IMMEDIATE', { incidentId: incident.incidentId });
+    await casualty('DELAYED', { incidentId: incident.incidentId });
+    await casualty('MINOR', { incidentId: incident.incidentId, status: 'EVACUATED' });
+
+    const response = await nineLine({ ...LINES, incidentId: incident.incidentId });
+
+    expect(response.body.data.request.lines[2].value).toBe('1A, 1C');
+  });
+
+  test.each([
+    [{ casualtyId: 'CAS-20260101-000000' }, 'Casualty CAS-20260101-000000 not found'],
+    [{ incidentId: 'MCI-20260101-0000' }, 'Incident MCI-20260101-0000 not found']
+  ])('404s for %j', async (source, error) => {
+    const response = await nineLine({ ...LINES, ...source });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe(error);
+  });
+
+  test('needs casualties:read to build from a stored casualty', async () => {
+    const stored = await casualty('IMMEDIATE');
+
+    const response = await nineLine({ ...LINES, casualtyId: stored.casualtyId }, rifleman);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Insufficient permissions', message: 'Required: casualties:read' });
+  });
+
+  test.each([
+    [{}, 'Provide casualtyId, incidentId or patients'],
+    [{ patients: { triageLevel: 'MINOR' } }, 'Patients must be an array']
+  ])('rejects %j', async (body, error) => {
+    const response = await nineLine({ ...LINES, ...body });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+  });
+});
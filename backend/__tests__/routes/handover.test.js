@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import handoverRoutes from '../../routes/handover.js';
+import { signIn, startApp, stubAuthStores } from '../helpers/api.js';
+
+describe('/api/handover', () => {
+  let app;
+  let rifleman;
+
+  const generate = (body, as = rifleman) => app.request('POST', '/api/handover', { as, body });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '2nd Platoon'] }
+    ]);
+    rifleman = await signIn(stores, 'rifleman-1');
+    app = await startApp({ '/api/handover': handoverRoutes });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test('returns the report and its text for buddy aid', async () => {
+    const response = await generate({
+      casualty: { soldierId: 'rifleman-2' },
+      age: 31,
+      symptoms: ['gunshot wound to the arm'],
+      vitalsHistory: [{ vitals: { heartRate: 118 } }],
+      interventions: [{ type: 'Tourniquet', bodyLocation: 'right arm' }]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.report).toMatchObject({
+      format: 'ATMIST',
+      age: 31,
+      mechanism: { description: 'Gunshot', source: 'symptoms' },
+      missing: ['timeOfInjury', 'injuries']
+    });
+    expect(response.body.data.text.split('\n')).toEqual([
+      'ATMIST HANDOVER: rifleman-2',
+      'A: 31 yrs',
+      'T: Unknown',
+      'M: Gunshot',
+      'I: None identified',
+      'S: HR 118',
+      'T: Tourniquet (right arm)'
+    ]);
+  });
+
+  test('takes the format in any case', async () => {
+    const response = await generate({ format: 'mist' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.report.format).toBe('MIST');
+    expect(response.body.data.text).toMatch(/^MIST HANDOVER: CASUALTY\nM: Unknown/);
+  });
+
+  test.each([
+    [{ format: 'SBAR' }, 'Format must be one of MIST, ATMIST'],
+    [{ vitalsHistory: { heartRate: 120 } }, 'vitalsHistory and interventions must be arrays'],
+    [{ interventions: 'tourniquet' }, 'vitalsHistory and interventions must be arrays']
+  ])('rejects %j', async (body, error) => {
+    const response = await generate(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  test('needs a signed-in soldier', async () => {
+    const response = await app.request('POST', '/api/handover', { body: {} });
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,238 @@
+import { jest } from '@jest/globals';
+import Casualty from '../../models/Casualty.js';
+import Incident from '../../models/Incident.js';
+import AccessPolicy from '../../../shared/authorization/AccessPolicy.js';
+import incidentRoutes from '../../routes/incidents.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+describe('/api/incidents', () => {
+  let app;
+  let medic;
+  let incidents;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    incidents = stubCollection(Incident, 'incidentId');
+    stubCollection(Casualty, 'casualtyId');
+    app = await startApp({ '/api/incidents': incidentRoutes });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  const open = async (body = { name: 'Convoy IED', mechanism: 'IED' }) => {
+    const response = await app.request('POST', '/api/incidents', { as: medic, body });
+    expect(response.status).toBe(201);
+    return response.body.data.incidentId;
+  };
+
+  const add = (incidentId, body) =>
+    app.request('POST', `/api/incidents/${incidentId}/casualties`, { as: medic, body });
+
+  describe('POST /', () => {
+    test('opens an incident for the medic\'s unit', async () => {
+      const response = await app.request('POST', '/api/incidents', { as: medic, body: { name: 'Mortar strike' } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        name: 'Mortar strike',
+        unit: 'Medical Platoon',
+        status: 'OPEN',
+        createdBy: 'medic-1',
+        isOpen: true
+      });
+      expect(response.body.data.incidentId).toMatch(/^MCI-\d{8}-[0-9A-F]{4}$/);
+    });
+
+    test('requires a name', async () => {
+      const response = await app.request('POST', '/api/incidents', { as: medic, body: {} });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: 'Incident name is required' });
+    });
+  });
+
+  describe('POST /:incidentId/casualties', () => {
+    test('adds a batch, triaging each casualty and reporting the ones it could not', async () => {
+      const incidentId = await open();
+
+      const response = await add(incidentId, {
+        casualties: [
+          { description: 'Driver', assessment: { perfusion: 'absent' } },
+          { description: 'Gunner', startAssessment: { ambulatory: true } },
+          { description: 'Commander', startAssessment: { ambulatory: false, breathing: true } },
+          { description: 'Passenger' }
+        ]
+      });
+
+      expect(response.status).toBe(201);
+      const { added, failed, board } = response.body.data;
+      expect(added).toEqual([
+        { index: 0, casualtyId: expect.stringMatching(/^CAS-/), triageLevel: 'IMMEDIATE' },
+        { index: 1, casualtyId: expect.stringMatching(/^CAS-/), triageLevel: 'MINOR' },
+        { index: 3, casualtyId: expect.stringMatching(/^CAS-/), triageLevel: null }
+      ]);
+      expect(failed).toEqual([
+        { index: 2, error: 'START assessment incomplete', awaiting: expect.objectContaining({ field: 'respiratoryRate' }) }
+      ]);
+      expect(board.counts).toEqual({
+        total: 3,
+        byTag: { RED: 1, YELLOW: 0, GREEN: 1, BLACK: 0, UNTRIAGED: 1 },
+        byStatus: { ACTIVE: 3 }
+      });
+    });
+
+    test.each([0, 51])('rejects a batch of %i casualties', async (size) => {
+      const incidentId = await open();
+
+      const response = await add(incidentId, { casualties: Array.from({ length: size }, () => ({ triageLevel: 'MINOR' })) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Between 1 and 50 casualties per request');
+    });
+
+    test('takes the 50 casualties of one request', async () => {
+      const incidentId = await open();
+
+      const response = await add(incidentId, {
+        casualties: Array.from({ length: 50 }, (_, index) => ({ triageLevel: index % 5 === 0 ? 'IMMEDIATE' : 'DELAYED' }))
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.board.counts.byTag).toMatchObject({ RED: 10, YELLOW: 40 });
+      expect(response.body.data.board.recommendations).toContain('MASS CASUALTY: Activate mass casualty protocols');
+    });
+
+    test('is a 404 for an unknown incident', async () => {
+      const response = await add('MCI-00000000-0000', { triageLevel: 'MINOR' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('board', () => {
+    test('lists casualties by priority, untriaged last, and flags deterioration', async () => {
+      const incidentId = await open();
+      const { added } = (await add(incidentId, {
+        casualties: [
+          { description: 'A', triageLevel: 'MINOR' },
+          { description: 'B' },
+          { description: 'C', triageLevel: 'DELAYED' },
+          { description: 'D', triageLevel: 'EXPECTANT' }
+        ]
+      })).body.data;
+
+      const retriage = await app.request('POST', `/api/incidents/${incidentId}/casualties/${added[0].casualtyId}/assessments`, {
+        as: medic,
+        body: { triageLevel: 'IMMEDIATE' }
+      });
+      const board = (await app.request('GET', `/api/incidents/${incidentId}`, { as: medic })).body.data;
+
+      expect(retriage.status).toBe(200);
+      expect(retriage.body.data.change).toEqual({ from: 'MINOR', to: 'IMMEDIATE', direction: 'deteriorated' });
+      expect(retriage.body.data.counts.byTag).toMatchObject({ RED: 1, GREEN: 0 });
+      expect(board.casualties.map(casualty => casualty.description)).toEqual(['A', 'C', 'D', 'B']);
+      expect(board.casualties[0].triage).toMatchObject({ tag: 'T1', color: 'RED' });
+      expect(board.deteriorating).toEqual([added[0].casualtyId]);
+      expect(board.summary).toMatchObject({ total: 3, immediate: 1, delayed: 1, expectant: 1 });
+    });
+
+    test('counts alone', async () => {
+      const incidentId = await open();
+      await add(incidentId, { casualties: [{ triageLevel: 'DELAYED' }, { triageLevel: 'DELAYED' }] });
+
+      const response = await app.request('GET', `/api/incidents/${incidentId}/counts`, { as: medic });
+
+      expect(response.body.data).toMatchObject({ incidentId, status: 'OPEN', total: 2, byTag: { YELLOW: 2 } });
+    });
+
+    test('does not re-triage a casualty of another incident', async () => {
+      const first = await open();
+      const second = await open();
+      const { added } = (await add(first, { triageLevel: 'MINOR' })).body.data;
+
+      const response = await app.request('POST', `/api/incidents/${second}/casualties/${added[0].casualtyId}/assessments`, {
+        as: medic,
+        body: { triageLevel: 'IMMEDIATE' }
+      });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(`Casualty ${added[0].casualtyId} not found in incident ${second}`);
+    });
+  });
+
+  describe('POST /:incidentId/close', () => {
+    test('stores the final board as the summary and stops further changes', async () => {
+      const incidentId = await open();
+      const { added } = (await add(incidentId, { casualties: [{ triageLevel: 'DELAYED' }, { triageLevel: 'MINOR' }] })).body.data;
+      await app.request('POST', `/api/incidents/${incidentId}/casualties/${added[1].casualtyId}/assessments`, {
+        as: medic,
+        body: { triageLevel: 'DELAYED' }
+      });
+
+      const response = await app.request('POST', `/api/incidents/${incidentId}/close`, {
+        as: medic,
+        body: { notes: 'All casualties evacuated to Role 2' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'CLOSED', closedBy: 'medic-1', isOpen: false });
+      expect(response.body.data.summary).toMatchObject({
+        total: 2,
+        delayed: 2,
+        counts: { byTag: { YELLOW: 2 } },
+        deteriorations: 1,
+        notes: 'All casualties evacuated to Role 2'
+      });
+
+      const late = await add(incidentId, { triageLevel: 'MINOR' });
+      expect(late.status).toBe(409);
+      expect(late.body.error).toBe(`Incident ${incidentId} is closed`);
+    });
+  });
+
+  describe('GET /', () => {
+    test('lists open incidents', async () => {
+      const incidentId = await open({ name: 'Listed' });
+      await app.request('POST', `/api/incidents/${await open({ name: 'Closed' })}/close`, { as: medic, body: {} });
+
+      const response = await app.request('GET', '/api/incidents', { as: medic });
+      const names = response.body.data.incidents.map(incident => incident.name);
+
+      expect(names).toContain('Listed');
+      expect(names).not.toContain('Closed');
+      expect(response.body.data.incidents.find(incident => incident.incidentId === incidentId).status).toBe('OPEN');
+    });
+  });
+
+  describe('access scope', () => {
+    afterEach(() => {
+      if (jest.isMockFunction(AccessPolicy.prototype.scopeFor)) AccessPolicy.prototype.scopeFor.mockRestore();
+    });
+
+    test('lists and opens only the incidents the scope reaches', async () => {
+      const own = await open({ name: 'Own platoon' });
+      const other = new Incident({ name: 'Other platoon', unitPath: ['1st Brigade', '2nd Platoon'], createdBy: 'medic-2' });
+      await other.save();
+      expect([...incidents.get(own).unitPath]).toEqual(['1st Brigade', 'Medical Platoon']);
+      // A grant narrower than the medic's 'all', as a leader's platoon scope would be
+      jest.spyOn(AccessPolicy.prototype, 'scopeFor').mockReturnValue('platoon');
+
+      const list = await app.request('GET', '/api/incidents', { as: medic });
+      const board = await app.request('GET', `/api/incidents/${other.incidentId}`, { as: medic });
+
+      const names = list.body.data.incidents.map(incident => incident.name);
+      expect(names).toContain('Own platoon');
+      expect(names).not.toContain('Other platoon');
+      expect(board.status).toBe(404);
+      expect((await add(other.incidentId, { triageLevel: 'MINOR' })).status).toBe(404);
+    });
+  });
+});
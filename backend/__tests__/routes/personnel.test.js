@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import Personnel from '../../models/Personnel.js';
+import personnelRoutes from '../../routes/personnel.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+const ROSTER = [
+  { soldierId: 'admin-1', name: 'Vance', role: 'admin', rank: 'MAJ', unitPath: ['1st Brigade', 'HQ'] },
+  { soldierId: 'medic-1', name: 'Reyes', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] },
+  { soldierId: 'rifleman-1', name: 'Okafor', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company'] }
+];
+
+describe('/api/personnel', () => {
+  let app;
+  let personnel;
+  let admin;
+  let medic;
+  let rifleman;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const stores = stubAuthStores(ROSTER);
+    admin = await signIn(stores, 'admin-1');
+    medic = await signIn(stores, 'medic-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    // The roster the routes edit is the one authenticate reads callers from
+    Personnel.findBySoldierId.mockRestore();
+    app = await startApp({ '/api/personnel': personnelRoutes });
+  });
+
+  beforeEach(async () => {
+    personnel = stubCollection(Personnel, 'soldierId');
+    await Promise.all(ROSTER.map(entry => new Personnel(entry).save()));
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /', () => {
+    test('adds a soldier who can then log in', async () => {
+      const response = await app.request('POST', '/api/personnel', {
+        as: admin,
+        body: { soldierId: 'S100', name: 'Doe', rank: 'SPC', unit: '1st Brigade > 2nd Battalion', bloodType: 'O-', password: 'correct-horse' }
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ soldierId: 'S100', role: 'soldier', unit: '2nd Battalion', status: 'active' });
+      expect(response.body.data).not.toHaveProperty('passwordHash');
+      expect(await personnel.get('S100').verifyPassword('correct-horse')).toBe(true);
+    });
+
+    test('rejects values outside the roster schema', async () => {
+      const response = await app.request('POST', '/api/personnel', {
+        as: admin,
+        body: { soldierId: 'S100', name: 'Doe', role: 'general' }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid personnel data');
+      expect(response.body.details).toEqual([expect.stringMatching(/`general` is not a valid enum value/)]);
+    });
+
+    test('reports a duplicate soldier ID as a conflict', async () => {
+      Personnel.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const response = await app.request('POST', '/api/personnel', { as: admin, body: { soldierId: 'medic-1', name: 'Reyes' } });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Soldier ID already exists');
+    });
+
+    test('is for administrators only', async () => {
+      const response = await app.request('POST', '/api/personnel', { as: medic, body: { soldierId: 'S100', name: 'Doe' } });
+
+      expect(response.status).toBe(403);
+      expect(personnel.has('S100')).toBe(false);
+    });
+  });
+
+  describe('GET /', () => {
+    test('lists a unit with its subunits for a medic', async () => {
+      const response = await app.request('GET', '/api/personnel?unit=2nd%20Battalion&includeSubunits=true', { as: medic });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.personnel.map(entry => entry.soldierId)).toEqual(['rifleman-1']);
+    });
+
+    test('is closed to a rifleman', async () => {
+      const response = await app.request('GET', '/api/personnel', { as: rifleman });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /:soldierId', () => {
+    test('changes the role, which applies to the live token', async () => {
+      const response = await app.request('PUT', '/api/personnel/rifleman-1', { as: admin, body: { role: 'medic', soldierId: 'other' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ soldierId: 'rifleman-1', role: 'medic' });
+      expect((await app.request('GET', '/api/personnel', { as: rifleman })).status).toBe(200);
+    });
+
+    test('404s for a soldier not on the roster', async () => {
+      const response = await app.request('PUT', '/api/personnel/S999', { as: admin, body: { rank: 'CPL' } });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /:soldierId', () => {
+    test('deactivates the entry, which ends its sessions at the next request', async () => {
+      const response = await app.request('DELETE', '/api/personnel/medic-1', { as: admin });
+
+      expect(response.status).toBe(200);
+      expect(personnel.get('medic-1').status).toBe('inactive');
+      const after = await app.request('GET', '/api/personnel', { as: medic });
+      expect(after.status).toBe(401);
+      expect(after.body.error).toBe('Account inactive');
+    });
+
+    test('an administrator cannot deactivate themselves', async () => {
+      const response = await app.request('DELETE', '/api/personnel/admin-1', { as: admin });
+
+      expect(response.status).toBe(400);
+      expect(personnel.get('admin-1').status).toBe('active');
+    });
+  });
+
+  describe('POST /import', () => {
+    test('imports CSV sent as text/csv and reports failed rows', async () => {
+      const response = await app.request('POST', '/api/personnel/import', {
+        as: admin,
+        headers: { 'content-type': 'text/csv' },
+        body: 'soldierId,name,rank\nS200,Doe,PVT\nmedic-1,,SSG\nS201,,PVT'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ total: 3, created: 1, updated: 1 });
+      expect(response.body.data.failed).toEqual([{ line: 4, soldierId: 'S201', error: expect.stringMatching(/`name` is required/) }]);
+      expect(personnel.get('medic-1').rank).toBe('SSG');
+    });
+
+    test('accepts the CSV as { csv } in JSON', async () => {
+      const response = await app.request('POST', '/api/personnel/import', { as: admin, body: { csv: 'soldierId,name\nS200,Doe' } });
+
+      expect(response.body.data).toMatchObject({ total: 1, created: 1 });
+    });
+
+    test.each([
+      [{}, 'Roster CSV is required'],
+      [{ csv: 'name,rank\nDoe,PVT' }, 'Invalid roster']
+    ])('rejects %j', async (body, error) => {
+      const response = await app.request('POST', '/api/personnel/import', { as: admin, body });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+    });
+  });
+});
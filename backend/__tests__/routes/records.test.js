@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import MedicalRecord from '../../models/MedicalRecord.js';
+import recordsRoutes from '../../routes/records.js';
+import { signIn, startApp, stubAuthStores, stubCollection } from '../helpers/api.js';
+
+describe('/api/records', () => {
+  let app;
+  let medic;
+  let rifleman;
+  let corporal;
+  let sergeant;
+
+  // A record as POST /save stores it for a soldier
+  const recordOf = async (soldierId, unitPath, overrides = {}) => {
+    const record = new MedicalRecord({
+      soldierId,
+      unitPath,
+      encryptedData: 'ciphertext',
+      metadata: { triageLevel: 'DELAYED' },
+      ...overrides
+    });
+    await record.save();
+    return record;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SPC', unitPath: ['1st Brigade', 'Medical Platoon'] },
+      { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: ['1st Brigade', '1st Platoon', '2nd Squad'] },
+      { soldierId: 'corporal-1', role: 'soldier', rank: 'CPL', unitPath: ['1st Brigade', '1st Platoon', '2nd Squad'] },
+      { soldierId: 'sergeant-1', role: 'soldier', rank: 'SGT', unitPath: ['1st Brigade', '1st Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    rifleman = await signIn(stores, 'rifleman-1');
+    corporal = await signIn(stores, 'corporal-1');
+    sergeant = await signIn(stores, 'sergeant-1');
+    app = await startApp({ '/api/records': recordsRoutes });
+  });
+
+  beforeEach(() => {
+    stubCollection(MedicalRecord, '_id');
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /:recordId/interventions', () => {
+    const tourniquet = {
+      interventionId: 'INT-0000TQ01',
+      type: 'TOURNIQUET',
+      bodyLocation: 'left thigh',
+      startedAt: new Date(Date.now() - 70 * 60000).toISOString()
+    };
+    const update = (record, interventions, as = medic) =>
+      app.request('PUT', `/api/records/${record.id}/interventions`, { as, body: { interventions } });
+
+    test('adds an intervention with its timer, recorded by the caller', async () => {
+      const record = await recordOf('rifleman-1', ['1st Brigade', '1st Platoon', '2nd Squad']);
+
+      const response = await update(record, [{ ...tourniquet, performedBy: 'someone-else' }]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.interventions).toEqual([
+        expect.objectContaining({
+          interventionId: 'INT-0000TQ01',
+          status: 'ACTIVE',
+          performedBy: 'medic-1',
+          timer: expect.objectContaining({ elapsedMinutes: 70, nextMilestone: expect.objectContaining({ id: 'TQ_CONVERSION' }) })
+        })
+      ]);
+      expect(record.interventions[0].performedBy).toBe('medic-1');
+      expect(record.auditTrail.map(entry => entry.action)).toEqual(['UPDATED']);
+    });
+
+    test('replaces an intervention sent again with the same ID', async () => {
+      const record = await recordOf('rifleman-1', ['1st Brigade', '1st Platoon', '2nd Squad']);
+      await update(record, [tourniquet]);
+
+      const endedAt = new Date().toISOString();
+      const response = await update(record, [{ ...tourniquet, status: 'REMOVED', endedAt }]);
+
+      expect(response.body.data.interventions).toHaveLength(1);
+      expect(response.body.data.interventions[0]).toMatchObject({ status: 'REMOVED', timer: { status: 'REMOVED', nextMilestone: null } });
+    });
+
+    test('rejects invalid interventions with a reason for each', async () => {
+      const record = await recordOf('rifleman-1', ['1st Brigade', '1st Platoon', '2nd Squad']);
+
+      const response = await update(record, [tourniquet, { type: 'TOURNIQUET', interventionId: 'INT-0000TQ02' }, { type: 'SPLINT' }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { index: 1, interventionId: 'INT-0000TQ02', message: 'Tourniquet requires a body location' },
+        { index: 2, interventionId: expect.any(String), message: expect.stringMatching(/^Intervention type must be one of/) }
+      ]);
+      expect(record.interventions).toHaveLength(0);
+    });
+
+    test('requires an interventions array', async () => {
+      const record = await recordOf('rifleman-1', ['1st Brigade']);
+
+      const response = await update(record, { ...tourniquet });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Interventions array is required');
+    });
+
+    test('lets a soldier update only their own records', async () => {
+      const own = await recordOf('rifleman-1', ['1st Brigade', '1st Platoon', '2nd Squad']);
+      const other = await recordOf('rifleman-2', ['1st Brigade', '1st Platoon', '2nd Squad']);
+
+      expect((await update(own, [tourniquet], rifleman)).status).toBe(200);
+      expect((await update(other, [tourniquet], rifleman)).status).toBe(403);
+      expect(other.interventions).toHaveLength(0);
+    });
+
+    test('404s for an unknown record', async () => {
+      const response = await app.request('PUT', '/api/records/000000000000000000000000/interventions', {
+        as: medic,
+        body: { interventions: [tourniquet] }
+      });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('access scope', () => {
+    const SECOND_SQUAD = ['1st Brigade', '1st Platoon', '2nd Squad'];
+    const THIRD_SQUAD = ['1st Brigade', '1st Platoon', '3rd Squad'];
+    const OTHER_PLATOON = ['1st Brigade', '2nd Platoon', '1st Squad'];
+
+    const search = (as, params = '') => app.request('GET', `/api/records/search${params}`, { as });
+    const ownersOf = response => response.body.data.records.map(record => record.soldierId).sort();
+    const signedIn = name => ({ medic, rifleman, corporal, sergeant })[name];
+
+    beforeEach(async () => {
+      await recordOf('rifleman-1', SECOND_SQUAD);
+      await recordOf('rifleman-2', THIRD_SQUAD);
+      await recordOf('rifleman-3', OTHER_PLATOON);
+    });
+
+    test.each([
+      ['corporal', 'squad', ['rifleman-1']],
+      ['sergeant', 'platoon', ['rifleman-1', 'rifleman-2']],
+      ['rifleman', 'self', ['rifleman-1']],
+      ['medic', 'all', ['rifleman-1', 'rifleman-2', 'rifleman-3']]
+    ])('a %s searches with %s scope', async (name, scope, owners) => {
+      const response = await search(signedIn(name));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.scope).toBe(scope);
+      expect(ownersOf(response)).toEqual(owners);
+    });
+
+    test('a unit filter cannot widen the scope', async () => {
+      expect(ownersOf(await search(sergeant, '?unit=2nd%20Platoon'))).toEqual([]);
+      expect(ownersOf(await search(sergeant, '?unit=1st%20Brigade'))).toEqual(['rifleman-1', 'rifleman-2']);
+      expect(ownersOf(await search(corporal, '?unit=3rd%20Squad'))).toEqual([]);
+      expect(ownersOf(await search(medic, '?unit=2nd%20Platoon'))).toEqual(['rifleman-3']);
+    });
+
+    test('a soldier ID outside the scope finds nothing', async () => {
+      expect(ownersOf(await search(sergeant, '?soldierId=rifleman-3'))).toEqual([]);
+      expect(ownersOf(await search(sergeant, '?soldierId=rifleman-2'))).toEqual(['rifleman-2']);
+    });
+
+    describe('GET /soldier/:soldierId', () => {
+      const recordsOf = (as, soldierId) => app.request('GET', `/api/records/soldier/${soldierId}`, { as });
+
+      test('a soldier reads their own records and is refused anyone else\'s', async () => {
+        const own = await recordsOf(rifleman, 'rifleman-1');
+        const other = await recordsOf(rifleman, 'rifleman-2');
+
+        expect(own.status).toBe(200);
+        expect(own.body.data.total).toBe(1);
+        expect(other.status).toBe(403);
+      });
+
+      test.each([
+        ['corporal', 'rifleman-2', 0],
+        ['sergeant', 'rifleman-2', 1],
+        ['sergeant', 'rifleman-3', 0]
+      ])('a %s reading %s sees %i records', async (name, soldierId, total) => {
+        const response = await recordsOf(signedIn(name), soldierId);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.total).toBe(total);
+      });
+    });
+  });
+});
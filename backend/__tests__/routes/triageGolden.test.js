@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import diagnosisRoutes from '../../routes/diagnosis.js';
+import recordsRoutes from '../../routes/records.js';
+import { createDiagnose } from '../../../frontend/src/workers/triagePipeline.js';
+import { offlineDiagnosisService } from '../../../frontend/src/services/offlineDiagnosis.js';
+import { signIn, startApp, stubAuthStores } from '../helpers/api.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const mlDir = path.join(__dirname, '../../ml');
+const readMl = (file) => JSON.parse(fs.readFileSync(path.join(mlDir, file), 'utf8'));
+
+// The offline engine built from the files the PWA bundles
+const diagnoseOffline = createDiagnose({
+  symptomMap: readMl('symptomMap.json'),
+  lexicon: readMl('lexicon.json'),
+  emergencyKeywords: readMl('emergencyKeywords.json'),
+  rulePacks: fs.readdirSync(path.join(mlDir, 'rulePacks')).map(file => readMl(`rulePacks/${file}`))
+});
+
+// [name, request, category, reason] - the category and reason every path must give
+const CASES = [
+  ['airway not yet repositioned', { symptoms: 'gunshot wound to chest', assessment: { breathing: 'absent' } },
+    'IMMEDIATE', 'Not breathing - reposition the airway and reassess'],
+  ['no breathing after repositioning', { assessment: { breathing: 'absent', breathingAfterAirwayRepositioning: 'absent' } },
+    'EXPECTANT', 'Not breathing after airway repositioning'],
+  ['apnea described in words', { symptoms: 'no breathing after blast' },
+    'IMMEDIATE', 'Not breathing - reposition the airway and reassess'],
+  ['massive bleeding', { symptoms: 'massive bleeding from leg', vitalSigns: { heartRate: 140 } },
+    'IMMEDIATE', 'Hemorrhage'],
+  ['shock from vitals', { vitalSigns: { heartRate: 130, bloodPressure: '80/50' } },
+    'IMMEDIATE', 'Inadequate perfusion'],
+  ['body-map gunshot wound', { injuries: [{ region: 'chest', type: 'GUNSHOT' }] },
+    'IMMEDIATE', 'Life-threatening injuries: gunshot wound chest'],
+  ['body-map fracture', { symptoms: 'pain in leg', injuries: [{ region: 'right-leg-front', type: 'FRACTURE' }] },
+    'DELAYED', 'Serious injuries: fracture right leg'],
+  ['large burn', { burns: { regions: ['chest', 'abdomen', 'upper-back', 'lower-back', 'left-arm-front'].map(region => ({ region })) } },
+    'IMMEDIATE', 'Burns 40-85% BSA'],
+  ['blast, walking wounded', { symptoms: 'small cut on hand', mechanismOfInjury: 'blast' },
+    'DELAYED', 'High-risk mechanism: blast'],
+  ['minor wound', { symptoms: 'abrasion on forearm' },
+    'MINOR', 'General First Aid Required']
+];
+
+const outcome = analysis => ({
+  triageLevel: analysis.triageLevel,
+  triageReason: analysis.triageReason,
+  findings: analysis.triageDecision.findings.map(finding => finding.reason)
+});
+
+describe('golden triage cases', () => {
+  let app;
+  let medic;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stores = stubAuthStores([
+      { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] }
+    ]);
+    medic = await signIn(stores, 'medic-1');
+    app = await startApp({ '/api/diagnose': diagnosisRoutes });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test.each(CASES)('%s: /triage, /mass-casualty and the offline engine agree', async (name, input, triageLevel, triageReason) => {
+    const triage = await app.request('POST', '/api/diagnose/triage', { as: medic, body: input });
+    const massCasualty = await app.request('POST', '/api/diagnose/mass-casualty', {
+      as: medic,
+      body: { casualties: [{ id: 'golden', ...input }] }
+    });
+    const offline = await diagnoseOffline(input);
+
+    expect(outcome(triage.body.data)).toMatchObject({ triageLevel, triageReason });
+    expect(outcome(massCasualty.body.data.analyses[0])).toEqual(outcome(triage.body.data));
+    expect(outcome(offline)).toEqual(outcome(triage.body.data));
+  });
+
+  // A record saved from an offline result is re-run on sync from what toVerification() sends
+  test.each(CASES)('%s: the server re-check of the offline result agrees', async (name, input, triageLevel) => {
+    const offline = await diagnoseOffline(input);
+
+    const verification = await recordsRoutes.verifyOfflineAnalysis(offlineDiagnosisService.toVerification(input, offline));
+
+    expect(verification).toMatchObject({ offlineTriageLevel: triageLevel, serverTriageLevel: triageLevel, agrees: true });
+  });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import { DeviceRegistry } from '../../services/auth/DeviceRegistry.js';
+import { createDevice, stubAuthStores } from '../helpers/api.js';
+
+const ENROLL_PATH = '/api/devices/enroll';
+
+// The request as Express hands it to the registry, with the body bytes the JSON parser kept
+const requestOf = (method, path, headers, body) => ({
+  method,
+  originalUrl: `${path}?ignored=1`,
+  headers,
+  rawBody: body === undefined ? undefined : Buffer.from(body)
+});
+
+describe('DeviceRegistry', () => {
+  let registry;
+  let stores;
+  let device;
+
+  const enroll = async (key = device, { body = JSON.stringify({ publicKey: key.publicKey }), ...options } = {}) => {
+    const headers = await key.sign('POST', ENROLL_PATH, { body, ...options });
+    return registry.enroll(requestOf('POST', ENROLL_PATH, headers, body), key.publicKey, { platform: 'test' });
+  };
+
+  beforeEach(async () => {
+    registry = new DeviceRegistry();
+    stores = stubAuthStores();
+    device = await createDevice();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enroll', () => {
+    test('registers a key signed for by itself, once', async () => {
+      const first = await enroll();
+      const again = await enroll();
+
+      expect(first).toMatchObject({ enrolled: true, device: { deviceFingerprint: device.fingerprint, status: 'active' } });
+      expect(again.enrolled).toBe(false);
+      expect(stores.devices.size).toBe(1);
+    });
+
+    test('takes the key\'s thumbprint as the fingerprint', () => {
+      expect(registry.thumbprint(device.publicKey)).toBe(device.fingerprint);
+    });
+
+    test.each([
+      ['MISSING', async () => registry.enroll(requestOf('POST', ENROLL_PATH, {}), device.publicKey)],
+      ['INVALID_KEY', async () => {
+        const headers = await device.sign('POST', ENROLL_PATH);
+        return registry.enroll(requestOf('POST', ENROLL_PATH, headers), { kty: 'RSA', n: 'x', e: 'AQAB' });
+      }],
+      ['MISMATCH', async () => {
+        const other = await createDevice();
+        const headers = await other.sign('POST', ENROLL_PATH);
+        return registry.enroll(requestOf('POST', ENROLL_PATH, headers), device.publicKey);
+      }]
+    ])('refuses %s', async (error, attempt) => {
+      expect(await attempt()).toEqual({ error });
+      expect(stores.devices.size).toBe(0);
+    });
+
+    test('refuses a key signed for by another key', async () => {
+      const other = await createDevice();
+      const headers = {
+        ...(await other.sign('POST', ENROLL_PATH)),
+        'x-device-fingerprint': device.fingerprint
+      };
+
+      expect(await registry.enroll(requestOf('POST', ENROLL_PATH, headers), device.publicKey)).toEqual({ error: 'INVALID_SIGNATURE' });
+    });
+
+    test('refuses a revoked key', async () => {
+      const { device: enrolled } = await enroll();
+      enrolled.revoke('officer-1', 'Lost');
+
+      expect(await enroll()).toEqual({ error: 'REVOKED' });
+    });
+  });
+
+  describe('verifyRequest', () => {
+    const PATH = '/api/records/save';
+    const BODY = JSON.stringify({ soldierId: 'rifleman-1' });
+
+    const verify = async ({ key = device, body = BODY, sentBody = body, ...options } = {}, verifyOptions) => {
+      const headers = await key.sign('POST', PATH, { body, ...options });
+      return registry.verifyRequest(requestOf('POST', PATH, headers, sentBody), verifyOptions);
+    };
+
+    beforeEach(async () => {
+      await enroll();
+    });
+
+    test('accepts a request signed by an enrolled device', async () => {
+      expect((await verify()).device).toMatchObject({ deviceFingerprint: device.fingerprint });
+      expect((await verify({ body: '', sentBody: undefined })).device).toBeDefined();
+    });
+
+    test('refuses a request without the signature headers', async () => {
+      const headers = await device.sign('POST', PATH, { body: BODY });
+      delete headers['x-device-nonce'];
+
+      expect(await registry.verifyRequest(requestOf('POST', PATH, headers, BODY))).toEqual({ error: 'MISSING' });
+    });
+
+    test('refuses a device that never enrolled', async () => {
+      expect(await verify({ key: await createDevice() })).toEqual({ error: 'UNKNOWN' });
+    });
+
+    test.each([
+      ['in the past', -301000],
+      ['in the future', 301000]
+    ])('refuses a timestamp too far %s', async (name, offset) => {
+      expect(await verify({ timestamp: Date.now() + offset })).toEqual({ error: 'STALE' });
+    });
+
+    test('refuses a nonce used before', async () => {
+      const headers = await device.sign('POST', PATH, { body: BODY });
+      const request = requestOf('POST', PATH, headers, BODY);
+
+      expect((await registry.verifyRequest(request)).device).toBeDefined();
+      expect(await registry.verifyRequest(request)).toEqual({ error: 'REPLAYED' });
+    });
+
+    test('refuses a signature made with another key', async () => {
+      const other = await createDevice();
+      const headers = { ...(await other.sign('POST', PATH, { body: BODY })), 'x-device-fingerprint': device.fingerprint };
+
+      expect(await registry.verifyRequest(requestOf('POST', PATH, headers, BODY))).toEqual({ error: 'INVALID_SIGNATURE' });
+    });
+
+    test.each([
+      ['another body', { sentBody: JSON.stringify({ soldierId: 'rifleman-2' }) }],
+      ['a body added to a request signed without one', { body: '', sentBody: BODY }],
+      ['the body dropped', { sentBody: '' }]
+    ])('refuses a signed request sent with %s', async (name, options) => {
+      expect(await verify(options)).toEqual({ error: 'INVALID_SIGNATURE' });
+    });
+
+    test('refuses a signature for another path or method', async () => {
+      const headers = await device.sign('POST', '/api/records/other', { body: BODY });
+
+      expect(await registry.verifyRequest(requestOf('POST', PATH, headers, BODY))).toEqual({ error: 'INVALID_SIGNATURE' });
+      expect(await registry.verifyRequest(requestOf('PUT', '/api/records/other', headers, BODY))).toEqual({ error: 'INVALID_SIGNATURE' });
+    });
+
+    test('a forged request does not use up the nonce', async () => {
+      const headers = await device.sign('POST', PATH, { body: BODY });
+
+      expect(await registry.verifyRequest(requestOf('POST', PATH, headers, '{}'))).toEqual({ error: 'INVALID_SIGNATURE' });
+      expect((await registry.verifyRequest(requestOf('POST', PATH, headers, BODY))).device).toBeDefined();
+    });
+
+    test('refuses a revoked device unless its key is explicitly allowed', async () => {
+      stores.devices.get(device.fingerprint).revoke('officer-1', 'Captured');
+
+      expect(await verify()).toEqual({ error: 'REVOKED' });
+      expect((await verify({}, { allowRevoked: true })).device).toMatchObject({ status: 'revoked' });
+    });
+  });
+});
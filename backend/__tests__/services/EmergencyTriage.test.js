@@ -0,0 +1,155 @@
+import EmergencyTriage from '../../services/ai/EmergencyTriage.js';
+
+const triage = new EmergencyTriage();
+
+describe('primary triage breathing check', () => {
+  test('not breathing without a recorded repositioning check is IMMEDIATE and asks for it', () => {
+    const result = triage.performPrimaryTriage({ breathing: 'absent' });
+
+    expect(result.level).toBe('IMMEDIATE');
+    expect(result.reason).toBe('Not breathing - reposition the airway and reassess');
+    expect(result.awaiting).toEqual({
+      field: 'breathingAfterAirwayRepositioning',
+      question: 'Breathing after repositioning the airway?'
+    });
+  });
+
+  test('not breathing after a recorded repositioning is EXPECTANT', () => {
+    const result = triage.performPrimaryTriage({ breathing: 'absent', breathingAfterAirwayRepositioning: 'absent' });
+
+    expect(result.level).toBe('EXPECTANT');
+    expect(result.reason).toBe('Not breathing after airway repositioning');
+    expect(result.awaiting).toBeNull();
+  });
+
+  test('breathing restored by repositioning is IMMEDIATE', () => {
+    const result = triage.performPrimaryTriage({ breathing: false, breathingAfterAirwayRepositioning: true });
+
+    expect(result.level).toBe('IMMEDIATE');
+    expect(result.reason).toBe('Breathing only after airway repositioning');
+  });
+
+  test('mass-casualty triage never tags an unchecked airway EXPECTANT', () => {
+    const { casualties } = triage.performMassCasualtyTriage([
+      { id: 'c1', assessment: { breathing: 'no' } }
+    ]);
+
+    expect(casualties[0].triage.level).toBe('IMMEDIATE');
+  });
+});
+
+describe('START measurements', () => {
+  const walkingNo = { ambulatory: false, breathing: true };
+
+  test.each([
+    ['abc'],
+    [' '],
+    [true],
+    [-4],
+    [{ value: 20 }]
+  ])('stops with an error for respiratoryRate %p', (respiratoryRate) => {
+    const result = triage.performStartTriage({ ...walkingNo, respiratoryRate });
+
+    expect(result.complete).toBe(false);
+    expect(result.awaiting).toMatchObject({
+      field: 'respiratoryRate',
+      error: 'respiratoryRate must be a non-negative number'
+    });
+  });
+
+  test('accepts numeric strings', () => {
+    const result = triage.performStartTriage({ ...walkingNo, respiratoryRate: '34' });
+
+    expect(result).toMatchObject({ complete: true, tag: 'T1', reason: 'Respiratory rate above 30' });
+  });
+
+  test('a missing measurement is awaited without an error', () => {
+    const result = triage.performStartTriage(walkingNo);
+
+    expect(result.awaiting).toEqual({ field: 'respiratoryRate', question: 'Respiratory rate (breaths/min)?' });
+  });
+
+  test('rejects an invalid capillary refill time', () => {
+    const result = triage.performStartTriage({ ...walkingNo, respiratoryRate: 18, capillaryRefill: 'slow' });
+
+    expect(result.awaiting.error).toBe('capillaryRefill must be a non-negative number');
+  });
+});
+
+describe('serial re-triage trend', () => {
+  const at = minutes => new Date(Date.UTC(2026, 0, 1, 10, minutes));
+
+  test.each([
+    ['DELAYED', 'IMMEDIATE', 'deteriorated'],
+    ['IMMEDIATE', 'EXPECTANT', 'deteriorated'],
+    ['IMMEDIATE', 'MINOR', 'improved'],
+    ['DELAYED', 'DELAYED', 'stable']
+  ])('%s → %s is %s', (from, to, direction) => {
+    expect(triage.getTriageChangeDirection(from, to)).toBe(direction);
+  });
+
+  test('follows the latest change and counts every move', () => {
+    const trend = triage.calculateTriageTrend([
+      { level: 'MINOR', timestamp: at(0) },
+      { level: 'IMMEDIATE', timestamp: at(5) },
+      { level: 'IMMEDIATE', timestamp: at(10) },
+      { level: 'DELAYED', timestamp: at(15) }
+    ]);
+
+    expect(trend).toMatchObject({
+      direction: 'improved',
+      overall: 'deteriorated',
+      initialLevel: 'MINOR',
+      currentLevel: 'DELAYED',
+      assessments: 4,
+      improvements: 1,
+      deteriorations: 1,
+      lastChange: { from: 'IMMEDIATE', to: 'DELAYED', direction: 'improved', timestamp: at(15) },
+      lastAssessedAt: at(15)
+    });
+  });
+
+  test('is unknown before the first assessment', () => {
+    expect(triage.calculateTriageTrend([])).toMatchObject({ direction: 'unknown', assessments: 0 });
+  });
+});
+
+describe('mass-casualty triage', () => {
+  const casualties = [
+    { id: 'walking', assessment: { ambulatory: true } },
+    { id: 'apneic', assessment: { breathing: 'absent', breathingAfterAirwayRepositioning: 'absent' } },
+    { id: 'shocked', assessment: { perfusion: 'absent', injuries: [{ type: 'gunshot', severity: 'critical' }] } },
+    { id: 'fractured', assessment: { injuries: [{ type: 'fracture', severity: 'moderate' }] } }
+  ];
+
+  test('orders casualties by treatment priority', () => {
+    const result = triage.performMassCasualtyTriage(casualties);
+
+    expect(result.casualties.map(casualty => [casualty.id, casualty.triage.level])).toEqual([
+      ['shocked', 'IMMEDIATE'],
+      ['fractured', 'DELAYED'],
+      ['walking', 'MINOR'],
+      ['apneic', 'EXPECTANT']
+    ]);
+  });
+
+  test('counts each category and sizes the resources', () => {
+    const { summary, resourceRequirements, recommendations } = triage.performMassCasualtyTriage(casualties);
+
+    expect(summary).toMatchObject({ total: 4, immediate: 1, delayed: 1, minor: 1, expectant: 1 });
+    expect(resourceRequirements.immediate.count).toBe(1);
+    expect(resourceRequirements.minor.needs).toEqual({ Bandages: 1, Antiseptics: 1, 'Basic First Aid': 1 });
+    expect(recommendations).toContain('URGENT: 1 immediate casualties require medevac');
+  });
+
+  test('tolerates casualties without injuries', () => {
+    const { resourceRequirements } = triage.performMassCasualtyTriage([{ id: 'c1', assessment: { perfusion: 'weak' } }]);
+
+    expect(resourceRequirements.immediate.count).toBe(1);
+  });
+
+  test('maps a level onto its tag', () => {
+    expect(triage.getProtocolForLevel('DELAYED')).toMatchObject({ tag: 'T2', color: 'YELLOW', level: 'DELAYED' });
+    expect(triage.getProtocolForLevel(undefined)).toBeFalsy();
+  });
+});
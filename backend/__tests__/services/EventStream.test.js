@@ -0,0 +1,161 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import { EventStream } from '../../services/ai/communication/EventStream.js';
+
+const PLATOON = ['1st Brigade', '1st Platoon'];
+const SQUAD = [...PLATOON, '2nd Squad'];
+const OTHER_PLATOON = ['1st Brigade', '2nd Platoon', '1st Squad'];
+
+const platoonMedic = { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unit: '1st Platoon', unitPath: PLATOON };
+const squadMedic = { soldierId: 'medic-2', role: 'medic', rank: 'SPC', unit: '2nd Squad', unitPath: SQUAD };
+const officer = { soldierId: 'officer-1', role: 'officer', rank: 'CPT', unit: '1st Brigade', unitPath: ['1st Brigade'] };
+const rifleman = { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unit: '2nd Squad', unitPath: SQUAD };
+
+describe('EventStream', () => {
+  let stream;
+  let requests;
+
+  // Subscribe like GET /events/stream does; returns the IDs of the events written to the subscriber
+  const subscribe = (soldier, lastEventId) => {
+    const req = Object.assign(new EventEmitter(), {
+      soldier,
+      headers: lastEventId === undefined ? {} : { 'last-event-id': String(lastEventId) }
+    });
+    const received = [];
+    const res = {
+      writeHead: jest.fn(),
+      write: chunk => {
+        const id = chunk.match(/^id: (\d+)\n/)?.[1];
+        if (id) received.push(Number(id));
+      }
+    };
+    stream.subscribe(req, res);
+    requests.push(req);
+    return received;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    stream = new EventStream();
+    requests = [];
+  });
+
+  afterEach(() => {
+    requests.forEach(req => req.emit('close'));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('audience', () => {
+    test('a medic receives the events of their unit and the units under it', () => {
+      const platoon = subscribe(platoonMedic);
+      const squad = subscribe(squadMedic);
+
+      const fromSquad = stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD, unit: '2nd Squad', permission: 'casualties:read' });
+      const fromPlatoon = stream.publish('TRIAGE_CHANGE', {}, { unitPath: PLATOON, unit: '1st Platoon', permission: 'casualties:read' });
+      stream.publish('TRIAGE_CHANGE', {}, { unitPath: OTHER_PLATOON, unit: '1st Squad', permission: 'casualties:read' });
+
+      expect(platoon).toEqual([fromSquad.eventId, fromPlatoon.eventId]);
+      expect(squad).toEqual([fromSquad.eventId]);
+    });
+
+    test('an officer receives every unit', () => {
+      const received = subscribe(officer);
+
+      stream.publish('MCI_BOARD_UPDATE', {}, { unitPath: OTHER_PLATOON, permission: 'incidents:read' });
+
+      expect(received).toHaveLength(1);
+    });
+
+    test('needs the event\'s permission', () => {
+      const medic = subscribe(platoonMedic);
+      const admin = subscribe({ ...officer, soldierId: 'admin-1', role: 'admin' });
+
+      const wipe = stream.publish('DEVICE_WIPE_CONFIRMED', {}, { permission: 'system:access' });
+
+      expect(medic).toEqual([]);
+      expect(admin).toEqual([wipe.eventId]);
+    });
+
+    test('a soldier receives only events about themselves', () => {
+      const received = subscribe(rifleman);
+
+      const own = stream.publish('SYNC_COMPLETED', {}, { soldierId: 'rifleman-1', unitPath: SQUAD });
+      stream.publish('SYNC_COMPLETED', {}, { soldierId: 'rifleman-2', unitPath: SQUAD });
+      stream.publish('EMERGENCY_RECORD', {}, { unitPath: SQUAD });
+
+      expect(received).toEqual([own.eventId]);
+    });
+
+    test('an event with only a unit name has to match the subscriber\'s unit', () => {
+      const platoon = subscribe(platoonMedic);
+      const squad = subscribe(squadMedic);
+
+      const event = stream.publish('EMERGENCY_RECORD', {}, { unit: '2nd Squad' });
+      const everyone = stream.publish('EMERGENCY_RECORD', {});
+
+      expect(platoon).toEqual([everyone.eventId]);
+      expect(squad).toEqual([event.eventId, everyone.eventId]);
+    });
+
+    test('counts the subscribers it delivered to and stops at a closed stream', () => {
+      subscribe(platoonMedic);
+      subscribe(squadMedic);
+      requests[1].emit('close');
+
+      expect(stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD }).delivered).toBe(1);
+      expect(stream.getStats()).toMatchObject({ subscribers: 1, bufferedEvents: 1, lastEventId: 1 });
+    });
+  });
+
+  describe('Last-Event-ID', () => {
+    test('replays the events after it that the subscriber may receive', () => {
+      const first = stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD });
+      const missed = stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD });
+      stream.publish('TRIAGE_CHANGE', {}, { unitPath: OTHER_PLATOON });
+
+      const received = subscribe(platoonMedic, first.eventId);
+      const live = stream.publish('TRIAGE_CHANGE', {}, { unitPath: PLATOON });
+
+      expect(received).toEqual([missed.eventId, live.eventId]);
+    });
+
+    test('replays nothing without it or when it is not a number', () => {
+      stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD });
+
+      expect(subscribe(platoonMedic)).toEqual([]);
+      expect(subscribe(platoonMedic, 'abc')).toEqual([]);
+    });
+
+    test('only the last 100 events are kept for replay', () => {
+      for (let i = 0; i < 105; i++) {
+        stream.publish('TRIAGE_CHANGE', {}, { unitPath: SQUAD });
+      }
+
+      const received = subscribe(platoonMedic, 0);
+
+      expect(stream.getStats().bufferedEvents).toBe(100);
+      expect(received).toHaveLength(100);
+      expect(received[0]).toBe(6);
+      expect(received.at(-1)).toBe(105);
+    });
+  });
+
+  test('sends the event without its permission', () => {
+    const chunks = [];
+    const req = Object.assign(new EventEmitter(), { soldier: officer, headers: {} });
+    stream.subscribe(req, { writeHead: jest.fn(), write: chunk => chunks.push(chunk) });
+    requests.push(req);
+
+    stream.publish('TRIAGE_CHANGE', { casualtyId: 'CAS-1' }, { unitPath: SQUAD, permission: 'casualties:read', priority: 'critical' });
+
+    const [, data] = chunks.at(-1).match(/^id: 1\nevent: TRIAGE_CHANGE\ndata: (.*)\n\n$/);
+    expect(JSON.parse(data)).toMatchObject({ id: 1, type: 'TRIAGE_CHANGE', priority: 'critical', data: { casualtyId: 'CAS-1' } });
+    expect(JSON.parse(data)).not.toHaveProperty('permission');
+  });
+});
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import * as tf from '@tensorflow/tfjs';
+import InjuryDetector from '../../services/ai/InjuryDetector.js';
+import tensorFlowConfig from '../../config/tensorflow.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/images', name));
+
+const LABELS = [
+  'gunshot_wound', 'shrapnel_wound', 'burn', 'fracture_visible',
+  'laceration', 'blast_injury', 'abrasion', 'normal'
+];
+
+// A probe model with the detector's input and output: the mean red channel drives "burn", the mean
+// blue channel drives "normal". Known weights make the expected label follow from the fixture colours.
+const writeProbeModel = async (dir) => {
+  const model = tf.sequential({
+    layers: [
+      tf.layers.globalAveragePooling2d({ inputShape: [224, 224, 3] }),
+      tf.layers.dense({ units: LABELS.length, activation: 'softmax' })
+    ]
+  });
+  const kernel = tf.buffer([3, LABELS.length]);
+  kernel.set(12, 0, LABELS.indexOf('burn'));
+  kernel.set(12, 2, LABELS.indexOf('normal'));
+  model.layers[1].setWeights([kernel.toTensor(), tf.zeros([LABELS.length])]);
+
+  await model.save(tf.io.withSaveHandler(async (artifacts) => {
+    fs.writeFileSync(path.join(dir, 'weights.bin'), Buffer.from(artifacts.weightData));
+    fs.writeFileSync(path.join(dir, 'model.json'), JSON.stringify({
+      format: 'layers-model',
+      modelTopology: artifacts.modelTopology,
+      weightsManifest: [{ paths: ['./weights.bin'], weights: artifacts.weightSpecs }],
+      modelConfig: { inputShape: [224, 224, 3], labels: LABELS }
+    }));
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  model.dispose();
+};
+
+describe('InjuryDetector inference', () => {
+  let modelDir;
+  let detector;
+
+  beforeAll(async () => {
+    modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wound-probe-'));
+    await writeProbeModel(modelDir);
+    detector = new InjuryDetector({ modelName: path.join(modelDir, 'model.json'), demoMode: false });
+    expect(await detector.loadModel()).toBe(true);
+  });
+
+  afterAll(() => {
+    tensorFlowConfig.cleanup();
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  });
+
+  test('maps one softmax score onto each label', async () => {
+    const scores = await detector.predict(fixture('burn-red.png'));
+
+    expect(scores).toHaveLength(LABELS.length);
+    expect(scores.reduce((sum, score) => sum + score, 0)).toBeCloseTo(1, 5);
+  });
+
+  test('gives identical scores for the same image', async () => {
+    const first = await detector.predict(fixture('burn-red.png'));
+    const second = await detector.predict(fixture('burn-red.png'));
+
+    expect(second).toEqual(first);
+  });
+
+  test.each(['burn-red.png', 'burn-red.jpg', 'burn-red.webp', 'burn-red.bmp'])('detects a burn in %s', async (name) => {
+    const result = await detector.detectInjury(fixture(name), { bodyLocation: 'left_forearm' });
+
+    expect(result.success).toBe(true);
+    expect(result.model).toEqual({ name: path.join(modelDir, 'model.json'), demo: false });
+    expect(result.injuries[0]).toMatchObject({ injuryType: 'burn', location: 'left_forearm' });
+    expect(result.injuries[0].confidence).toBeGreaterThan(0.9);
+  });
+
+  test('reports no injury when the model scores "normal"', async () => {
+    const result = await detector.detectInjury(fixture('normal-blue.png'));
+
+    expect(result.injuries).toEqual([
+      expect.objectContaining({ injuryType: 'normal', severity: 'none' })
+    ]);
+  });
+
+  test('decodes every supported format to the same input', async () => {
+    const decode = async (name) => {
+      const tensor = await tensorFlowConfig.preprocessImage(fixture(name), [224, 224]);
+      const data = await tensor.data();
+      tensor.dispose();
+      return data;
+    };
+    const png = await decode('burn-red.png');
+
+    expect(await decode('burn-red.webp')).toEqual(png);
+    expect(await decode('burn-red.bmp')).toEqual(png);
+    const jpeg = await decode('burn-red.jpg');
+    expect(jpeg.reduce((worst, value, i) => Math.max(worst, Math.abs(value - png[i])), 0)).toBeLessThan(0.1);
+  });
+
+  test('falls back instead of guessing when the weights are missing', async () => {
+    const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wound-empty-'));
+    fs.copyFileSync(path.join(modelDir, 'model.json'), path.join(emptyDir, 'model.json'));
+    const unloaded = new InjuryDetector({ modelName: path.join(emptyDir, 'model.json'), demoMode: false });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await unloaded.detectInjury(fixture('burn-red.png'));
+
+    expect(result.success).toBe(false);
+    expect(result.injuries[0].injuryType).toBe('analysis_failed');
+    consoleError.mockRestore();
+    fs.rmSync(emptyDir, { recursive: true, force: true });
+  });
+});
+
+describe('bundled wound-detection model', () => {
+  const modelFile = tensorFlowConfig.resolveModelPath('wound-detection');
+  const manifest = JSON.parse(fs.readFileSync(modelFile, 'utf8'));
+  const shardFile = path.join(path.dirname(modelFile), manifest.weightsManifest[0].paths[0]);
+  const shardBytes = manifest.weightsManifest[0].weights
+    .reduce((total, weight) => total + weight.shape.reduce((size, dim) => size * dim, 1) * 4, 0);
+
+  // The trained weights are not in git: stand in a zeroed shard of the size the manifest declares
+  beforeAll(() => {
+    const { existsSync, readFileSync } = fs;
+    jest.spyOn(fs, 'existsSync').mockImplementation(file => file === shardFile || existsSync(file));
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) =>
+      file === shardFile ? Buffer.alloc(shardBytes) : readFileSync(file, ...rest));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    tensorFlowConfig.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('declares a weight for every variable of its topology, in the same shape', async () => {
+    const artifacts = tensorFlowConfig.readModelArtifacts(modelFile, manifest);
+
+    expect(artifacts.weightData.byteLength).toBe(shardBytes);
+    const model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    expect(model.weights.map(weight => [weight.originalName, weight.shape]))
+      .toEqual(artifacts.weightSpecs.map(spec => [spec.name, spec.shape]));
+    model.dispose();
+  });
+
+  test('loads through the server\'s loader and scores the eight labels', async () => {
+    const model = await tensorFlowConfig.loadModel('wound-detection');
+
+    expect(model.inputs[0].shape).toEqual([null, ...manifest.modelConfig.inputShape]);
+    expect(model.outputs[0].shape).toEqual([null, manifest.modelConfig.labels.length]);
+    expect(model.modelConfig.labels).toEqual(LABELS);
+  });
+});
+
+describe('InjuryDetector demo mode', () => {
+  test('is deterministic per image', async () => {
+    const detector = new InjuryDetector({ demoMode: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const first = await detector.detectInjury(fixture('burn-red.png'));
+    const second = await detector.detectInjury(fixture('burn-red.png'));
+
+    expect(first.model.demo).toBe(true);
+    expect(second.injuries).toEqual(first.injuries);
+  });
+});
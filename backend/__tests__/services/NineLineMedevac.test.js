@@ -0,0 +1,158 @@
+import NineLineMedevac from '../../services/ai/evacuation/NineLineMedevac.js';
+
+const nineLine = new NineLineMedevac();
+
+// A complete request for three casualties, the IMMEDIATE one with a penetrating chest wound
+const COMPLETE = {
+  location: { gridReference: '38smb1234567890' },
+  frequency: '45.500',
+  callsign: 'DUSTOFF',
+  suffix: 6,
+  security: 'POSSIBLE_ENEMY',
+  marking: 'C',
+  markingDetail: 'green',
+  specialEquipment: ['HOIST'],
+  patients: [
+    { casualtyId: 'CAS-1', triageLevel: 'IMMEDIATE', injuries: [{ type: 'Gunshot', location: 'left chest' }] },
+    { casualtyId: 'CAS-2', triageLevel: 'DELAYED' },
+    { casualtyId: 'CAS-3', triageLevel: 'MINOR' }
+  ]
+};
+
+const valueOf = (request, line) => request.lines.find(entry => entry.line === line).value;
+
+describe('build', () => {
+  test('fills every line from the input and the patients\' triage', () => {
+    const request = nineLine.build(COMPLETE);
+
+    expect(request.lines.map(line => [line.line, line.value])).toEqual([
+      [1, '38S MB 12345 67890'],
+      [2, '45.500 MHZ / DUSTOFF 6'],
+      [3, '1B, 1C, 1D'],
+      [4, 'B'],
+      [5, '2L, 1A'],
+      [6, 'P'],
+      [7, 'C (GREEN)'],
+      [8, '3A'],
+      [9, 'NONE']
+    ]);
+    expect(request.lines[2].meaning).toEqual(['1 URGENT_SURGICAL', '1 PRIORITY', '1 ROUTINE']);
+  });
+
+  test.each([
+    [{ triageLevel: 'IMMEDIATE' }, 'A'],
+    [{ triageLevel: 'IMMEDIATE', surgical: true }, 'B'],
+    [{ triageLevel: 'IMMEDIATE', injuries: [{ type: 'laceration', location: 'chest' }] }, 'A'],
+    [{ triageLevel: 'DELAYED', injuries: [{ type: 'gunshot', location: 'abdomen' }] }, 'C'],
+    [{ triageLevel: 'EXPECTANT' }, null],
+    [{ triageLevel: 'EXPECTANT', precedence: 'urgent' }, 'A']
+  ])('precedence of %j is %s', (patient, precedence) => {
+    expect(nineLine.build({ patients: [patient] }).patients[0].precedence).toBe(precedence);
+  });
+
+  test('an explicit ambulatory flag overrides the triage default', () => {
+    const { patients } = nineLine.build({ patients: [{ triageLevel: 'MINOR', ambulatory: false }, { triageLevel: 'DELAYED', ambulatory: 'true' }] });
+
+    expect(patients.map(patient => patient.type)).toEqual(['L', 'A']);
+  });
+
+  test('warns about unknown codes instead of guessing', () => {
+    const request = nineLine.build({ security: 'Q', nbc: ['CHEMICAL', 'gas'], patients: [{ precedence: 'ASAP' }] });
+
+    expect(request.security).toBeNull();
+    expect(request.nbc).toEqual(['C']);
+    expect(request.warnings).toEqual([
+      { line: 3, message: 'Unknown precedence "ASAP" for patient 1' },
+      { line: 9, message: 'Unknown code "gas"' },
+      { line: 6, message: 'Unknown security code "Q"' }
+    ]);
+  });
+
+  test('reads numbers sent for the text fields as text', () => {
+    const request = nineLine.build({ ...COMPLETE, location: 38, callsign: 42, markingDetail: 7, frequency: 45.5 });
+
+    expect(request).toMatchObject({ callsign: '42', markingDetail: '7', frequency: '45.5', location: { gridReference: '38', valid: false } });
+    expect(nineLine.build({ ...COMPLETE, location: { gridReference: 1234 } }).location).toEqual({ gridReference: '1234', valid: false });
+  });
+
+  test('sends latitude and longitude, with a warning, when there is no grid', () => {
+    const request = nineLine.build({ location: { coordinates: [44.36612, 33.31528] } });
+
+    expect(request.location).toEqual({ gridReference: '33.31528 44.36612', valid: true, latLon: true });
+    expect(request.warnings).toEqual([expect.objectContaining({ line: 1 })]);
+  });
+});
+
+describe('validate', () => {
+  test('accepts a complete request', () => {
+    expect(nineLine.validate(nineLine.build(COMPLETE))).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('names every missing or malformed line', () => {
+    const { valid, errors } = nineLine.validate(nineLine.build({
+      frequency: 'channel 4',
+      marking: 'OTHER',
+      patients: [{ casualtyId: 'CAS-9', triageLevel: 'EXPECTANT', nationality: 'Z' }]
+    }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { line: 1, message: 'Pickup site location is required' },
+      { line: 2, message: 'Frequency "channel 4" must be numeric (MHz)' },
+      { line: 2, message: 'Call sign is required' },
+      { line: 3, message: 'Precedence required for CAS-9 (EXPECTANT)' },
+      { line: 6, message: 'Security at pickup site is required (N, P, E or X)' },
+      { line: 7, message: 'Describe the marking method when using "other"' },
+      { line: 8, message: 'Unknown nationality/status for CAS-9' }
+    ]);
+  });
+
+  test.each([
+    ['38S MB 444 84'],
+    ['38S MB 12345'],
+    ['38S MB 1234 567'],
+    ['grid 4']
+  ])('rejects the grid %j and shows it as given', (gridReference) => {
+    const request = nineLine.build({ ...COMPLETE, location: { gridReference } });
+
+    expect(valueOf(request, 1)).toBe(gridReference);
+    expect(nineLine.validate(request).errors).toEqual([
+      { line: 1, message: `"${gridReference}" is not a valid MGRS grid reference` }
+    ]);
+  });
+
+  test('warns that urgent patients needing an armed escort will wait for it', () => {
+    const { warnings } = nineLine.validate(nineLine.build({ ...COMPLETE, security: 'X' }));
+
+    expect(warnings).toEqual([{ line: 6, message: 'Urgent patients with armed escort required - expect delay for escort' }]);
+  });
+});
+
+describe('rendering', () => {
+  test('text has one row per line and marks the missing ones', () => {
+    const text = nineLine.renderText(nineLine.build({ ...COMPLETE, callsign: undefined, suffix: undefined, frequency: undefined }));
+
+    expect(text.split('\n')).toEqual([
+      'MEDEVAC REQUEST - 9 LINE',
+      'LINE 1: 38S MB 12345 67890',
+      'LINE 2: [MISSING]',
+      'LINE 3: 1B, 1C, 1D',
+      'LINE 4: B',
+      'LINE 5: 2L, 1A',
+      'LINE 6: P',
+      'LINE 7: C (GREEN)',
+      'LINE 8: 3A',
+      'LINE 9: NONE'
+    ]);
+  });
+
+  test('voice spells codes and numbers phonetically and speaks words', () => {
+    const voice = nineLine.renderVoice(nineLine.build(COMPLETE)).split('\n');
+
+    expect(voice[0]).toBe('MEDEVAC request, nine line. Break.');
+    expect(voice[1]).toBe('Line one: three eight Sierra, Mike Bravo, one two three four five, six seven eight niner zero. Break.');
+    expect(voice[2]).toBe('Line two: four five decimal five zero zero, megahertz, dustoff, six. Break.');
+    expect(voice[9]).toBe('Line niner: none. Break.');
+    expect(voice.at(-1)).toBe('Over.');
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import Personnel from '../../models/Personnel.js';
+import RosterImport from '../../services/personnel/RosterImport.js';
+import { stubCollection } from '../helpers/api.js';
+
+const rosterImport = new RosterImport();
+
+describe('roster CSV parsing', () => {
+  test('keeps commas, line breaks and doubled quotes inside quoted fields', () => {
+    const rows = rosterImport.parseCsv('soldierId,name\r\nS1,"Doe, ""Jay""\nJr."\r\nS2,Smith');
+
+    expect(rows).toEqual([
+      { line: 1, cells: ['soldierId', 'name'] },
+      { line: 2, cells: ['S1', 'Doe, "Jay"\nJr.'] },
+      { line: 4, cells: ['S2', 'Smith'] }
+    ]);
+  });
+
+  test('skips blank lines and reads a last row without a line break', () => {
+    expect(rosterImport.parseCsv('a,b\n\n , \n1,2')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 4, cells: ['1', '2'] }
+    ]);
+  });
+
+  test('matches headers in any order and case, and numbers rows by their line in the file', () => {
+    const { entries, errors } = rosterImport.parseRoster(' NAME ,SoldierID,bloodtype\nDoe,S1,o+\n\nSmith,S2,');
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      { line: 2, entry: { name: 'Doe', soldierId: 'S1', bloodType: 'o+' } },
+      { line: 4, entry: { name: 'Smith', soldierId: 'S2' } }
+    ]);
+  });
+
+  test('reports unknown columns and ignores their cells', () => {
+    const { entries, errors } = rosterImport.parseRoster('soldierId,name,shoeSize\nS1,Doe,44');
+
+    expect(errors).toEqual(['Unknown columns: shoeSize']);
+    expect(entries[0].entry).toEqual({ soldierId: 'S1', name: 'Doe' });
+  });
+
+  test.each([
+    ['', 'an empty file'],
+    ['name,rank\nDoe,SGT', 'a header without soldierId']
+  ])('rejects %j (%s)', (text) => {
+    expect(rosterImport.parseRoster(text)).toEqual({
+      entries: [],
+      errors: ['Header row must include a soldierId column']
+    });
+  });
+
+  test('turns the unit chain, allergies and coded values into model fields', () => {
+    expect(rosterImport.toPersonnel({
+      soldierId: 'S1',
+      unit: '1st Brigade > 2nd Battalion >Alpha Company',
+      allergies: 'penicillin; ;latex',
+      role: 'Medic',
+      status: 'ACTIVE',
+      bloodType: 'ab-'
+    })).toEqual({
+      soldierId: 'S1',
+      unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company'],
+      allergies: ['penicillin', 'latex'],
+      role: 'medic',
+      status: 'active',
+      bloodType: 'AB-',
+      password: undefined
+    });
+  });
+});
+
+describe('roster import', () => {
+  let personnel;
+
+  beforeEach(() => {
+    personnel = stubCollection(Personnel, 'soldierId');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates entries, hashing the password', async () => {
+    const result = await rosterImport.importCsv(
+      'soldierId,name,rank,role,unit,password\nS1,Doe,SGT,medic,1st Brigade > Medical Platoon,correct-horse'
+    );
+
+    expect(result).toEqual({ total: 1, created: 1, updated: 0, failed: [], errors: [] });
+    const doe = personnel.get('S1');
+    expect(doe.toProfile()).toMatchObject({ role: 'medic', unit: 'Medical Platoon', unitPath: ['1st Brigade', 'Medical Platoon'] });
+    expect(doe.passwordHash).not.toBe('correct-horse');
+    expect(await doe.verifyPassword('correct-horse')).toBe(true);
+  });
+
+  test('updates an existing entry, leaving empty cells unchanged', async () => {
+    await rosterImport.importCsv('soldierId,name,rank,bloodType,allergies,password\nS1,Doe,SGT,O+,penicillin,correct-horse');
+    const { passwordHash } = personnel.get('S1');
+
+    const result = await rosterImport.importCsv('soldierId,name,rank,bloodType,allergies,password\nS1,,SSG,,,');
+
+    expect(result).toMatchObject({ total: 1, created: 0, updated: 1 });
+    expect(personnel.get('S1').toProfile()).toMatchObject({ name: 'Doe', rank: 'SSG', bloodType: 'O+', allergies: ['penicillin'] });
+    expect(personnel.get('S1').passwordHash).toEqual(expect.any(String));
+    expect(personnel.get('S1').passwordHash).toBe(passwordHash);
+  });
+
+  test('reports a bad row by line and imports the rest', async () => {
+    const result = await rosterImport.importCsv([
+      'soldierId,name,role,bloodType',
+      'S1,Doe,medic,O+',
+      ',No Id,soldier,',
+      'S3,Roe,general,',
+      'S4,,soldier,',
+      'S5,Poe,soldier,Z+'
+    ].join('\n'));
+
+    expect(result.created).toBe(1);
+    expect(result.failed.map(({ line, soldierId }) => [line, soldierId])).toEqual([
+      [3, null],
+      [4, 'S3'],
+      [5, 'S4'],
+      [6, 'S5']
+    ]);
+    expect(result.failed[0].error).toBe('soldierId is required');
+    expect(result.failed[1].error).toMatch(/`general` is not a valid enum value/);
+    expect(result.failed[2].error).toMatch(/`name` is required/);
+    expect(result.failed[3].error).toMatch(/`Z\+` is not a valid enum value/);
+    expect([...personnel.keys()]).toEqual(['S1']);
+  });
+});
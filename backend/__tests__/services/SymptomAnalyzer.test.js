@@ -0,0 +1,303 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import SymptomAnalyzer from '../../services/ai/SymptomAnalyzer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULE_PACK_DIR = path.join(__dirname, '../../ml/rulePacks');
+const readPack = (file) => JSON.parse(fs.readFileSync(path.join(RULE_PACK_DIR, file), 'utf8'));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rule packs', () => {
+  let packDir;
+
+  const writePack = (file, pack) => fs.writeFileSync(path.join(packDir, file), JSON.stringify(pack));
+
+  beforeEach(() => {
+    packDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-packs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(packDir, { recursive: true, force: true });
+    delete process.env.TRIAGE_RULE_PACK;
+  });
+
+  test('uses the newest version of the default pack', () => {
+    const analyzer = new SymptomAnalyzer();
+
+    expect(analyzer.ruleEngine.getPackInfo()).toEqual({ id: 'default', version: '1.2.0', theatre: 'general' });
+    expect(analyzer.rulePacks.map(pack => pack.version).sort()).toEqual(['1.0.0', '1.1.0', '1.2.0']);
+  });
+
+  test('pins a version with id@version', () => {
+    expect(new SymptomAnalyzer({ rulePack: 'default@1.0.0' }).ruleEngine.getPackInfo().version).toBe('1.0.0');
+  });
+
+  test('reads the pack from TRIAGE_RULE_PACK', () => {
+    process.env.TRIAGE_RULE_PACK = 'default@1.1.0';
+
+    expect(new SymptomAnalyzer().ruleEngine.getPackInfo().version).toBe('1.1.0');
+  });
+
+  test('fails to start on a pack that does not exist', () => {
+    expect(() => new SymptomAnalyzer({ rulePack: 'desert' })).toThrow('Triage rule pack not found: desert');
+  });
+
+  test('skips invalid packs and loads the rest of the directory', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    writePack('desert-1.0.0.json', { ...readPack('default-1.2.0.json'), id: 'desert', theatre: 'desert' });
+    writePack('broken-1.0.0.json', { id: 'broken', version: '1', thresholds: {}, fallbackLevel: 'EXPECTANT', keywordRules: [] });
+    fs.writeFileSync(path.join(packDir, 'garbled-1.0.0.json'), '{ not json');
+
+    const packs = SymptomAnalyzer.loadRulePacks(packDir);
+
+    expect(packs.map(pack => pack.id)).toEqual(['desert']);
+    expect(consoleError).toHaveBeenCalledWith('Skipping invalid rule pack broken-1.0.0.json:', expect.arrayContaining([
+      'version must be semantic (e.g. 1.0.0)',
+      'thresholds.IMMEDIATE must be a number',
+      'fallbackLevel must be one of IMMEDIATE, DELAYED, MINOR'
+    ]));
+    expect(consoleError).toHaveBeenCalledWith('Failed to read rule pack garbled-1.0.0.json:', expect.any(SyntaxError));
+    consoleError.mockRestore();
+  });
+
+  test('a theatre pack changes the thresholds without code changes', async () => {
+    writePack('desert-1.0.0.json', {
+      ...readPack('default-1.2.0.json'),
+      id: 'desert',
+      theatre: 'desert',
+      thresholds: { IMMEDIATE: 30, DELAYED: 20, MINOR: 10 }
+    });
+    const analyzer = new SymptomAnalyzer({ rulePackDir: packDir, rulePack: 'desert' });
+
+    const analysis = await analyzer.analyzeSymptoms('gunshot wound to leg', {});
+
+    expect(analysis.triageLevel).toBe('IMMEDIATE');
+    expect(analysis.rulePack).toEqual({ id: 'desert', version: '1.2.0', theatre: 'desert' });
+  });
+});
+
+describe('rule pack scoring', () => {
+  const analyzer = new SymptomAnalyzer({ rulePack: 'default@1.2.0' });
+  const contributions = async (symptoms, vitalSigns = {}) =>
+    (await analyzer.analyzeSymptoms(symptoms, vitalSigns)).explanation.triageScoring.contributions;
+
+  test('records the pack that scored the analysis', async () => {
+    expect((await analyzer.analyzeSymptoms('leg pain', {})).rulePack).toEqual({ id: 'default', version: '1.2.0', theatre: 'general' });
+  });
+
+  test('keyword rules come from ml/emergencyKeywords.json', async () => {
+    expect(await contributions('tension pneumothorax')).toEqual([
+      expect.objectContaining({ id: 'keyword-critical', type: 'keyword', weight: 40, evidence: { symptom: 'tension pneumothorax', keyword: 'tension pneumothorax' } })
+    ]);
+  });
+
+  test('a symptom scores only the first keyword rule it matches', async () => {
+    expect((await contributions('heart attack with chest pain')).map(rule => rule.id)).toEqual(['keyword-critical']);
+  });
+
+  test('vital rules fire on their condition', async () => {
+    expect(await contributions('leg pain', { heartRate: 150, oxygenSaturation: 85 })).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'vital-heart-rate', weight: 20, evidence: { vital: 'heartRate', value: 150, condition: '> 140' } }),
+      expect.objectContaining({ id: 'vital-hypoxia', weight: 30, evidence: { vital: 'oxygenSaturation', value: 85, condition: '< 90' } })
+    ]));
+  });
+
+  test('graded conditions carry their own weight', async () => {
+    const shockIndex = async (heartRate, systolic) => (await contributions('leg pain', { heartRate, bloodPressure: { systolic, diastolic: 50 } }))
+      .find(rule => rule.id === 'score-shock-index');
+
+    expect(await shockIndex(110, 100)).toMatchObject({ weight: 20, evidence: { condition: '>= 1' } });
+    expect(await shockIndex(140, 80)).toMatchObject({ weight: 30, evidence: { condition: '>= 1.4' } });
+    expect(await shockIndex(80, 120)).toBeUndefined();
+  });
+
+  test('combination rules fire when every required rule has', async () => {
+    const fired = await contributions('gunshot wound to leg', { heartRate: 120, bloodPressure: { systolic: 80, diastolic: 50 } });
+
+    expect(fired.map(rule => rule.id)).toEqual(expect.arrayContaining([
+      'keyword-combat', 'vital-hypotension', 'combo-combat-hypotension', 'combo-combat-shock-index'
+    ]));
+    expect(fired.find(rule => rule.id === 'combo-combat-hypotension').evidence).toEqual({ requires: ['keyword-combat', 'vital-hypotension'] });
+  });
+
+  test('the score is the sum of the fired weights and sets the level', async () => {
+    const analysis = await analyzer.analyzeSymptoms('gunshot wound to leg', { bloodPressure: { systolic: 80, diastolic: 50 } });
+    const { score, contributions: fired, thresholds } = analysis.explanation.triageScoring;
+
+    expect(score).toBe(fired.reduce((total, rule) => total + rule.weight, 0));
+    expect(thresholds).toEqual({ IMMEDIATE: 70, DELAYED: 40, MINOR: 20 });
+    expect(analysis.triageLevel).toBe('IMMEDIATE');
+  });
+
+  test('a score below every threshold is MINOR, never EXPECTANT', async () => {
+    const analysis = await analyzer.analyzeSymptoms('sore throat', {});
+
+    expect(analysis.explanation.triageScoring).toMatchObject({ score: 0, level: 'MINOR' });
+  });
+});
+
+describe('explanation', () => {
+  const analyzer = new SymptomAnalyzer({ rulePack: 'default@1.2.0' });
+
+  test('shows how each symptom was interpreted and matched', async () => {
+    const { explanation } = await analyzer.analyzeSymptoms('GSW to thigh, sore throat', {});
+
+    expect(explanation.similarityThreshold).toBe(0.7);
+    expect(explanation.symptomMatches).toEqual([
+      expect.objectContaining({
+        symptom: 'gsw to thigh',
+        interpretedAs: 'gunshot wound to thigh',
+        bodyParts: ['leg'],
+        matchedKey: 'gunshot wound',
+        diagnosis: 'Ballistic Trauma',
+        similarity: 0.95,
+        accepted: true
+      }),
+      expect.objectContaining({ symptom: 'sore throat', accepted: false })
+    ]);
+  });
+
+  test('lists every rule that added to the score', async () => {
+    const { explanation } = await analyzer.analyzeSymptoms('chest pain', { oxygenSaturation: 85 });
+
+    expect(explanation.triageScoring).toEqual({
+      level: 'DELAYED',
+      score: 55,
+      thresholds: { IMMEDIATE: 70, DELAYED: 40, MINOR: 20 },
+      contributions: [
+        {
+          id: 'keyword-urgent',
+          type: 'keyword',
+          weight: 25,
+          description: 'Serious but not immediately life-threatening presentation',
+          evidence: { symptom: 'chest pain', keyword: 'chest pain' }
+        },
+        {
+          id: 'vital-hypoxia',
+          type: 'vital',
+          weight: 30,
+          description: 'Oxygen saturation below 90%',
+          evidence: { vital: 'oxygenSaturation', value: 85, condition: '< 90' }
+        }
+      ]
+    });
+  });
+
+  test('names the emergency action triggers that fired', async () => {
+    const analysis = await analyzer.analyzeSymptoms('no pulse, chemical burn to arm', {});
+
+    expect(analysis.explanation.emergencyActionTriggers).toEqual([
+      expect.objectContaining({ trigger: 'cardiac-arrest', symptom: 'no pulse', keyword: 'no pulse' }),
+      expect.objectContaining({ trigger: 'burn-or-chemical', symptom: 'chemical burn to arm', keyword: 'chemical' })
+    ]);
+    expect(analysis.emergencyActions).toEqual(analysis.explanation.emergencyActionTriggers.flatMap(trigger => trigger.actions));
+  });
+
+  test('lists each clause with its qualifiers', async () => {
+    const { explanation } = await analyzer.analyzeSymptoms('no chest pain but severe bleeding', {});
+
+    expect(explanation.qualifiers).toEqual([
+      { text: 'chest pain', negated: true, cue: 'no', temporal: 'current', resolved: false, severity: null, absentFunction: null },
+      {
+        text: 'severe bleeding',
+        negated: false,
+        cue: null,
+        temporal: 'current',
+        resolved: false,
+        severity: { modifier: 'severe', factor: 1.5 },
+        absentFunction: null
+      }
+    ]);
+  });
+
+  test('the fallback analysis says it is one', () => {
+    expect(analyzer.getEmergencyFallback('anything').explanation).toEqual({
+      fallback: true,
+      reason: 'Analysis failed - emergency protocol applied'
+    });
+  });
+});
+
+describe('differential diagnosis', () => {
+  const analyzer = new SymptomAnalyzer({ rulePack: 'default@1.2.0' });
+
+  test('keeps every condition a symptom matches, each with its own triage and first aid', async () => {
+    const analysis = await analyzer.analyzeSymptoms('gunshot wound, difficulty breathing, burn', {});
+
+    expect(analysis.differentialDiagnosis.map(({ diagnosis, triage, confidence, matchedSymptom }) =>
+      ({ diagnosis, triage, confidence, matchedSymptom })
+    )).toEqual([
+      { diagnosis: 'Ballistic Trauma', triage: 'IMMEDIATE', confidence: 1, matchedSymptom: 'gunshot wound' },
+      { diagnosis: 'Possible Tension Pneumothorax', triage: 'IMMEDIATE', confidence: 1, matchedSymptom: 'difficulty breathing' },
+      { diagnosis: 'Thermal Injury', triage: 'DELAYED', confidence: 1, matchedSymptom: 'burn' }
+    ]);
+    analysis.differentialDiagnosis.forEach(entry => {
+      expect(entry.metadata.firstAid.length).toBeGreaterThan(0);
+    });
+    expect(analysis.primaryDiagnosis).toBe(analysis.differentialDiagnosis[0]);
+  });
+
+  test('ranks by confidence, then by triage priority', () => {
+    const ranked = analyzer.buildDifferential(['burn', 'hemorage', 'GSW']);
+
+    expect(ranked.map(entry => [entry.diagnosis, entry.confidence])).toEqual([
+      ['Thermal Injury', 1],
+      ['Ballistic Trauma', 0.95],
+      ['Hemorrhage', 0.85]
+    ]);
+    expect(analyzer.buildDifferential(['burn', 'bleeding']).map(entry => entry.diagnosis)).toEqual(['Hemorrhage', 'Thermal Injury']);
+  });
+
+  test('drops matches below the similarity threshold', () => {
+    expect(analyzer.buildDifferential(['sore throat'])).toEqual([]);
+    expect(analyzer.matchSymptoms(['sore throat']).diagnosis).toBe('General First Aid Required');
+  });
+
+  test('carries the body parts, severity and resolved state of the matching finding', async () => {
+    const analysis = await analyzer.analyzeSymptoms('was bleeding heavily from the arm, now burn on hand', {});
+    const byCondition = Object.fromEntries(analysis.differentialDiagnosis.map(entry => [entry.condition, entry]));
+
+    expect(byCondition.bleeding).toMatchObject({ bodyParts: ['arm'], severity: 'heavily', historical: true });
+    expect(byCondition.burn).toMatchObject({ bodyParts: ['hand'], severity: null, historical: false });
+  });
+
+  test('merges first aid across the differential in MARCH order without duplicates', async () => {
+    const { firstAidSteps } = await analyzer.analyzeSymptoms('gunshot wound, difficulty breathing, burn', {});
+    const phases = firstAidSteps.map(step => analyzer.getMarchPhase(step));
+
+    expect(new Set(firstAidSteps).size).toBe(firstAidSteps.length);
+    expect(phases).toEqual([...phases].sort((a, b) => a - b));
+    expect(firstAidSteps[0]).toBe('Apply direct pressure to control bleeding');
+    expect(firstAidSteps).toEqual(expect.arrayContaining([
+      'Seal open chest wounds with a vented chest seal',
+      'Cool burn with clean water for 10-20 minutes'
+    ]));
+  });
+
+  test('keeps the single condition\'s own order when only one matches', async () => {
+    const { firstAidSteps } = await analyzer.analyzeSymptoms('burn', {});
+
+    expect(firstAidSteps).toEqual(analyzer.symptomMap.burn.firstAid);
+  });
+
+  test.each([
+    ['Apply a tourniquet above the wound', 0],
+    ['Open the airway with a jaw thrust', 1],
+    ['Needle decompression of the chest', 2],
+    ['Treat for shock', 3],
+    ['Keep the casualty warm', 4],
+    ['Document the casualty card', 5]
+  ])('puts "%s" in MARCH phase %d', (step, phase) => {
+    expect(analyzer.getMarchPhase(step)).toBe(phase);
+  });
+});
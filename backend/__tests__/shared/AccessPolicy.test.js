@@ -0,0 +1,97 @@
+import AccessPolicy from '../../../shared/authorization/AccessPolicy.js';
+
+const policy = new AccessPolicy();
+
+const SQUAD = ['1st Brigade', '1st Platoon', '2nd Squad'];
+
+const rifleman = { soldierId: 'rifleman-1', role: 'soldier', rank: 'PFC', unitPath: SQUAD };
+const corporal = { soldierId: 'corporal-1', role: 'soldier', rank: 'CPL', unitPath: SQUAD };
+const sergeant = { soldierId: 'sergeant-1', role: 'soldier', rank: 'sgt', unitPath: ['1st Brigade', '1st Platoon'] };
+const medic = { soldierId: 'medic-1', role: 'medic', rank: 'SGT', unitPath: ['1st Brigade', 'Medical Platoon'] };
+const emergency = { soldierId: 'rifleman-1', role: 'emergency' };
+const actors = { rifleman, corporal, sergeant, medic, emergency };
+
+describe('scopeFor', () => {
+  test.each([
+    ['rifleman', 'records', 'read', 'self'],
+    ['corporal', 'records', 'read', 'squad'],
+    ['sergeant', 'records', 'read', 'platoon'],
+    ['corporal', 'records', 'write', 'self'],
+    ['medic', 'records', 'read', 'all'],
+    ['rifleman', 'casualties', 'read', null],
+    ['emergency', 'records', 'read', null]
+  ])('%s %s:%s is %s', (name, resource, action, scope) => {
+    expect(policy.scopeFor(actors[name], resource, action)).toBe(scope);
+  });
+
+  test('lists role and rank permissions once each', () => {
+    const permissions = policy.permissionsFor(sergeant);
+
+    expect(permissions).toContain('records:read');
+    expect(permissions.filter(permission => permission === 'records:read')).toHaveLength(1);
+    expect(policy.can(sergeant, 'casualties:read')).toBe(false);
+  });
+});
+
+describe('unitPrefix', () => {
+  test.each([
+    ['corporal', 'squad', SQUAD],
+    ['corporal', 'platoon', ['1st Brigade', '1st Platoon']],
+    ['sergeant', 'platoon', ['1st Brigade', '1st Platoon']],
+    ['sergeant', 'squad', null],
+    ['rifleman', 'self', null],
+    ['sergeant', 'unit', ['1st Brigade', '1st Platoon']]
+  ])('%s at %s reaches %j', (name, scope, prefix) => {
+    expect(policy.unitPrefix(actors[name], scope)).toEqual(prefix);
+  });
+
+  test('narrows a platoon scope to the squad, then to the soldier, when the roster lacks the echelon', () => {
+    expect(policy.unitPrefix({ unitPath: ['1st Brigade', 'Alpha Team'] }, 'platoon')).toEqual(['1st Brigade', 'Alpha Team']);
+    expect(policy.unitPrefix({ unitPath: ['1st Brigade', 'HQ'] }, 'platoon')).toBeNull();
+  });
+});
+
+describe('covers', () => {
+  test.each([
+    ['corporal', 'squad', { soldierId: 'x', unitPath: SQUAD }, true],
+    ['corporal', 'squad', { soldierId: 'x', unitPath: ['1st Brigade', '1st Platoon', '3rd Squad'] }, false],
+    ['sergeant', 'platoon', { soldierId: 'x', unitPath: ['1st Brigade', '1st Platoon', '3rd Squad'] }, true],
+    ['sergeant', 'platoon', { soldierId: 'x', unitPath: ['1st Brigade', '2nd Platoon'] }, false],
+    ['sergeant', 'platoon', { soldierId: 'x', unitPath: ['1st Brigade'] }, false],
+    ['sergeant', 'platoon', { soldierId: 'x' }, false],
+    ['rifleman', 'self', { soldierId: 'rifleman-1', unitPath: ['elsewhere'] }, true],
+    ['rifleman', 'self', { soldierId: 'x', unitPath: SQUAD }, false],
+    ['medic', 'all', {}, true]
+  ])('%s at %s covers %j: %s', (name, scope, target, expected) => {
+    expect(policy.covers(actors[name], scope, target)).toBe(expected);
+  });
+});
+
+describe('toQuery', () => {
+  test('all is unfiltered and self is the owner only', () => {
+    expect(policy.toQuery(medic, 'all')).toEqual({});
+    expect(policy.toQuery(rifleman, 'self')).toEqual({ soldierId: 'rifleman-1' });
+  });
+
+  test('a unit scope matches the owner or every element of the unitPath prefix', () => {
+    expect(policy.toQuery(sergeant, 'platoon')).toEqual({
+      $or: [
+        { soldierId: 'sergeant-1' },
+        { 'unitPath.0': '1st Brigade', 'unitPath.1': '1st Platoon' }
+      ]
+    });
+  });
+
+  test('uses the resource\'s own owner and unit fields', () => {
+    expect(policy.toQuery(corporal, 'squad', { ownerField: 'createdBy', unitField: 'unit' })).toEqual({
+      $or: [
+        { createdBy: 'corporal-1' },
+        { 'unit.0': '1st Brigade', 'unit.1': '1st Platoon', 'unit.2': '2nd Squad' }
+      ]
+    });
+  });
+
+  test('a scope the roster cannot place is the owner only', () => {
+    expect(policy.toQuery(sergeant, 'squad')).toEqual({ soldierId: 'sergeant-1' });
+  });
+});
@@ -0,0 +1,218 @@
+import BurnAssessment from '../../../shared/burns/BurnAssessment.js';
+import { BODY_REGIONS } from '../../../shared/bodyMap/regions.js';
+
+const burns = new BurnAssessment();
+
+const total = percentages => Object.values(percentages).reduce((sum, percent) => sum + percent, 0);
+const sumOf = (percentages, ...regions) => regions.reduce((sum, region) => sum + percentages[region], 0);
+const marks = (...regions) => regions.map(region => ({ region }));
+
+describe('body surface tables', () => {
+  test.each([
+    ['Rule of Nines, adult', { method: 'RULE_OF_NINES', ageYears: 30 }, 'adult'],
+    ['Rule of Nines, child', { method: 'RULE_OF_NINES', ageYears: 4 }, 'pediatric'],
+    ['Lund-Browder, infant', { method: 'LUND_BROWDER', ageYears: 0.5 }, 'under 1 year'],
+    ['Lund-Browder, 1-4', { method: 'LUND_BROWDER', ageYears: 3 }, '1-4 years'],
+    ['Lund-Browder, 5-9', { method: 'LUND_BROWDER', ageYears: 7 }, '5-9 years'],
+    ['Lund-Browder, 10-14', { method: 'LUND_BROWDER', ageYears: 12 }, '10-14 years'],
+    ['Lund-Browder, 15-17', { method: 'LUND_BROWDER', ageYears: 16 }, '15-17 years'],
+    ['Lund-Browder, adult', { method: 'LUND_BROWDER', ageYears: 40 }, 'adult']
+  ])('%s covers every region and sums to 100%%', (name, options, table) => {
+    const chart = burns.getChart(options);
+
+    expect(chart.table).toBe(table);
+    expect(Object.keys(chart.percentages).sort()).toEqual(BODY_REGIONS.map(region => region.id).sort());
+    expect(total(chart.percentages)).toBeCloseTo(100, 10);
+  });
+
+  test('adult Rule of Nines gives 9% per arm and head, 18% per leg and trunk side', () => {
+    const { percentages } = burns.getChart({ ageYears: 30 });
+
+    expect(sumOf(percentages, 'head-front', 'head-back', 'neck-front', 'neck-back')).toBe(9);
+    expect(sumOf(percentages, 'left-arm-front', 'left-arm-back')).toBe(9);
+    expect(sumOf(percentages, 'right-leg-front', 'right-leg-back')).toBe(18);
+    expect(sumOf(percentages, 'chest', 'abdomen')).toBe(18);
+    expect(sumOf(percentages, 'upper-back', 'lower-back')).toBe(18);
+    expect(percentages.perineum).toBe(1);
+  });
+
+  test('pediatric Rule of Nines moves surface from the legs to the head', () => {
+    const { percentages } = burns.getChart({ pediatric: true });
+
+    expect(sumOf(percentages, 'head-front', 'head-back', 'neck-front', 'neck-back')).toBe(18);
+    expect(sumOf(percentages, 'left-leg-front', 'left-leg-back')).toBe(13.5);
+  });
+
+  test.each([
+    [0, 19, 7],
+    [1, 17, 7.5],
+    [5, 13, 8.5],
+    [10, 11, 9],
+    [15, 9, 9.5],
+    [18, 7, 10]
+  ])('Lund-Browder at age %p: head %p%%, one leg side %p%%', (ageYears, head, legSide) => {
+    const { percentages } = burns.getChart({ method: 'LUND_BROWDER', ageYears });
+
+    expect(sumOf(percentages, 'head-front', 'head-back')).toBe(head);
+    expect(percentages['left-leg-front']).toBe(legSide);
+    expect(percentages['right-leg-back']).toBe(legSide);
+  });
+
+  test('Lund-Browder without an age uses the adult column', () => {
+    expect(burns.getChart({ method: 'LUND_BROWDER' }).table).toBe('adult');
+  });
+});
+
+describe('assess', () => {
+  test('counts partial and full thickness but not superficial burns', () => {
+    const result = burns.assess({
+      regions: [
+        { region: 'chest', depth: 'FULL_THICKNESS' },
+        { region: 'abdomen', depth: 'PARTIAL_THICKNESS' },
+        { region: 'left-arm-front', depth: 'SUPERFICIAL' }
+      ]
+    });
+
+    expect(result).toMatchObject({ tbsa: 18, fullThickness: 9, partialThickness: 9, superficial: 4.5 });
+  });
+
+  test('scales a region by the fraction burned', () => {
+    expect(burns.assess({ regions: [{ region: 'upper-back', fraction: 0.5 }] }).tbsa).toBe(4.5);
+  });
+
+  test('keeps the deepest depth and largest fraction of a region marked twice', () => {
+    const result = burns.assess({
+      regions: [
+        { region: 'chest', depth: 'FULL_THICKNESS', fraction: 0.5 },
+        { region: 'chest', depth: 'PARTIAL_THICKNESS', fraction: 1 }
+      ]
+    });
+
+    expect(result.regions).toEqual([expect.objectContaining({ region: 'chest', depth: 'FULL_THICKNESS', percent: 9 })]);
+  });
+
+  test('ignores unknown regions', () => {
+    expect(burns.assess({ regions: marks('chest', 'tail') }).regions.map(mark => mark.region)).toEqual(['chest']);
+  });
+
+  test.each([
+    [marks('left-arm-front'), 'MINOR'],
+    [marks('chest', 'abdomen'), 'DELAYED'],
+    [marks('chest', 'abdomen', 'upper-back', 'lower-back', 'left-arm-front'), 'IMMEDIATE'],
+    [BODY_REGIONS.filter(region => region.id !== 'head-front').map(region => ({ region: region.id })), 'EXPECTANT']
+  ])('triages by size: %#', (regions, level) => {
+    expect(burns.assess({ regions }).triageLevel).toBe(level);
+  });
+
+  test('an inhalation injury is IMMEDIATE whatever the size', () => {
+    const result = burns.assess({ regions: marks('head-front'), inhalationInjury: true });
+
+    expect(result.triageLevel).toBe('IMMEDIATE');
+    expect(result.warnings).not.toContain('Face or neck burned - watch for airway burns and inhalation injury');
+  });
+
+  test('warns about the airway when the face is burned', () => {
+    expect(burns.assess({ regions: marks('head-front') }).warnings)
+      .toContain('Face or neck burned - watch for airway burns and inhalation injury');
+  });
+});
+
+describe('fluids', () => {
+  const now = '2026-01-01T12:00:00Z';
+
+  test('Parkland and modified Brooke over 24 h, half in the first 8 h', () => {
+    const { fluids } = burns.assess({ regions: marks('chest', 'abdomen', 'upper-back'), weightKg: 80 });
+
+    expect(fluids.indicated).toBe(true);
+    expect(fluids.formulas.PARKLAND).toMatchObject({
+      totalMl: 8640,
+      first8hMl: 4320,
+      next16hMl: 4320,
+      first8hRateMlPerHour: 540,
+      next16hRateMlPerHour: 270
+    });
+    expect(fluids.formulas.MODIFIED_BROOKE.totalMl).toBe(4320);
+  });
+
+  test('the first 8 h run from the time of injury', () => {
+    const { fluids } = burns.assess({
+      regions: marks('chest', 'abdomen', 'upper-back'),
+      weightKg: 80,
+      timeOfInjury: '2026-01-01T10:00:00Z',
+      now
+    });
+
+    expect(fluids.hoursSinceInjury).toBe(2);
+    expect(fluids.formulas.PARKLAND.first8hRateMlPerHour).toBe(720);
+  });
+
+  test('says when the first phase has passed', () => {
+    const result = burns.assess({ regions: marks('chest', 'abdomen', 'upper-back'), weightKg: 80, timeOfInjury: '2026-01-01T02:00:00Z', now });
+
+    expect(result.fluids.formulas.PARKLAND.first8hRateMlPerHour).toBeNull();
+    expect(result.warnings).toContain('More than 8 h since injury - first-phase targets have passed; follow urine output');
+  });
+
+  test.each([
+    [70, 270],
+    [100, 470]
+  ])('Rule of Ten at %p kg starts at %p mL/h', (weightKg, rate) => {
+    const { fluids } = burns.assess({ regions: marks('chest', 'abdomen', 'upper-back'), weightKg });
+
+    expect(fluids.ruleOfTen.initialRateMlPerHour).toBe(rate);
+  });
+
+  test('resuscitation starts at 10% in children and 20% in adults', () => {
+    const regions = marks('chest', 'left-arm-front');
+
+    expect(burns.assess({ regions, ageYears: 30 }).fluids.indicated).toBe(false);
+    expect(burns.assess({ regions, ageYears: 6, weightKg: 20 }).fluids).toMatchObject({ indicated: true, threshold: 10, ruleOfTen: null });
+  });
+
+  test('asks for a weight', () => {
+    const result = burns.assess({ regions: marks('chest', 'abdomen', 'upper-back') });
+
+    expect(result.fluids.formulas).toEqual({});
+    expect(result.warnings).toContain('Weight required for 24 h fluid targets');
+  });
+});
+
+describe('validate', () => {
+  test('reports every problem', () => {
+    const { valid, errors } = burns.validate({
+      regions: [{ region: 'wing' }, { region: 'chest', depth: 'CHARRED', fraction: 2 }],
+      method: 'GUESS',
+      weightKg: -1,
+      ageYears: 'old'
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'regions[0]: unknown region "wing"',
+      'regions[1]: depth must be one of SUPERFICIAL, PARTIAL_THICKNESS, FULL_THICKNESS',
+      'regions[1]: fraction must be between 0 and 1',
+      'Method must be one of RULE_OF_NINES, LUND_BROWDER',
+      'Weight must be a positive number',
+      'Age must be a number of years'
+    ]);
+  });
+
+  test('needs at least one region', () => {
+    expect(burns.validate({ regions: [] }).errors).toEqual(['Mark at least one burned region']);
+  });
+});
+
+describe('toInjury', () => {
+  test('describes the burn for triage and handover', () => {
+    const result = burns.assess({ regions: [{ region: 'left-leg-front', depth: 'FULL_THICKNESS' }, { region: 'left-leg-back' }] });
+
+    expect(burns.toInjury(result)).toEqual({
+      type: 'burn 18% TBSA (full thickness)',
+      location: 'left leg',
+      view: null,
+      tbsa: 18,
+      inhalationInjury: false,
+      severity: 'severe'
+    });
+  });
+});
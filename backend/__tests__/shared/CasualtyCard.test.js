@@ -0,0 +1,252 @@
+import CasualtyCard, {
+  CASUALTY_CARD_SCHEMA,
+  CARD_SCHEMA_VERSION,
+  EVAC_CATEGORIES,
+  MECHANISMS,
+  TOURNIQUET_SITES,
+  TREATMENTS,
+  MEDICATION_CATEGORIES,
+  ROUTES,
+  AVPU
+} from '../../../shared/casualtyCard/CasualtyCard.js';
+
+const cards = new CasualtyCard();
+
+const T0 = '2026-03-01T10:00:00.000Z';
+const at = minutes => new Date(Date.parse(T0) + minutes * 60000).toISOString();
+
+// A blast casualty as the app holds it after treatment
+const SESSION = {
+  casualty: { casualtyId: 'CAS-20260301-000001', unit: '2nd Squad', battleRosterNumber: 'AB1234' },
+  triageLevel: 'IMMEDIATE',
+  timeOfInjury: T0,
+  symptoms: ['IED blast, shot in the arm'],
+  injuries: [{ type: 'Amputation', location: 'left leg', view: 'FRONT' }],
+  injuryDetections: [{ injuryType: 'burn', location: 'unspecified' }, { injuryType: 'normal' }],
+  vitalsHistory: [
+    { timestamp: at(20), vitals: { heartRate: '128', bloodPressure: { systolic: 88, diastolic: 50 }, avpu: 'voice', painScale: 7 } },
+    { timestamp: at(5), vitals: { heartRate: 110, bloodPressure: '104 / 66' } },
+    { timestamp: at(6), vitals: {} },
+    { vitals: { heartRate: 100 } }
+  ],
+  interventions: [
+    { type: 'Tourniquet', bodyLocation: 'left thigh', device: 'CAT', timestamp: at(2) },
+    { type: 'Junctional tourniquet', bodyLocation: 'right groin', performedAt: at(3) },
+    { type: 'Combat gauze', details: 'wound packing' },
+    { type: 'Eye shield', bodyLocation: 'left eye' },
+    { type: 'Hypothermia prevention', details: 'HPMK' },
+    { type: 'TXA', name: 'TXA', dose: '2 g', route: 'iv', timestamp: at(15) },
+    { type: 'Whole blood', volume: '500 ml', route: 'io', timestamp: at(18) },
+    { type: 'Reassured' }
+  ],
+  medications: [{ category: 'ANALGESIC', name: 'Ketamine', dose: 50, route: 'IM', administeredAt: at(25) }],
+  analysis: { triageLevel: 'IMMEDIATE', primaryDiagnosis: { diagnosis: 'Hemorrhagic shock' } }
+};
+
+describe('create', () => {
+  test('has every section of the card, blank', () => {
+    const card = cards.create();
+
+    expect(card).toMatchObject({
+      form: 'DD1380',
+      schemaVersion: CARD_SCHEMA_VERSION,
+      cardId: expect.stringMatching(/^CARD-[0-9A-F]{8}$/),
+      casualtyId: null,
+      evacuationCategory: null,
+      injury: { injuredAt: null, mechanisms: [], mechanismOther: null, injuries: [] },
+      treatments: { circulation: [], airway: [], breathing: [], other: [], hypothermiaType: null },
+      tourniquets: [],
+      vitals: [],
+      fluids: [],
+      medications: [],
+      notes: null
+    });
+    expect(Object.values(card.patient).every(value => value === null)).toBe(true);
+  });
+
+  test('keeps what it is given and fills in the rest', () => {
+    const card = cards.create({ cardId: 'CARD-00000001', patient: { lastName: 'Doe' }, treatments: { airway: ['NPA'] } });
+
+    expect(card.cardId).toBe('CARD-00000001');
+    expect(card.patient).toMatchObject({ lastName: 'Doe', firstName: null });
+    expect(card.treatments).toMatchObject({ airway: ['NPA'], circulation: [] });
+  });
+});
+
+describe('fromSession', () => {
+  const card = cards.fromSession(SESSION);
+
+  test('fills the patient, injury and evacuation sections', () => {
+    expect(card).toMatchObject({
+      casualtyId: 'CAS-20260301-000001',
+      evacuationCategory: 'URGENT',
+      patient: { unit: '2nd Squad', battleRosterNumber: 'AB1234' },
+      notes: 'Assessment: Hemorrhagic shock (IMMEDIATE)'
+    });
+    expect(card.injury).toEqual({
+      injuredAt: T0,
+      mechanisms: ['BURN', 'GSW', 'IED'],
+      mechanismOther: null,
+      injuries: [
+        { description: 'Amputation', location: 'left leg', view: 'FRONT' },
+        { description: 'burn', location: null, view: null }
+      ]
+    });
+  });
+
+  test.each([
+    [{ evacuationPrecedence: 'URGENT_SURGICAL', triageLevel: 'MINOR' }, 'URGENT'],
+    [{ evacuationPrecedence: 'CONVENIENCE' }, 'ROUTINE'],
+    [{ triageLevel: 'DELAYED' }, 'PRIORITY'],
+    [{ analysis: { triageLevel: 'MINOR' } }, 'ROUTINE'],
+    [{ triageLevel: 'EXPECTANT' }, null]
+  ])('evacuation category for %j is %s', (input, category) => {
+    expect(cards.fromSession(input).evacuationCategory).toBe(category);
+  });
+
+  test('ticks "Other" with the description for a mechanism it does not know', () => {
+    expect(cards.fromSession({ mechanism: 'Dog bite' }).injury).toMatchObject({ mechanisms: ['OTHER'], mechanismOther: 'Dog bite' });
+    expect(cards.deriveMechanisms({ symptoms: ['shotgun', 'mined area', 'a fallen tree'] })).toEqual([]);
+  });
+
+  test('vitals rows are timed, in order, with the card\'s units', () => {
+    expect(card.vitals).toEqual([
+      { time: at(5), pulse: 110, pulseLocation: null, bloodPressure: '104/66', respiratoryRate: null, oxygenSaturation: null, avpu: null, painScale: null },
+      { time: at(20), pulse: 128, pulseLocation: null, bloodPressure: '88/50', respiratoryRate: null, oxygenSaturation: null, avpu: 'V', painScale: 7 }
+    ]);
+  });
+
+  test('interventions tick their MARCH boxes; tourniquets also get a site and time', () => {
+    expect(card.treatments).toEqual({
+      circulation: ['TQ_EXTREMITY', 'TQ_JUNCTIONAL', 'DRESSING_HEMOSTATIC'],
+      airway: [],
+      breathing: [],
+      other: ['EYE_SHIELD_L', 'HYPOTHERMIA_PREVENTION'],
+      hypothermiaType: 'HPMK'
+    });
+    expect(card.tourniquets).toEqual([
+      { site: 'L_LEG', type: 'CAT', appliedAt: at(2) },
+      { site: 'JUNCTIONAL', type: null, appliedAt: at(3) }
+    ]);
+  });
+
+  test('doses become medications and volumes fluids', () => {
+    expect(card.medications).toEqual([
+      { category: 'OTHER', name: 'TXA', dose: '2 g', route: 'IV', time: at(15) },
+      { category: 'ANALGESIC', name: 'Ketamine', dose: '50', route: 'IM', time: at(25) }
+    ]);
+    expect(card.fluids).toEqual([{ name: 'Whole blood', volume: '500 ml', route: 'IO', time: at(18) }]);
+  });
+
+  test.each([
+    ['left forearm', 'L_ARM'],
+    ['r leg', 'R_LEG'],
+    ['axilla', 'JUNCTIONAL'],
+    ['leg', null],
+    ['left shoulder', null]
+  ])('a tourniquet on the %s is at %s', (location, site) => {
+    expect(cards.resolveTourniquetSite(location)).toBe(site);
+  });
+
+  test('the card it prefills passes validation', () => {
+    expect(cards.validate(card)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+});
+
+describe('validate', () => {
+  test.each([
+    [{ evacuationCategory: 'ASAP' }, 'evacuationCategory', 'Unknown evacuation category "ASAP"'],
+    [{ patient: { last4: '12a4' } }, 'patient.last4', 'Last 4 must be four digits'],
+    [{ patient: { gender: 'X' } }, 'patient.gender', 'Gender must be M or F'],
+    [{ firstResponder: { last4: '123' } }, 'firstResponder.last4', 'Last 4 must be four digits'],
+    [{ injury: { injuredAt: 'yesterday', mechanisms: ['GSW'] } }, 'injury.injuredAt', 'Invalid date/time of injury'],
+    [{ injury: { mechanisms: ['SPEAR'] } }, 'injury.mechanisms', 'Unknown mechanism "SPEAR"'],
+    [{ injury: { mechanisms: ['OTHER'] } }, 'injury.mechanismOther', 'Describe the mechanism when "Other" is ticked'],
+    [{ tourniquets: [{ site: null, appliedAt: T0 }] }, 'tourniquets[0].site', 'Tourniquet site is required'],
+    [{ tourniquets: [{ site: 'L_LEG' }] }, 'tourniquets[0].appliedAt', 'Tourniquet time is required'],
+    [{ vitals: [{ pulse: 90 }] }, 'vitals[0].time', 'Time is required for every vitals entry'],
+    [{ vitals: [{ time: T0, bloodPressure: '120' }] }, 'vitals[0].bloodPressure', 'Blood pressure must be systolic/diastolic'],
+    [{ vitals: [{ time: T0, avpu: 'X' }] }, 'vitals[0].avpu', 'AVPU must be A, V, P or U'],
+    [{ vitals: [{ time: T0, painScale: 11 }] }, 'vitals[0].painScale', 'Pain scale must be 0-10'],
+    [{ vitals: [{ time: T0, oxygenSaturation: 101 }] }, 'vitals[0].oxygenSaturation', 'SpO2 must be 0-100'],
+    [{ treatments: { airway: ['TQ_EXTREMITY'] } }, 'treatments.airway', 'Unknown treatment "TQ_EXTREMITY"'],
+    [{ fluids: [{ name: 'Saline', volume: '1 l', route: 'IV' }] }, 'fluids[0].time', 'Fluid time is required'],
+    [{ fluids: [{ name: 'Saline', volume: '1 l', route: 'ORAL', time: T0 }] }, 'fluids[0].route', 'Unknown route "ORAL"'],
+    [{ medications: [{ category: 'OTHER', name: 'TXA', route: 'IV', time: T0 }] }, 'medications[0].dose', 'Medication dose is required'],
+    [{ medications: [{ category: 'SEDATIVE', name: 'Midazolam', dose: '2 mg', route: 'IV', time: T0 }] }, 'medications[0].category', 'Unknown category "SEDATIVE"']
+  ])('%j: %s', (fields, field, message) => {
+    const card = cards.create({ injury: { mechanisms: ['GSW'] }, vitals: [{ time: T0, pulse: 90 }], ...fields });
+
+    expect(cards.validate(card)).toMatchObject({ valid: false, errors: [{ field, message }] });
+  });
+
+  test('warns about a card the receiving facility can act on only partly', () => {
+    const card = cards.create({ treatments: { circulation: ['TQ_EXTREMITY'] } });
+
+    expect(cards.validate(card)).toEqual({
+      valid: true,
+      errors: [],
+      warnings: [
+        { field: 'injury.mechanisms', message: 'No mechanism of injury ticked' },
+        { field: 'vitals', message: 'No vital signs recorded' },
+        { field: 'tourniquets', message: 'Tourniquet ticked without a site and time' }
+      ]
+    });
+  });
+});
+
+describe('schema', () => {
+  const { properties } = CASUALTY_CARD_SCHEMA;
+
+  test('is versioned and has the card\'s sections', () => {
+    expect(CASUALTY_CARD_SCHEMA.$id).toBe(`urn:battlefield-medical:casualty-card:${CARD_SCHEMA_VERSION}`);
+    expect(Object.keys(properties).sort()).toEqual(Object.keys(cards.create()).sort());
+    expect(CASUALTY_CARD_SCHEMA.required.every(key => key in cards.create())).toBe(true);
+    expect(Object.keys(properties.patient.properties).sort()).toEqual(Object.keys(cards.create().patient).sort());
+    expect(Object.keys(properties.treatments.properties).sort()).toEqual(Object.keys(cards.create().treatments).sort());
+  });
+
+  test('allows the same codes the card module and the model use', () => {
+    expect(properties.evacuationCategory.enum).toEqual([...Object.keys(EVAC_CATEGORIES), null]);
+    expect(properties.injury.properties.mechanisms.items.enum).toEqual(Object.keys(MECHANISMS));
+    expect(properties.tourniquets.items.properties.site.enum).toEqual(Object.keys(TOURNIQUET_SITES));
+    expect(properties.vitals.items.properties.avpu.enum).toEqual([...AVPU, null]);
+    expect(properties.medications.items.properties.category.enum).toEqual(Object.keys(MEDICATION_CATEGORIES));
+    expect(properties.medications.items.properties.route.enum).toEqual(ROUTES);
+    Object.entries(TREATMENTS).forEach(([section, codes]) => {
+      expect(properties.treatments.properties[section].items.enum).toEqual(Object.keys(codes));
+    });
+  });
+
+  test('is what getSchema returns', () => {
+    expect(cards.getSchema()).toBe(CASUALTY_CARD_SCHEMA);
+  });
+});
+
+describe('export', () => {
+  test('JSON is the card tagged with its schema', () => {
+    const card = cards.fromSession(SESSION);
+
+    expect(cards.toExport(card)).toEqual({ $schema: CASUALTY_CARD_SCHEMA.$id, ...card });
+  });
+
+  test('HTML ticks the card\'s boxes and escapes what was typed', () => {
+    const card = cards.create({
+      cardId: 'CARD-00000001',
+      evacuationCategory: 'URGENT',
+      injury: { mechanisms: ['OTHER'], mechanismOther: '<script>alert(1)</script>' },
+      notes: 'Line one\nLine "two"'
+    });
+
+    const html = cards.renderHtml(card);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>TCCC Casualty Card CARD-00000001</title>');
+    expect(html).toContain('&#9746; Urgent');
+    expect(html).toContain('&#9744; Priority');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Line one<br>Line &quot;two&quot;');
+    expect(html).toContain('<td colspan="3" class="empty">None recorded</td>');
+  });
+});
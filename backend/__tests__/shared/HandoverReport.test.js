@@ -0,0 +1,138 @@
+import HandoverReport from '../../../shared/handover/HandoverReport.js';
+
+const handover = new HandoverReport();
+
+// Local times, as the report renders them
+const NOW = new Date(2026, 2, 1, 11, 0);
+const at = (hours, minutes) => new Date(2026, 2, 1, hours, minutes);
+
+// An IED casualty 45 min after injury: tourniquet, then TXA, with two sets of vitals
+const INPUT = {
+  casualty: { casualtyId: 'CAS-20260301-000001', soldierId: 'rifleman-1', unit: '2nd Squad', age: '24' },
+  timeOfInjury: at(10, 15).toISOString(),
+  symptoms: ['IED blast, heavy bleeding from the left leg'],
+  triageLevel: 'IMMEDIATE',
+  injuries: [{ type: 'Amputation', location: 'left leg', severity: 'severe' }],
+  injuryDetections: { injuries: [{ injuryType: 'shrapnel_wound', location: 'left thigh', severity: 'moderate', confidence: 0.82 }, { injuryType: 'normal' }] },
+  vitalsHistory: [
+    { timestamp: at(10, 50).toISOString(), vitals: { heartRate: 128, bloodPressure: '88/50', respiratoryRate: 26, oxygenSaturation: 93, avpu: 'voice' } },
+    { timestamp: at(10, 25).toISOString(), vitals: { heartRate: '110', bloodPressure: { systolic: 104, diastolic: 66 }, oxygenSaturation: 93 } }
+  ],
+  interventions: [
+    { type: 'TXA', details: '2 g IV', timestamp: at(10, 40).toISOString() },
+    { type: 'Tourniquet', bodyLocation: 'left thigh', timestamp: at(10, 20).toISOString() }
+  ],
+  analysis: {
+    primaryDiagnosis: { diagnosis: 'Hemorrhagic shock' },
+    differentialDiagnosis: [
+      { diagnosis: 'Hemorrhagic shock', confidence: 0.9, severity: { modifier: 'class III' } },
+      { diagnosis: 'Asthma', historical: true }
+    ],
+    vitalScores: { shockIndex: { value: 1.45, severity: 'severe' }, gcs: { value: 13, estimated: true } },
+    vitalSignsAssessment: { concerns: ['Tachycardia'] }
+  }
+};
+
+describe('generate', () => {
+  const report = handover.generate(INPUT, { now: NOW });
+
+  test('ATMIST adds age and time of injury to the MIST sections', () => {
+    expect(report).toMatchObject({
+      format: 'ATMIST',
+      casualty: { casualtyId: 'CAS-20260301-000001', soldierId: 'rifleman-1', unit: '2nd Squad' },
+      triage: { level: 'IMMEDIATE', tag: 'T1', diagnosis: 'Hemorrhagic shock' },
+      age: 24,
+      minutesSinceInjury: 45,
+      missing: []
+    });
+    expect(report.timeOfInjury).toEqual(at(10, 15));
+
+    const mist = handover.generate(INPUT, { format: 'mist', now: NOW });
+    expect(mist.format).toBe('MIST');
+    expect(mist).not.toHaveProperty('age');
+    expect(mist).not.toHaveProperty('timeOfInjury');
+  });
+
+  test('an unknown format falls back to ATMIST', () => {
+    expect(handover.generate(INPUT, { format: 'SBAR', now: NOW }).format).toBe('ATMIST');
+  });
+
+  test('injuries come from the assessment, the images and the working diagnoses, once each', () => {
+    expect(report.injuries).toEqual([
+      { description: 'Amputation', location: 'left leg', severity: 'severe', source: 'assessment' },
+      { description: 'shrapnel wound', location: 'left thigh', severity: 'moderate', confidence: 0.82, source: 'image' },
+      { description: 'Hemorrhagic shock', location: null, severity: 'class III', confidence: 0.9, source: 'analysis' }
+    ]);
+  });
+
+  test('signs are the latest set with the trend since the first', () => {
+    expect(report.signs).toEqual({
+      latest: { heartRate: 128, systolic: 88, diastolic: 50, respiratoryRate: 26, oxygenSaturation: 93, avpu: 'V' },
+      takenAt: at(10, 50).toISOString(),
+      readings: 2,
+      trend: [
+        { vital: 'heartRate', label: 'HR', from: 110, to: 128, change: 'worsening' },
+        { vital: 'systolic', label: 'SBP', from: 104, to: 88, change: 'worsening' },
+        { vital: 'oxygenSaturation', label: 'SpO2', from: 93, to: 93, change: 'stable' }
+      ],
+      scores: { shockIndex: { value: 1.45, severity: 'severe' }, gcs: { value: 13, estimated: true }, news2: null },
+      concerns: ['Tachycardia']
+    });
+  });
+
+  test('treatment is in the order it was given', () => {
+    expect(report.treatment).toEqual([
+      { description: 'Tourniquet (left thigh)', time: at(10, 20).toISOString() },
+      { description: 'TXA - 2 g IV', time: at(10, 40).toISOString() }
+    ]);
+  });
+
+  test('lists what the crew will not be told', () => {
+    expect(handover.generate({}, { now: NOW }).missing).toEqual(['age', 'timeOfInjury', 'mechanism', 'injuries', 'signs']);
+    expect(handover.generate({ timeOfInjury: 'yesterday' }, { format: 'MIST', now: NOW }).missing).toEqual(['mechanism', 'injuries', 'signs']);
+  });
+});
+
+describe('mechanism', () => {
+  test.each([
+    [{ mechanism: 'RPG', symptoms: ['gunshot'] }, { description: 'RPG', source: 'reported' }],
+    [{ symptoms: ['IED blast'] }, { description: 'Blast', source: 'symptoms' }],
+    [{ symptoms: ['shot in the arm'] }, { description: 'Gunshot', source: 'symptoms' }],
+    [{ symptoms: ['shotgun pellets'] }, { description: null, source: null }],
+    [{ injuries: [{ type: 'Burn' }] }, { description: 'Burn', source: 'assessment' }],
+    [{ injuryDetections: [{ injuryType: 'gunshot_wound' }] }, { description: 'Gunshot', source: 'image' }],
+    [{ injuryDetections: [{ injuryType: 'laceration' }] }, { description: null, source: null }]
+  ])('%j is %j', (input, mechanism) => {
+    expect(handover.generate(input, { now: NOW }).mechanism).toEqual(mechanism);
+  });
+});
+
+describe('renderText', () => {
+  test('one line per letter', () => {
+    expect(handover.renderText(handover.generate(INPUT, { now: NOW })).split('\n')).toEqual([
+      'ATMIST HANDOVER: CAS-20260301-000001 - T1 IMMEDIATE',
+      'A: 24 yrs',
+      'T: 10:15 (45 min ago)',
+      'M: Blast',
+      'I: Amputation - left leg (severe); shrapnel wound - left thigh (moderate); Hemorrhagic shock (class III)',
+      'S: HR 128, BP 88/50, RR 26, SpO2 93%, AVPU V @10:50. Trend: HR 110->128 (worsening), SBP 104->88 (worsening). Shock index 1.45 (severe)',
+      'T: Tourniquet (left thigh) @10:20; TXA - 2 g IV @10:40'
+    ]);
+  });
+
+  test('says what is unknown rather than leaving a line out', () => {
+    expect(handover.renderText(handover.generate({ casualty: { soldierId: 'rifleman-1' } }, { format: 'MIST', now: NOW })).split('\n')).toEqual([
+      'MIST HANDOVER: rifleman-1',
+      'M: Unknown',
+      'I: None identified',
+      'S: Not recorded',
+      'T: None recorded'
+    ]);
+  });
+
+  test('prefers GCS over AVPU', () => {
+    const report = handover.generate({ vitalsHistory: [{ vitals: { avpu: 'P', gcs: { eye: 2, verbal: 2, motor: 4 } } }] }, { now: NOW });
+
+    expect(handover.renderText(report)).toMatch(/\nS: GCS 8\n/);
+  });
+});
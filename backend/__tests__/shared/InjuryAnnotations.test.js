@@ -0,0 +1,98 @@
+import InjuryAnnotations from '../../../shared/bodyMap/InjuryAnnotations.js';
+import TriageCore from '../../../shared/triage/TriageCore.js';
+
+const annotations = new InjuryAnnotations();
+const core = new TriageCore();
+
+describe('create', () => {
+  test('takes the location and side from the tapped region', () => {
+    expect(annotations.create({ region: 'left-leg-back', type: 'GUNSHOT', severity: 'severe', notes: ' exit wound ' })).toEqual({
+      region: 'left-leg-back',
+      location: 'left leg',
+      view: 'back',
+      type: 'gunshot wound',
+      code: 'GUNSHOT',
+      severity: 'severe',
+      notes: 'exit wound'
+    });
+  });
+
+  test('keeps a free-text wound and location when there is no region', () => {
+    expect(annotations.create({ location: 'groin', type: 'degloving', severity: 'extreme' })).toMatchObject({
+      region: null,
+      location: 'groin',
+      type: 'degloving',
+      code: null,
+      severity: 'moderate'
+    });
+  });
+
+  test('normalize keeps extra fields such as a burn size', () => {
+    expect(annotations.normalize([{ region: 'chest', code: 'BURN', tbsa: 9 }])).toEqual([
+      expect.objectContaining({ type: 'burn', code: 'BURN', location: 'chest', tbsa: 9 })
+    ]);
+  });
+});
+
+describe('validate', () => {
+  test('reports every problem with its index', () => {
+    expect(annotations.validate([
+      { region: 'chest', type: 'GUNSHOT' },
+      null,
+      { region: 'tail', severity: 'grave' },
+      { type: 'LACERATION' }
+    ]).errors).toEqual([
+      'injuries[1]: must be an object',
+      'injuries[2]: type is required',
+      'injuries[2]: unknown region "tail"',
+      'injuries[2]: severity must be one of minor, moderate, severe, critical',
+      'injuries[3]: region or location is required'
+    ]);
+  });
+
+  test('needs an array', () => {
+    expect(annotations.validate({ region: 'chest' })).toEqual({ valid: false, errors: ['Injuries must be an array'] });
+  });
+});
+
+describe('as text and mechanism', () => {
+  const injuries = annotations.normalize([
+    { region: 'chest', type: 'GUNSHOT' },
+    { region: 'right-leg-back', type: 'SHRAPNEL' },
+    { region: 'upper-back', type: 'LACERATION' }
+  ]);
+
+  test('describes the wounds the way the symptom analyzer reads them', () => {
+    expect(annotations.describe(injuries)).toBe('gunshot wound chest, shrapnel wound right leg (back), laceration back');
+    expect(annotations.withSymptoms('short of breath', injuries)).toEqual([
+      'short of breath',
+      'gunshot wound chest, shrapnel wound right leg (back), laceration back'
+    ]);
+    expect(annotations.withSymptoms('short of breath', [])).toBe('short of breath');
+  });
+
+  test('a blast wound outranks the other mechanisms', () => {
+    expect(annotations.deriveMechanism(injuries)).toBe('blast');
+    expect(annotations.deriveMechanism(injuries.slice(0, 1))).toBe('gunshot');
+    expect(annotations.deriveMechanism(injuries.slice(2))).toBeNull();
+  });
+});
+
+describe('injury severity', () => {
+  const grade = mark => core.assessInjurySeverity(annotations.normalize([mark]))[0];
+
+  test.each([
+    [{ region: 'chest', type: 'GUNSHOT' }, 'life_threatening'],
+    [{ region: 'neck-front', type: 'GUNSHOT', severity: 'minor' }, 'life_threatening'],
+    [{ region: 'left-arm-front', type: 'GUNSHOT' }, 'minor'],
+    [{ region: 'left-leg-front', type: 'AMPUTATION' }, 'life_threatening'],
+    [{ region: 'left-leg-front', type: 'MASSIVE_HEMORRHAGE' }, 'life_threatening'],
+    [{ region: 'left-arm-front', type: 'LACERATION', severity: 'critical' }, 'life_threatening'],
+    [{ region: 'right-leg-front', type: 'FRACTURE' }, 'serious'],
+    [{ region: 'abdomen', type: 'PENETRATING' }, 'serious'],
+    [{ region: 'left-arm-back', type: 'CONTUSION', severity: 'severe' }, 'serious'],
+    [{ region: 'left-arm-back', type: 'ABRASION' }, 'minor']
+  ])('%j is %s', (mark, severity) => {
+    expect(grade(mark)).toBe(severity);
+  });
+});
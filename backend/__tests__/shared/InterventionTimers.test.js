@@ -0,0 +1,139 @@
+import InterventionTimers from '../../../shared/interventions/InterventionTimers.js';
+
+const timers = new InterventionTimers();
+
+const T0 = new Date('2026-03-01T10:00:00Z');
+const at = minutes => new Date(T0.getTime() + minutes * 60000);
+
+const tourniquet = (overrides = {}) => timers.create({ type: 'tourniquet', bodyLocation: 'left thigh', ...overrides }, T0);
+const plannedTxa = (overrides = {}) => timers.create({ type: 'TXA', status: 'PLANNED', injuredAt: T0.toISOString(), ...overrides }, at(10));
+
+const milestoneAlerts = (intervention, minutes) => timers.getDueAlerts(intervention, at(minutes))
+  .filter(alert => alert.type !== 'REASSESSMENT_DUE');
+const reassessmentAlerts = (intervention, minutes) => timers.getDueAlerts(intervention, at(minutes))
+  .filter(alert => alert.type === 'REASSESSMENT_DUE');
+
+describe('creating and validating interventions', () => {
+  test('an ACTIVE intervention starts now, a PLANNED one is only planned', () => {
+    expect(tourniquet()).toMatchObject({
+      interventionId: expect.stringMatching(/^INT-[0-9A-F]{8}$/),
+      type: 'TOURNIQUET',
+      status: 'ACTIVE',
+      startedAt: T0.toISOString(),
+      plannedAt: null
+    });
+    expect(plannedTxa()).toMatchObject({ status: 'PLANNED', startedAt: null, plannedAt: at(10).toISOString() });
+  });
+
+  test.each([
+    [{ type: 'SPLINT' }, 'Intervention type must be one of TOURNIQUET, CHEST_SEAL, NEEDLE_DECOMPRESSION, NPA, TXA, IV_IO'],
+    [{ type: 'TOURNIQUET', bodyLocation: null }, 'Tourniquet requires a body location'],
+    [{ type: 'TOURNIQUET', status: 'LOOSENED' }, 'Status must be one of PLANNED, ACTIVE, COMPLETED, REMOVED'],
+    [{ type: 'NPA', startedAt: 'not a time' }, 'NPA requires a start time'],
+    [{ type: 'TOURNIQUET', injuredAt: at(5).toISOString() }, 'Start time is before the time of injury']
+  ])('rejects %j', (overrides, error) => {
+    expect(timers.validate({ ...tourniquet(), ...overrides }).errors).toEqual([error]);
+  });
+
+  test('warns about TXA given after the 3 h cutoff or without a time of injury', () => {
+    const late = { ...plannedTxa(), status: 'ACTIVE', startedAt: at(181).toISOString() };
+
+    expect(timers.validate(late)).toEqual({ valid: true, errors: [], warnings: ['TXA given more than 3 h after injury'] });
+    expect(timers.validate(plannedTxa({ injuredAt: null })).warnings)
+      .toEqual(['Time of injury unknown - TXA cutoff counted from when TXA was logged']);
+  });
+});
+
+describe('tourniquet milestones', () => {
+  test.each([
+    [59, []],
+    [60, [['TQ_1H', 'high']]],
+    [120, [['TQ_CONVERSION', 'critical']]],
+    [360, [['TQ_6H', 'critical']]]
+  ])('after %i min: %j', (minutes, expected) => {
+    expect(milestoneAlerts(tourniquet(), minutes).map(alert => [alert.key, alert.priority])).toEqual(expected);
+  });
+
+  test('names the limb in the message', () => {
+    expect(milestoneAlerts(tourniquet(), 60)[0].message).toBe('Tourniquet (left thigh) on 1 h - plan conversion before the 2 h mark');
+  });
+
+  test('a missed milestone is superseded by the later one and fires no more', () => {
+    const [conversion] = milestoneAlerts(tourniquet(), 130);
+    expect(conversion).toMatchObject({ key: 'TQ_CONVERSION', supersedes: ['TQ_1H'] });
+
+    const fired = timers.markFired(tourniquet(), [conversion]);
+    expect(fired.firedAlerts).toEqual(['TQ_CONVERSION', 'TQ_1H']);
+    expect(milestoneAlerts(fired, 200)).toEqual([]);
+    expect(milestoneAlerts(fired, 360).map(alert => alert.key)).toEqual(['TQ_6H']);
+  });
+
+  test('stop once the tourniquet is removed', () => {
+    const removed = timers.end(tourniquet(), 'REMOVED', at(90));
+
+    expect(timers.getDueAlerts(removed, at(400))).toEqual([]);
+    expect(timers.getStatus(removed, at(400))).toMatchObject({ status: 'REMOVED', elapsedMinutes: 90, nextMilestone: null });
+  });
+
+  test('the timer shows the next milestone', () => {
+    expect(timers.getStatus(tourniquet(), at(30)).nextMilestone).toMatchObject({ id: 'TQ_1H', inMinutes: 30, at: at(60).toISOString() });
+  });
+});
+
+describe('TXA cutoff', () => {
+  test.each([
+    [149, []],
+    [150, ['TXA_30_MIN']],
+    [180, ['TXA_CUTOFF']]
+  ])('while PLANNED, %i min after injury: %j', (minutes, expected) => {
+    expect(milestoneAlerts(plannedTxa(), minutes).map(alert => alert.key)).toEqual(expected);
+  });
+
+  test('counts from the time of injury, not from when it was logged', () => {
+    expect(timers.getStatus(plannedTxa(), at(100)).nextMilestone).toMatchObject({ id: 'TXA_30_MIN', inMinutes: 50 });
+  });
+
+  test('falls back to when it was planned without a time of injury', () => {
+    expect(milestoneAlerts(plannedTxa({ injuredAt: null }), 160).map(alert => alert.key)).toEqual(['TXA_30_MIN']);
+  });
+
+  test('stops counting once TXA is given', () => {
+    const given = timers.start(plannedTxa(), at(90));
+
+    expect(given).toMatchObject({ status: 'ACTIVE', startedAt: at(90).toISOString() });
+    expect(timers.getDueAlerts(given, at(200))).toEqual([]);
+  });
+});
+
+describe('reassessment', () => {
+  test.each([
+    [14, []],
+    [15, [['medium', 'Reassess tourniquet (left thigh): bleeding controlled, distal pulse absent']]],
+    [30, [['high', 'OVERDUE: Reassess tourniquet (left thigh): bleeding controlled, distal pulse absent']]],
+    [60, [['critical', 'OVERDUE: Reassess tourniquet (left thigh): bleeding controlled, distal pulse absent']]]
+  ])('escalates while missed: after %i min', (minutes, expected) => {
+    expect(reassessmentAlerts(tourniquet(), minutes).map(alert => [alert.priority, alert.message])).toEqual(expected);
+  });
+
+  test('each escalation step fires once', () => {
+    const due = reassessmentAlerts(tourniquet(), 15);
+    const fired = timers.markFired(tourniquet(), due);
+
+    expect(reassessmentAlerts(fired, 20)).toEqual([]);
+    expect(reassessmentAlerts(fired, 30).map(alert => alert.priority)).toEqual(['high']);
+  });
+
+  test('a recorded reassessment restarts the interval', () => {
+    const reassessed = timers.reassess(tourniquet(), at(20));
+
+    expect(reassessmentAlerts(reassessed, 30)).toEqual([]);
+    expect(timers.getStatus(reassessed, at(40))).toMatchObject({
+      nextReassessmentAt: at(35).toISOString(),
+      reassessmentOverdueMinutes: 5
+    });
+  });
+
+  test('TXA has no reassessment interval', () => {
+    expect(timers.getNextReassessment(timers.start(plannedTxa(), at(30)))).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MedicalLexicon from '../../../shared/diagnosis/MedicalLexicon.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readMl = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, '../../ml', file), 'utf8'));
+const lexiconData = readMl('lexicon.json');
+const lexicon = new MedicalLexicon(lexiconData, Object.keys(readMl('symptomMap.json')));
+
+const qualifyOne = (text) => {
+  const findings = lexicon.qualify(text);
+  expect(findings).toHaveLength(1);
+  return findings[0];
+};
+
+const conceptOf = (text) => lexicon.analyze(text).concepts[0];
+
+describe('abbreviations', () => {
+  test.each([
+    ['GSW to thigh', 'gunshot wound to thigh', 'gunshot wound'],
+    ['TBI', 'traumatic brain injury', 'concussion'],
+    ['SOB', 'shortness of breath', 'difficulty breathing'],
+    ['LOC', 'loss of consciousness', 'concussion']
+  ])('expands "%s" to "%s"', (text, normalized, concept) => {
+    expect(lexicon.analyze(text).normalized).toBe(normalized);
+    expect(conceptOf(text)).toMatchObject({ concept, via: 'abbreviation', score: 0.95 });
+  });
+
+  test('reports the abbreviation once as the matched text', () => {
+    expect(conceptOf('GSW').matched).toBe('gsw');
+  });
+});
+
+describe('synonyms', () => {
+  test.each([
+    ['shot in leg', 'gunshot wound'],
+    ['shrapnel in left arm', 'shrapnel wound'],
+    ['burnt hand', 'burn'],
+    ['broken bones', 'fracture'],
+    ['losing blood', 'bleeding']
+  ])('reads "%s" as %s', (text, concept) => {
+    expect(conceptOf(text)).toMatchObject({ concept, via: 'synonym', score: 0.95 });
+  });
+});
+
+describe('stemming', () => {
+  test.each([
+    ['fractured femur', 'fracture'],
+    ['burns', 'burn'],
+    ['bleeding heavily', 'bleeding']
+  ])('matches the inflection "%s" exactly', (text, concept) => {
+    expect(conceptOf(text)).toMatchObject({ concept, via: 'exact', score: 1 });
+  });
+
+  test('strips a silent final e so both forms share a stem', () => {
+    expect(lexicon.stem('fractured')).toBe(lexicon.stem('fracture'));
+    expect(lexicon.stem('bones')).toBe(lexicon.stem('bone'));
+  });
+});
+
+describe('spelling tolerance', () => {
+  test.each([
+    ['hemorage', 'hemorrhage', 'bleeding'],
+    ['shrapnell', 'shrapnel', 'shrapnel wound'],
+    ['concusion', 'concussion', 'concussion']
+  ])('corrects "%s" to "%s"', (text, corrected, concept) => {
+    expect(lexicon.analyze(text).normalized).toBe(corrected);
+    expect(conceptOf(text)).toMatchObject({ concept, via: 'spelling', score: 0.85 });
+  });
+
+  test('leaves short words and words with digits alone', () => {
+    expect(lexicon.analyze('brun').normalized).toBe('brun');
+    expect(lexicon.analyze('bleeding2').normalized).toBe('bleeding2');
+  });
+});
+
+describe('body parts', () => {
+  test.each([
+    ['GSW to thigh', ['leg']],
+    ['burnt hand', ['hand']],
+    ['shrapnel in left arm and chest', ['chest', 'arm']],
+    ['headache', []]
+  ])('"%s" mentions %p', (text, regions) => {
+    expect(lexicon.extractBodyParts(text).sort()).toEqual([...regions].sort());
+  });
+});
+
+describe('similarity', () => {
+  test('scores a concept match by how it was found', () => {
+    expect(lexicon.similarity('gunshot wound', 'gunshot wound')).toBe(1);
+    expect(lexicon.similarity('GSW to thigh', 'gunshot wound')).toBe(0.95);
+    expect(lexicon.similarity('hemorage', 'bleeding')).toBe(0.85);
+  });
+
+  test('falls back to stemmed word overlap without stop words', () => {
+    expect(lexicon.similarity('pain in the chest', 'chest pain')).toBe(1);
+    expect(lexicon.similarity('sore throat', 'bleeding')).toBe(0);
+  });
+});
+
+describe('negation', () => {
+  test.each([
+    ['no chest pain', 'no', 'chest pain'],
+    ['not bleeding', 'not', 'bleeding'],
+    ['denies headache', 'denies', 'headache'],
+    ['denied nausea', 'denied', 'nausea'],
+    ['without vomiting', 'without', 'vomiting'],
+    ['negative for fracture', 'negative for', 'fracture'],
+    ['absent deformity', 'absent', 'deformity'],
+    ['never lost consciousness', 'never', 'lost consciousness'],
+    ['none of the above', 'none', 'of the above']
+  ])('"%s" is negated by "%s"', (text, cue, negatedText) => {
+    expect(qualifyOne(text)).toMatchObject({ text: negatedText, negated: true, cue });
+  });
+
+  test('keeps the words before the cue affirmed', () => {
+    expect(lexicon.qualify('leg pain no bleeding')).toMatchObject([
+      { text: 'leg pain', negated: false },
+      { text: 'bleeding', negated: true, cue: 'no' }
+    ]);
+  });
+
+  test('ends at a clause break', () => {
+    expect(lexicon.qualify('no chest pain but difficulty breathing')).toMatchObject([
+      { text: 'chest pain', negated: true },
+      { text: 'difficulty breathing', negated: false }
+    ]);
+  });
+
+  test('a negated complaint about a vital function stays a pertinent negative', () => {
+    expect(qualifyOne('no breathing difficulty')).toMatchObject({ text: 'breathing difficulty', negated: true });
+    expect(qualifyOne('not breathing normally')).toMatchObject({ text: 'breathing normally', negated: true });
+  });
+});
+
+describe('absent vital functions', () => {
+  test.each([
+    ['no breathing', 'not breathing', { breathing: 'absent' }],
+    ['not breathing', 'not breathing', { breathing: 'absent' }],
+    ['absent breathing', 'not breathing', { breathing: 'absent' }],
+    ['no respirations', 'not breathing', { breathing: 'absent' }],
+    ['no spontaneous respiration', 'not breathing', { breathing: 'absent' }],
+    ['no chest rise', 'not breathing', { breathing: 'absent' }],
+    ['no pulse', 'no pulse', { perfusion: 'absent' }],
+    ['no palpable carotid pulse', 'no pulse', { perfusion: 'absent' }],
+    ['no signs of life', 'no pulse', { perfusion: 'absent' }],
+    ['no radial pulse', 'no radial pulse', { perfusion: 'weak' }],
+    ['not conscious', 'unconscious', { mentalStatus: 'unresponsive' }],
+    ['not responsive', 'unconscious', { mentalStatus: 'unresponsive' }],
+    ['not responding', 'unconscious', { mentalStatus: 'unresponsive' }],
+    ['no response to pain', 'unconscious', { mentalStatus: 'unresponsive' }],
+    ['no breath sounds', 'absent breath sounds', null]
+  ])('"%s" is the finding "%s"', (text, finding, survey) => {
+    expect(qualifyOne(text)).toMatchObject({
+      text: finding,
+      negated: false,
+      absentFunction: { finding, survey }
+    });
+  });
+
+  test.each([
+    ['pulse absent', 'no pulse'],
+    ['breathing not detected', 'not breathing'],
+    ['radial pulse not palpable', 'no radial pulse']
+  ])('reads the cue after the function: "%s"', (text, finding) => {
+    expect(qualifyOne(text)).toMatchObject({ text: finding, negated: false, absentFunction: { finding } });
+  });
+
+  test.each([
+    ['apneic', 'not breathing'],
+    ['pulseless', 'no pulse'],
+    ['unresponsive after the blast', 'unconscious']
+  ])('recognises "%s" without a cue', (text, finding) => {
+    expect(qualifyOne(text)).toMatchObject({ text, negated: false, absentFunction: { finding } });
+  });
+
+  test('qualifies the context after the function as its own clause', () => {
+    expect(lexicon.qualify('not breathing after the blast')).toMatchObject([
+      { text: 'not breathing', absentFunction: { finding: 'not breathing' } },
+      { text: 'after the blast', negated: false }
+    ]);
+    expect(lexicon.qualify('not breathing and no pulse')).toMatchObject([
+      { text: 'not breathing', absentFunction: { finding: 'not breathing' } },
+      { text: 'no pulse', absentFunction: { finding: 'no pulse' } }
+    ]);
+  });
+
+  test('a distal pulse is not cardiac arrest', () => {
+    expect(qualifyOne('no pulse in left foot')).toMatchObject({ text: 'pulse in left foot', negated: true });
+  });
+
+  test('keeps the rest of the clause', () => {
+    expect(lexicon.qualify('gunshot wound chest not breathing')).toMatchObject([
+      { text: 'gunshot wound chest', negated: false },
+      { text: 'not breathing', absentFunction: { finding: 'not breathing' } }
+    ]);
+  });
+});
+
+describe('temporal qualifiers', () => {
+  test('a past finding followed by a current one is resolved', () => {
+    expect(lexicon.qualify('was not breathing, now breathing')).toMatchObject([
+      { text: 'not breathing', temporal: 'past', resolved: true },
+      { text: 'now breathing', temporal: 'current', resolved: false }
+    ]);
+  });
+
+  test('a past finding alone is not resolved', () => {
+    expect(qualifyOne('was unconscious')).toMatchObject({ temporal: 'past', resolved: false });
+  });
+});
+
+describe('severity qualifiers', () => {
+  test.each(Object.entries(lexiconData.qualifiers.severity))('"%s" scales by %d', (modifier, factor) => {
+    expect(qualifyOne(`${modifier} bleeding from leg`).severity).toEqual({ modifier, factor });
+  });
+
+  test('an unqualified finding has no severity', () => {
+    expect(qualifyOne('bleeding from leg').severity).toBeNull();
+  });
+});
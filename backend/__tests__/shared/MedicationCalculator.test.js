@@ -0,0 +1,260 @@
+import MedicationCalculator, { FORMULARY } from '../../../shared/medications/MedicationCalculator.js';
+
+const calculator = new MedicationCalculator();
+
+const MEDIC = ['medications:administer'];
+const BUDDY = ['medications:buddy-aid'];
+
+const T0 = new Date('2026-03-01T10:00:00Z');
+const at = minutes => new Date(T0.getTime() + minutes * 60000).toISOString();
+
+// A dose given `minutes` before T0
+const given = (drug, dose, minutes) => ({ drug, dose, administeredAt: at(-minutes) });
+const check = request => calculator.check({ permissions: MEDIC, weightKg: 80, now: T0, ...request });
+const codesOf = result => result.errors.map(error => error.code);
+
+// A symptomMap match as analyzeSymptoms returns it
+const diagnosis = morphineAuthorization => ({ diagnosis: 'Test condition', metadata: { militaryContext: { morphineAuthorization } } });
+
+describe('calculateDose', () => {
+  test.each([
+    ['MORPHINE', 80, { dose: 4, unit: 'mg', basis: '0.05 mg/kg x 80 kg', warnings: [] }],
+    ['MORPHINE', 100, { dose: 4, unit: 'mg', basis: '0.05 mg/kg x 100 kg', warnings: ['Calculated 5 mg clamped to the 2-4 mg range'] }],
+    ['KETAMINE', 50, { dose: 20, unit: 'mg', basis: '0.3 mg/kg x 50 kg', warnings: ['Calculated 15 mg clamped to the 20-30 mg range'] }],
+    ['FENTANYL', undefined, { dose: 50, unit: 'mcg', basis: 'standard adult dose', warnings: ['Weight unknown - standard adult starting dose used'] }],
+    ['TXA', 80, { dose: 1000, unit: 'mg', basis: 'fixed dose', warnings: [] }]
+  ])('%s at %s kg', (drug, weightKg, expected) => {
+    expect(calculator.calculateDose(drug, { weightKg })).toEqual(expected);
+  });
+
+  test('is null for a drug outside the formulary', () => {
+    expect(calculator.calculateDose('ASPIRIN')).toBeNull();
+  });
+});
+
+describe('deriveFlags', () => {
+  test('raises nothing without findings', () => {
+    expect(calculator.deriveFlags()).toEqual({
+      headInjury: false,
+      hypotension: false,
+      alteredConsciousness: false,
+      respiratoryDepression: false
+    });
+  });
+
+  test.each([
+    [{ symptoms: 'head wound' }, 'headInjury', true],
+    [{ symptoms: 'headache' }, 'headInjury', false],
+    [{ injuries: [{ type: 'fracture', location: 'skull' }] }, 'headInjury', true],
+    [{ analysis: { differentialDiagnosis: [{ diagnosis: 'Concussion', historical: true }] } }, 'headInjury', false],
+    [{ analysis: { differentialDiagnosis: [{ diagnosis: 'Bleeding', bodyParts: ['brain'] }] } }, 'headInjury', true],
+    [{ vitals: { bloodPressure: '89/60' } }, 'hypotension', true],
+    [{ vitals: { bloodPressure: '90/60' } }, 'hypotension', false],
+    [{ vitals: { bloodPressure: { systolic: 70, diastolic: 40 } } }, 'hypotension', true],
+    [{ analysis: { vitalSignsAssessment: { concerns: ['Hypotension'] } } }, 'hypotension', true],
+    [{ vitals: { avpu: 'voice' } }, 'alteredConsciousness', true],
+    [{ vitals: { avpu: 'A' } }, 'alteredConsciousness', false],
+    [{ analysis: { vitalScores: { gcs: { value: 14 } } } }, 'alteredConsciousness', true],
+    [{ vitals: { respiratoryRate: 8 } }, 'respiratoryDepression', true],
+    [{ analysis: { vitalSignsAssessment: { concerns: ['Bradypnea'] } } }, 'respiratoryDepression', true]
+  ])('%j: %s is %s', (findings, flag, expected) => {
+    expect(calculator.deriveFlags(findings)[flag]).toBe(expected);
+  });
+});
+
+describe('isMorphineAuthorized', () => {
+  test.each([
+    [undefined, undefined],
+    [{ differentialDiagnosis: [{ diagnosis: 'No flag' }] }, undefined],
+    [{ differentialDiagnosis: [diagnosis(false), diagnosis(false)] }, false],
+    [{ differentialDiagnosis: [diagnosis(false), diagnosis(true)] }, true],
+    [{ primaryDiagnosis: diagnosis(true) }, true]
+  ])('%j is %s', (analysis, expected) => {
+    expect(calculator.isMorphineAuthorized(analysis)).toBe(expected);
+  });
+});
+
+describe('summarize', () => {
+  test('totals the doses and gives the next allowed time', () => {
+    expect(calculator.summarize('MORPHINE', [given('MORPHINE', 4, 30), given('MORPHINE', 4, 5), given('KETAMINE', 20, 5)], T0)).toEqual({
+      drug: 'MORPHINE',
+      name: 'Morphine',
+      unit: 'mg',
+      doses: 2,
+      totalDose: 8,
+      maxCumulative: 20,
+      remaining: 12,
+      lastGivenAt: at(-5),
+      nextAllowedAt: at(5),
+      canRedoseNow: false
+    });
+  });
+
+  test('counts only the doses inside a drug\'s cumulative window', () => {
+    const summary = calculator.summarize('ACETAMINOPHEN', [given('ACETAMINOPHEN', 1000, 25 * 60), given('ACETAMINOPHEN', 1000, 9 * 60)], T0);
+
+    expect(summary).toMatchObject({ doses: 2, totalDose: 1000, remaining: 2000, canRedoseNow: true });
+  });
+});
+
+describe('check', () => {
+  test('allows a calculated dose by the default route', () => {
+    expect(check({ drug: 'morphine' })).toMatchObject({
+      allowed: true,
+      drug: 'MORPHINE',
+      name: 'Morphine',
+      dose: 4,
+      unit: 'mg',
+      route: 'IV',
+      contraindications: [],
+      errors: [],
+      warnings: []
+    });
+  });
+
+  test('refuses a drug outside the formulary', () => {
+    expect(check({ drug: 'aspirin' })).toEqual({
+      allowed: false,
+      drug: 'ASPIRIN',
+      errors: [{ code: 'UNKNOWN_DRUG', message: `Drug must be one of ${Object.keys(FORMULARY).join(', ')}` }],
+      warnings: []
+    });
+  });
+
+  test('pill-pack drugs are open to buddy aid, controlled ones only to medics', () => {
+    expect(check({ drug: 'MELOXICAM', permissions: BUDDY }).allowed).toBe(true);
+    expect(check({ drug: 'MORPHINE', permissions: BUDDY }).errors)
+      .toEqual([{ code: 'NOT_AUTHORIZED', message: 'Morphine requires one of: medications:administer' }]);
+    expect(codesOf(check({ drug: 'MELOXICAM', permissions: [] }))).toEqual(['NOT_AUTHORIZED']);
+  });
+
+  test('refuses a route the drug is not given by', () => {
+    expect(check({ drug: 'MORPHINE', route: 'po' }).errors)
+      .toEqual([{ code: 'INVALID_ROUTE', message: 'Morphine route must be one of IV, IO, IM' }]);
+  });
+
+  test.each(Object.entries(FORMULARY))('%s refuses more than its single-dose maximum', (drug, { dose, unit }) => {
+    const singleMax = dose.fixed ?? dose.max;
+
+    expect(check({ drug, dose: singleMax }).errors.filter(error => error.code === 'INVALID_DOSE')).toEqual([]);
+    expect(check({ drug, dose: singleMax + 1 }).errors).toContainEqual({
+      code: 'INVALID_DOSE',
+      message: `${singleMax + 1} ${unit} exceeds the single-dose maximum of ${singleMax} ${unit}`
+    });
+  });
+
+  test.each([0, -2, 'two'])('refuses a dose of %j', (dose) => {
+    expect(check({ drug: 'MORPHINE', dose }).errors).toEqual([{ code: 'INVALID_DOSE', message: 'Dose must be a positive number' }]);
+  });
+
+  test('refuses a redose before the interval has passed', () => {
+    const result = check({ drug: 'MORPHINE', history: [given('MORPHINE', 4, 4)] });
+
+    expect(result.errors).toEqual([{ code: 'REDOSE_TOO_SOON', message: `Next Morphine dose not before ${at(6)} (6 min)` }]);
+    expect(check({ drug: 'MORPHINE', history: [given('MORPHINE', 4, 10)] }).allowed).toBe(true);
+  });
+
+  test.each([
+    ['MORPHINE', [40, 30, 20, 15, 10].map(minutes => given('MORPHINE', 4, minutes)), 'Cumulative Morphine would reach 24 mg (max 20 mg)'],
+    ['ACETAMINOPHEN', [23, 16, 8].map(hours => given('ACETAMINOPHEN', 1000, hours * 60)), 'Cumulative Acetaminophen would reach 4000 mg (max 3000 mg per 24 h)'],
+    ['TXA', [given('TXA', 1000, 60), given('TXA', 1000, 30)], 'Cumulative Tranexamic acid would reach 3000 mg (max 2000 mg)']
+  ])('refuses %s past its cumulative maximum', (drug, history, message) => {
+    expect(check({ drug, history, timeOfInjury: at(-90) }).errors).toEqual([{ code: 'MAX_DOSE_EXCEEDED', message }]);
+  });
+
+  describe('TXA 3 h cutoff', () => {
+    test.each([
+      [180, true],
+      [181, false]
+    ])('a first dose %i min after injury is allowed: %s', (minutes, allowed) => {
+      const result = check({ drug: 'TXA', timeOfInjury: at(-minutes) });
+
+      expect(result.allowed).toBe(allowed);
+      expect(result.contraindications).toEqual(allowed ? [] : ['TXA_AFTER_3H']);
+    });
+
+    test('does not stop the second gram', () => {
+      expect(check({ drug: 'TXA', timeOfInjury: at(-240), history: [given('TXA', 1000, 70)] }).allowed).toBe(true);
+    });
+
+    test('warns when the time of injury is unknown', () => {
+      expect(check({ drug: 'TXA' })).toMatchObject({
+        allowed: true,
+        warnings: ['Time of injury unknown - confirm TXA is within 3 h of injury']
+      });
+    });
+  });
+
+  describe('opioids', () => {
+    const hypotensive = { vitals: { bloodPressure: '80/50' } };
+
+    test('morphine is blocked by hypotension, fentanyl and ketamine are not', () => {
+      expect(check({ drug: 'MORPHINE', ...hypotensive })).toMatchObject({
+        allowed: false,
+        contraindications: ['HYPOTENSION'],
+        errors: [{ code: 'CONTRAINDICATED', message: 'Hypotension - consider fentanyl or ketamine instead' }]
+      });
+      expect(check({ drug: 'FENTANYL', ...hypotensive }).allowed).toBe(true);
+      expect(check({ drug: 'KETAMINE', ...hypotensive }).allowed).toBe(true);
+    });
+
+    test('no opioid with head injury plus hypotension', () => {
+      const headInjured = { ...hypotensive, symptoms: ['head wound'] };
+
+      expect(check({ drug: 'MORPHINE', ...headInjured }).contraindications).toEqual(['HEAD_INJURY_HYPOTENSION', 'HYPOTENSION']);
+      expect(check({ drug: 'FENTANYL', ...headInjured }).contraindications).toEqual(['HEAD_INJURY_HYPOTENSION']);
+    });
+
+    test('uses precomputed flags instead of deriving them', () => {
+      const flags = { headInjury: false, hypotension: false, alteredConsciousness: false, respiratoryDepression: true };
+
+      expect(check({ drug: 'FENTANYL', flags, ...hypotensive }).contraindications).toEqual(['RESPIRATORY_DEPRESSION']);
+    });
+
+    test('warn when the diagnosis does not pre-authorize them', () => {
+      const warning = 'Opioids are not pre-authorized for the current diagnosis - confirm with the medical officer';
+
+      expect(check({ drug: 'MORPHINE', morphineAuthorized: false })).toMatchObject({ allowed: true, warnings: [warning] });
+      expect(check({ drug: 'MORPHINE', morphineAuthorized: undefined }).warnings).toEqual([]);
+      expect(check({ drug: 'KETAMINE', morphineAuthorized: false }).warnings).toEqual([]);
+    });
+  });
+
+  test.each([
+    ['MORPHINE', 'Morphine', 'Documented allergy (morphine)'],
+    ['MELOXICAM', 'NSAIDs', 'Documented allergy (nsaid)'],
+    ['MOXIFLOXACIN', 'penicillin', null]
+  ])('%s with an allergy to %s', (drug, allergies, message) => {
+    expect(check({ drug, allergies }).errors).toEqual(message ? [{ code: 'CONTRAINDICATED', message }] : []);
+  });
+
+  test('nothing by mouth with altered consciousness', () => {
+    expect(check({ drug: 'ACETAMINOPHEN', vitals: { avpu: 'P' } }).errors)
+      .toEqual([{ code: 'CONTRAINDICATED', message: 'Altered consciousness - nothing by mouth' }]);
+  });
+
+  describe('overrides', () => {
+    test('turn contraindications into logged warnings', () => {
+      const result = check({ drug: 'MORPHINE', vitals: { bloodPressure: '80/50' }, overrideReason: 'MO approved' });
+
+      expect(result).toMatchObject({
+        allowed: true,
+        contraindications: ['HYPOTENSION'],
+        errors: [],
+        warnings: ['Contraindication overridden (MO approved): Hypotension - consider fentanyl or ketamine instead']
+      });
+    });
+
+    test('do not lift authorization, dose or timing limits', () => {
+      const result = check({
+        drug: 'MORPHINE',
+        dose: 10,
+        permissions: BUDDY,
+        history: [given('MORPHINE', 4, 2)],
+        overrideReason: 'MO approved'
+      });
+
+      expect(codesOf(result)).toEqual(['NOT_AUTHORIZED', 'INVALID_DOSE', 'REDOSE_TOO_SOON']);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RuleEngine from '../../../shared/diagnosis/RuleEngine.js';
+import DiagnosisEngine from '../../../shared/diagnosis/DiagnosisEngine.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readMl = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, '../../ml', file), 'utf8'));
+
+const emergencyKeywords = readMl('emergencyKeywords.json');
+const pack = readMl('rulePacks/default-1.2.0.json');
+const engine = new DiagnosisEngine({
+  symptomMap: readMl('symptomMap.json'),
+  lexicon: readMl('lexicon.json'),
+  emergencyKeywords,
+  rulePack: pack
+});
+
+const score = async (symptoms) => {
+  const analysis = await engine.analyzeSymptoms(symptoms, {});
+  return analysis.explanation.triageScoring;
+};
+
+describe('severity rules', () => {
+  test.each(['massive', 'uncontrolled', 'profuse'])('"%s bleeding" fires on its own and is IMMEDIATE', async (modifier) => {
+    const scoring = await score(`${modifier} bleeding from leg`);
+
+    expect(scoring.level).toBe('IMMEDIATE');
+    expect(scoring.contributions).toEqual([
+      expect.objectContaining({
+        id: 'severity-massive-hemorrhage',
+        type: 'severity',
+        weight: 70,
+        evidence: expect.objectContaining({ concepts: ['bleeding'], raises: null })
+      })
+    ]);
+  });
+
+  test.each(['severe', 'heavy', 'major'])('"%s bleeding" scores 40', async (modifier) => {
+    const scoring = await score(`${modifier} bleeding`);
+
+    expect(scoring.score).toBe(40);
+    expect(scoring.level).toBe('DELAYED');
+  });
+
+  test.each(['mild', 'slight', 'minor', 'moderate'])('"%s bleeding" fires no severity rule', async (modifier) => {
+    const scoring = await score(`${modifier} bleeding`);
+
+    expect(scoring.contributions.filter(rule => rule.type === 'severity')).toEqual([]);
+  });
+
+  test('recognises bleeding by its synonyms', async () => {
+    expect((await score('uncontrolled hemorrhage')).level).toBe('IMMEDIATE');
+  });
+
+  test('raises a keyword rule that already fired to the severity weight', async () => {
+    const scoring = await score('massive hemorrhage');
+
+    expect(scoring.score).toBe(70);
+    expect(scoring.contributions).toEqual([
+      expect.objectContaining({ id: 'keyword-critical', weight: 40 }),
+      expect.objectContaining({ id: 'severity-massive-hemorrhage', weight: 30, evidence: expect.objectContaining({ raises: { rule: 'keyword-critical', weight: 40 } }) })
+    ]);
+  });
+
+  test('does not add to a keyword rule that already weighs more', async () => {
+    const scoring = await score('massive gunshot bleeding');
+
+    expect(scoring.contributions.map(rule => rule.id)).toEqual(['keyword-combat', 'severity-massive-hemorrhage']);
+    expect(scoring.score).toBe(70);
+  });
+
+  test('any other finding qualified as massive fires the generic rule', async () => {
+    const scoring = await score('massive swelling');
+
+    expect(scoring.contributions).toEqual([expect.objectContaining({ id: 'severity-critical-finding', weight: 40 })]);
+  });
+});
+
+describe('keyword severity scaling', () => {
+  test('a modifier scales the keyword rule it qualifies', async () => {
+    expect((await score('mild chest pain')).contributions).toEqual([
+      expect.objectContaining({ id: 'keyword-urgent', weight: 13 })
+    ]);
+  });
+
+  test('a keyword that names the modifier is not scaled again', async () => {
+    expect((await score('severe pain')).contributions).toEqual([
+      expect.objectContaining({ id: 'keyword-urgent', weight: 25 })
+    ]);
+  });
+});
+
+describe('keyword rules on the lexicon reading', () => {
+  test.each([
+    ['GSW to thigh', 'gunshot wound to thigh'],
+    ['SOB', 'difficulty breathing'],
+    ['frag wound leg', 'shrapnel wound']
+  ])('"%s" scores as "%s"', async (written, interpreted) => {
+    const scoring = await score(written);
+
+    expect(scoring.score).toBe((await score(interpreted)).score);
+    expect(scoring.score).toBeGreaterThan(0);
+    expect(scoring.contributions[0].evidence).toMatchObject({ symptom: written.toLowerCase(), interpretedAs: interpreted });
+  });
+
+  test('prefers the text as written', async () => {
+    expect((await score('gunshot wound to chest')).contributions[0].evidence).not.toHaveProperty('interpretedAs');
+  });
+});
+
+describe('absent vital functions', () => {
+  test.each([
+    ['no breathing', { breathing: 'absent' }],
+    ['not conscious', { mentalStatus: 'unresponsive' }],
+    ['absent breathing', { breathing: 'absent' }],
+    ['no respirations', { breathing: 'absent' }]
+  ])('"%s" scores as a critical finding and reaches the primary survey', async (symptoms, survey) => {
+    const analysis = await engine.analyzeSymptoms(symptoms, {});
+
+    expect(analysis.explanation.triageScoring.contributions).toEqual([expect.objectContaining({ id: 'keyword-critical' })]);
+    expect(analysis.primarySurvey).toEqual(survey);
+  });
+
+  test('a resolved absent function does not reach the primary survey', async () => {
+    const analysis = await engine.analyzeSymptoms('was not breathing, now breathing', {});
+
+    expect(analysis.primarySurvey).toEqual({});
+  });
+});
+
+describe('rule pack validation', () => {
+  test('accepts the bundled packs', () => {
+    ['default-1.0.0.json', 'default-1.1.0.json', 'default-1.2.0.json'].forEach(file => {
+      expect(RuleEngine.validatePack(readMl(`rulePacks/${file}`))).toEqual([]);
+    });
+  });
+
+  test('rejects a severity rule without a minFactor', () => {
+    const invalid = { ...pack, severityRules: [{ id: 'severity-x', weight: 10, concepts: 'bleeding' }] };
+
+    expect(RuleEngine.validatePack(invalid)).toEqual([
+      'severity rule severity-x minFactor must be a number',
+      'severity rule severity-x concepts must be an array'
+    ]);
+  });
+
+  test.each([
+    [{ keywordRules: { 'keyword-x': { weight: 10, keywords: ['bleeding'] } } }, ['keywordRules must be an array']],
+    [{ keywordRules: undefined }, ['keywordRules must be an array']],
+    [{ vitalRules: 'none', severityRules: {} }, ['vitalRules must be an array', 'severityRules must be an array']],
+    [{ combinationRules: { requires: ['keyword-x'] } }, ['combinationRules must be an array']]
+  ])('reports rule lists that are not arrays instead of throwing: %j', (changes, errors) => {
+    // Without combination rules, whose requires would name the rules dropped with the list
+    const invalid = { ...pack, combinationRules: [], ...changes };
+
+    expect(RuleEngine.validatePack(invalid)).toEqual(errors);
+    expect(() => new RuleEngine(invalid)).toThrow(`Invalid rule pack ${pack.id}@${pack.version}: ${errors.join('; ')}`);
+  });
+});
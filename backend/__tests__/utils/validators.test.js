@@ -0,0 +1,81 @@
+import MedicalValidators, { MAX_LIST_LIMIT } from '../../utils/validators.js';
+
+const { validateVitalSigns, parseLimit } = MedicalValidators;
+
+describe('validateVitalSigns', () => {
+  test('parses every accepted input', () => {
+    expect(validateVitalSigns({
+      heartRate: '112',
+      respiratoryRate: 24,
+      bloodPressure: '90/60',
+      oxygenSaturation: 93,
+      temperature: '35.5',
+      capillaryRefill: 3,
+      avpu: 'voice',
+      gcs: { eye: 3, verbal: '4', motor: 5 },
+      supplementalOxygen: 'true'
+    })).toEqual({
+      valid: true,
+      validated: {
+        heartRate: 112,
+        respiratoryRate: 24,
+        bloodPressure: { systolic: 90, diastolic: 60 },
+        oxygenSaturation: 93,
+        temperature: 35.5,
+        capillaryRefill: 3,
+        avpu: 'V',
+        gcs: { eye: 3, verbal: 4, motor: 5 },
+        supplementalOxygen: true
+      }
+    });
+  });
+
+  test('keeps the readings of a casualty in arrest or deep shock', () => {
+    const result = validateVitalSigns({
+      heartRate: 0,
+      respiratoryRate: 0,
+      bloodPressure: { systolic: 50, diastolic: 30 },
+      oxygenSaturation: 0,
+      temperature: 22
+    });
+
+    expect(result.valid).toBe(true);
+  });
+
+  test.each([
+    [{ heartRate: 320 }, 'Heart rate must be between 0 and 300 BPM'],
+    [{ heartRate: 'fast' }, 'Heart rate must be between 0 and 300 BPM'],
+    [{ respiratoryRate: -1 }, 'Respiratory rate must be between 0 and 80 breaths per minute'],
+    [{ bloodPressure: '120-80' }, 'Blood pressure must be in format "120/80"'],
+    [{ bloodPressure: '80/120' }, 'Blood pressure values out of reasonable range'],
+    [{ oxygenSaturation: 140 }, 'Oxygen saturation must be between 0% and 100%'],
+    [{ temperature: 60 }, 'Temperature must be between 20 and 45 °C'],
+    [{ capillaryRefill: 12 }, 'Capillary refill must be between 0 and 10 seconds'],
+    [{ avpu: 'X' }, 'AVPU must be one of A (alert), V (voice), P (pain) or U (unresponsive)'],
+    [{ gcs: 2 }, 'GCS must be an object with eye, verbal and motor scores'],
+    [{ gcs: { eye: 5, verbal: 5, motor: 6 } }, 'GCS eye score must be between 1 and 4']
+  ])('rejects %j', (vitalSigns, error) => {
+    expect(validateVitalSigns(vitalSigns)).toEqual({ valid: false, errors: [error] });
+  });
+
+  test('reports every invalid reading', () => {
+    expect(validateVitalSigns({ heartRate: 400, oxygenSaturation: 140 }).errors).toHaveLength(2);
+  });
+
+  test('rejects a payload that is not an object', () => {
+    expect(validateVitalSigns('120/80')).toEqual({ valid: false, error: 'Vital signs must be an object' });
+  });
+});
+
+describe('parseLimit', () => {
+  test.each([
+    ['25', 25],
+    [undefined, 50],
+    ['abc', 50],
+    ['0', 50],
+    ['-5', 50],
+    ['100000', MAX_LIST_LIMIT]
+  ])('%j is %i', (limit, expected) => {
+    expect(parseLimit(limit, 50)).toBe(expected);
+  });
+});
@@ -1,4 +1,19 @@
-import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+// The native binding is much faster, but it is built per platform; the pure-JS CPU backend runs the
+// same models (and gives the same results) where it isn't available
+const tf = await import('@tensorflow/tfjs-node').catch(async () => {
+  console.warn('⚠️ Native TensorFlow.js binding unavailable - using the pure JS CPU backend');
+  return import('@tensorflow/tfjs');
+});
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODELS_DIR = path.join(__dirname, '../ml/models');
 
 class TensorFlowConfig {
   constructor() {
@@ -14,9 +29,6 @@ class TensorFlowConfig {
       await tf.ready();
       console.log('✅ TensorFlow.js backend initialized:', tf.getBackend());
       
-      // Set memory configuration for better performance
-      tf.engine().setMemoryLimit(1024 * 1024 * 512); // 512MB limit
-      
       // Enable production mode for better performance
       tf.enableProdMode();
       
@@ -29,48 +41,127 @@ class TensorFlowConfig {
     }
   }
 
+  // Resolve a bundled model name (e.g. 'wound-detection') or an explicit path to its model.json
+  resolveModelPath(modelPath) {
+    if (path.isAbsolute(modelPath) || modelPath.endsWith('.json')) {
+      return path.resolve(modelPath);
+    }
+    return path.join(MODELS_DIR, modelPath, 'model.json');
+  }
+
   async loadModel(modelPath) {
-    if (this.modelCache.has(modelPath)) {
-      return this.modelCache.get(modelPath);
+    const modelFile = this.resolveModelPath(modelPath);
+
+    if (this.modelCache.has(modelFile)) {
+      return this.modelCache.get(modelFile);
     }
 
     try {
-      console.log(`🔄 Loading model from: ${modelPath}`);
-      
-      // In production, this would load actual trained models
-      // For now, we'll create a mock model for demonstration
-      const mockModel = this.createMockModel();
-      
-      this.modelCache.set(modelPath, mockModel);
-      return mockModel;
+      await this.initialize();
+      console.log(`🔄 Loading model from: ${modelFile}`);
+
+      const manifest = JSON.parse(fs.readFileSync(modelFile, 'utf8'));
+      const artifacts = tf.io.fromMemory(this.readModelArtifacts(modelFile, manifest));
+
+      // Converted graph models carry a GraphDef (node list); Keras exports carry a layer topology
+      const model = manifest.format === 'graph-model' && manifest.modelTopology?.node
+        ? await tf.loadGraphModel(artifacts)
+        : await tf.loadLayersModel(artifacts);
+
+      model.modelConfig = manifest.modelConfig || {};
+
+      this.modelCache.set(modelFile, model);
+      return model;
     } catch (error) {
-      console.error(`❌ Failed to load model from ${modelPath}:`, error);
+      console.error(`❌ Failed to load model from ${modelFile}:`, error);
       throw error;
     }
   }
 
-  createMockModel() {
-    // Create a mock model for demonstration
-    return {
-      predict: (tensor) => {
-        // Mock prediction logic
-        const mockOutput = tf.tensor2d([
-          [0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.3] // Mock probabilities
-        ]);
-        return mockOutput;
-      },
-      dispose: () => {
-        console.log('🧹 Model disposed');
+  // Topology and weight shards read from disk, so loading works the same on either backend
+  readModelArtifacts(modelFile, manifest) {
+    const modelDir = path.dirname(modelFile);
+    const weightsManifest = manifest.weightsManifest || [];
+
+    const shards = weightsManifest.flatMap(group => group.paths).map(shard => {
+      const shardFile = path.join(modelDir, shard);
+      if (!fs.existsSync(shardFile)) {
+        throw new Error(`Missing weight shard ${shardFile} - run \`npm run setup:models\``);
       }
+      return fs.readFileSync(shardFile);
+    });
+    const weightData = Buffer.concat(shards);
+
+    return {
+      modelTopology: manifest.modelTopology,
+      format: manifest.format,
+      generatedBy: manifest.generatedBy,
+      weightSpecs: weightsManifest.flatMap(group => group.weights),
+      weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength)
     };
   }
 
+  /**
+   * Decode an image buffer (JPEG, PNG, GIF, WEBP, TIFF or BMP) into a normalized [1, height, width, 3]
+   * float tensor. Alpha is dropped and the image is stretched to the model input, so the same bytes
+   * always give the same tensor.
+   */
+  async preprocessImage(imageBuffer, [height, width] = [224, 224]) {
+    const bitmap = this.decodeBmp(imageBuffer);
+    const image = bitmap
+      ? sharp(bitmap.pixels, { raw: { width: bitmap.width, height: bitmap.height, channels: 3 } })
+      : sharp(imageBuffer, { animated: false });
+
+    const pixels = await image
+      .removeAlpha()
+      .toColourspace('srgb')
+      .resize(width, height, { fit: 'fill', kernel: 'linear' })
+      .raw()
+      .toBuffer();
+
+    return tf.tidy(() => tf.tensor4d(Uint8Array.from(pixels), [1, height, width, 3], 'int32').toFloat().div(255));
+  }
+
+  // Uncompressed 24/32-bit BMP to packed RGB, which libvips can't read; null for anything else
+  decodeBmp(buffer) {
+    if (!buffer || buffer.length < 54 || buffer.toString('ascii', 0, 2) !== 'BM') return null;
+
+    const offset = buffer.readUInt32LE(10);
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bitsPerPixel = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+    if (![24, 32].includes(bitsPerPixel) || ![0, 3].includes(compression) || width <= 0 || rawHeight === 0) {
+      throw new Error(`Unsupported BMP (${bitsPerPixel}-bit, compression ${compression})`);
+    }
+
+    // Rows are stored bottom-up unless the height is negative, each padded to 4 bytes, as BGR(A)
+    const height = Math.abs(rawHeight);
+    const bytesPerPixel = bitsPerPixel / 8;
+    const stride = Math.ceil((width * bytesPerPixel) / 4) * 4;
+    if (offset + stride * height > buffer.length) throw new Error('Truncated BMP');
+
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+      const row = offset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+      for (let x = 0; x < width; x++) {
+        const source = row + x * bytesPerPixel;
+        const target = (y * width + x) * 3;
+        pixels[target] = buffer[source + 2];
+        pixels[target + 1] = buffer[source + 1];
+        pixels[target + 2] = buffer[source];
+      }
+    }
+
+    return { width, height, pixels };
+  }
+
   async warmupModels() {
     try {
       console.log('🔥 Warming up AI models...');
       
       // Warm up injury detection model
-      const injuryModel = await this.loadModel('injury-detection');
+      const injuryModel = await this.loadModel('wound-detection');
       const dummyInput = tf.zeros([1, 224, 224, 3]);
       const warmupResult = injuryModel.predict(dummyInput);
       tf.dispose([dummyInput, warmupResult]);
@@ -1,8 +1,26 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import Personnel from '../models/Personnel.js';
+import RevokedToken from '../models/RevokedToken.js';
+import deviceRegistry from '../services/auth/DeviceRegistry.js';
+import AccessPolicy from '../../shared/authorization/AccessPolicy.js';
+
+const accessPolicy = new AccessPolicy();
+
+// Access tokens are short-lived; sessions stay alive through rotating refresh tokens (services/auth/SessionRegistry.js)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+const DEVICE_ERRORS = {
+  MISSING: 'Device signature headers missing',
+  UNKNOWN: 'Device is not enrolled',
+  REVOKED: 'Device has been revoked',
+  STALE: 'Device signature timestamp outside the allowed window - check the device clock',
+  INVALID_SIGNATURE: 'Invalid device signature',
+  REPLAYED: 'Device nonce already used'
+};
 
 class MilitaryAuth {
-  static authenticate = (req, res, next) => {
+  static authenticate = async (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
       
@@ -25,7 +43,7 @@ class MilitaryAuth {
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      // Enhanced device fingerprint verification
+      // The token is bound to the enrolled device it was issued to...
       if (decoded.deviceFingerprint !== deviceFingerprint) {
         console.warn(`Device fingerprint mismatch for soldier: ${decoded.soldierId}`);
         return res.status(401).json({
@@ -34,13 +52,48 @@ class MilitaryAuth {
         });
       }
 
+      // ...and the request has to be signed with that device's key
+      const { device, error } = await deviceRegistry.verifyRequest(req);
+      if (error) {
+        return this.rejectDevice(res, error, decoded.soldierId);
+      }
+
+      if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+        console.warn(`Revoked token presented for soldier: ${decoded.soldierId}`);
+        return res.status(401).json({
+          error: 'Token revoked',
+          message: 'Please re-authenticate'
+        });
+      }
+
       // Check token expiration with buffer
       const now = Date.now() / 1000;
       if (decoded.exp - now < 300) { // 5 minutes remaining
         console.log(`Token nearing expiration for soldier: ${decoded.soldierId}`);
       }
 
+      // Role, rank, unit and status come from the personnel store, so a role change or suspension applies to live tokens
+      if (decoded.role !== 'emergency') {
+        const personnel = await Personnel.findBySoldierId(decoded.soldierId).lean();
+        if (!personnel || personnel.status !== 'active') {
+          console.warn(`Token presented for inactive or unknown soldier: ${decoded.soldierId}`);
+          return res.status(401).json({
+            error: 'Account inactive',
+            message: 'Soldier is not active on the roster'
+          });
+        }
+
+        Object.assign(decoded, {
+          role: personnel.role,
+          rank: personnel.rank,
+          unit: personnel.unit,
+          unitPath: personnel.unitPath,
+          permissions: this.getPermissions(personnel.role, personnel.rank)
+        });
+      }
+
       req.soldier = decoded;
+      req.device = device;
       next();
       
     } catch (error) {
@@ -67,47 +120,134 @@ class MilitaryAuth {
     }
   };
 
-  static generateToken(soldierId, unit, rank, deviceInfo) {
-    const deviceFingerprint = crypto
-      .createHash('sha256')
-      .update(JSON.stringify(deviceInfo) + Date.now())
-      .digest('hex');
+  // For routes used before there is a token (login, emergency access, refresh): the request must be
+  // signed by an enrolled device. Sets req.device.
+  static verifyDevice = this.deviceGuard();
+
+  // The same for a device under a wipe order (wipe check-in and confirmation): the order revoked its key,
+  // but only the device holds it, so a signature with it still counts
+  static verifyDeviceKey = this.deviceGuard({ allowRevoked: true });
+
+  static deviceGuard(options) {
+    return async (req, res, next) => {
+      try {
+        const { device, error } = await deviceRegistry.verifyRequest(req, options);
+        if (error) {
+          return this.rejectDevice(res, error);
+        }
+
+        req.device = device;
+        next();
+
+      } catch (error) {
+        console.error('Device verification error:', error.message);
+        res.status(500).json({
+          error: 'Authentication system error',
+          offlineFallback: true
+        });
+      }
+    };
+  }
+
+  static rejectDevice(res, code, soldierId) {
+    console.warn(`Device verification failed (${code})${soldierId ? ` for soldier: ${soldierId}` : ''}`);
+    return res.status(401).json({
+      error: 'Device verification failed',
+      message: DEVICE_ERRORS[code],
+      code
+    });
+  }
+
+  // `role` is a Personnel role ('soldier', 'medic', 'officer', 'admin') or 'emergency' for emergency access.
+  // `deviceFingerprint` is the enrolled device the token is bound to (services/auth/DeviceRegistry.js).
+  static generateToken(soldierId, unit, role, { deviceFingerprint, sessionId, expiresIn = ACCESS_TOKEN_TTL } = {}) {
+    if (!deviceFingerprint) {
+      throw new Error('Tokens must be bound to an enrolled device');
+    }
 
     const payload = {
       soldierId,
       unit,
-      rank,
+      role,
       deviceFingerprint,
       timestamp: Date.now(),
-      permissions: this.getPermissions(rank)
+      permissions: this.getPermissions(role),
+      ...(sessionId && { sid: sessionId })
     };
 
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '8h',
+      expiresIn,
       issuer: 'battlefield-medical-system',
-      subject: soldierId
+      subject: soldierId,
+      jwtid: crypto.randomUUID()
     });
   }
 
-  static getPermissions(rank) {
-    const permissions = {
-      basic: ['self:read', 'self:write', 'emergency:access'],
-      medic: ['medic:read', 'medic:write', 'triage:access'],
-      officer: ['all:read', 'all:write', 'system:access']
-    };
-
-    return permissions[rank] || permissions.basic;
+  // "resource:action" permissions from the shared policy (shared/authorization/AccessPolicy.js)
+  static getPermissions(role, rank) {
+    return accessPolicy.permissionsFor({ role, rank });
   }
 
   static verifyPermissions(req, requiredPermission) {
-    const soldierPermissions = req.soldier?.permissions || [];
-    
-    if (!soldierPermissions.includes(requiredPermission)) {
+    if (!accessPolicy.can(req.soldier, requiredPermission)) {
       throw new Error(`Insufficient permissions. Required: ${requiredPermission}`);
     }
     
     return true;
   }
+
+  // What a grant reaches, or null without one: the scope, a MongoDB filter for queries and covers(document).
+  // `fields` name the owner and unitPath fields of the documents, as for AccessPolicy.toQuery.
+  static accessFor(req, resource, action, fields = {}) {
+    const scope = accessPolicy.scopeFor(req.soldier, resource, action);
+    if (!scope) return null;
+
+    const { ownerField = 'soldierId', unitField = 'unitPath' } = fields;
+    return {
+      resource,
+      action,
+      scope,
+      filter: accessPolicy.toQuery(req.soldier, scope, { ownerField, unitField }),
+      covers: (target = {}) => accessPolicy.covers(req.soldier, scope, {
+        soldierId: target[ownerField],
+        unitPath: target[unitField]
+      })
+    };
+  }
+
+  static rejectPermission(res, permission) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Required: ${permission}`
+    });
+  }
+
+  // authorize inside a handler, for checks that depend on the request: sends the 403 and returns null
+  // without the grant, otherwise returns what it reaches (see accessFor)
+  static requirePermission(req, res, permission, fields) {
+    const [resource, action] = String(permission).split(':');
+    const access = this.accessFor(req, resource, action, fields);
+
+    if (!access) {
+      this.rejectPermission(res, permission);
+      return null;
+    }
+    return access;
+  }
+
+  // Route guard after authenticate: 403 without a grant, otherwise req.access describes how far it reaches.
+  // Queries add req.access.filter; single documents are checked with req.access.covers(doc).
+  static authorize = (resource, action, fields) => (req, res, next) => {
+    const access = this.accessFor(req, resource, action, fields);
+
+    if (!access) {
+      return this.rejectPermission(res, `${resource}:${action}`);
+    }
+
+    req.access = access;
+    next();
+  };
+
 }
 
 export default MilitaryAuth;
\ No newline at end of file
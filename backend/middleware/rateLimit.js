@@ -1,4 +1,4 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 
 // Military-grade rate limiting configurations
 export const authRateLimiter = rateLimit({
@@ -45,6 +45,24 @@ export const apiRateLimiter = rateLimit({
   }
 });
 
+// Token refresh, mounted after MilitaryAuth.verifyDevice: counted per enrolled device rather than per IP,
+// so soldiers behind one network address don't use up each other's refreshes
+export const refreshRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // one refresh per access token lifetime, with room for reconnects
+  keyGenerator: (req) => req.device?.deviceFingerprint || ipKeyGenerator(req.ip),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Token refresh rate limit exceeded',
+      message: 'Too many token refreshes from this device. Please wait 15 minutes.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 export const emergencyRateLimiter = rateLimit({
   windowMs: 30 * 1000, // 30 seconds
   max: 10, // 10 emergency requests per 30 seconds
@@ -106,6 +124,7 @@ export const createDynamicRateLimiter = (baseWindowMs = 60000, baseMax = 100) =>
 export default {
   auth: authRateLimiter,
   api: apiRateLimiter,
+  refresh: refreshRateLimiter,
   emergency: emergencyRateLimiter,
   upload: uploadRateLimiter,
   dynamic: createDynamicRateLimiter
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const TRIAGE_LEVELS = ['IMMEDIATE', 'DELAYED', 'MINOR', 'EXPECTANT'];
+
+const timelineEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ASSESSMENT', 'VITALS', 'INTERVENTION', 'TRIAGE_CHANGE', 'STATUS_CHANGE', 'MEDICATION', 'NOTE'],
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: String,
+  triageLevel: {
+    type: String,
+    enum: TRIAGE_LEVELS
+  },
+  summary: String,
+  data: mongoose.Schema.Types.Mixed
+}, { _id: true });
+
+const casualtySchema = new mongoose.Schema({
+  casualtyId: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  soldierId: {
+    type: String,
+    index: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    index: true
+  },
+  // Chain of units of whoever registered the casualty; squad, platoon and unit scopes filter on it
+  unitPath: {
+    type: [String],
+    index: true
+  },
+  description: String, // For casualties who cannot be identified yet
+  incidentId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'EVACUATED', 'RETURNED_TO_DUTY', 'DECEASED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  currentTriage: {
+    level: {
+      type: String,
+      enum: TRIAGE_LEVELS
+    },
+    source: String,
+    assessedAt: Date
+  },
+  location: {
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      index: '2dsphere'
+    },
+    accuracy: Number,
+    timestamp: Date,
+    gridReference: String
+  },
+  weightKg: Number, // For weight-based drug doses; estimated if not weighed
+  allergies: String,
+  injuredAt: Date,
+  createdBy: String,
+  timeline: [timelineEntrySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+casualtySchema.index({ status: 1, 'currentTriage.level': 1 });
+casualtySchema.index({ unit: 1, status: 1 });
+
+// Short, readable ID a medic can write on a casualty card
+casualtySchema.pre('validate', function(next) {
+  if (!this.casualtyId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.casualtyId = `CAS-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+casualtySchema.virtual('lastAssessment').get(function() {
+  return [...this.timeline].reverse().find(entry => entry.type === 'ASSESSMENT') || null;
+});
+
+// Methods
+casualtySchema.methods.addTimelineEntry = function(type, { summary, data, triageLevel, recordedBy, timestamp } = {}) {
+  this.timeline.push({
+    type,
+    summary,
+    data,
+    triageLevel,
+    recordedBy,
+    timestamp: timestamp || new Date()
+  });
+  return this.timeline[this.timeline.length - 1];
+};
+
+// Record an assessment and, when the category moves, a TRIAGE_CHANGE entry with its direction
+casualtySchema.methods.recordAssessment = function(triageLevel, { source, data, summary, recordedBy, direction } = {}) {
+  const previousLevel = this.currentTriage?.level;
+  const timestamp = new Date();
+
+  this.addTimelineEntry('ASSESSMENT', { summary, data, triageLevel, recordedBy, timestamp });
+
+  if (previousLevel && previousLevel !== triageLevel) {
+    this.addTimelineEntry('TRIAGE_CHANGE', {
+      summary: `${previousLevel} → ${triageLevel}`,
+      data: { from: previousLevel, to: triageLevel, direction, source },
+      triageLevel,
+      recordedBy,
+      timestamp
+    });
+  }
+
+  this.currentTriage = { level: triageLevel, source, assessedAt: timestamp };
+};
+
+casualtySchema.methods.updateStatus = function(status, recordedBy, reason) {
+  const previousStatus = this.status;
+  this.status = status;
+  this.addTimelineEntry('STATUS_CHANGE', {
+    summary: `${previousStatus} → ${status}`,
+    data: { from: previousStatus, to: status, reason },
+    recordedBy
+  });
+};
+
+// Triage level after each assessment, oldest first
+casualtySchema.methods.getTriageHistory = function() {
+  return this.timeline
+    .filter(entry => entry.type === 'ASSESSMENT' && entry.triageLevel)
+    .map(entry => ({ level: entry.triageLevel, timestamp: entry.timestamp }));
+};
+
+// Drugs given, oldest first, in the shape MedicationCalculator expects
+casualtySchema.methods.getMedicationHistory = function() {
+  return this.timeline
+    .filter(entry => entry.type === 'MEDICATION')
+    .map(entry => ({ ...entry.data, administeredAt: entry.timestamp, recordedBy: entry.recordedBy }));
+};
+
+// Static methods
+casualtySchema.statics.findActive = function(filter = {}) {
+  return this.find({ status: 'ACTIVE', ...filter }).sort({ 'currentTriage.assessedAt': -1 });
+};
+
+const Casualty = mongoose.model('Casualty', casualtySchema);
+
+export default Casualty;
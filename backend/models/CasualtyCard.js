@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import {
+  EVAC_CATEGORIES,
+  MECHANISMS,
+  TOURNIQUET_SITES,
+  TREATMENTS,
+  MEDICATION_CATEGORIES,
+  ROUTES,
+  AVPU,
+  GENDERS
+} from '../../shared/casualtyCard/codes.js';
+
+// TCCC Casualty Card (DD Form 1380); one card per casualty, field layout matches CASUALTY_CARD_SCHEMA
+const tourniquetSchema = new mongoose.Schema({
+  site: { type: String, enum: Object.keys(TOURNIQUET_SITES), required: true },
+  type: String,
+  appliedAt: { type: Date, required: true }
+}, { _id: false });
+
+const vitalsSchema = new mongoose.Schema({
+  time: { type: Date, required: true },
+  pulse: Number,
+  pulseLocation: String,
+  bloodPressure: String, // "120/80"
+  respiratoryRate: Number,
+  oxygenSaturation: Number,
+  avpu: { type: String, enum: AVPU },
+  painScale: { type: Number, min: 0, max: 10 }
+}, { _id: false });
+
+const fluidSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  volume: { type: String, required: true },
+  route: { type: String, enum: ROUTES, required: true },
+  time: { type: Date, required: true }
+}, { _id: false });
+
+const medicationSchema = new mongoose.Schema({
+  category: { type: String, enum: Object.keys(MEDICATION_CATEGORIES), required: true },
+  name: { type: String, required: true },
+  dose: { type: String, required: true },
+  route: { type: String, enum: ROUTES, required: true },
+  time: { type: Date, required: true }
+}, { _id: false });
+
+const casualtyCardSchema = new mongoose.Schema({
+  cardId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  casualtyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  form: { type: String, default: 'DD1380' },
+  schemaVersion: String,
+  evacuationCategory: { type: String, enum: Object.keys(EVAC_CATEGORIES) },
+  patient: {
+    battleRosterNumber: String,
+    lastName: String,
+    firstName: String,
+    last4: String,
+    gender: { type: String, enum: GENDERS },
+    service: String,
+    unit: String,
+    allergies: String
+  },
+  injury: {
+    injuredAt: Date,
+    mechanisms: [{ type: String, enum: Object.keys(MECHANISMS) }],
+    mechanismOther: String,
+    injuries: [{
+      _id: false,
+      description: String,
+      location: String,
+      view: { type: String, enum: ['FRONT', 'BACK'] }
+    }]
+  },
+  tourniquets: [tourniquetSchema],
+  vitals: [vitalsSchema],
+  treatments: {
+    circulation: [{ type: String, enum: Object.keys(TREATMENTS.circulation) }],
+    airway: [{ type: String, enum: Object.keys(TREATMENTS.airway) }],
+    breathing: [{ type: String, enum: Object.keys(TREATMENTS.breathing) }],
+    other: [{ type: String, enum: Object.keys(TREATMENTS.other) }],
+    hypothermiaType: String
+  },
+  fluids: [fluidSchema],
+  medications: [medicationSchema],
+  notes: String,
+  firstResponder: {
+    name: String,
+    last4: String
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+// Plain card in the shared module's shape (ISO dates, no Mongo fields)
+casualtyCardSchema.methods.toCard = function() {
+  const { _id, updatedBy, ...card } = this.toObject({ versionKey: false });
+  return JSON.parse(JSON.stringify(card));
+};
+
+const CasualtyCard = mongoose.model('CasualtyCard', casualtyCardSchema);
+
+export default CasualtyCard;
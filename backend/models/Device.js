@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// An enrolled device: the public half of a key pair generated on the device. The private key never
+// leaves it; every login and request is signed with it.
+const deviceSchema = new mongoose.Schema({
+  // RFC 7638 thumbprint of the public key, computed the same way on the device and the server
+  deviceFingerprint: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  publicKey: {
+    type: mongoose.Schema.Types.Mixed, // JWK, ECDSA P-256
+    required: true
+  },
+  deviceInfo: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  lastSeenAt: Date,
+  revokedAt: Date,
+  revokedBy: String,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Methods
+deviceSchema.methods.revoke = function(revokedBy, reason) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revokedReason = reason;
+};
+
+// Static methods
+deviceSchema.statics.findByFingerprint = function(deviceFingerprint) {
+  return this.findOne({ deviceFingerprint });
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
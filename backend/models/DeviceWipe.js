@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Remote wipe of a lost or captured device: issued by an officer, picked up by the device on its next
+// contact (or pushed over the event stream) and confirmed back with what was destroyed
+const deviceWipeSchema = new mongoose.Schema({
+  wipeId: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  deviceFingerprint: {
+    type: String,
+    required: true,
+    index: true
+  },
+  soldierIds: [String], // Everyone with a session on the device when the wipe was issued
+  reason: String,
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'DELIVERED', 'CONFIRMED'],
+    default: 'PENDING',
+    index: true
+  },
+  revokedSessions: Number,
+  revokedTokens: Number,
+  deliveredAt: Date,
+  confirmedAt: Date,
+  // What the device reports it destroyed
+  report: {
+    indexedDB: Boolean,
+    caches: Number,
+    serviceWorkers: Number,
+    storage: Boolean,
+    errors: [String]
+  },
+  auditTrail: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['ISSUED', 'DELIVERED', 'CONFIRMED']
+    },
+    by: String,
+    ipAddress: String,
+    details: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+deviceWipeSchema.pre('validate', function(next) {
+  if (!this.wipeId) {
+    this.wipeId = `WIPE-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+// Methods
+deviceWipeSchema.methods.addAuditEntry = function(action, by, { ipAddress, details } = {}) {
+  this.auditTrail.push({
+    action,
+    by,
+    ipAddress,
+    details,
+    timestamp: new Date()
+  });
+};
+
+deviceWipeSchema.methods.markDelivered = function(ipAddress, channel) {
+  if (this.status !== 'PENDING') return;
+  this.status = 'DELIVERED';
+  this.deliveredAt = new Date();
+  this.addAuditEntry('DELIVERED', this.deviceFingerprint, { ipAddress, details: channel });
+};
+
+deviceWipeSchema.methods.confirm = function(report = {}, ipAddress) {
+  this.status = 'CONFIRMED';
+  this.confirmedAt = new Date();
+  this.report = {
+    indexedDB: Boolean(report.indexedDB),
+    caches: Number(report.caches) || 0,
+    serviceWorkers: Number(report.serviceWorkers) || 0,
+    storage: Boolean(report.storage),
+    errors: Array.isArray(report.errors) ? report.errors.map(String).slice(0, 20) : []
+  };
+  this.addAuditEntry('CONFIRMED', this.deviceFingerprint, {
+    ipAddress,
+    details: this.report.errors.length > 0 ? `${this.report.errors.length} errors` : 'clean'
+  });
+};
+
+// Static methods
+// The wipe a device still has to carry out, if any
+deviceWipeSchema.statics.findOutstanding = function(deviceFingerprint) {
+  return this.findOne({ deviceFingerprint, status: { $ne: 'CONFIRMED' } }).sort({ createdAt: -1 });
+};
+
+const DeviceWipe = mongoose.model('DeviceWipe', deviceWipeSchema);
+
+export default DeviceWipe;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Incidents belong to whoever opened them: the owner field for access scopes (MilitaryAuth.authorize)
+export const INCIDENT_ACCESS_FIELDS = { ownerField: 'createdBy' };
+
+// Mass-casualty incident: casualties reference it by incidentId
+const incidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  unit: {
+    type: String,
+    index: true
+  },
+  // Chain of units of whoever opened the incident; squad, platoon and unit scopes filter on it
+  unitPath: {
+    type: [String],
+    index: true
+  },
+  mechanism: String, // blast, ambush, vehicle, ...
+  location: {
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      index: '2dsphere'
+    },
+    accuracy: Number,
+    gridReference: String
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN',
+    index: true
+  },
+  createdBy: String,
+  closedBy: String,
+  closedAt: Date,
+  summary: mongoose.Schema.Types.Mixed // Final board snapshot, set on close
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+incidentSchema.pre('validate', function(next) {
+  if (!this.incidentId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.incidentId = `MCI-${date}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+incidentSchema.virtual('isOpen').get(function() {
+  return this.status === 'OPEN';
+});
+
+incidentSchema.virtual('durationMinutes').get(function() {
+  const end = this.closedAt || new Date();
+  return this.createdAt ? Math.round((end - this.createdAt) / 60000) : 0;
+});
+
+// Methods
+incidentSchema.methods.close = function(closedBy, summary) {
+  this.status = 'CLOSED';
+  this.closedBy = closedBy;
+  this.closedAt = new Date();
+  this.summary = summary;
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
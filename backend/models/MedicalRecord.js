@@ -1,4 +1,60 @@
 import mongoose from 'mongoose';
+import { INTERVENTION_TYPES, INTERVENTION_STATUSES } from '../../shared/interventions/InterventionTimers.js';
+import { INJURY_SEVERITIES } from '../../shared/bodyMap/InjuryAnnotations.js';
+
+// Timed treatments (tourniquet, TXA, ...) recorded on the device and synced with the record
+const interventionSchema = new mongoose.Schema({
+  interventionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(INTERVENTION_TYPES),
+    required: true
+  },
+  bodyLocation: String,
+  status: {
+    type: String,
+    enum: INTERVENTION_STATUSES,
+    default: 'ACTIVE'
+  },
+  plannedAt: Date,
+  startedAt: Date,
+  injuredAt: Date,
+  endedAt: Date,
+  lastReassessedAt: Date,
+  device: String,
+  dose: String,
+  notes: String,
+  casualtyId: String,
+  performedBy: String
+}, { _id: false });
+
+// Wounds marked on the body map (shared/bodyMap/InjuryAnnotations.js)
+const injurySchema = new mongoose.Schema({
+  region: String,
+  location: {
+    type: String,
+    required: true
+  },
+  view: {
+    type: String,
+    enum: ['front', 'back', null]
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  code: String,
+  severity: {
+    type: String,
+    enum: INJURY_SEVERITIES,
+    default: 'moderate'
+  },
+  notes: String,
+  tbsa: Number
+}, { _id: false });
 
 const medicalRecordSchema = new mongoose.Schema({
   soldierId: {
@@ -7,6 +63,11 @@ const medicalRecordSchema = new mongoose.Schema({
     index: true,
     trim: true
   },
+  // The soldier's chain of units when the record was saved; squad, platoon and unit scopes filter on it
+  unitPath: {
+    type: [String],
+    index: true
+  },
   encryptedData: {
     type: String,
     required: true
@@ -59,6 +120,20 @@ const medicalRecordSchema = new mongoose.Schema({
     },
     syncError: String
   },
+  interventions: [interventionSchema],
+  injuries: [injurySchema],
+  // Server re-check of a diagnosis the device made offline (shared/diagnosis/DiagnosisEngine.js)
+  verification: {
+    offlineTriageLevel: String,
+    offlineDiagnosis: String,
+    offlineRulePack: String,
+    serverTriageLevel: String,
+    serverDiagnosis: String,
+    serverRulePack: String,
+    agrees: Boolean,
+    escalated: Boolean,
+    verifiedAt: Date
+  },
   auditTrail: [{
     action: {
       type: String,
@@ -100,6 +175,18 @@ medicalRecordSchema.methods.addAuditEntry = function(action, deviceId, location)
   });
 };
 
+// Insert or update by interventionId, so re-synced interventions replace the earlier copy
+medicalRecordSchema.methods.upsertInterventions = function(interventions) {
+  interventions.forEach(intervention => {
+    const index = this.interventions.findIndex(existing => existing.interventionId === intervention.interventionId);
+    if (index === -1) {
+      this.interventions.push(intervention);
+    } else {
+      this.interventions.set(index, intervention);
+    }
+  });
+};
+
 medicalRecordSchema.methods.markSynced = function() {
   this.syncStatus.synced = true;
   this.syncStatus.lastSyncAttempt = new Date();
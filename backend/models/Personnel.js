@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+export const PERSONNEL_ROLES = ['soldier', 'medic', 'officer', 'admin'];
+export const PERSONNEL_STATUSES = ['active', 'inactive', 'suspended'];
+export const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const PASSWORD_ROUNDS = 10;
+
+// Roster entry: who can log in, with which role, and the medical basics a medic needs at the point of injury
+const personnelSchema = new mongoose.Schema({
+  soldierId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rank: {
+    type: String, // Grade as written on the roster (PVT, SGT, CPT, ...)
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: PERSONNEL_ROLES,
+    default: 'soldier',
+    index: true
+  },
+  // Chain of units from the top down, e.g. ['1st Brigade', '2nd Battalion', 'Alpha Company']; `unit` is the last one
+  unitPath: {
+    type: [String],
+    index: true
+  },
+  unit: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: PERSONNEL_STATUSES,
+    default: 'active',
+    index: true
+  },
+  bloodType: {
+    type: String,
+    enum: [...BLOOD_TYPES, null]
+  },
+  allergies: [String],
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  lastLogin: Date
+}, {
+  timestamps: true
+});
+
+personnelSchema.pre('validate', function(next) {
+  this.unitPath = (this.unitPath || []).map(unit => unit.trim()).filter(Boolean);
+  if (this.unitPath.length === 0 && this.unit) {
+    this.unitPath = [this.unit];
+  }
+  this.unit = this.unitPath[this.unitPath.length - 1] || this.unit;
+  next();
+});
+
+// Methods
+personnelSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_ROUNDS);
+};
+
+// Needs the hash selected: Personnel.findOne(...).select('+passwordHash')
+personnelSchema.methods.verifyPassword = async function(password) {
+  return Boolean(this.passwordHash) && bcrypt.compare(password, this.passwordHash);
+};
+
+personnelSchema.methods.toProfile = function() {
+  return {
+    soldierId: this.soldierId,
+    name: this.name,
+    rank: this.rank || null,
+    role: this.role,
+    unit: this.unit,
+    unitPath: this.unitPath,
+    status: this.status,
+    bloodType: this.bloodType || null,
+    allergies: this.allergies,
+    lastLogin: this.lastLogin || null
+  };
+};
+
+// Static methods
+personnelSchema.statics.findBySoldierId = function(soldierId) {
+  return this.findOne({ soldierId });
+};
+
+// Everyone in a unit, or in it and every unit below it
+personnelSchema.statics.findByUnit = function(unit, { includeSubunits = false } = {}) {
+  return this.find(includeSubunits ? { unitPath: unit } : { unit });
+};
+
+const Personnel = mongoose.model('Personnel', personnelSchema);
+
+export default Personnel;
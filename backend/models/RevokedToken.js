@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// JWT denylist: access tokens killed before their expiry. Entries expire with the token they block.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  soldierId: String,
+  sessionId: String,
+  reason: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// One login on one device. The refresh token rotates on every use; hashes of spent tokens are kept so a
+// replayed one is recognized as theft and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  soldierId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  deviceFingerprint: {
+    type: String,
+    index: true
+  },
+  deviceInfo: mongoose.Schema.Types.Mixed,
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  usedRefreshTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Access tokens issued in this session that may not have expired yet; denylisted on revoke
+  accessTokens: [{
+    _id: false,
+    jti: String,
+    expiresAt: Date
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedBy: String,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+// Methods
+sessionSchema.methods.addAccessToken = function(jti, expiresAt) {
+  const now = new Date();
+  this.accessTokens = this.accessTokens
+    .filter(token => token.expiresAt > now)
+    .concat({ jti, expiresAt });
+};
+
+sessionSchema.methods.revoke = function(revokedBy, reason) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revokedReason = reason;
+};
+
+// Static methods
+sessionSchema.statics.findActive = function(filter = {}) {
+  return this.find({ ...filter, status: 'active', expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
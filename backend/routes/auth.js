@@ -1,31 +1,24 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
 import MilitaryAuth from '../middleware/auth.js';
+import { refreshRateLimiter } from '../middleware/rateLimit.js';
+import Personnel from '../models/Personnel.js';
+import Session from '../models/Session.js';
+import SessionRegistry from '../services/auth/SessionRegistry.js';
 
 const router = express.Router();
+const sessionRegistry = new SessionRegistry();
 
-// Mock soldier database - in production, use real database
-const mockSoldiers = {
-  'soldier-001': {
-    soldierId: 'soldier-001',
-    password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // "password"
-    unit: 'Alpha Company',
-    rank: 'sergeant',
-    name: 'John Doe',
-    status: 'active'
-  },
-  'medic-001': {
-    soldierId: 'medic-001', 
-    password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi',
-    unit: 'Medical Corps',
-    rank: 'medic',
-    name: 'Dr. Jane Smith',
-    status: 'active'
-  }
+const REFRESH_ERRORS = {
+  INVALID: 'Invalid refresh token',
+  REUSED: 'Refresh token reuse detected - session revoked',
+  DEVICE: 'Refresh token presented from another device - session revoked',
+  REVOKED: 'Session has been revoked',
+  EXPIRED: 'Session expired',
+  INACTIVE: 'Soldier is not active on the roster'
 };
 
-// Soldier authentication
-router.post('/login', async (req, res) => {
+// Soldier authentication, signed by an enrolled device (POST /api/devices/enroll)
+router.post('/login', MilitaryAuth.verifyDevice, async (req, res) => {
   try {
     const { soldierId, password, deviceInfo } = req.body;
 
@@ -36,47 +29,38 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find soldier in mock database
-    const soldier = mockSoldiers[soldierId];
-    if (!soldier) {
+    const soldier = await Personnel.findBySoldierId(soldierId).select('+passwordHash');
+    if (!soldier || !(await soldier.verifyPassword(password))) {
       return res.status(401).json({
         success: false,
         error: 'Invalid soldier credentials'
       });
     }
 
-    // Verify password - in real app, use proper hashing
-    const isValidPassword = await bcrypt.compare(password, soldier.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
+    if (soldier.status !== 'active') {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid soldier credentials'
+        error: `Soldier account is ${soldier.status}`
       });
     }
 
-    // Generate military-grade token
-    const token = MilitaryAuth.generateToken(
-      soldier.soldierId,
-      soldier.unit,
-      soldier.rank,
-      deviceInfo || {}
-    );
+    soldier.lastLogin = new Date();
+    await soldier.save();
+
+    // Short-lived access token plus a rotating refresh token, registered as a session for this device
+    const tokens = await sessionRegistry.create(soldier, req.device, deviceInfo || req.device.deviceInfo || {});
 
     // Log authentication event
-    console.log(`🔐 Soldier ${soldierId} authenticated from unit ${soldier.unit}`);
+    console.log(`🔐 Soldier ${soldierId} authenticated from unit ${soldier.unit} (session ${tokens.sessionId})`);
 
     res.json({
       success: true,
       data: {
-        token,
+        ...tokens,
         soldier: {
-          soldierId: soldier.soldierId,
-          unit: soldier.unit,
-          rank: soldier.rank,
-          name: soldier.name,
-          permissions: MilitaryAuth.getPermissions(soldier.rank)
-        },
-        expiresIn: '8h'
+          ...soldier.toProfile(),
+          permissions: MilitaryAuth.getPermissions(soldier.role, soldier.rank)
+        }
       },
       timestamp: new Date()
     });
@@ -92,9 +76,9 @@ router.post('/login', async (req, res) => {
 });
 
 // Emergency access token (for battlefield situations)
-router.post('/emergency-access', async (req, res) => {
+router.post('/emergency-access', MilitaryAuth.verifyDevice, async (req, res) => {
   try {
-    const { emergencyCode, location, deviceInfo } = req.body;
+    const { emergencyCode, location } = req.body;
 
     // Simple emergency code validation - in production, use proper emergency protocols
     const validEmergencyCodes = ['REDCROSS', 'MEDEVAC', '911BATTLEFIELD'];
@@ -111,7 +95,7 @@ router.post('/emergency-access', async (req, res) => {
       'emergency-user',
       'Emergency Access',
       'emergency',
-      deviceInfo || {}
+      { deviceFingerprint: req.device.deviceFingerprint, expiresIn: '2h' }
     );
 
     console.log(`🚨 Emergency access granted from location: ${JSON.stringify(location)}`);
@@ -121,7 +105,7 @@ router.post('/emergency-access', async (req, res) => {
       data: {
         token,
         accessLevel: 'emergency',
-        permissions: ['emergency:access', 'self:write'],
+        permissions: MilitaryAuth.getPermissions('emergency'),
         expiresIn: '2h', // Shorter expiry for emergency access
         restrictions: ['Limited functionality', 'No record viewing']
       },
@@ -145,28 +129,41 @@ router.post('/verify', MilitaryAuth.authenticate, (req, res) => {
     data: {
       valid: true,
       soldier: req.soldier,
-      expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000) // 8 hours from now
+      expiresAt: new Date(req.soldier.exp * 1000)
     },
     timestamp: new Date()
   });
 });
 
-// Token refresh
-router.post('/refresh', MilitaryAuth.authenticate, (req, res) => {
+// Token refresh: the refresh token is single-use and replaced on every call. Presenting a spent one
+// revokes the session, since either the device or whoever copied the token is replaying it.
+router.post('/refresh', MilitaryAuth.verifyDevice, refreshRateLimiter, async (req, res) => {
   try {
-    const newToken = MilitaryAuth.generateToken(
-      req.soldier.soldierId,
-      req.soldier.unit,
-      req.soldier.rank,
-      req.headers['x-device-fingerprint'] ? { fingerprint: req.headers['x-device-fingerprint'] } : {}
-    );
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const { tokens, session, error } = await sessionRegistry.rotate(refreshToken, req.device);
+
+    if (error) {
+      if (error === 'REUSED' || error === 'DEVICE') {
+        console.warn(`🚨 ${REFRESH_ERRORS[error]}: session ${session.sessionId} (${session.soldierId})`);
+      }
+      return res.status(401).json({
+        success: false,
+        error: REFRESH_ERRORS[error],
+        code: error
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        token: newToken,
-        expiresIn: '8h'
-      },
+      data: tokens,
       timestamp: new Date()
     });
 
@@ -179,15 +176,133 @@ router.post('/refresh', MilitaryAuth.authenticate, (req, res) => {
   }
 });
 
-// Logout (client-side token invalidation)
-router.post('/logout', MilitaryAuth.authenticate, (req, res) => {
-  console.log(`🔓 Soldier ${req.soldier.soldierId} logged out`);
-  
-  res.json({
-    success: true,
-    message: 'Logout successful',
-    timestamp: new Date()
-  });
+// Logout: ends the session and denylists its access tokens
+router.post('/logout', MilitaryAuth.authenticate, async (req, res) => {
+  try {
+    const session = req.soldier.sid ? await Session.findOne({ sessionId: req.soldier.sid }) : null;
+
+    if (session) {
+      await sessionRegistry.revoke(session, req.soldier.soldierId, 'Logged out');
+    } else {
+      await sessionRegistry.revokeToken(req.soldier, 'Logged out');
+    }
+
+    console.log(`🔓 Soldier ${req.soldier.soldierId} logged out`);
+
+    res.json({
+      success: true,
+      message: 'Logout successful',
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// Active sessions: your own, or another soldier's with system access
+router.get('/sessions', MilitaryAuth.authenticate, async (req, res) => {
+  try {
+    const soldierId = req.query.soldierId || req.soldier.soldierId;
+    if (soldierId !== req.soldier.soldierId && !MilitaryAuth.requirePermission(req, res, 'system:access')) return;
+
+    const sessions = await sessionRegistry.listActive(soldierId);
+
+    res.json({
+      success: true,
+      data: {
+        soldierId,
+        sessions: sessions.map(session => ({
+          sessionId: session.sessionId,
+          deviceFingerprint: session.deviceFingerprint,
+          deviceInfo: session.deviceInfo,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.sessionId === req.soldier.sid
+        })),
+        total: sessions.length
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions'
+    });
+  }
+});
+
+// End one session (sign out another device)
+router.delete('/sessions/:sessionId', MilitaryAuth.authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (session.soldierId !== req.soldier.soldierId && !MilitaryAuth.requirePermission(req, res, 'system:access')) return;
+
+    const tokens = await sessionRegistry.revoke(session, req.soldier.soldierId, req.body?.reason || 'Signed out remotely');
+
+    console.log(`🔓 Session ${session.sessionId} of ${session.soldierId} revoked by ${req.soldier.soldierId}`);
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session.sessionId,
+        revokedTokens: tokens
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+// Lost or captured device: an officer revokes every session on it, for every soldier who used it
+router.post('/devices/:deviceFingerprint/revoke', MilitaryAuth.authenticate, MilitaryAuth.authorize('system', 'access'), async (req, res) => {
+  try {
+    const reason = req.body?.reason || 'Device reported lost or captured';
+    const result = await sessionRegistry.revokeDevice(req.params.deviceFingerprint, req.soldier.soldierId, reason);
+
+    console.log(`🚫 Device ${req.params.deviceFingerprint} revoked by ${req.soldier.soldierId}: ${result.sessions} sessions, ${result.tokens} tokens`);
+
+    res.json({
+      success: true,
+      data: {
+        deviceFingerprint: result.deviceFingerprint,
+        deviceRevoked: result.deviceRevoked,
+        revokedSessions: result.sessions,
+        revokedTokens: result.tokens,
+        soldierIds: result.soldierIds,
+        reason
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device'
+    });
+  }
 });
 
 // Password reset request (simplified for demo)
@@ -223,29 +338,34 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // Get current user profile
-router.get('/profile', MilitaryAuth.authenticate, (req, res) => {
-  const soldier = mockSoldiers[req.soldier.soldierId];
-  
-  if (!soldier) {
-    return res.status(404).json({
+router.get('/profile', MilitaryAuth.authenticate, async (req, res) => {
+  try {
+    const soldier = await Personnel.findBySoldierId(req.soldier.soldierId);
+
+    if (!soldier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Soldier profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...soldier.toProfile(),
+        permissions: MilitaryAuth.getPermissions(soldier.role, soldier.rank)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Soldier profile not found'
+      error: 'Failed to load soldier profile',
+      offlineFallback: true
     });
   }
-
-  res.json({
-    success: true,
-    data: {
-      soldierId: soldier.soldierId,
-      name: soldier.name,
-      unit: soldier.unit,
-      rank: soldier.rank,
-      status: soldier.status,
-      permissions: MilitaryAuth.getPermissions(soldier.rank),
-      lastLogin: new Date()
-    },
-    timestamp: new Date()
-  });
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,793 @@
+import express from 'express';
+import Casualty from '../models/Casualty.js';
+import Incident from '../models/Incident.js';
+import CasualtyCard from '../models/CasualtyCard.js';
+import MilitaryAuth from '../middleware/auth.js';
+import MedicalValidators, { validateVitalSignsBody } from '../utils/validators.js';
+import EmergencyTriage from '../services/ai/EmergencyTriage.js';
+import SymptomAnalyzer from '../services/ai/SymptomAnalyzer.js';
+import VitalSignScorer from '../../shared/diagnosis/VitalSignScorer.js';
+import eventStream from '../services/ai/communication/EventStream.js';
+import HandoverReport, { HANDOVER_FORMATS } from '../../shared/handover/HandoverReport.js';
+import CasualtyCardForm from '../../shared/casualtyCard/CasualtyCard.js';
+import MedicationCalculator from '../../shared/medications/MedicationCalculator.js';
+import { TRIAGE_LEVELS } from '../../shared/triage/TriageCore.js';
+
+const router = express.Router();
+const emergencyTriage = new EmergencyTriage();
+const symptomAnalyzer = new SymptomAnalyzer();
+const vitalScorer = new VitalSignScorer();
+const handoverReport = new HandoverReport();
+const cardForm = new CasualtyCardForm();
+const medicationCalculator = new MedicationCalculator();
+
+const CASUALTY_STATUSES = ['ACTIVE', 'EVACUATED', 'RETURNED_TO_DUTY', 'DECEASED'];
+
+// Register a new casualty, optionally with an initial assessment
+router.post('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const { soldierId, unit, description, location, weightKg, allergies, timeOfInjury } = req.body;
+    const recordedBy = req.soldier.soldierId;
+
+    const triage = await router.deriveTriage(req.body);
+    if (triage?.error) {
+      return res.status(400).json({ success: false, error: triage.error, awaiting: triage.awaiting });
+    }
+
+    const casualty = new Casualty({
+      soldierId,
+      unit: unit || req.soldier.unit,
+      unitPath: req.soldier.unitPath,
+      description,
+      location,
+      weightKg,
+      allergies,
+      injuredAt: timeOfInjury,
+      createdBy: recordedBy
+    });
+
+    if (triage) {
+      casualty.recordAssessment(triage.level, { ...triage, recordedBy });
+    }
+
+    await casualty.save();
+
+    console.log(`🩹 Casualty ${casualty.casualtyId} registered by ${recordedBy}${triage ? ` (${triage.level})` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      data: router.formatCasualty(casualty),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Create casualty error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register casualty',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// List casualties, most urgent first
+router.get('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const { status = 'ACTIVE', unit, triageLevel, limit } = req.query;
+
+    const query = {};
+    if (status !== 'ALL') query.status = status;
+    if (unit) query.unit = unit;
+    if (triageLevel) query['currentTriage.level'] = triageLevel;
+
+    const casualties = await Casualty.find({ $and: [query, req.access.filter] })
+      .sort({ 'currentTriage.assessedAt': -1 })
+      .limit(MedicalValidators.parseLimit(limit, 50));
+
+    const data = casualties
+      .map(casualty => router.formatCasualty(casualty, { includeTimeline: false }))
+      .sort((a, b) => emergencyTriage.core.compare(a.currentTriage?.level, b.currentTriage?.level));
+
+    res.json({
+      success: true,
+      data: {
+        casualties: data,
+        total: data.length,
+        deteriorating: data.filter(casualty => casualty.trend.direction === 'deteriorated').length
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('List casualties error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve casualties',
+      timestamp: new Date()
+    });
+  }
+});
+
+// JSON Schema for exported casualty cards (for receiving facilities' import tooling)
+router.get('/card-schema', MilitaryAuth.authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: cardForm.getSchema(),
+    timestamp: new Date()
+  });
+});
+
+// Full casualty history: assessments, vitals, interventions and triage changes
+router.get('/:casualtyId', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    res.json({
+      success: true,
+      data: router.formatCasualty(casualty),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get casualty error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve casualty',
+      timestamp: new Date()
+    });
+  }
+});
+
+// MIST / ATMIST handover from the casualty's timeline (?format=MIST|ATMIST&age=&timeOfInjury=&mechanism=)
+router.get('/:casualtyId/handover', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const { format = 'ATMIST', age, timeOfInjury, mechanism } = req.query;
+    if (!HANDOVER_FORMATS.includes(String(format).toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of ${HANDOVER_FORMATS.join(', ')}`
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const input = await router.buildHandoverInput(casualty, { age, timeOfInjury, mechanism });
+    const report = handoverReport.generate(input, { format });
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        text: handoverReport.renderText(report)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Casualty handover error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate handover report',
+      timestamp: new Date()
+    });
+  }
+});
+
+// TCCC card (DD 1380): the saved card, or a draft prefilled from the casualty's timeline
+router.get('/:casualtyId/card', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const { card, draft } = await router.loadCard(casualty);
+
+    res.json({
+      success: true,
+      data: {
+        card,
+        draft,
+        validation: cardForm.validate(card)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get casualty card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve casualty card',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Save the edited card; rejected with field errors if it would not pass the export schema
+router.put('/:casualtyId/card', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const existing = await CasualtyCard.findOne({ casualtyId: casualty.casualtyId }, 'cardId');
+    const card = cardForm.create({
+      ...(req.body.card || req.body),
+      cardId: existing?.cardId || req.body.card?.cardId || req.body.cardId,
+      casualtyId: casualty.casualtyId
+    });
+
+    const validation = cardForm.validate(card);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Casualty card is invalid',
+        details: validation.errors
+      });
+    }
+
+    const { createdAt, updatedAt, ...fields } = card;
+    const saved = await CasualtyCard.findOneAndUpdate(
+      { casualtyId: casualty.casualtyId },
+      { ...fields, updatedBy: req.soldier.soldierId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🪪 Casualty card ${saved.cardId} saved for ${casualty.casualtyId} by ${req.soldier.soldierId}`);
+
+    res.json({
+      success: true,
+      data: {
+        card: cardForm.create(saved.toCard()),
+        draft: false,
+        validation
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Save casualty card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save casualty card',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Printable HTML (print or save as PDF from the browser) or schema-tagged JSON (?format=html|json)
+router.get('/:casualtyId/card/export', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (!['html', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be html or json'
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const { card } = await router.loadCard(casualty);
+
+    if (format === 'json') {
+      res.attachment(`${card.cardId}.json`);
+      return res.json(cardForm.toExport(card));
+    }
+
+    res.type('html').send(cardForm.renderHtml(card));
+
+  } catch (error) {
+    console.error('Export casualty card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export casualty card',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Re-assess and re-triage a casualty
+router.post('/:casualtyId/assessments', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const result = await router.applyAssessment(casualty, req.body, req.soldier.soldierId);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error, awaiting: result.awaiting });
+    }
+
+    await casualty.save();
+    router.publishTriageChange(casualty, result.change);
+
+    res.json({
+      success: true,
+      data: {
+        ...router.formatCasualty(casualty),
+        change: result.change
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Casualty assessment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record assessment',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Record a set of vitals without re-triaging
+router.post('/:casualtyId/vitals', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), validateVitalSignsBody, async (req, res) => {
+  try {
+    const { vitalSigns } = req.body;
+    if (!vitalSigns || typeof vitalSigns !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Vital signs object is required'
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const entry = router.recordVitals(casualty, vitalSigns, req.soldier.soldierId);
+    await casualty.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        casualtyId: casualty.casualtyId,
+        entry
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Casualty vitals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record vital signs',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Record a treatment given (tourniquet, needle decompression, fluids, ...)
+router.post('/:casualtyId/interventions', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const { type, details, bodyLocation, performedAt } = req.body;
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intervention type is required'
+      });
+    }
+
+    const performed = performedAt ? new Date(performedAt) : undefined;
+    if (performed && isNaN(performed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'performedAt must be a valid date and time'
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const entry = casualty.addTimelineEntry('INTERVENTION', {
+      summary: bodyLocation ? `${type} (${bodyLocation})` : type,
+      data: { type, details, bodyLocation },
+      recordedBy: req.soldier.soldierId,
+      timestamp: performed
+    });
+
+    await casualty.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        casualtyId: casualty.casualtyId,
+        entry
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Casualty intervention error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record intervention',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Medication administration record: doses given, cumulative totals and next allowed dose per drug
+router.get('/:casualtyId/medications', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'read'), async (req, res) => {
+  try {
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    const history = casualty.getMedicationHistory();
+    const context = await router.buildMedicationContext(casualty);
+
+    res.json({
+      success: true,
+      data: {
+        casualtyId: casualty.casualtyId,
+        weightKg: casualty.weightKg ?? null,
+        allergies: casualty.allergies ?? null,
+        injuredAt: casualty.injuredAt ?? null,
+        administrations: history,
+        totals: [...new Set(history.map(entry => entry.drug))]
+          .map(drug => medicationCalculator.summarize(drug, history)),
+        flags: medicationCalculator.deriveFlags(context),
+        morphineAuthorized: medicationCalculator.isMorphineAuthorized(context.analysis) ?? null
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Medication record error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load medication record',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Give a drug: authorization by role, dose, redose interval, cumulative maximum and
+// contraindications from the latest assessment are checked before the dose is logged
+router.post('/:casualtyId/medications', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const permissions = req.soldier.permissions;
+    const { weightKg, allergies, timeOfInjury, administeredAt, overrideReason } = req.body;
+
+    if (!req.body.drug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Drug is required'
+      });
+    }
+
+    const invalidTime = ['administeredAt', 'timeOfInjury'].find(field => req.body[field] && isNaN(new Date(req.body[field])));
+    if (invalidTime) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidTime} must be a valid date and time`
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    // Patient details given with the dose override the stored ones for this check
+    const patient = {
+      weightKg: weightKg !== undefined ? weightKg : casualty.weightKg,
+      allergies: allergies !== undefined ? allergies : casualty.allergies,
+      injuredAt: timeOfInjury ? new Date(timeOfInjury) : casualty.injuredAt
+    };
+
+    const context = await router.buildMedicationContext(casualty, req.body);
+    const result = medicationCalculator.check({
+      ...req.body,
+      ...context,
+      weightKg: patient.weightKg,
+      allergies: patient.allergies,
+      timeOfInjury: patient.injuredAt,
+      history: casualty.getMedicationHistory(),
+      permissions,
+      morphineAuthorized: medicationCalculator.isMorphineAuthorized(context.analysis),
+      now: administeredAt
+    });
+
+    if (!result.allowed) {
+      const notAuthorized = result.errors.some(error => error.code === 'NOT_AUTHORIZED');
+      return res.status(notAuthorized ? 403 : 409).json({
+        success: false,
+        error: notAuthorized ? 'Insufficient permissions' : 'Medication cannot be given',
+        details: result.errors,
+        data: result
+      });
+    }
+
+    // ...and are kept for the next dose once this one is given
+    if (weightKg !== undefined) casualty.weightKg = weightKg;
+    if (allergies !== undefined) casualty.allergies = allergies;
+    if (timeOfInjury) casualty.injuredAt = patient.injuredAt;
+
+    const entry = casualty.addTimelineEntry('MEDICATION', {
+      summary: `${result.name} ${result.dose} ${result.unit} ${result.route}`,
+      data: {
+        drug: result.drug,
+        name: result.name,
+        category: result.category,
+        dose: result.dose,
+        unit: result.unit,
+        route: result.route,
+        basis: result.calculated.basis,
+        overrideReason: overrideReason || undefined,
+        warnings: result.warnings
+      },
+      recordedBy: req.soldier.soldierId,
+      timestamp: administeredAt ? new Date(administeredAt) : undefined
+    });
+
+    await casualty.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        casualtyId: casualty.casualtyId,
+        entry,
+        warnings: result.warnings,
+        cumulative: medicationCalculator.summarize(result.drug, casualty.getMedicationHistory())
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Medication administration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record medication',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Update disposition (evacuated, returned to duty, deceased)
+router.patch('/:casualtyId/status', MilitaryAuth.authenticate, MilitaryAuth.authorize('casualties', 'write'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!CASUALTY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of ${CASUALTY_STATUSES.join(', ')}`
+      });
+    }
+
+    const casualty = await router.findCasualty(req, res);
+    if (!casualty) return;
+
+    casualty.updateStatus(status, req.soldier.soldierId, reason);
+    await casualty.save();
+
+    res.json({
+      success: true,
+      data: router.formatCasualty(casualty, { includeTimeline: false }),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Casualty status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update casualty status',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Helper methods
+// A casualty outside the caller's scope is reported as not found
+router.findCasualty = async (req, res) => {
+  const casualty = await Casualty.findOne({ $and: [{ casualtyId: req.params.casualtyId }, req.access.filter] });
+
+  if (!casualty) {
+    res.status(404).json({
+      success: false,
+      error: `Casualty ${req.params.casualtyId} not found`
+    });
+  }
+
+  return casualty;
+};
+
+// Re-triage an existing casualty from a request body; records vitals when present
+router.applyAssessment = async (casualty, body, recordedBy) => {
+  const triage = await router.deriveTriage(body);
+  if (!triage) {
+    return { error: 'Provide triageLevel, startAssessment, assessment, symptoms or vitalSigns' };
+  }
+  if (triage.error) return triage;
+
+  const previousLevel = casualty.currentTriage?.level;
+  const direction = previousLevel
+    ? emergencyTriage.getTriageChangeDirection(previousLevel, triage.level)
+    : 'initial';
+
+  casualty.recordAssessment(triage.level, { ...triage, direction, recordedBy });
+
+  if (body.vitalSigns) {
+    router.recordVitals(casualty, body.vitalSigns, recordedBy);
+  }
+
+  if (direction === 'deteriorated') {
+    console.warn(`⚠️ Casualty ${casualty.casualtyId} deteriorated: ${previousLevel} → ${triage.level}`);
+  }
+
+  return { triage, change: { from: previousLevel || null, to: triage.level, direction } };
+};
+
+// Manual category, START/JumpSTART, primary survey, or symptom/vital analysis - in that order of precedence
+router.deriveTriage = async ({ triageLevel, startAssessment, startProtocol, assessment, symptoms, vitalSigns }) => {
+  if (triageLevel) {
+    if (!TRIAGE_LEVELS.includes(triageLevel)) {
+      return { error: `Triage level must be one of ${TRIAGE_LEVELS.join(', ')}` };
+    }
+    return { level: triageLevel, source: 'manual', summary: 'Manual triage' };
+  }
+
+  if (startAssessment) {
+    const start = emergencyTriage.performStartTriage(startAssessment, startProtocol);
+    if (!start.complete) {
+      return { error: `${start.protocol} assessment incomplete`, awaiting: start.awaiting };
+    }
+    return {
+      level: start.level,
+      source: start.protocol,
+      summary: start.reason,
+      data: { decisionPath: start.decisionPath }
+    };
+  }
+
+  if (assessment) {
+    const primary = emergencyTriage.performPrimaryTriage(assessment);
+    return {
+      level: primary.level,
+      source: 'primary-survey',
+      summary: primary.reason,
+      data: { assessment }
+    };
+  }
+
+  if (symptoms || vitalSigns) {
+    const analysis = await symptomAnalyzer.analyzeSymptoms(symptoms || [], vitalSigns || {}, {});
+    emergencyTriage.triageAnalysis(analysis, { vitalSigns });
+    return {
+      level: analysis.triageLevel,
+      source: 'symptom-analysis',
+      summary: analysis.primaryDiagnosis.diagnosis,
+      data: {
+        symptoms,
+        score: analysis.explanation?.triageScoring?.score,
+        rulePack: analysis.rulePack
+      }
+    };
+  }
+
+  return null;
+};
+
+// Notify the casualty's unit when a re-triage moves the category (or sets the first one)
+router.publishTriageChange = (casualty, change) => {
+  if (!change || change.direction === 'stable') return;
+
+  const deteriorated = change.direction === 'deteriorated';
+
+  eventStream.publish('TRIAGE_CHANGE', {
+    casualtyId: casualty.casualtyId,
+    incidentId: casualty.incidentId,
+    soldierId: casualty.soldierId,
+    ...change
+  }, {
+    unitPath: casualty.unitPath,
+    unit: casualty.unit,
+    permission: 'casualties:read',
+    priority: deteriorated || change.to === 'IMMEDIATE' ? 'critical' : 'medium',
+    message: change.from
+      ? `${casualty.casualtyId} ${change.direction}: ${change.from} → ${change.to}`
+      : `${casualty.casualtyId} triaged ${change.to}`
+  });
+};
+
+router.recordVitals = (casualty, vitalSigns, recordedBy) => {
+  const { vitals, ...scores } = vitalScorer.score(vitalSigns);
+  const concerns = symptomAnalyzer.assessVitalSigns(vitalSigns).concerns;
+
+  return casualty.addTimelineEntry('VITALS', {
+    summary: concerns.length > 0 ? concerns.join(', ') : 'Within normal limits',
+    data: { vitals, scores },
+    recordedBy
+  });
+};
+
+// Map the timeline onto the handover generator: primary-survey injuries, symptom analyses, vitals and interventions
+router.buildHandoverInput = async (casualty, { age, timeOfInjury, mechanism } = {}) => {
+  const entriesOf = type => casualty.timeline.filter(entry => entry.type === type);
+  const assessments = entriesOf('ASSESSMENT');
+
+  const diagnoses = assessments
+    .filter(entry => entry.data?.symptoms)
+    .map(entry => entry.summary)
+    .filter(Boolean);
+
+  const incident = !mechanism && casualty.incidentId
+    ? await Incident.findOne({ incidentId: casualty.incidentId }, 'mechanism')
+    : null;
+
+  return {
+    casualty: {
+      casualtyId: casualty.casualtyId,
+      soldierId: casualty.soldierId,
+      unit: casualty.unit
+    },
+    age,
+    timeOfInjury: timeOfInjury || casualty.injuredAt,
+    mechanism: mechanism || incident?.mechanism,
+    triageLevel: casualty.currentTriage?.level,
+    symptoms: assessments.flatMap(entry => [].concat(entry.data?.symptoms || [])),
+    injuries: assessments.flatMap(entry => emergencyTriage.withBurnInjury(entry.data?.assessment?.injuries, entry.data?.assessment?.burns) || []),
+    // Stored assessments keep only the diagnosis, so present them in analyzeSymptoms' shape
+    analysis: diagnoses.length > 0
+      ? {
+        primaryDiagnosis: { diagnosis: diagnoses[diagnoses.length - 1] },
+        differentialDiagnosis: [...new Set(diagnoses)].reverse().map(diagnosis => ({ diagnosis }))
+      }
+      : null,
+    vitalsHistory: entriesOf('VITALS').map(entry => ({ timestamp: entry.timestamp, vitals: entry.data?.vitals })),
+    interventions: [
+      ...entriesOf('INTERVENTION').map(entry => ({ ...entry.data, timestamp: entry.timestamp })),
+      ...entriesOf('MEDICATION').map(entry => ({
+        type: entry.data.name,
+        details: `${entry.data.dose} ${entry.data.unit} ${entry.data.route}`,
+        dose: `${entry.data.dose} ${entry.data.unit}`,
+        route: entry.data.route,
+        category: entry.data.category,
+        timestamp: entry.timestamp
+      }))
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  };
+};
+
+// Clinical picture for contraindication checks: the request's analysis and vitals, else a fresh
+// analysis of the latest recorded symptoms against the latest vitals
+router.buildMedicationContext = async (casualty, { analysis, vitalSigns, symptoms, injuries } = {}) => {
+  const latest = type => [...casualty.timeline].reverse().find(entry => entry.type === type && entry.data);
+  const vitals = vitalSigns || latest('VITALS')?.data?.vitals || {};
+  const assessments = casualty.timeline.filter(entry => entry.type === 'ASSESSMENT');
+  const recordedSymptoms = symptoms || [...assessments].reverse().find(entry => entry.data?.symptoms)?.data?.symptoms;
+
+  return {
+    analysis: analysis || (recordedSymptoms
+      ? await symptomAnalyzer.analyzeSymptoms([].concat(recordedSymptoms), vitals, {})
+      : null),
+    vitals,
+    symptoms: recordedSymptoms,
+    injuries: injuries || assessments.flatMap(entry => emergencyTriage.withBurnInjury(entry.data?.assessment?.injuries, entry.data?.assessment?.burns) || [])
+  };
+};
+
+router.loadCard = async (casualty) => {
+  const saved = await CasualtyCard.findOne({ casualtyId: casualty.casualtyId });
+  if (saved) {
+    return { card: cardForm.create(saved.toCard()), draft: false };
+  }
+
+  const input = await router.buildHandoverInput(casualty);
+  return { card: cardForm.fromSession(input), draft: true };
+};
+
+router.formatCasualty = (casualty, { includeTimeline = true } = {}) => {
+  const { timeline, ...casualtyData } = casualty.toJSON();
+
+  return {
+    ...casualtyData,
+    ...(includeTimeline ? { timeline } : { timelineLength: timeline.length }),
+    trend: emergencyTriage.calculateTriageTrend(casualty.getTriageHistory())
+  };
+};
+
+export default router;
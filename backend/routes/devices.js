@@ -0,0 +1,245 @@
+import express from 'express';
+import DeviceWipe from '../models/DeviceWipe.js';
+import MilitaryAuth from '../middleware/auth.js';
+import MedicalValidators from '../utils/validators.js';
+import SessionRegistry from '../services/auth/SessionRegistry.js';
+import deviceRegistry from '../services/auth/DeviceRegistry.js';
+import eventStream from '../services/ai/communication/EventStream.js';
+
+const router = express.Router();
+const sessionRegistry = new SessionRegistry();
+
+const ENROLL_ERRORS = {
+  MISSING: 'Device signature headers missing',
+  INVALID_KEY: 'Public key must be an ECDSA P-256 JWK',
+  MISMATCH: 'Device fingerprint is not the thumbprint of the public key',
+  REVOKED: 'This device key has been revoked - wipe the device and enroll a new key',
+  STALE: 'Device signature timestamp outside the allowed window - check the device clock',
+  INVALID_SIGNATURE: 'Invalid device signature',
+  REPLAYED: 'Device nonce already used'
+};
+
+// Enroll a device key before its first login: { publicKey (JWK), deviceInfo }, signed with the key itself
+router.post('/enroll', async (req, res) => {
+  try {
+    const { publicKey, deviceInfo } = req.body;
+
+    const { device, enrolled, error } = await deviceRegistry.enroll(req, publicKey, deviceInfo || {});
+
+    if (error) {
+      return res.status(error === 'REVOKED' ? 403 : 400).json({
+        success: false,
+        error: ENROLL_ERRORS[error],
+        code: error
+      });
+    }
+
+    if (enrolled) {
+      console.log(`📱 Device ${device.deviceFingerprint} enrolled`);
+    }
+
+    res.status(enrolled ? 201 : 200).json({
+      success: true,
+      data: {
+        deviceFingerprint: device.deviceFingerprint,
+        status: device.status,
+        enrolledAt: device.createdAt
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Device enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Device enrollment failed',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Order a remote wipe: the device's sessions and enrollment are revoked at once, the wipe itself runs on its next contact
+router.post('/:deviceFingerprint/wipe', MilitaryAuth.authenticate, MilitaryAuth.authorize('system', 'access'), async (req, res) => {
+  try {
+    const { deviceFingerprint } = req.params;
+
+    // One outstanding wipe per device; ordering it again returns the same one
+    const outstanding = await DeviceWipe.findOutstanding(deviceFingerprint);
+    if (outstanding) {
+      return res.json({
+        success: true,
+        data: outstanding,
+        timestamp: new Date()
+      });
+    }
+
+    const reason = req.body?.reason || 'Device reported lost or captured';
+    const revoked = await sessionRegistry.revokeDevice(deviceFingerprint, req.soldier.soldierId, `Remote wipe: ${reason}`);
+
+    const wipe = new DeviceWipe({
+      deviceFingerprint,
+      soldierIds: revoked.soldierIds,
+      reason,
+      requestedBy: req.soldier.soldierId,
+      revokedSessions: revoked.sessions,
+      revokedTokens: revoked.tokens
+    });
+    wipe.addAuditEntry('ISSUED', req.soldier.soldierId, {
+      ipAddress: req.ip,
+      details: `${revoked.sessions} sessions revoked: ${reason}`
+    });
+    await wipe.save();
+
+    console.log(`🧨 Wipe ${wipe.wipeId} ordered for device ${deviceFingerprint} by ${req.soldier.soldierId}`);
+
+    router.publishWipe(wipe);
+
+    res.status(201).json({
+      success: true,
+      data: wipe,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Order device wipe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to order device wipe',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Wipe orders and their audit trail
+router.get('/wipes', MilitaryAuth.authenticate, MilitaryAuth.authorize('system', 'access'), async (req, res) => {
+  try {
+    const { status, deviceFingerprint, limit } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (deviceFingerprint) query.deviceFingerprint = deviceFingerprint;
+
+    const wipes = await DeviceWipe.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MedicalValidators.parseLimit(limit, 50));
+
+    res.json({
+      success: true,
+      data: {
+        wipes,
+        total: wipes.length
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('List device wipes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list device wipes',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Device check-in. No token: a device under a wipe order has had its tokens revoked. It signs with its
+// key, revoked or not, so nobody else can pick up (and so acknowledge) its order.
+router.post('/wipe-check', MilitaryAuth.verifyDeviceKey, async (req, res) => {
+  try {
+    const { deviceFingerprint } = req.device;
+
+    const wipe = await DeviceWipe.findOutstanding(deviceFingerprint);
+    if (wipe) {
+      wipe.markDelivered(req.ip, 'check-in');
+      await wipe.save();
+      console.log(`🧨 Wipe ${wipe.wipeId} delivered to device ${deviceFingerprint}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        wipe: wipe ? router.toCommand(wipe) : null
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Device wipe check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Wipe check failed',
+      timestamp: new Date()
+    });
+  }
+});
+
+// The device reports what it destroyed; only the device the wipe was ordered for can confirm it. The
+// wipe destroys the key, so the device signs this request before it starts.
+router.post('/wipes/:wipeId/confirm', MilitaryAuth.verifyDeviceKey, async (req, res) => {
+  try {
+    const wipe = await DeviceWipe.findOne({ wipeId: req.params.wipeId });
+
+    if (!wipe || wipe.deviceFingerprint !== req.device.deviceFingerprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Wipe order not found for this device'
+      });
+    }
+
+    if (wipe.status !== 'CONFIRMED') {
+      wipe.confirm(req.body?.report, req.ip);
+      await wipe.save();
+
+      console.log(`✅ Wipe ${wipe.wipeId} confirmed by device ${wipe.deviceFingerprint}`);
+
+      eventStream.publish('DEVICE_WIPE_CONFIRMED', router.toCommand(wipe), {
+        permission: 'system:access',
+        priority: 'high',
+        message: `Device wipe ${wipe.wipeId} confirmed`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        wipeId: wipe.wipeId,
+        status: wipe.status,
+        confirmedAt: wipe.confirmedAt
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Device wipe confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Wipe confirmation failed',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Helper methods
+// What the device needs to carry out and confirm the wipe
+router.toCommand = (wipe) => ({
+  wipeId: wipe.wipeId,
+  deviceFingerprint: wipe.deviceFingerprint,
+  reason: wipe.reason,
+  status: wipe.status,
+  issuedAt: wipe.createdAt
+});
+
+// Push to the device's own open event stream (it was opened before the tokens were revoked) and to officers.
+// Every soldier on the device gets it; each device only acts on a wipe for its own fingerprint.
+router.publishWipe = (wipe) => {
+  const audiences = wipe.soldierIds.length > 0 ? wipe.soldierIds : [undefined];
+
+  audiences.forEach(soldierId => eventStream.publish('DEVICE_WIPE', router.toCommand(wipe), {
+    soldierId,
+    permission: 'system:access',
+    priority: 'critical',
+    message: `Remote wipe ${wipe.wipeId} ordered for a device${soldierId ? ` used by ${soldierId}` : ''}`
+  }));
+};
+
+export default router;
@@ -1,12 +1,21 @@
 import express from 'express';
 import SymptomAnalyzer from '../services/ai/SymptomAnalyzer.js';
+import EmergencyTriage from '../services/ai/EmergencyTriage.js';
+import NineLineMedevac from '../services/ai/evacuation/NineLineMedevac.js';
 import MilitaryAuth from '../middleware/auth.js';
+import { validateVitalSignsBody } from '../utils/validators.js';
+import InjuryAnnotations from '../../shared/bodyMap/InjuryAnnotations.js';
 
 const router = express.Router();
 const symptomAnalyzer = new SymptomAnalyzer();
+const emergencyTriage = new EmergencyTriage();
+const nineLine = new NineLineMedevac();
+const injuryAnnotations = new InjuryAnnotations();
+
+const MAX_MASS_CASUALTY_BATCH = 50;
 
 // Analyze symptoms endpoint
-router.post('/analyze', MilitaryAuth.authenticate, async (req, res) => {
+router.post('/analyze', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), validateVitalSignsBody, async (req, res) => {
   try {
     const { symptoms, vitalSigns, location, soldierInfo } = req.body;
 
@@ -25,6 +34,7 @@ router.post('/analyze', MilitaryAuth.authenticate, async (req, res) => {
       vitalSigns || {}, 
       location || {}
     );
+    emergencyTriage.triageAnalysis(analysis, { vitalSigns });
 
     // Add soldier info to analysis
     analysis.soldierId = req.soldier.soldierId;
@@ -52,30 +62,51 @@ router.post('/analyze', MilitaryAuth.authenticate, async (req, res) => {
 });
 
 // Emergency triage assessment
-router.post('/triage', MilitaryAuth.authenticate, async (req, res) => {
+router.post('/triage', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), validateVitalSignsBody, async (req, res) => {
   try {
-    const { symptoms, vitalSigns, mechanismOfInjury, environment } = req.body;
+    const { symptoms, vitalSigns, environment, burns, assessment } = req.body;
 
-    if (!symptoms && !vitalSigns) {
+    if (!symptoms && !vitalSigns && !burns && !assessment && !req.body.injuries?.length) {
       return res.status(400).json({
         success: false,
-        error: 'Symptoms or vital signs required for triage assessment'
+        error: 'Symptoms, vital signs, a primary survey, body-map injuries or a burn chart required for triage assessment'
       });
     }
 
-    const analysis = await symptomAnalyzer.analyzeSymptoms(
-      symptoms || [], 
-      vitalSigns || {}, 
-      {}
-    );
+    if (burns) {
+      const validation = emergencyTriage.burnAssessment.validate(burns);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid burn chart',
+          details: validation.errors
+        });
+      }
+    }
+
+    if (req.body.injuries) {
+      const validation = injuryAnnotations.validate(req.body.injuries);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid injuries',
+          details: validation.errors
+        });
+      }
+    }
+
+    const { analysis, injuries, mechanismOfInjury } = await router.triageCasualty(req.body);
 
     // Enhanced triage with mechanism of injury
     const enhancedTriage = {
       ...analysis,
       mechanismOfInjury,
       environment,
+      injuries,
       fieldTriageDecision: router.makeFieldTriageDecision(analysis, mechanismOfInjury),
       evacuationPriority: router.calculateEvacuationPriority(analysis, environment),
+      // 9-line precedence (URGENT, URGENT_SURGICAL, PRIORITY, ROUTINE) for POST /api/evac/nine-line
+      evacuationPrecedence: nineLine.getPrecedenceForTriage(analysis.triageLevel),
       resourceRequirements: router.assessResourceNeeds(analysis)
     };
 
@@ -95,8 +126,55 @@ router.post('/triage', MilitaryAuth.authenticate, async (req, res) => {
   }
 });
 
+// START (adult) / JumpSTART (pediatric) field triage with the decision path taken
+router.post('/start-triage', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), async (req, res) => {
+  try {
+    const { assessment, protocol } = req.body;
+
+    if (!assessment || typeof assessment !== 'object' || Array.isArray(assessment)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assessment object is required for START triage'
+      });
+    }
+
+    if (protocol && !['START', 'JumpSTART'].includes(protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Protocol must be START or JumpSTART'
+      });
+    }
+
+    const result = emergencyTriage.performStartTriage(assessment, protocol);
+
+    if (result.awaiting?.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid assessment',
+        details: [result.awaiting.error]
+      });
+    }
+
+    console.log(`🏷️ ${result.protocol} triage by ${req.soldier.soldierId}: ${result.complete ? result.level : `awaiting ${result.awaiting.field}`}`);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('START triage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Triage system error',
+      offlineFallback: true
+    });
+  }
+});
+
 // Batch symptoms analysis for multiple casualties
-router.post('/mass-casualty', MilitaryAuth.authenticate, async (req, res) => {
+router.post('/mass-casualty', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), async (req, res) => {
   try {
     const { casualties } = req.body;
 
@@ -107,26 +185,22 @@ router.post('/mass-casualty', MilitaryAuth.authenticate, async (req, res) => {
       });
     }
 
-    if (casualties.length > 10) {
+    if (casualties.length > MAX_MASS_CASUALTY_BATCH) {
       return res.status(400).json({
         success: false,
-        error: 'Maximum 10 casualties per request'
+        error: `Maximum ${MAX_MASS_CASUALTY_BATCH} casualties per request - use /api/incidents for larger incidents`
       });
     }
 
     const analyses = await Promise.all(
       casualties.map(async (casualty, index) => {
         try {
-          const analysis = await symptomAnalyzer.analyzeSymptoms(
-            casualty.symptoms,
-            casualty.vitalSigns,
-            casualty.location
-          );
-          
+          const { analysis, decision } = await router.triageCasualty(casualty);
+
           return {
             casualtyId: casualty.id || `casualty-${index + 1}`,
             ...analysis,
-            triageTag: router.assignTriageTag(analysis.triageLevel)
+            triageTag: decision.color
           };
         } catch (error) {
           return {
@@ -141,8 +215,7 @@ router.post('/mass-casualty', MilitaryAuth.authenticate, async (req, res) => {
     );
 
     // Sort by triage priority
-    const triageOrder = { IMMEDIATE: 1, DELAYED: 2, MINOR: 3, EXPECTANT: 4 };
-    analyses.sort((a, b) => triageOrder[a.triageLevel] - triageOrder[b.triageLevel]);
+    analyses.sort((a, b) => emergencyTriage.core.compare(a.triageLevel, b.triageLevel));
 
     res.json({
       success: true,
@@ -151,8 +224,9 @@ router.post('/mass-casualty', MilitaryAuth.authenticate, async (req, res) => {
         immediate: analyses.filter(a => a.triageLevel === 'IMMEDIATE').length,
         delayed: analyses.filter(a => a.triageLevel === 'DELAYED').length,
         minor: analyses.filter(a => a.triageLevel === 'MINOR').length,
+        expectant: analyses.filter(a => a.triageLevel === 'EXPECTANT').length,
         analyses,
-        summary: this.generateMassCasualtySummary(analyses)
+        summary: router.generateMassCasualtySummary(analyses)
       },
       timestamp: new Date()
     });
@@ -168,6 +242,31 @@ router.post('/mass-casualty', MilitaryAuth.authenticate, async (req, res) => {
 });
 
 // Helper methods
+// One casualty through the analyzer and the shared triage decision - the same steps the PWA's offline
+// engine (frontend/src/workers/triagePipeline.js) takes, so both give the same category and reason
+router.triageCasualty = async ({ symptoms, vitalSigns, assessment, injuries, burns, mechanismOfInjury, location }) => {
+  const marked = injuryAnnotations.normalize(injuries || []);
+  const mechanism = mechanismOfInjury || injuryAnnotations.deriveMechanism(marked) || undefined;
+
+  // Marked wounds are also read as symptoms so the analyzer's keyword rules see them
+  const analysis = await symptomAnalyzer.analyzeSymptoms(
+    injuryAnnotations.withSymptoms(symptoms, marked),
+    vitalSigns || {},
+    location || {}
+  );
+
+  // The score is only the starting point: the primary survey, vitals, wounds, burn chart and mechanism can raise it
+  const decision = emergencyTriage.triageAnalysis(analysis, {
+    assessment,
+    vitalSigns,
+    injuries: marked,
+    burns,
+    mechanismOfInjury: mechanism
+  });
+
+  return { analysis, decision, injuries: marked, mechanismOfInjury: mechanism };
+};
+
 router.makeFieldTriageDecision = (analysis, mechanism) => {
   if (analysis.triageLevel === 'IMMEDIATE') return 'IMMEDIATE_EVACUATION';
   if (mechanism === 'blast' || mechanism === 'gunshot') return 'URGENT_ASSESSMENT';
@@ -201,19 +300,13 @@ router.assessResourceNeeds = (analysis) => {
   if (analysis.militaryContext.combatRelated) {
     needs.push('TACTICAL_MEDIC', 'COMBAT_DRESSINGS');
   }
-  
-  return needs.length > 0 ? needs : ['BASIC_MEDICAL_SUPPLIES'];
-};
 
-router.assignTriageTag = (triageLevel) => {
-  const tags = {
-    'IMMEDIATE': 'RED',
-    'DELAYED': 'YELLOW', 
-    'MINOR': 'GREEN',
-    'EXPECTANT': 'BLACK'
-  };
+  if (analysis.burnAssessment?.tbsa > 0) {
+    needs.push('BURN_DRESSINGS');
+    if (analysis.burnAssessment.fluids.indicated) needs.push('IV_FLUIDS');
+  }
   
-  return tags[triageLevel] || 'GREEN';
+  return needs.length > 0 ? needs : ['BASIC_MEDICAL_SUPPLIES'];
 };
 
 router.generateMassCasualtySummary = (analyses) => {
@@ -0,0 +1,132 @@
+import express from 'express';
+import Casualty from '../models/Casualty.js';
+import Incident, { INCIDENT_ACCESS_FIELDS } from '../models/Incident.js';
+import MilitaryAuth from '../middleware/auth.js';
+import NineLineMedevac from '../services/ai/evacuation/NineLineMedevac.js';
+
+const router = express.Router();
+const nineLine = new NineLineMedevac();
+
+// Build a 9-line MEDEVAC request from a casualty, an MCI (all active casualties) or ad-hoc patients.
+// Incomplete requests are still returned, with `validation.errors` naming the lines to fill in.
+router.post('/nine-line', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), async (req, res) => {
+  try {
+    const { casualtyId, incidentId, casualtyIds, patients = [], location, ...lines } = req.body;
+
+    if (!Array.isArray(patients)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Patients must be an array'
+      });
+    }
+
+    if (!casualtyId && !incidentId && patients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide casualtyId, incidentId or patients'
+      });
+    }
+
+    let source = { patients: [], location: null };
+
+    if (casualtyId || incidentId) {
+      const casualtyAccess = MilitaryAuth.requirePermission(req, res, 'casualties:read');
+      if (!casualtyAccess) return;
+
+      if (casualtyId) {
+        source = await router.loadCasualty(casualtyId, casualtyAccess);
+      } else {
+        const incidentAccess = MilitaryAuth.requirePermission(req, res, 'incidents:read', INCIDENT_ACCESS_FIELDS);
+        if (!incidentAccess) return;
+
+        source = await router.loadIncident(incidentId, casualtyIds, { incidentAccess, casualtyAccess });
+      }
+
+      if (source.error) {
+        return res.status(404).json({ success: false, error: source.error });
+      }
+    }
+
+    const request = nineLine.build({
+      ...lines,
+      location: location || source.location,
+      patients: router.mergePatients(source.patients, patients)
+    });
+    const validation = nineLine.validate(request);
+
+    console.log(`🚁 9-line MEDEVAC for ${casualtyId || incidentId || `${patients.length} patients`} by ${req.soldier.soldierId}: ${validation.valid ? request.lines[2].value : `${validation.errors.length} lines incomplete`}`);
+
+    res.json({
+      success: true,
+      data: {
+        casualtyId,
+        incidentId,
+        request,
+        validation,
+        text: nineLine.renderText(request),
+        voice: nineLine.renderVoice(request)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('9-line MEDEVAC error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build MEDEVAC request',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Helper methods
+// The access arguments come from MilitaryAuth.requirePermission; what they don't reach is not found
+router.loadCasualty = async (casualtyId, access) => {
+  const casualty = await Casualty.findOne({ $and: [{ casualtyId }, access.filter] });
+  if (!casualty) return { error: `Casualty ${casualtyId} not found` };
+
+  return {
+    patients: [router.toPatient(casualty)],
+    location: router.hasLocation(casualty.location) ? casualty.location : null
+  };
+};
+
+router.loadIncident = async (incidentId, casualtyIds, { incidentAccess, casualtyAccess }) => {
+  const incident = await Incident.findOne({ $and: [{ incidentId }, incidentAccess.filter] });
+  if (!incident) return { error: `Incident ${incidentId} not found` };
+
+  const query = { incidentId, status: 'ACTIVE' };
+  if (Array.isArray(casualtyIds) && casualtyIds.length > 0) {
+    query.casualtyId = { $in: casualtyIds };
+  }
+
+  const casualties = await Casualty.find({ $and: [query, casualtyAccess.filter] });
+
+  return {
+    patients: casualties.map(router.toPatient),
+    location: router.hasLocation(incident.location) ? incident.location : null
+  };
+};
+
+router.hasLocation = (location) => Boolean(location?.gridReference || location?.coordinates?.length);
+
+router.toPatient = (casualty) => ({
+  casualtyId: casualty.casualtyId,
+  triageLevel: casualty.currentTriage?.level,
+  injuries: casualty.lastAssessment?.data?.assessment?.injuries || []
+});
+
+// Entries with a casualtyId override that casualty's derived values; the rest are extra patients
+router.mergePatients = (stored, provided) => {
+  const overrides = new Map(
+    provided.filter(patient => patient?.casualtyId).map(patient => [patient.casualtyId, patient])
+  );
+
+  return [
+    ...stored.map(patient => ({ ...patient, ...overrides.get(patient.casualtyId) })),
+    ...provided.filter(patient => patient && !stored.some(existing => existing.casualtyId === patient.casualtyId))
+  ];
+};
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import MilitaryAuth from '../middleware/auth.js';
+import eventStream from '../services/ai/communication/EventStream.js';
+
+const router = express.Router();
+
+// Server-Sent Events stream of emergency records, triage changes, sync completions and MCI board updates.
+// Events are filtered by the subscriber's unit and access policy grants (events:read).
+router.get('/stream', MilitaryAuth.authenticate, (req, res) => {
+  try {
+    eventStream.subscribe(req, res);
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open event stream',
+        timestamp: new Date()
+      });
+    }
+  }
+});
+
+// Subscriber and buffer counts
+router.get('/status', MilitaryAuth.authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: eventStream.getStats(),
+    timestamp: new Date()
+  });
+});
+
+export default router;
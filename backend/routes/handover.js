@@ -0,0 +1,52 @@
+import express from 'express';
+import MilitaryAuth from '../middleware/auth.js';
+import HandoverReport, { HANDOVER_FORMATS } from '../../shared/handover/HandoverReport.js';
+
+const router = express.Router();
+const handoverReport = new HandoverReport();
+
+// MIST / ATMIST handover from an analysis, injury detections, vitals history and interventions.
+// Nothing is stored; see GET /api/casualties/:casualtyId/handover for a report from a casualty's timeline.
+router.post('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), (req, res) => {
+  try {
+    const { format = 'ATMIST', vitalsHistory, interventions, ...input } = req.body;
+
+    if (!HANDOVER_FORMATS.includes(String(format).toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of ${HANDOVER_FORMATS.join(', ')}`
+      });
+    }
+
+    if ((vitalsHistory && !Array.isArray(vitalsHistory)) || (interventions && !Array.isArray(interventions))) {
+      return res.status(400).json({
+        success: false,
+        error: 'vitalsHistory and interventions must be arrays'
+      });
+    }
+
+    const report = handoverReport.generate({ ...input, vitalsHistory, interventions }, { format });
+
+    console.log(`📋 ${report.format} handover generated by ${req.soldier.soldierId}`);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        text: handoverReport.renderText(report)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Handover report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate handover report',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+export default router;
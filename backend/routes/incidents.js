@@ -0,0 +1,403 @@
+import express from 'express';
+import Incident, { INCIDENT_ACCESS_FIELDS } from '../models/Incident.js';
+import Casualty from '../models/Casualty.js';
+import MilitaryAuth from '../middleware/auth.js';
+import MedicalValidators from '../utils/validators.js';
+import EmergencyTriage from '../services/ai/EmergencyTriage.js';
+import eventStream from '../services/ai/communication/EventStream.js';
+import casualtyRoutes from './casualties.js';
+
+const router = express.Router();
+const emergencyTriage = new EmergencyTriage();
+
+const MAX_CASUALTIES_PER_REQUEST = 50;
+
+// Open a mass-casualty incident
+router.post('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'write', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const { name, description, unit, mechanism, location } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Incident name is required'
+      });
+    }
+
+    const incident = new Incident({
+      name,
+      description,
+      unit: unit || req.soldier.unit,
+      unitPath: req.soldier.unitPath,
+      mechanism,
+      location,
+      createdBy: req.soldier.soldierId
+    });
+
+    await incident.save();
+
+    console.log(`🚨 MCI ${incident.incidentId} opened by ${req.soldier.soldierId}: ${name}`);
+
+    router.publishBoardUpdate(incident, 'OPENED', router.countCasualties([]));
+
+    res.status(201).json({
+      success: true,
+      data: incident,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Create incident error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open incident',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// List incidents (open by default)
+router.get('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'read', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const { status = 'OPEN', unit, limit } = req.query;
+
+    const query = {};
+    if (status !== 'ALL') query.status = status;
+    if (unit) query.unit = unit;
+
+    const incidents = await Incident.find({ $and: [query, req.access.filter] })
+      .sort({ createdAt: -1 })
+      .limit(MedicalValidators.parseLimit(limit, 20));
+
+    res.json({
+      success: true,
+      data: {
+        incidents,
+        total: incidents.length
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('List incidents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve incidents',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Shared incident board: casualties in priority order, counts by tag, resources and recommendations
+router.get('/:incidentId', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'read', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const incident = await router.findIncident(req, res);
+    if (!incident) return;
+
+    res.json({
+      success: true,
+      data: await router.buildBoard(incident),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Incident board error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build incident board',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Counts by triage tag only - cheap enough to poll
+router.get('/:incidentId/counts', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'read', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const incident = await router.findIncident(req, res);
+    if (!incident) return;
+
+    const casualties = await Casualty.find({ incidentId: incident.incidentId }, 'status currentTriage');
+
+    res.json({
+      success: true,
+      data: {
+        incidentId: incident.incidentId,
+        status: incident.status,
+        ...router.countCasualties(casualties)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Incident counts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to count casualties',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Add one casualty ({ ... }) or a batch ({ casualties: [...] }) to the incident
+router.post('/:incidentId/casualties', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'write', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const incident = await router.findOpenIncident(req, res);
+    if (!incident) return;
+
+    const entries = Array.isArray(req.body.casualties) ? req.body.casualties : [req.body];
+
+    if (entries.length === 0 || entries.length > MAX_CASUALTIES_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `Between 1 and ${MAX_CASUALTIES_PER_REQUEST} casualties per request`
+      });
+    }
+
+    const recordedBy = req.soldier.soldierId;
+    const added = [];
+    const failed = [];
+
+    for (const [index, entry] of entries.entries()) {
+      const triage = await casualtyRoutes.deriveTriage(entry);
+      if (triage?.error) {
+        failed.push({ index, error: triage.error, awaiting: triage.awaiting });
+        continue;
+      }
+
+      const casualty = new Casualty({
+        incidentId: incident.incidentId,
+        soldierId: entry.soldierId,
+        unit: entry.unit || incident.unit,
+        unitPath: req.soldier.unitPath,
+        description: entry.description,
+        location: entry.location,
+        createdBy: recordedBy
+      });
+
+      if (triage) {
+        casualty.recordAssessment(triage.level, { ...triage, recordedBy });
+      }
+
+      await casualty.save();
+      added.push({ index, casualtyId: casualty.casualtyId, triageLevel: triage?.level || null });
+    }
+
+    console.log(`🩹 MCI ${incident.incidentId}: ${added.length} casualties added, ${failed.length} rejected`);
+
+    const board = await router.buildBoard(incident);
+    if (added.length > 0) {
+      router.publishBoardUpdate(incident, 'CASUALTIES_ADDED', board.counts);
+    }
+
+    res.status(added.length > 0 ? 201 : 400).json({
+      success: added.length > 0,
+      data: {
+        added,
+        failed,
+        board
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Add incident casualties error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add casualties',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Re-triage a casualty within the incident
+router.post('/:incidentId/casualties/:casualtyId/assessments', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'write', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const incident = await router.findOpenIncident(req, res);
+    if (!incident) return;
+
+    const casualty = await Casualty.findOne({
+      casualtyId: req.params.casualtyId,
+      incidentId: incident.incidentId
+    });
+
+    if (!casualty) {
+      return res.status(404).json({
+        success: false,
+        error: `Casualty ${req.params.casualtyId} not found in incident ${incident.incidentId}`
+      });
+    }
+
+    const result = await casualtyRoutes.applyAssessment(casualty, req.body, req.soldier.soldierId);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error, awaiting: result.awaiting });
+    }
+
+    await casualty.save();
+    casualtyRoutes.publishTriageChange(casualty, result.change);
+
+    const counts = router.countCasualties(await Casualty.find({ incidentId: incident.incidentId }, 'status currentTriage'));
+    router.publishBoardUpdate(incident, 'CASUALTY_RETRIAGED', counts);
+
+    res.json({
+      success: true,
+      data: {
+        casualty: casualtyRoutes.formatCasualty(casualty, { includeTimeline: false }),
+        change: result.change,
+        counts
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Incident re-triage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-triage casualty',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Close the incident and store the final board as its summary
+router.post('/:incidentId/close', MilitaryAuth.authenticate, MilitaryAuth.authorize('incidents', 'write', INCIDENT_ACCESS_FIELDS), async (req, res) => {
+  try {
+    const incident = await router.findOpenIncident(req, res);
+    if (!incident) return;
+
+    const board = await router.buildBoard(incident);
+    const summary = {
+      ...board.summary,
+      counts: board.counts,
+      resourceRequirements: board.resourceRequirements,
+      recommendations: board.recommendations,
+      deteriorations: board.casualties.reduce((total, casualty) => total + casualty.trend.deteriorations, 0),
+      notes: req.body.notes
+    };
+
+    incident.close(req.soldier.soldierId, summary);
+    await incident.save();
+
+    console.log(`✅ MCI ${incident.incidentId} closed after ${incident.durationMinutes} minutes (${summary.total} casualties)`);
+
+    router.publishBoardUpdate(incident, 'CLOSED', board.counts);
+
+    res.json({
+      success: true,
+      data: incident,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Close incident error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close incident',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Helper methods
+// An incident outside the caller's scope is reported as not found
+router.findIncident = async (req, res) => {
+  const incident = await Incident.findOne({ $and: [{ incidentId: req.params.incidentId }, req.access.filter] });
+
+  if (!incident) {
+    res.status(404).json({
+      success: false,
+      error: `Incident ${req.params.incidentId} not found`
+    });
+  }
+
+  return incident;
+};
+
+router.findOpenIncident = async (req, res) => {
+  const incident = await router.findIncident(req, res);
+
+  if (incident && !incident.isOpen) {
+    res.status(409).json({
+      success: false,
+      error: `Incident ${incident.incidentId} is closed`
+    });
+    return null;
+  }
+
+  return incident;
+};
+
+router.countCasualties = (casualties) => {
+  const byTag = { RED: 0, YELLOW: 0, GREEN: 0, BLACK: 0, UNTRIAGED: 0 };
+  const byStatus = {};
+
+  casualties.forEach(casualty => {
+    const protocol = emergencyTriage.getProtocolForLevel(casualty.currentTriage?.level);
+    byTag[protocol ? protocol.color : 'UNTRIAGED']++;
+    byStatus[casualty.status] = (byStatus[casualty.status] || 0) + 1;
+  });
+
+  return { total: casualties.length, byTag, byStatus };
+};
+
+// Tell subscribed boards to refresh; counts ride along so a client can update without refetching
+router.publishBoardUpdate = (incident, change, counts) => {
+  eventStream.publish('MCI_BOARD_UPDATE', {
+    incidentId: incident.incidentId,
+    name: incident.name,
+    status: incident.status,
+    change,
+    counts
+  }, {
+    unitPath: incident.unitPath,
+    unit: incident.unit,
+    permission: 'incidents:read',
+    priority: change === 'OPENED' ? 'high' : 'medium',
+    message: `MCI ${incident.incidentId}: ${change.replace(/_/g, ' ').toLowerCase()}`
+  });
+};
+
+router.buildBoard = async (incident) => {
+  const casualties = await Casualty.find({ incidentId: incident.incidentId });
+
+  const triaged = [];
+  const untriaged = [];
+
+  casualties.forEach(casualty => {
+    const view = casualtyRoutes.formatCasualty(casualty, { includeTimeline: false });
+    const triage = emergencyTriage.getProtocolForLevel(casualty.currentTriage?.level);
+
+    if (!triage) {
+      untriaged.push(view);
+      return;
+    }
+
+    triaged.push({
+      ...view,
+      triage,
+      // Resource estimates look at the injuries from the latest primary survey
+      assessment: { injuries: casualty.lastAssessment?.data?.assessment?.injuries || [] }
+    });
+  });
+
+  const massCasualty = emergencyTriage.summarizeMassCasualty(triaged);
+
+  return {
+    incident,
+    counts: router.countCasualties(casualties),
+    casualties: [
+      ...massCasualty.casualties.map(({ assessment, ...casualty }) => casualty),
+      ...untriaged
+    ],
+    deteriorating: triaged
+      .filter(casualty => casualty.trend.direction === 'deteriorated')
+      .map(casualty => casualty.casualtyId),
+    summary: massCasualty.summary,
+    resourceRequirements: massCasualty.resourceRequirements,
+    recommendations: massCasualty.recommendations
+  };
+};
+
+export default router;
@@ -2,9 +2,11 @@ import express from 'express';
 import multer from 'multer';
 import InjuryDetector from '../services/ai/InjuryDetector.js';
 import MilitaryAuth from '../middleware/auth.js';
+import BurnAssessment from '../../shared/burns/BurnAssessment.js';
 
 const router = express.Router();
 const injuryDetector = new InjuryDetector();
+const burnAssessment = new BurnAssessment();
 
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
@@ -23,7 +25,7 @@ const upload = multer({
 });
 
 // Detect injury from image
-router.post('/detect', MilitaryAuth.authenticate, upload.single('image'), async (req, res) => {
+router.post('/detect', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -36,9 +38,19 @@ router.post('/detect', MilitaryAuth.authenticate, upload.single('image'), async
     console.log(`🖼️ Analyzing injury image for soldier ${req.soldier.soldierId}`);
     console.log(`   File: ${req.file.originalname}, Size: ${req.file.size} bytes`);
 
-    const { mechanism, location, additionalInfo } = req.body;
+    const { mechanism, location, bodyLocation, additionalInfo } = req.body;
 
-    const detectionResult = await injuryDetector.detectInjury(req.file.buffer);
+    // Optional burn chart (JSON in the multipart form) sizes any burn the model detects
+    const burns = router.parseBurns(req.body.burns);
+    if (burns?.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid burn chart',
+        details: burns.error
+      });
+    }
+
+    const detectionResult = await injuryDetector.detectInjury(req.file.buffer, { bodyLocation, burns });
 
     // Enhance with additional context
     const enhancedResult = {
@@ -80,7 +92,7 @@ router.post('/detect', MilitaryAuth.authenticate, upload.single('image'), async
 });
 
 // Bulk injury analysis for multiple images
-router.post('/bulk-detect', MilitaryAuth.authenticate, upload.array('images', 5), async (req, res) => {
+router.post('/bulk-detect', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), upload.array('images', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -138,6 +150,42 @@ router.post('/bulk-detect', MilitaryAuth.authenticate, upload.array('images', 5)
   }
 });
 
+// Burn size from the body-map chart: %TBSA, triage category and 24 h fluid targets. Nothing is stored.
+router.post('/burns', MilitaryAuth.authenticate, MilitaryAuth.authorize('triage', 'access'), (req, res) => {
+  try {
+    const validation = burnAssessment.validate(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid burn chart',
+        details: validation.errors
+      });
+    }
+
+    const assessment = burnAssessment.assess(req.body);
+
+    console.log(`🔥 Burn chart for ${req.soldier.soldierId}: ${assessment.tbsa}% TBSA (${assessment.triageLevel})`);
+
+    res.json({
+      success: true,
+      data: {
+        ...assessment,
+        injury: burnAssessment.toInjury(assessment)
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Burn assessment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Burn assessment failed',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
 // Get injury detection capabilities
 router.get('/capabilities', MilitaryAuth.authenticate, (req, res) => {
   res.json({
@@ -146,11 +194,13 @@ router.get('/capabilities', MilitaryAuth.authenticate, (req, res) => {
       detectableInjuries: injuryDetector.labels,
       confidenceThreshold: injuryDetector.confidenceThreshold,
       modelStatus: injuryDetector.modelLoaded ? 'OPERATIONAL' : 'OFFLINE',
+      demoMode: injuryDetector.demoMode,
       maxFileSize: '10MB',
       supportedFormats: ['JPEG', 'PNG', 'GIF', 'BMP', 'WEBP'],
       capabilities: [
         'Combat injury detection',
         'Severity assessment', 
+        'Burn sizing (%TBSA) from a body-map chart',
         'First aid guidance',
         'Military context analysis',
         'Offline fallback mode'
@@ -161,6 +211,20 @@ router.get('/capabilities', MilitaryAuth.authenticate, (req, res) => {
 });
 
 // Helper methods
+router.parseBurns = (value) => {
+  if (!value) return null;
+
+  let burns;
+  try {
+    burns = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    return { error: ['Burns must be JSON'] };
+  }
+
+  const validation = burnAssessment.validate(burns);
+  return validation.valid ? burns : { error: validation.errors };
+};
+
 router.generateCombinedAssessment = (analyses) => {
   const allInjuries = analyses.flatMap(analysis => 
     analysis.injuries.map(injury => ({
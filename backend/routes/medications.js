@@ -0,0 +1,69 @@
+import express from 'express';
+import MilitaryAuth from '../middleware/auth.js';
+import SymptomAnalyzer from '../services/ai/SymptomAnalyzer.js';
+import MedicationCalculator, { FORMULARY } from '../../shared/medications/MedicationCalculator.js';
+
+const router = express.Router();
+const symptomAnalyzer = new SymptomAnalyzer();
+const medicationCalculator = new MedicationCalculator();
+
+// Drugs, doses, routes and who may give them
+router.get('/formulary', MilitaryAuth.authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: FORMULARY,
+    timestamp: new Date()
+  });
+});
+
+// Dose calculation and pre-administration checks for the caller's role. Nothing is stored;
+// POST /api/casualties/:casualtyId/medications checks and logs a dose for a tracked casualty.
+router.post('/check', MilitaryAuth.authenticate, async (req, res) => {
+  try {
+    const { drug, symptoms, vitalSigns, history = [] } = req.body;
+
+    if (!drug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Drug is required'
+      });
+    }
+
+    if (!Array.isArray(history)) {
+      return res.status(400).json({
+        success: false,
+        error: 'History must be an array of { drug, dose, administeredAt }'
+      });
+    }
+
+    const analysis = req.body.analysis || (symptoms
+      ? await symptomAnalyzer.analyzeSymptoms([].concat(symptoms), vitalSigns || {}, {})
+      : null);
+
+    const result = medicationCalculator.check({
+      ...req.body,
+      vitals: req.body.vitals || vitalSigns,
+      analysis,
+      history,
+      permissions: req.soldier.permissions,
+      morphineAuthorized: medicationCalculator.isMorphineAuthorized(analysis)
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Medication check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check medication',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,255 @@
+import express from 'express';
+import Personnel from '../models/Personnel.js';
+import MilitaryAuth from '../middleware/auth.js';
+import MedicalValidators from '../utils/validators.js';
+import RosterImport from '../services/personnel/RosterImport.js';
+
+const router = express.Router();
+const rosterImport = new RosterImport();
+
+const EDITABLE_FIELDS = ['name', 'rank', 'role', 'status', 'bloodType', 'allergies', 'unitPath'];
+
+// List personnel within the caller's scope, optionally by unit (with its subunits), role or status
+router.get('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'read'), async (req, res) => {
+  try {
+    const { unit, includeSubunits, role, status, limit } = req.query;
+
+    const query = {};
+    if (unit) Object.assign(query, includeSubunits === 'true' ? { unitPath: unit } : { unit });
+    if (role) query.role = role;
+    if (status) query.status = status;
+
+    const personnel = await Personnel.find({ $and: [query, req.access.filter] })
+      .sort({ unit: 1, soldierId: 1 })
+      .limit(MedicalValidators.parseLimit(limit, 100));
+
+    res.json({
+      success: true,
+      data: {
+        personnel: personnel.map(entry => entry.toProfile()),
+        total: personnel.length
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('List personnel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list personnel',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Bulk roster import: CSV as the request body (text/csv, parsed in server.js so the device signature
+// covers it) or as { csv } in JSON
+router.post('/import', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'write'), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (!csv) {
+      return res.status(400).json({
+        success: false,
+        error: 'Roster CSV is required'
+      });
+    }
+
+    const result = await rosterImport.importCsv(csv);
+    if (result.total === 0 && result.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid roster',
+        details: result.errors
+      });
+    }
+
+    console.log(`📥 Roster import by ${req.soldier.soldierId}: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Roster import failed',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Get one roster entry
+router.get('/:soldierId', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'read'), async (req, res) => {
+  try {
+    const personnel = await router.findPersonnel(req, res);
+    if (!personnel) return;
+
+    res.json({
+      success: true,
+      data: personnel.toProfile(),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get personnel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve personnel',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Add a soldier to the roster; without a password the entry exists but cannot log in
+router.post('/', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'write'), async (req, res) => {
+  try {
+    const { soldierId, password } = req.body;
+
+    if (!soldierId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Soldier ID is required'
+      });
+    }
+
+    const personnel = new Personnel({ soldierId, ...router.pickFields(req.body) });
+    if (password) await personnel.setPassword(password);
+    await personnel.save();
+
+    console.log(`👤 ${req.soldier.soldierId} added ${soldierId} (${personnel.role}, ${personnel.unit})`);
+
+    res.status(201).json({
+      success: true,
+      data: personnel.toProfile(),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    if (router.sendSaveError(res, error)) return;
+
+    console.error('Create personnel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create personnel',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Update a roster entry; the soldier ID cannot change
+router.put('/:soldierId', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'write'), async (req, res) => {
+  try {
+    const personnel = await router.findPersonnel(req, res);
+    if (!personnel) return;
+
+    personnel.set(router.pickFields(req.body));
+    if (req.body.password) await personnel.setPassword(req.body.password);
+    await personnel.save();
+
+    console.log(`👤 ${req.soldier.soldierId} updated ${personnel.soldierId}`);
+
+    res.json({
+      success: true,
+      data: personnel.toProfile(),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    if (router.sendSaveError(res, error)) return;
+
+    console.error('Update personnel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update personnel',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Remove from the roster: the entry is deactivated, not deleted, since records and casualties reference the soldier ID
+router.delete('/:soldierId', MilitaryAuth.authenticate, MilitaryAuth.authorize('personnel', 'write'), async (req, res) => {
+  try {
+    if (req.params.soldierId === req.soldier.soldierId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot deactivate your own account'
+      });
+    }
+
+    const personnel = await router.findPersonnel(req, res);
+    if (!personnel) return;
+
+    personnel.status = 'inactive';
+    await personnel.save();
+
+    console.log(`👤 ${req.soldier.soldierId} deactivated ${personnel.soldierId}`);
+
+    res.json({
+      success: true,
+      data: personnel.toProfile(),
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Deactivate personnel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate personnel',
+      timestamp: new Date()
+    });
+  }
+});
+
+// Helper methods
+// Entries outside the caller's scope are reported as missing
+router.findPersonnel = async (req, res) => {
+  const found = await Personnel.findBySoldierId(req.params.soldierId);
+  const personnel = found && req.access.covers(found) ? found : null;
+
+  if (!personnel) {
+    res.status(404).json({
+      success: false,
+      error: 'Personnel not found'
+    });
+  }
+  return personnel;
+};
+
+// Editable fields from a request body; `unit` may be given as a "Brigade > Battalion > Company" chain
+router.pickFields = (body = {}) => {
+  const fields = Object.fromEntries(EDITABLE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]]));
+
+  if (!fields.unitPath && typeof body.unit === 'string') {
+    fields.unitPath = body.unit.split('>').map(part => part.trim());
+  }
+  return fields;
+};
+
+// Schema violations and duplicate soldier IDs are the caller's mistake, not a server error
+router.sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid personnel data',
+      details: Object.values(error.errors).map(detail => detail.message)
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      error: 'Soldier ID already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+export default router;
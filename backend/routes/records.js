@@ -1,13 +1,23 @@
 import express from 'express';
 import MedicalRecord from '../models/MedicalRecord.js';
 import MilitaryAuth from '../middleware/auth.js';
+import MedicalValidators from '../utils/validators.js';
 import EncryptionService from '../services/ai/storage/EncryptionService.js';
+import eventStream from '../services/ai/communication/EventStream.js';
+import SymptomAnalyzer from '../services/ai/SymptomAnalyzer.js';
+import EmergencyTriage from '../services/ai/EmergencyTriage.js';
+import InterventionTimers from '../../shared/interventions/InterventionTimers.js';
+import InjuryAnnotations from '../../shared/bodyMap/InjuryAnnotations.js';
 
 const router = express.Router();
 const encryptionService = new EncryptionService();
+const interventionTimers = new InterventionTimers();
+const injuryAnnotations = new InjuryAnnotations();
+const symptomAnalyzer = new SymptomAnalyzer();
+const emergencyTriage = new EmergencyTriage();
 
 // Save medical record
-router.post('/save', MilitaryAuth.authenticate, async (req, res) => {
+router.post('/save', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'write'), async (req, res) => {
   try {
     const { encryptedData, metadata, syncInfo } = req.body;
     const soldierId = req.soldier.soldierId;
@@ -19,12 +29,36 @@ router.post('/save', MilitaryAuth.authenticate, async (req, res) => {
       });
     }
 
+    const { interventions, errors } = router.parseInterventions(req.body.interventions, soldierId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interventions',
+        details: errors
+      });
+    }
+
+    const injuryResult = router.parseInjuries(req.body.injuries);
+    if (injuryResult.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid injuries',
+        details: injuryResult.errors
+      });
+    }
+
     console.log(`💾 Saving medical record for soldier ${soldierId}`);
 
+    const verification = await router.verifyOfflineAnalysis(req.body.offlineAnalysis);
+
     const medicalRecord = new MedicalRecord({
       soldierId,
+      unitPath: req.soldier.unitPath,
       encryptedData,
-      metadata: metadata || {},
+      metadata: router.applyVerification(metadata || {}, verification),
+      verification,
+      interventions,
+      injuries: injuryResult.injuries,
       syncStatus: syncInfo || {
         synced: true,
         syncAttempts: 0,
@@ -37,6 +71,8 @@ router.post('/save', MilitaryAuth.authenticate, async (req, res) => {
 
     await medicalRecord.save();
 
+    router.publishEmergencyRecord(medicalRecord, req.soldier);
+
     res.json({
       success: true,
       data: {
@@ -44,6 +80,9 @@ router.post('/save', MilitaryAuth.authenticate, async (req, res) => {
         soldierId: medicalRecord.soldierId,
         timestamp: medicalRecord.metadata.timestamp,
         triageLevel: medicalRecord.metadata.triageLevel,
+        interventions: medicalRecord.interventions.length,
+        injuries: medicalRecord.injuries.length,
+        verification,
         synced: medicalRecord.syncStatus.synced
       },
       timestamp: new Date()
@@ -60,31 +99,25 @@ router.post('/save', MilitaryAuth.authenticate, async (req, res) => {
   }
 });
 
-// Get soldier's medical records
-router.get('/soldier/:soldierId', MilitaryAuth.authenticate, async (req, res) => {
+// Get soldier's medical records; leaders only get the ones saved within their squad or platoon
+router.get('/soldier/:soldierId', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'read'), async (req, res) => {
   try {
     const { soldierId } = req.params;
-    const requestingSoldierId = req.soldier.soldierId;
 
-    // Check permissions - soldiers can only view their own records
-    // Medics and officers can view others
-    if (soldierId !== requestingSoldierId) {
-      try {
-        MilitaryAuth.verifyPermissions(req, 'medic:read');
-      } catch {
-        return res.status(403).json({
-          success: false,
-          error: 'Insufficient permissions to view other soldier records'
-        });
-      }
+    if (soldierId !== req.soldier.soldierId && req.access.scope === 'self') {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions to view other soldier records'
+      });
     }
 
-    const { limit = 50, offset = 0, sort = 'newest' } = req.query;
+    const { offset = 0, sort = 'newest' } = req.query;
+    const limit = MedicalValidators.parseLimit(req.query.limit, 50);
 
     const records = await MedicalRecord.findBySoldierId(soldierId, {
-      limit: parseInt(limit),
+      limit,
       sort: sort === 'newest' ? { 'metadata.timestamp': -1 } : { 'metadata.timestamp': 1 }
-    }).skip(parseInt(offset));
+    }).and([req.access.filter]).skip(parseInt(offset));
 
     // Add audit entry for access
     if (records.length > 0) {
@@ -105,7 +138,7 @@ router.get('/soldier/:soldierId', MilitaryAuth.authenticate, async (req, res) =>
         soldierId,
         records,
         total: records.length,
-        limit: parseInt(limit),
+        limit,
         offset: parseInt(offset)
       },
       timestamp: new Date()
@@ -122,7 +155,7 @@ router.get('/soldier/:soldierId', MilitaryAuth.authenticate, async (req, res) =>
 });
 
 // Sync pending records (for offline-first sync)
-router.post('/sync', MilitaryAuth.authenticate, async (req, res) => {
+router.post('/sync', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'write'), async (req, res) => {
   try {
     const { pendingRecords } = req.body;
     const soldierId = req.soldier.soldierId;
@@ -144,10 +177,26 @@ router.post('/sync', MilitaryAuth.authenticate, async (req, res) => {
 
     for (const record of pendingRecords) {
       try {
+        const { interventions, errors } = router.parseInterventions(record.interventions, soldierId);
+        if (errors.length > 0) {
+          throw new Error(`Invalid interventions: ${errors.map(error => error.message).join('; ')}`);
+        }
+
+        const injuryResult = router.parseInjuries(record.injuries);
+        if (injuryResult.errors.length > 0) {
+          throw new Error(`Invalid injuries: ${injuryResult.errors.join('; ')}`);
+        }
+
+        const verification = await router.verifyOfflineAnalysis(record.offlineAnalysis);
+
         const medicalRecord = new MedicalRecord({
           soldierId,
+          unitPath: req.soldier.unitPath,
           encryptedData: record.encryptedData,
-          metadata: record.metadata,
+          metadata: router.applyVerification(record.metadata, verification),
+          verification,
+          interventions,
+          injuries: injuryResult.injuries,
           syncStatus: {
             synced: true,
             syncAttempts: 0,
@@ -158,11 +207,13 @@ router.post('/sync', MilitaryAuth.authenticate, async (req, res) => {
 
         await medicalRecord.save();
         medicalRecord.markSynced();
+        router.publishEmergencyRecord(medicalRecord, req.soldier);
 
         syncResults.successful.push({
           localId: record.localId,
           cloudId: medicalRecord._id,
-          timestamp: medicalRecord.metadata.timestamp
+          timestamp: medicalRecord.metadata.timestamp,
+          verification
         });
 
       } catch (error) {
@@ -174,6 +225,19 @@ router.post('/sync', MilitaryAuth.authenticate, async (req, res) => {
       }
     }
 
+    eventStream.publish('SYNC_COMPLETED', {
+      soldierId,
+      successful: syncResults.successful.length,
+      failed: syncResults.failed.length,
+      total: syncResults.total
+    }, {
+      soldierId,
+      unitPath: req.soldier.unitPath,
+      unit: req.soldier.unit,
+      priority: syncResults.failed.length > 0 ? 'medium' : 'low',
+      message: `Sync complete for ${soldierId}: ${syncResults.successful.length}/${syncResults.total} records`
+    });
+
     res.json({
       success: true,
       data: syncResults,
@@ -191,15 +255,75 @@ router.post('/sync', MilitaryAuth.authenticate, async (req, res) => {
   }
 });
 
-// Get emergency records (for medics and officers)
-router.get('/emergency/recent', MilitaryAuth.authenticate, async (req, res) => {
+// Add or update interventions on a stored record (timers changed after the record synced)
+router.put('/:recordId/interventions', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'write'), async (req, res) => {
   try {
-    MilitaryAuth.verifyPermissions(req, 'medic:read');
+    const medicalRecord = await MedicalRecord.findById(req.params.recordId).catch(() => null);
+    if (!medicalRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Medical record not found'
+      });
+    }
+
+    if (!req.access.covers(medicalRecord)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions to update other soldier records'
+      });
+    }
+
+    if (!Array.isArray(req.body.interventions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Interventions array is required'
+      });
+    }
+
+    const { interventions, errors } = router.parseInterventions(req.body.interventions, req.soldier.soldierId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interventions',
+        details: errors
+      });
+    }
+
+    medicalRecord.upsertInterventions(interventions);
+    medicalRecord.addAuditEntry('UPDATED', req.headers['x-device-fingerprint'] || 'unknown');
+    await medicalRecord.save();
 
-    const { hours = 24, limit = 20 } = req.query;
+    res.json({
+      success: true,
+      data: {
+        recordId: medicalRecord._id,
+        interventions: medicalRecord.interventions.map(intervention => ({
+          ...intervention.toObject(),
+          timer: interventionTimers.getStatus(intervention.toObject())
+        }))
+      },
+      timestamp: new Date()
+    });
+
+  } catch (error) {
+    console.error('Update interventions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update interventions',
+      offlineFallback: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+// Get emergency records within the caller's scope
+router.get('/emergency/recent', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'read'), async (req, res) => {
+  try {
+    const { hours = 24, limit } = req.query;
 
     const emergencyRecords = await MedicalRecord.findEmergencyRecords(parseInt(hours))
-      .limit(parseInt(limit))
+      .and([req.access.filter])
+      .limit(MedicalValidators.parseLimit(limit, 20))
       .sort({ 'metadata.timestamp': -1 });
 
     console.log(`🚨 Retrieved ${emergencyRecords.length} emergency records from last ${hours} hours`);
@@ -224,12 +348,10 @@ router.get('/emergency/recent', MilitaryAuth.authenticate, async (req, res) => {
   }
 });
 
-// Search medical records
-router.get('/search', MilitaryAuth.authenticate, async (req, res) => {
+// Search medical records within the caller's scope; `unit` matches that unit and every unit below it
+router.get('/search', MilitaryAuth.authenticate, MilitaryAuth.authorize('records', 'read'), async (req, res) => {
   try {
     const { soldierId, triageLevel, startDate, endDate, unit } = req.query;
-    
-    MilitaryAuth.verifyPermissions(req, 'medic:read');
 
     let query = {};
 
@@ -237,6 +359,10 @@ router.get('/search', MilitaryAuth.authenticate, async (req, res) => {
       query.soldierId = soldierId;
     }
 
+    if (unit) {
+      query.unitPath = unit;
+    }
+
     if (triageLevel) {
       query['metadata.triageLevel'] = triageLevel;
     }
@@ -247,8 +373,7 @@ router.get('/search', MilitaryAuth.authenticate, async (req, res) => {
       if (endDate) query['metadata.timestamp'].$lte = new Date(endDate);
     }
 
-    // Note: In production, you'd have a unit field to query by unit
-    const records = await MedicalRecord.find(query)
+    const records = await MedicalRecord.find({ $and: [query, req.access.filter] })
       .sort({ 'metadata.timestamp': -1 })
       .limit(50);
 
@@ -257,6 +382,7 @@ router.get('/search', MilitaryAuth.authenticate, async (req, res) => {
       data: {
         records,
         total: records.length,
+        scope: req.access.scope,
         query: {
           soldierId,
           triageLevel,
@@ -320,4 +446,100 @@ router.get('/sync-status', MilitaryAuth.authenticate, async (req, res) => {
   }
 });
 
+// Helper methods
+// Normalize and validate interventions sent with a record; device-only alert bookkeeping is dropped
+router.parseInterventions = (list, performedBy) => {
+  if (list === undefined || list === null) return { interventions: [], errors: [] };
+  if (!Array.isArray(list)) {
+    return { interventions: [], errors: [{ index: null, message: 'Interventions must be an array' }] };
+  }
+
+  const errors = [];
+  const interventions = list.map((data, index) => {
+    const { firedAlerts, recordId, ...intervention } = interventionTimers.create({ ...data, performedBy });
+    interventionTimers.validate(intervention).errors
+      .forEach(message => errors.push({ index, interventionId: intervention.interventionId, message }));
+    return intervention;
+  });
+
+  return { interventions, errors };
+};
+
+// Body-map injuries sent with a record, in the structured shape triage and handover read
+router.parseInjuries = (list) => {
+  if (list === undefined || list === null) return { injuries: [], errors: [] };
+
+  const { errors } = injuryAnnotations.validate(list);
+  return { injuries: errors.length > 0 ? [] : injuryAnnotations.normalize(list), errors };
+};
+
+// Re-run a diagnosis the device made offline (same engine, server's rule pack) so a stale or
+// tampered result on the device can't lower a casualty's priority
+router.verifyOfflineAnalysis = async (offlineAnalysis) => {
+  if (!offlineAnalysis) return undefined;
+
+  const { symptoms, vitalSigns = {}, assessment, triageLevel, diagnosis, rulePack } = offlineAnalysis;
+  const { injuries } = router.parseInjuries(offlineAnalysis.injuries);
+  const burns = offlineAnalysis.burns && emergencyTriage.burnAssessment.validate(offlineAnalysis.burns).valid
+    ? offlineAnalysis.burns
+    : undefined;
+  const mechanismOfInjury = offlineAnalysis.mechanismOfInjury || injuryAnnotations.deriveMechanism(injuries) || undefined;
+
+  // The same steps as POST /api/diagnose/triage and the on-device engine, on the device's full input
+  const analysis = await symptomAnalyzer.analyzeSymptoms(
+    injuryAnnotations.withSymptoms(symptoms, injuries),
+    vitalSigns,
+    {}
+  );
+  emergencyTriage.triageAnalysis(analysis, { assessment, vitalSigns, injuries, burns, mechanismOfInjury });
+
+  const serverDiagnosis = analysis.primaryDiagnosis?.diagnosis || null;
+
+  return {
+    offlineTriageLevel: triageLevel || null,
+    offlineDiagnosis: diagnosis || null,
+    offlineRulePack: rulePack ? `${rulePack.id}@${rulePack.version}` : null,
+    serverTriageLevel: analysis.triageLevel,
+    serverDiagnosis,
+    serverRulePack: analysis.rulePack ? `${analysis.rulePack.id}@${analysis.rulePack.version}` : null,
+    agrees: analysis.triageLevel === triageLevel && serverDiagnosis === (diagnosis || null),
+    escalated: false,
+    verifiedAt: new Date()
+  };
+};
+
+// The record keeps the more urgent of the device's and the server's category; EXPECTANT is a medic's
+// call from findings the re-check doesn't see, so it is never overridden
+router.applyVerification = (metadata = {}, verification) => {
+  if (!verification) return metadata;
+
+  const current = metadata.triageLevel;
+  if (current === 'EXPECTANT' || emergencyTriage.core.compare(verification.serverTriageLevel, current) >= 0) {
+    return metadata;
+  }
+
+  verification.escalated = true;
+  console.log(`⚠️ Offline triage ${current} raised to ${verification.serverTriageLevel} on server re-check`);
+  return { ...metadata, triageLevel: verification.serverTriageLevel };
+};
+
+// Push IMMEDIATE records to the medics of the soldier's unit as soon as they reach the server
+router.publishEmergencyRecord = (medicalRecord, soldier) => {
+  if (!medicalRecord.isEmergency) return;
+
+  eventStream.publish('EMERGENCY_RECORD', {
+    recordId: medicalRecord._id,
+    soldierId: medicalRecord.soldierId,
+    triageLevel: medicalRecord.metadata.triageLevel,
+    location: medicalRecord.metadata.location,
+    recordedAt: medicalRecord.metadata.timestamp
+  }, {
+    unitPath: soldier.unitPath,
+    unit: soldier.unit,
+    permission: 'records:read',
+    priority: 'critical',
+    message: `IMMEDIATE casualty: ${medicalRecord.soldierId}`
+  });
+};
+
 export default router;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { connectDatabase } from '../config/database.js';
 import MedicalRecord from '../models/MedicalRecord.js';
+import Personnel from '../models/Personnel.js';
+import RosterImport from '../services/personnel/RosterImport.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -7,14 +9,48 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Demo accounts, all with SEED_PASSWORD (default "password"); each gets its own hash
+const demoPersonnel = [
+  { soldierId: 'soldier-001', name: 'John Doe', rank: 'SGT', role: 'soldier', unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company', '1st Platoon'], bloodType: 'O+', allergies: [] },
+  { soldierId: 'soldier-002', name: 'Maria Lopez', rank: 'SPC', role: 'soldier', unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company', '1st Platoon', '2nd Squad'], bloodType: 'A-', allergies: ['penicillin'] },
+  { soldierId: 'medic-001', name: 'Dr. Jane Smith', rank: 'CPT', role: 'medic', unitPath: ['1st Brigade', '2nd Battalion', 'Medical Platoon'], bloodType: 'B+', allergies: [] },
+  { soldierId: 'officer-001', name: 'Robert King', rank: 'MAJ', role: 'officer', unitPath: ['1st Brigade', '2nd Battalion'], bloodType: 'AB+', allergies: [] },
+  { soldierId: 'admin-001', name: 'Sam Carter', rank: 'SFC', role: 'admin', unitPath: ['1st Brigade'], bloodType: 'O-', allergies: [] }
+];
+
+// Upserts by soldier ID so re-seeding doesn't wipe a roster that was imported since
+const seedPersonnel = async () => {
+  const password = process.env.SEED_PASSWORD || 'password';
+  console.log('🌱 Seeding demo personnel...');
+
+  for (const entry of demoPersonnel) {
+    const personnel = await Personnel.findBySoldierId(entry.soldierId) || new Personnel();
+    personnel.set({ ...entry, status: 'active' });
+    await personnel.setPassword(password);
+    await personnel.save();
+  }
+  console.log(`👤 Seeded ${demoPersonnel.length} personnel`);
+
+  // SEED_ROSTER=path/to/roster.csv imports a real roster through the same path as POST /api/personnel/import
+  if (process.env.SEED_ROSTER) {
+    const rosterPath = path.resolve(process.env.SEED_ROSTER);
+    const result = await new RosterImport().importCsv(fs.readFileSync(rosterPath, 'utf8'));
+    console.log(`📥 Roster ${rosterPath}: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`);
+    result.errors.concat(result.failed.map(failure => `line ${failure.line} (${failure.soldierId}): ${failure.error}`))
+      .forEach(message => console.warn(`⚠️  ${message}`));
+  }
+};
+
 const seedData = async () => {
   try {
     await connectDatabase();
+    await seedPersonnel();
     console.log('🌱 Seeding demo medical records...');
 
     const demoRecords = [
       {
         soldierId: 'soldier-001',
+        unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company', '1st Platoon'],
         encryptedData: 'demo-encrypted-data-1',
         metadata: {
           triageLevel: 'IMMEDIATE',
@@ -39,6 +75,7 @@ const seedData = async () => {
       },
       {
         soldierId: 'soldier-002', 
+        unitPath: ['1st Brigade', '2nd Battalion', 'Alpha Company', '1st Platoon', '2nd Squad'],
         encryptedData: 'demo-encrypted-data-2',
         metadata: {
           triageLevel: 'DELAYED',
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODELS_DIR = path.join(__dirname, '../ml/models');
+
+// Trained weights are not kept in git. Each model lists where its shards come from; the source is a
+// URL or a local file, given by environment variable, e.g.
+//   WOUND_MODEL_WEIGHTS=https://models.example.mil/wound-detection/weights.bin npm run setup:models
+//   WOUND_MODEL_WEIGHTS=/media/usb/weights.bin WOUND_MODEL_SHA256=<hex> npm run setup:models
+const models = [
+  { name: 'wound-detection', source: 'WOUND_MODEL_WEIGHTS', checksum: 'WOUND_MODEL_SHA256' }
+];
+
+const readSource = async (source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+  return fs.readFileSync(path.resolve(source));
+};
+
+// The shard must hold exactly the float32 values the manifest declares, or the model won't load
+const expectedBytes = (manifest) => manifest.weightsManifest
+  .flatMap(group => group.weights)
+  .reduce((total, weight) => total + weight.shape.reduce((size, dim) => size * dim, 1) * 4, 0);
+
+const setupModel = async ({ name, source, checksum }) => {
+  const modelDir = path.join(MODELS_DIR, name);
+  const manifest = JSON.parse(fs.readFileSync(path.join(modelDir, 'model.json'), 'utf8'));
+  const [shard] = manifest.weightsManifest[0].paths;
+  const shardFile = path.join(modelDir, shard);
+
+  if (fs.existsSync(shardFile) && !process.argv.includes('--force')) {
+    console.log(`✅ ${name}: ${shard} already present (use --force to replace it)`);
+    return true;
+  }
+
+  if (!process.env[source]) {
+    console.error(`❌ ${name}: set ${source} to the URL or path of ${shard}`);
+    return false;
+  }
+
+  console.log(`🔄 ${name}: fetching ${shard} from ${process.env[source]}`);
+  const weights = await readSource(process.env[source]);
+
+  if (weights.length !== expectedBytes(manifest)) {
+    throw new Error(`${name}: ${shard} is ${weights.length} bytes, model.json expects ${expectedBytes(manifest)}`);
+  }
+
+  const digest = crypto.createHash('sha256').update(weights).digest('hex');
+  if (process.env[checksum] && process.env[checksum].toLowerCase() !== digest) {
+    throw new Error(`${name}: SHA-256 ${digest} does not match ${checksum}`);
+  }
+
+  fs.writeFileSync(shardFile, weights);
+  console.log(`✅ ${name}: ${shard} installed (sha256 ${digest})`);
+  return true;
+};
+
+const setupModels = async () => {
+  try {
+    const results = [];
+    for (const model of models) {
+      results.push(await setupModel(model));
+    }
+    process.exit(results.every(Boolean) ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Model setup failed:', error.message);
+    process.exit(1);
+  }
+};
+
+setupModels();
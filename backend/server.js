@@ -22,8 +22,14 @@ app.use(cors({
   credentials: true
 }));
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Device signatures cover the body bytes as sent, so the parsers keep them (services/auth/DeviceRegistry.js)
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
+// Roster CSV for POST /api/personnel/import
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb', verify: keepRawBody }));
 
 // Rate limiting - military grade
 const authLimiter = rateLimit({
@@ -34,7 +40,9 @@ const authLimiter = rateLimit({
     retryAfter: '15 minutes'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Refreshes are limited per device by the route itself (middleware/rateLimit.js)
+  skip: (req) => req.path === '/refresh'
 });
 
 const apiLimiter = rateLimit({
@@ -54,6 +62,15 @@ app.use('/api/auth', authLimiter, (await import('./routes/auth.js')).default);
 app.use('/api/diagnose', apiLimiter, (await import('./routes/diagnosis.js')).default);
 app.use('/api/injury', apiLimiter, (await import('./routes/injury.js')).default);
 app.use('/api/records', apiLimiter, (await import('./routes/records.js')).default);
+app.use('/api/casualties', apiLimiter, (await import('./routes/casualties.js')).default);
+app.use('/api/incidents', apiLimiter, (await import('./routes/incidents.js')).default);
+app.use('/api/evac', apiLimiter, (await import('./routes/evac.js')).default);
+app.use('/api/handover', apiLimiter, (await import('./routes/handover.js')).default);
+app.use('/api/medications', apiLimiter, (await import('./routes/medications.js')).default);
+app.use('/api/personnel', apiLimiter, (await import('./routes/personnel.js')).default);
+app.use('/api/devices', apiLimiter, (await import('./routes/devices.js')).default);
+// Long-lived SSE connection, kept outside the per-minute limiter
+app.use('/api/events', (await import('./routes/events.js')).default);
 
 // Health check endpoint
 app.get('/api/status', (req, res) => {
@@ -112,8 +129,14 @@ app.use((req, res) => {
       '/api/emergency-status',
       '/api/auth/login',
       '/api/diagnose/analyze',
+      '/api/diagnose/start-triage',
       '/api/injury/detect',
-      '/api/records/save'
+      '/api/records/save',
+      '/api/casualties',
+      '/api/incidents',
+      '/api/evac/nine-line',
+      '/api/handover',
+      '/api/events/stream'
     ]
   });
 });
@@ -1,64 +1,17 @@
+import BurnAssessment from '../../../shared/burns/BurnAssessment.js';
+import TriageCore, { TRIAGE_PROTOCOLS } from '../../../shared/triage/TriageCore.js';
+
 class EmergencyTriage {
   constructor() {
+    this.burnAssessment = new BurnAssessment();
+    this.core = new TriageCore({ burnAssessment: this.burnAssessment });
     this.triageProtocols = this.loadTriageProtocols();
     this.massCasualtyGuidelines = this.loadMassCasualtyGuidelines();
   }
 
+  // Military triage categories (T1-T4) live in the shared triage core
   loadTriageProtocols() {
-    return {
-      // Military Triage Categories
-      T1: {
-        level: 'IMMEDIATE',
-        color: 'RED',
-        description: 'Immediate - Life-threatening injuries requiring immediate intervention',
-        treatmentPriority: 1,
-        evacuationPriority: 1,
-        examples: [
-          'Airway obstruction',
-          'Tension pneumothorax',
-          'Massive external hemorrhage',
-          'Shock'
-        ]
-      },
-      T2: {
-        level: 'DELAYED', 
-        color: 'YELLOW',
-        description: 'Urgent - Serious injuries not immediately life-threatening',
-        treatmentPriority: 2,
-        evacuationPriority: 2,
-        examples: [
-          'Major fractures',
-          'Burns 15-40% BSA',
-          'Soft tissue injuries',
-          'Eye injuries'
-        ]
-      },
-      T3: {
-        level: 'MINOR',
-        color: 'GREEN',
-        description: 'Minor - Walking wounded with minor injuries',
-        treatmentPriority: 3,
-        evacuationPriority: 3,
-        examples: [
-          'Minor lacerations',
-          'Contusions',
-          'Minor burns <15% BSA',
-          'Sprains'
-        ]
-      },
-      T4: {
-        level: 'EXPECTANT',
-        color: 'BLACK',
-        description: 'Expectant - Victims unlikely to survive given available resources',
-        treatmentPriority: 4,
-        evacuationPriority: 4,
-        examples: [
-          'Unsurvivable injuries',
-          'Cardiac arrest in trauma',
-          'Severe burns >85% BSA'
-        ]
-      }
-    };
+    return TRIAGE_PROTOCOLS;
   }
 
   loadMassCasualtyGuidelines() {
@@ -83,96 +36,237 @@ class EmergencyTriage {
     };
   }
 
-  // Primary triage decision algorithm
-  performPrimaryTriage(patientAssessment) {
-    const { 
-      breathing, 
-      perfusion, 
-      mentalStatus, 
-      injuries,
-      mechanismOfInjury 
-    } = patientAssessment;
-
-    let triageCategory = 'T3'; // Default to minor
-
-    // Step 1: Check breathing
-    if (!breathing || breathing === 'absent') {
-      return this.triageProtocols.T4; // Expectant
+  // Primary triage decision: breathing, burns, perfusion, mental status, injuries, then mechanism
+  performPrimaryTriage(patientAssessment = {}) {
+    const { injuries, burns, mechanismOfInjury, vitalSigns, ...assessment } = patientAssessment;
+    const decision = this.core.decide({ assessment, vitalSigns, injuries, burns, mechanismOfInjury });
+
+    return { ...this.triageProtocols[decision.tag], reason: decision.reason, awaiting: decision.awaiting };
+  }
+
+  // Shared triage decision applied to an analyzeSymptoms result; see shared/triage/TriageCore.js
+  triageAnalysis(analysis, input) {
+    return this.core.triageAnalysis(analysis, input);
+  }
+
+  // START (adult) or JumpSTART (pediatric) triage; protocol defaults by age (under 8 years -> JumpSTART)
+  performStartTriage(assessment, protocol) {
+    const selected = protocol || this.selectStartProtocol(assessment);
+
+    if (selected === 'JumpSTART') {
+      return this.performJumpStartTriage(assessment);
     }
+    return this.performAdultStartTriage(assessment);
+  }
 
-    // Step 2: Check perfusion (circulation)
-    if (perfusion === 'absent' || perfusion === 'weak') {
-      return this.triageProtocols.T1; // Immediate
+  selectStartProtocol(assessment) {
+    if (assessment.pediatric === true) return 'JumpSTART';
+    if (typeof assessment.ageYears === 'number' && assessment.ageYears < 8) return 'JumpSTART';
+    return 'START';
+  }
+
+  // Simple Triage And Rapid Treatment for adults
+  performAdultStartTriage(assessment) {
+    const decision = this.createStartDecision('START', assessment);
+
+    if (decision.ask('ambulatory', 'Can the casualty walk?')) {
+      return decision.assign('T3', 'Walking wounded');
+    }
+    if (decision.pending) return decision.incomplete();
+
+    const breathing = decision.ask('breathing', 'Is the casualty breathing?');
+    if (decision.pending) return decision.incomplete();
+
+    if (!breathing) {
+      const afterReposition = decision.ask(
+        'breathingAfterAirwayRepositioning',
+        'Breathing after repositioning the airway?'
+      );
+      if (decision.pending) return decision.incomplete();
+      return afterReposition
+        ? decision.assign('T1', 'Breathing only after airway repositioning')
+        : decision.assign('T4', 'Not breathing after airway repositioning');
     }
 
-    // Step 3: Check mental status
-    if (mentalStatus === 'unresponsive' || mentalStatus === 'confused') {
-      return this.triageProtocols.T1; // Immediate
+    const respiratoryRate = decision.measure('respiratoryRate', 'Respiratory rate (breaths/min)?');
+    if (decision.pending) return decision.incomplete();
+    if (respiratoryRate > 30) {
+      return decision.assign('T1', 'Respiratory rate above 30');
     }
 
-    // Step 4: Assess injuries
-    const severeInjuries = this.assessInjurySeverity(injuries);
-    if (severeInjuries.includes('life_threatening')) {
-      return this.triageProtocols.T1; // Immediate
-    } else if (severeInjuries.includes('serious')) {
-      return this.triageProtocols.T2; // Delayed
+    if (!this.checkStartPerfusion(decision)) {
+      return decision.pending
+        ? decision.incomplete()
+        : decision.assign('T1', 'Inadequate perfusion - control bleeding');
     }
 
-    // Step 5: Consider mechanism of injury
-    if (this.isHighRiskMechanism(mechanismOfInjury)) {
-      // Upgrade triage for high-risk mechanisms
-      if (triageCategory === 'T3') triageCategory = 'T2';
+    const obeysCommands = decision.ask('followsCommands', 'Can the casualty follow simple commands?');
+    if (decision.pending) return decision.incomplete();
+    if (!obeysCommands) {
+      return decision.assign('T1', 'Unable to follow simple commands');
     }
 
-    return this.triageProtocols[triageCategory];
+    return decision.assign('T2', 'Breathing, perfusing and obeying commands but not walking');
   }
 
-  assessInjurySeverity(injuries) {
-    const severity = [];
-
-    injuries.forEach(injury => {
-      const injuryType = injury.type?.toLowerCase();
-      const location = injury.location?.toLowerCase();
-
-      // Life-threatening injuries
-      if (
-        injuryType.includes('gunshot') && 
-        ['chest', 'abdomen', 'head', 'neck'].includes(location)
-      ) {
-        severity.push('life_threatening');
-      } else if (injuryType.includes('massive hemorrhage')) {
-        severity.push('life_threatening');
-      } else if (injuryType.includes('airway compromise')) {
-        severity.push('life_threatening');
-      } else if (injuryType.includes('tension pneumothorax')) {
-        severity.push('life_threatening');
+  // Radial pulse when recorded, otherwise capillary refill of 2 seconds or less
+  checkStartPerfusion(decision) {
+    if (decision.has('radialPulse')) {
+      return decision.ask('radialPulse', 'Is a radial pulse present?');
+    }
+    if (decision.has('capillaryRefill')) {
+      return decision.measure('capillaryRefill', 'Capillary refill time (seconds)?') <= 2;
+    }
+    decision.ask('radialPulse', 'Is a radial pulse present (or capillary refill 2 seconds or less)?');
+    return false;
+  }
+
+  // JumpSTART pediatric triage (Romig)
+  performJumpStartTriage(assessment) {
+    const decision = this.createStartDecision('JumpSTART', assessment);
+
+    if (decision.ask('ambulatory', 'Can the child walk?')) {
+      return decision.assign('T3', 'Walking wounded');
+    }
+    if (decision.pending) return decision.incomplete();
+
+    const breathing = decision.ask('breathing', 'Is the child breathing?');
+    if (decision.pending) return decision.incomplete();
+
+    if (!breathing) {
+      const afterReposition = decision.ask(
+        'breathingAfterAirwayRepositioning',
+        'Breathing after repositioning the airway?'
+      );
+      if (decision.pending) return decision.incomplete();
+      if (afterReposition) {
+        return decision.assign('T1', 'Breathing only after airway repositioning');
       }
-      // Serious injuries
-      else if (
-        injuryType.includes('fracture') ||
-        injuryType.includes('burn') ||
-        injuryType.includes('penetrating')
-      ) {
-        severity.push('serious');
+
+      const pulse = decision.ask('peripheralPulse', 'Is a peripheral pulse palpable?');
+      if (decision.pending) return decision.incomplete();
+      if (!pulse) {
+        return decision.assign('T4', 'Apneic without a palpable pulse');
       }
-      // Minor injuries
-      else {
-        severity.push('minor');
+
+      const afterRescueBreaths = decision.ask(
+        'breathingAfterRescueBreaths',
+        'Breathing after 5 rescue breaths?'
+      );
+      if (decision.pending) return decision.incomplete();
+      return afterRescueBreaths
+        ? decision.assign('T1', 'Breathing restored by rescue breaths')
+        : decision.assign('T4', 'Apneic after rescue breaths');
+    }
+
+    const respiratoryRate = decision.measure('respiratoryRate', 'Respiratory rate (breaths/min)?');
+    if (decision.pending) return decision.incomplete();
+    if (respiratoryRate < 15 || respiratoryRate > 45) {
+      return decision.assign('T1', 'Respiratory rate outside 15-45');
+    }
+
+    const pulse = decision.ask('peripheralPulse', 'Is a peripheral pulse palpable?');
+    if (decision.pending) return decision.incomplete();
+    if (!pulse) {
+      return decision.assign('T1', 'No palpable peripheral pulse');
+    }
+
+    const avpu = decision.record(
+      'avpu',
+      'AVPU (A, V, P or U)?',
+      value => String(value).trim().charAt(0).toUpperCase()
+    );
+    if (decision.pending) return decision.incomplete();
+    if (avpu === 'U') {
+      return decision.assign('T1', 'Unresponsive');
+    }
+    if (avpu === 'P') {
+      const appropriate = decision.ask('painResponseAppropriate', 'Localizes or withdraws from pain?');
+      if (decision.pending) return decision.incomplete();
+      if (!appropriate) {
+        return decision.assign('T1', 'Inappropriate response to pain (posturing)');
       }
-    });
+    }
 
-    return severity;
+    return decision.assign('T2', 'Breathing, perfusing and appropriately responsive but not walking');
   }
 
-  isHighRiskMechanism(mechanism) {
-    const highRiskMechanisms = [
-      'blast', 'explosion', 'gunshot', 'vehicle_rollover',
-      'fall_height', 'crush', 'chemical_exposure'
-    ];
+  // Records each question asked and stops at the first one the assessment cannot answer.
+  // A measurement that isn't a non-negative number stops it too, with awaiting.error set.
+  createStartDecision(protocol, assessment) {
+    const path = [];
+    let awaiting = null;
+
+    const decision = {
+      pending: false,
+      has: field => assessment[field] !== undefined && assessment[field] !== null && assessment[field] !== '',
+      record: (field, question, parse) => {
+        if (!decision.has(field)) {
+          decision.pending = true;
+          awaiting = { field, question };
+          return undefined;
+        }
+        const finding = parse(assessment[field]);
+        if (Number.isNaN(finding)) {
+          decision.pending = true;
+          awaiting = { field, question, error: `${field} must be a non-negative number` };
+          return undefined;
+        }
+        path.push({ step: path.length + 1, field, question, finding });
+        return finding;
+      },
+      ask: (field, question) => decision.record(field, question, value => this.isPresent(value)),
+      measure: (field, question) => decision.record(field, question, value => this.parseMeasurement(value)),
+      assign: (tag, reason) => ({
+        ...this.triageProtocols[tag],
+        tag,
+        protocol,
+        complete: true,
+        reason,
+        decisionPath: path
+      }),
+      incomplete: () => ({
+        level: null,
+        tag: null,
+        protocol,
+        complete: false,
+        awaiting,
+        decisionPath: path
+      })
+    };
 
-    return highRiskMechanisms.some(risk => 
-      mechanism?.toLowerCase().includes(risk)
-    );
+    return decision;
+  }
+
+  // Accepts booleans and field shorthand ("yes", "present", "absent")
+  isPresent(value) {
+    return this.core.isPresent(value);
+  }
+
+  // Numbers and numeric strings; anything else (booleans, "abc", negatives) is NaN rather than a normal value
+  parseMeasurement(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : NaN;
+  }
+
+  assessInjurySeverity(injuries) {
+    return this.core.assessInjurySeverity(injuries);
+  }
+
+  gradeBurn(injury) {
+    return this.core.gradeBurn(injury);
+  }
+
+  assessBurns(burns) {
+    return this.core.assessBurns(burns);
+  }
+
+  withBurnInjury(injuries, burns) {
+    return this.core.withBurnInjury(injuries, burns);
+  }
+
+  isHighRiskMechanism(mechanism) {
+    return this.core.isHighRiskMechanism(mechanism);
   }
 
   // Mass casualty incident triage
@@ -182,23 +276,34 @@ class EmergencyTriage {
       triage: this.performPrimaryTriage(casualty.assessment)
     }));
 
+    return this.summarizeMassCasualty(triagedCasualties);
+  }
+
+  // Priority order, counts, resources and recommendations for already-triaged casualties
+  summarizeMassCasualty(triagedCasualties) {
+    const casualties = [...triagedCasualties];
+
     // Sort by triage priority
-    const priorityOrder = { T1: 1, T2: 2, T3: 3, T4: 4 };
-    triagedCasualties.sort((a, b) => 
-      priorityOrder[a.triage.level] - priorityOrder[b.triage.level]
+    casualties.sort((a, b) => 
+      a.triage.treatmentPriority - b.triage.treatmentPriority
     );
 
     // Generate resource requirements
-    const resourceRequirements = this.calculateResourceNeeds(triagedCasualties);
+    const resourceRequirements = this.calculateResourceNeeds(casualties);
 
     return {
-      casualties: triagedCasualties,
-      summary: this.generateTriageSummary(triagedCasualties),
+      casualties,
+      summary: this.generateTriageSummary(casualties),
       resourceRequirements,
-      recommendations: this.generateTriageRecommendations(triagedCasualties)
+      recommendations: this.generateTriageRecommendations(casualties)
     };
   }
 
+  // Protocol entry (tag, color, priorities) for a triage level such as 'IMMEDIATE'
+  getProtocolForLevel(level) {
+    return this.core.getProtocol(level);
+  }
+
   calculateResourceNeeds(casualties) {
     const resources = {
       immediate: { count: 0, needs: [] },
@@ -236,11 +341,13 @@ class EmergencyTriage {
   getImmediateNeeds(casualty) {
     const needs = ['Medevac', 'Surgical Team', 'Blood Products'];
     
-    if (casualty.assessment.injuries.some(i => i.type?.includes('bleeding'))) {
+    const injuries = casualty.assessment?.injuries || [];
+
+    if (injuries.some(i => i.type?.includes('bleeding'))) {
       needs.push('Tourniquets', 'Hemostatic Agents');
     }
     
-    if (casualty.assessment.injuries.some(i => i.type?.includes('airway'))) {
+    if (injuries.some(i => i.type?.includes('airway'))) {
       needs.push('Airway Kit', 'Oxygen');
     }
     
@@ -259,9 +366,13 @@ class EmergencyTriage {
     const counts = {
       T1: 0, T2: 0, T3: 0, T4: 0
     };
+    const tagByLevel = Object.fromEntries(
+      Object.entries(this.triageProtocols).map(([tag, protocol]) => [protocol.level, tag])
+    );
 
     casualties.forEach(casualty => {
-      counts[casualty.triage.level]++;
+      const tag = tagByLevel[casualty.triage?.level];
+      if (tag) counts[tag]++;
     });
 
     return {
@@ -325,11 +436,49 @@ class EmergencyTriage {
   }
 
   getTriageChangeDirection(initial, current) {
-    const priority = { IMMEDIATE: 1, DELAYED: 2, MINOR: 3, EXPECTANT: 4 };
-    if (priority[initial] > priority[current]) return 'improved';
-    if (priority[initial] < priority[current]) return 'deteriorated';
+    // Ordered by acuity: moving up the scale (e.g. DELAYED -> IMMEDIATE) is a deterioration
+    const acuity = { MINOR: 1, DELAYED: 2, IMMEDIATE: 3, EXPECTANT: 4 };
+    if (acuity[current] < acuity[initial]) return 'improved';
+    if (acuity[current] > acuity[initial]) return 'deteriorated';
     return 'stable';
   }
+
+  // Trend over serial assessments ([{ level, timestamp }], oldest first)
+  calculateTriageTrend(history) {
+    if (!history || history.length === 0) {
+      return { direction: 'unknown', overall: 'unknown', assessments: 0, improvements: 0, deteriorations: 0 };
+    }
+
+    let improvements = 0;
+    let deteriorations = 0;
+    let lastChange = null;
+
+    for (let i = 1; i < history.length; i++) {
+      const direction = this.getTriageChangeDirection(history[i - 1].level, history[i].level);
+      if (direction === 'improved') improvements++;
+      if (direction === 'deteriorated') deteriorations++;
+      if (direction !== 'stable') {
+        lastChange = { from: history[i - 1].level, to: history[i].level, direction, timestamp: history[i].timestamp };
+      }
+    }
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const previous = history.length > 1 ? history[history.length - 2] : last;
+
+    return {
+      direction: this.getTriageChangeDirection(previous.level, last.level),
+      overall: this.getTriageChangeDirection(first.level, last.level),
+      initialLevel: first.level,
+      currentLevel: last.level,
+      assessments: history.length,
+      improvements,
+      deteriorations,
+      lastChange,
+      lastAssessedAt: last.timestamp,
+      minutesSinceLastAssessment: Math.round((Date.now() - new Date(last.timestamp).getTime()) / 60000)
+    };
+  }
 }
 
 export default EmergencyTriage;
\ No newline at end of file
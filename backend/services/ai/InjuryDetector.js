@@ -1,58 +1,50 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import BurnAssessment from '../../../shared/burns/BurnAssessment.js';
 
 class InjuryDetector {
-  constructor() {
+  constructor(options = {}) {
     this.model = null;
+    this.modelName = options.modelName || 'wound-detection';
     this.labels = [
       'gunshot_wound', 'shrapnel_wound', 'burn', 'fracture_visible',
       'laceration', 'blast_injury', 'abrasion', 'normal'
     ];
+    this.inputShape = [224, 224, 3];
     this.confidenceThreshold = 0.6;
     this.modelLoaded = false;
+    this.burnAssessment = new BurnAssessment();
+    // Demo mode replaces inference with deterministic pseudo-predictions - never use in the field
+    this.demoMode = options.demoMode ?? process.env.INJURY_DETECTOR_DEMO === 'true';
   }
 
   async loadModel() {
+    if (this.modelLoaded) return true;
+
+    if (this.demoMode) {
+      console.warn('⚠️ Injury detector running in DEMO mode - predictions are not real');
+      this.modelLoaded = true;
+      return true;
+    }
+
     try {
-      if (this.modelLoaded) return true;
-      // Try dynamic import of TensorFlow; if unavailable, fall back to mock
       console.log('🔄 Loading TensorFlow.js model for injury detection...');
-      try {
-        const tfModule = await import('@tensorflow/tfjs-node');
-        this.tf = tfModule;
-
-        // Create a wrapper model that returns tensors when tf is available
-        this.model = {
-          predict: (tensor) => {
-            const mockPredictions = this.generateMockPredictions();
-            try {
-              return this.tf.tensor2d([mockPredictions]);
-            } catch (e) {
-              return [mockPredictions];
-            }
-          }
-        };
-
-        this.modelLoaded = true;
-        console.log('✅ Injury detection model ready (TensorFlow available)');
-        return true;
-      } catch (err) {
-        console.warn('TensorFlow not available, using mock injury detector');
-        this.model = {
-          predict: () => {
-            const mockPredictions = this.generateMockPredictions();
-            return [mockPredictions];
-          }
-        };
-        this.modelLoaded = true;
-        console.log('✅ Injury detection mock model ready');
-        return true;
+
+      // Imported lazily so the rest of the API keeps working when the native TF binding is missing
+      const { default: tensorFlowConfig } = await import('../../config/tensorflow.js');
+      this.tfConfig = tensorFlowConfig;
+      this.model = await tensorFlowConfig.loadModel(this.modelName);
+
+      const { inputShape, labels } = this.model.modelConfig;
+      if (Array.isArray(inputShape) && inputShape.length === 3) {
+        this.inputShape = inputShape;
       }
+      if (Array.isArray(labels) && labels.join() !== this.labels.join()) {
+        console.warn('⚠️ Model labels differ from detector labels - using model label order');
+        this.labels = labels;
+      }
+
+      this.modelLoaded = true;
+      console.log('✅ Injury detection model ready');
+      return true;
     } catch (error) {
       console.error('❌ Failed to load injury detection model:', error);
       this.modelLoaded = false;
@@ -60,27 +52,63 @@ class InjuryDetector {
     }
   }
 
-  generateMockPredictions() {
-    // Generate realistic mock predictions for demo
+  async predict(imageBuffer) {
+    if (this.demoMode) {
+      return this.generateDemoPredictions(imageBuffer);
+    }
+
+    const [height, width] = this.inputShape;
+    const input = await this.tfConfig.preprocessImage(imageBuffer, [height, width]);
+
+    try {
+      const output = this.model.predict(input);
+      const scores = Array.from(await output.data());
+      output.dispose();
+
+      if (scores.length !== this.labels.length) {
+        throw new Error(`Model returned ${scores.length} scores for ${this.labels.length} labels`);
+      }
+
+      return scores;
+    } finally {
+      input.dispose();
+    }
+  }
+
+  // Deterministic stand-in for the model: the same image always yields the same predictions
+  generateDemoPredictions(imageBuffer) {
+    const random = this.createSeededRandom(imageBuffer);
     const predictions = new Array(this.labels.length).fill(0);
 
-    // Randomly select a primary injury with high confidence
-    const primaryInjuryIndex = Math.floor(Math.random() * (this.labels.length - 1));
-    predictions[primaryInjuryIndex] = 0.7 + Math.random() * 0.25;
+    const primaryInjuryIndex = Math.floor(random() * (this.labels.length - 1));
+    predictions[primaryInjuryIndex] = 0.7 + random() * 0.25;
 
-    // Add some secondary possibilities
     for (let i = 0; i < this.labels.length; i++) {
-      if (i !== primaryInjuryIndex && Math.random() > 0.7) {
-        predictions[i] = 0.1 + Math.random() * 0.3;
+      if (i !== primaryInjuryIndex && random() > 0.7) {
+        predictions[i] = 0.1 + random() * 0.3;
       }
     }
 
-    // Normalize
     const sum = predictions.reduce((a, b) => a + b, 0);
     return predictions.map(p => p / sum);
   }
 
-  async detectInjury(imageBuffer) {
+  createSeededRandom(buffer) {
+    // FNV-1a hash of the image bytes seeds a mulberry32 generator
+    let seed = 0x811c9dc5;
+    for (const byte of buffer || []) {
+      seed = Math.imul(seed ^ byte, 0x01000193);
+    }
+
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  async detectInjury(imageBuffer, options = {}) {
     try {
       if (!await this.loadModel()) {
         return this.getFallbackDetection();
@@ -88,16 +116,23 @@ class InjuryDetector {
 
       console.log('🔍 Analyzing injury from image...');
 
-      // Mock image processing - in real implementation, this would process the actual image
-      const mockResults = await this.processImageMock(imageBuffer);
+      const predictions = await this.predict(imageBuffer);
+      const results = this.interpretPredictions(predictions, options.bodyLocation);
+      if (options.burns) {
+        this.applyBurnAssessment(results.detections, options.burns);
+      }
 
       return {
         success: true,
-        injuries: mockResults.detections,
-        overallAssessment: mockResults.assessment,
-        confidence: mockResults.confidence,
-        firstAid: this.getInjuryFirstAid(mockResults.primaryInjury),
-        militaryContext: this.getMilitaryInjuryContext(mockResults.detections),
+        injuries: results.detections,
+        overallAssessment: results.assessment,
+        confidence: results.confidence,
+        firstAid: this.getInjuryFirstAid(results.primaryInjury),
+        militaryContext: this.getMilitaryInjuryContext(results.detections),
+        model: {
+          name: this.modelName,
+          demo: this.demoMode
+        },
         timestamp: new Date()
       };
 
@@ -107,11 +142,7 @@ class InjuryDetector {
     }
   }
 
-  async processImageMock(imageBuffer) {
-    // Simulate image processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-
-    const predictions = this.generateMockPredictions();
+  interpretPredictions(predictions, bodyLocation = 'unspecified') {
     const detections = [];
 
     predictions.forEach((confidence, index) => {
@@ -120,7 +151,7 @@ class InjuryDetector {
           injuryType: this.labels[index],
           confidence: Math.round(confidence * 100) / 100,
           severity: this.assessSeverity(this.labels[index], confidence),
-          location: this.guessInjuryLocation(),
+          location: bodyLocation,
           description: this.getInjuryDescription(this.labels[index])
         });
       }
@@ -128,9 +159,10 @@ class InjuryDetector {
 
     // If no specific injuries detected, return normal
     if (detections.length === 0) {
+      const normalIndex = this.labels.indexOf('normal');
       detections.push({
         injuryType: 'normal',
-        confidence: 0.95,
+        confidence: Math.round((predictions[normalIndex] ?? 0) * 100) / 100,
         severity: 'none',
         description: 'No visible injuries detected'
       });
@@ -147,6 +179,29 @@ class InjuryDetector {
     };
   }
 
+  // Size burn detections from the medic's burn chart: %TBSA, fluid targets and a severity from the size
+  applyBurnAssessment(detections, burns) {
+    const burnDetections = detections.filter(detection => detection.injuryType === 'burn');
+    if (burnDetections.length === 0 || !burns?.regions?.length) return detections;
+
+    const assessment = this.burnAssessment.assess(burns);
+    const injury = this.burnAssessment.toInjury(assessment);
+
+    burnDetections.forEach(detection => {
+      detection.severity = { critical: 'severe', severe: 'moderate-severe', minor: 'mild' }[injury.severity];
+      detection.location = injury.location || detection.location;
+      detection.burn = {
+        tbsa: assessment.tbsa,
+        fullThickness: assessment.fullThickness,
+        method: assessment.method,
+        triageLevel: assessment.triageLevel,
+        fluids: assessment.fluids
+      };
+    });
+
+    return detections;
+  }
+
   assessSeverity(injuryType, confidence) {
     const severityMap = {
       'gunshot_wound': 'severe',
@@ -161,11 +216,6 @@ class InjuryDetector {
     return severityMap[injuryType] || 'unknown';
   }
 
-  guessInjuryLocation() {
-    const locations = ['arm', 'leg', 'chest', 'abdomen', 'head', 'face', 'back'];
-    return locations[Math.floor(Math.random() * locations.length)];
-  }
-
   getInjuryDescription(injuryType) {
     const descriptions = {
       'gunshot_wound': 'Circular wound with possible entry/exit points, tissue damage visible',
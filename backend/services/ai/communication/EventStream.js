@@ -0,0 +1,136 @@
+// Server-Sent Events hub: pushes emergency, triage, sync and MCI events to subscribed medics and officers.
+// Every event carries an audience ({ unitPath, unit, permission, soldierId }) checked against the subscriber's verified JWT.
+import AccessPolicy from '../../../../shared/authorization/AccessPolicy.js';
+
+const accessPolicy = new AccessPolicy();
+
+const HEARTBEAT_INTERVAL = 25000;
+const REPLAY_BUFFER_SIZE = 100;
+
+class EventStream {
+  constructor() {
+    this.clients = new Map();
+    this.recentEvents = [];
+    this.nextEventId = 1;
+    this.nextClientId = 1;
+  }
+
+  // Attach an authenticated response as an SSE subscriber; replays missed events after Last-Event-ID
+  subscribe(req, res) {
+    const { soldierId, role, rank, unit, unitPath } = req.soldier;
+    const clientId = this.nextClientId++;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = { id: clientId, res, soldierId, role, rank, unit, unitPath };
+    this.clients.set(clientId, client);
+
+    this.write(client, `retry: 5000\n\n`);
+
+    const lastEventId = parseInt(req.headers['last-event-id']);
+    if (!isNaN(lastEventId)) {
+      this.recentEvents
+        .filter(event => event.id > lastEventId && this.canReceive(client, event))
+        .forEach(event => this.send(client, event));
+    }
+
+    const heartbeat = setInterval(() => this.write(client, `: heartbeat\n\n`), HEARTBEAT_INTERVAL);
+    heartbeat.unref?.();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(clientId);
+      console.log(`📴 Event stream closed for ${soldierId} (${this.clients.size} subscribers)`);
+    });
+
+    console.log(`📡 Event stream opened for ${soldierId} (${this.clients.size} subscribers)`);
+    return clientId;
+  }
+
+  // Publish to every subscriber in the audience; events without a unit go to all units
+  publish(type, data, { unitPath, unit, permission = 'records:read', soldierId, priority = 'medium', message } = {}) {
+    const event = {
+      id: this.nextEventId++,
+      type,
+      priority,
+      message,
+      unitPath,
+      unit,
+      permission,
+      soldierId,
+      data,
+      timestamp: new Date()
+    };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > REPLAY_BUFFER_SIZE) {
+      this.recentEvents.shift();
+    }
+
+    let delivered = 0;
+    this.clients.forEach(client => {
+      if (this.canReceive(client, event)) {
+        this.send(client, event);
+        delivered++;
+      }
+    });
+
+    return { eventId: event.id, delivered };
+  }
+
+  // A soldier always receives their own events; otherwise permission and unit must match.
+  canReceive(client, event) {
+    if (event.soldierId && event.soldierId === client.soldierId) return true;
+
+    // The events:read grant sets how far the feed reaches: 'all' is every unit, 'self' only events about them
+    const reach = accessPolicy.scopeFor(client, 'events', 'read');
+    if (!reach || reach === 'self') return false;
+
+    const hasPermission = !event.permission || accessPolicy.can(client, event.permission);
+    return hasPermission && this.inReach(client, reach, event);
+  }
+
+  // An event addressed by unitPath reaches subscribers whose scope covers it, on the same unitPath prefix
+  // as AccessPolicy.toQuery, so a platoon's subscribers get its squads' events. An event with only a unit
+  // name has to match the subscriber's unit.
+  inReach(client, reach, event) {
+    if (reach === 'all') return true;
+    if (event.unitPath?.length) return accessPolicy.covers(client, reach, { unitPath: event.unitPath });
+    return !event.unit || event.unit === client.unit;
+  }
+
+  send(client, event) {
+    const { permission, ...payload } = event;
+    this.write(client, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  write(client, chunk) {
+    try {
+      client.res.write(chunk);
+      // compression() buffers responses unless flushed
+      client.res.flush?.();
+    } catch (error) {
+      console.error(`Event stream write failed for ${client.soldierId}:`, error.message);
+      this.clients.delete(client.id);
+    }
+  }
+
+  getStats() {
+    return {
+      subscribers: this.clients.size,
+      bufferedEvents: this.recentEvents.length,
+      lastEventId: this.nextEventId - 1
+    };
+  }
+}
+
+// One hub per process so every route publishes to the same subscribers
+const eventStream = new EventStream();
+
+export { EventStream };
+export default eventStream;
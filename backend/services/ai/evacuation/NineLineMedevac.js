@@ -0,0 +1,399 @@
+// Standard 9-line MEDEVAC request: builds the lines from casualties, validates them and renders
+// radio text or a phonetic, voice-friendly read-out. Wartime format (line 6 security, line 9 NBC).
+// Pure ES module with no Node dependencies so it can also run on an offline client.
+
+// Each code table accepts the letter or the name ('A' or 'URGENT')
+const PRECEDENCE = {
+  A: 'URGENT',
+  B: 'URGENT_SURGICAL',
+  C: 'PRIORITY',
+  D: 'ROUTINE',
+  E: 'CONVENIENCE'
+};
+
+const SPECIAL_EQUIPMENT = {
+  A: 'NONE',
+  B: 'HOIST',
+  C: 'EXTRACTION_EQUIPMENT',
+  D: 'VENTILATOR'
+};
+
+const PATIENT_TYPE = {
+  L: 'LITTER',
+  A: 'AMBULATORY'
+};
+
+const SECURITY = {
+  N: 'NO_ENEMY',
+  P: 'POSSIBLE_ENEMY',
+  E: 'ENEMY_IN_AREA',
+  X: 'ARMED_ESCORT_REQUIRED'
+};
+
+const MARKING = {
+  A: 'PANELS',
+  B: 'PYROTECHNIC',
+  C: 'SMOKE',
+  D: 'NONE',
+  E: 'OTHER'
+};
+
+const NATIONALITY = {
+  A: 'OWN_FORCES_MILITARY',
+  B: 'OWN_FORCES_CIVILIAN',
+  C: 'NON_OWN_FORCES_MILITARY',
+  D: 'NON_OWN_FORCES_CIVILIAN',
+  E: 'DETAINEE'
+};
+
+const NBC = {
+  C: 'CHEMICAL',
+  B: 'BIOLOGICAL',
+  R: 'RADIOLOGICAL',
+  N: 'NUCLEAR'
+};
+
+// Default evacuation precedence for each triage category; EXPECTANT and untriaged need a medic's call
+const PRECEDENCE_BY_TRIAGE = {
+  IMMEDIATE: 'URGENT',
+  DELAYED: 'PRIORITY',
+  MINOR: 'ROUTINE'
+};
+
+// Truncal penetrating wounds need surgery before they can be stabilised
+const SURGICAL_INJURY_TYPES = ['gunshot', 'penetrating', 'shrapnel', 'fragment', 'blast', 'stab'];
+const SURGICAL_LOCATIONS = ['chest', 'abdomen', 'pelvis', 'torso', 'neck', 'groin'];
+
+const LINE_TITLES = {
+  1: 'Location of pickup site',
+  2: 'Radio frequency, call sign and suffix',
+  3: 'Number of patients by precedence',
+  4: 'Special equipment required',
+  5: 'Number of patients by type',
+  6: 'Security at pickup site',
+  7: 'Method of marking pickup site',
+  8: 'Patient nationality and status',
+  9: 'NBC contamination'
+};
+
+// MGRS: grid zone, 100 km square, then an even number of digits (2 to 10)
+const MGRS_PATTERN = /^(\d{1,2}[C-HJ-NP-X])\s*([A-HJ-NP-Z]{2})\s*(\d{2,10}|\d{1,5}\s+\d{1,5})$/i;
+
+const PHONETIC = {
+  A: 'Alpha', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo', F: 'Foxtrot', G: 'Golf',
+  H: 'Hotel', I: 'India', J: 'Juliett', K: 'Kilo', L: 'Lima', M: 'Mike', N: 'November',
+  O: 'Oscar', P: 'Papa', Q: 'Quebec', R: 'Romeo', S: 'Sierra', T: 'Tango', U: 'Uniform',
+  V: 'Victor', W: 'Whiskey', X: 'X-ray', Y: 'Yankee', Z: 'Zulu',
+  0: 'zero', 1: 'one', 2: 'two', 3: 'three', 4: 'four', 5: 'five', 6: 'six', 7: 'seven',
+  8: 'eight', 9: 'niner', '.': 'decimal', '-': 'minus'
+};
+
+const SPOKEN_WORDS = { MHZ: 'megahertz' };
+
+const LINE_NUMBERS = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'niner'];
+
+// Free-text fields come from JSON, so a call sign or grid may arrive as a number
+const toText = value => (value === undefined || value === null ? '' : String(value).trim());
+
+class NineLineMedevac {
+  /**
+   * Build a 9-line request.
+   * @param {Object} input - { location, frequency, callsign, suffix, security, marking, markingDetail,
+   *   specialEquipment, nbc, nationality, patients: [{ casualtyId, triageLevel, precedence, ambulatory,
+   *   nationality, surgical, specialEquipment, injuries }] }
+   * @returns {Object} request with `lines`, per-patient `patients` and the raw counts
+   */
+  build(input = {}) {
+    const warnings = [];
+    const patients = (input.patients || []).map((patient, index) =>
+      this.classifyPatient(patient, index, input.nationality, warnings)
+    );
+
+    const precedence = this.countBy(patients, 'precedence', PRECEDENCE);
+    const patientTypes = this.countBy(patients, 'type', PATIENT_TYPE);
+    const nationality = this.countBy(patients, 'nationality', NATIONALITY);
+
+    const specialEquipment = this.resolveList(SPECIAL_EQUIPMENT, [
+      ...[].concat(input.specialEquipment || []),
+      ...patients.flatMap(patient => patient.specialEquipment)
+    ], warnings, 4).filter(code => code !== 'A');
+
+    const nbc = this.resolveList(NBC, [].concat(input.nbc || []), warnings, 9);
+
+    const location = this.formatLocation(input.location, warnings);
+    const security = this.resolveCode(SECURITY, input.security);
+    const marking = this.resolveCode(MARKING, input.marking);
+
+    const request = {
+      location,
+      frequency: toText(input.frequency) || null,
+      callsign: toText(input.callsign) || null,
+      suffix: toText(input.suffix) || null,
+      precedence,
+      specialEquipment: specialEquipment.length > 0 ? specialEquipment : ['A'],
+      patientTypes,
+      security,
+      marking,
+      markingDetail: toText(input.markingDetail) || null,
+      nationality,
+      nbc,
+      patients,
+      warnings,
+      generatedAt: new Date()
+    };
+
+    if (input.security && !security) warnings.push({ line: 6, message: `Unknown security code "${input.security}"` });
+    if (input.marking && !marking) warnings.push({ line: 7, message: `Unknown marking method "${input.marking}"` });
+
+    request.lines = this.buildLines(request);
+    return request;
+  }
+
+  // Precedence, litter/ambulatory and nationality for one patient
+  classifyPatient(patient, index, defaultNationality, warnings) {
+    const label = patient.casualtyId || `patient ${index + 1}`;
+
+    let precedence = this.resolveCode(PRECEDENCE, patient.precedence);
+    if (patient.precedence && !precedence) {
+      warnings.push({ line: 3, message: `Unknown precedence "${patient.precedence}" for ${label}` });
+    }
+    if (!precedence) {
+      precedence = this.derivePrecedence(patient);
+    }
+
+    const ambulatory = patient.ambulatory !== undefined
+      ? patient.ambulatory === true || patient.ambulatory === 'true'
+      : patient.triageLevel === 'MINOR';
+
+    const nationality = this.resolveCode(NATIONALITY, patient.nationality || defaultNationality || 'A');
+
+    return {
+      casualtyId: patient.casualtyId || null,
+      triageLevel: patient.triageLevel || null,
+      precedence,
+      type: ambulatory ? 'A' : 'L',
+      nationality,
+      specialEquipment: [].concat(patient.specialEquipment || [])
+    };
+  }
+
+  // IMMEDIATE -> URGENT (URGENT_SURGICAL for truncal penetrating wounds), DELAYED -> PRIORITY, MINOR -> ROUTINE
+  derivePrecedence({ triageLevel, surgical, injuries = [] }) {
+    const name = PRECEDENCE_BY_TRIAGE[triageLevel];
+    if (!name) return null;
+
+    if (name === 'URGENT' && (surgical === true || this.needsSurgery(injuries))) {
+      return this.resolveCode(PRECEDENCE, 'URGENT_SURGICAL');
+    }
+
+    return this.resolveCode(PRECEDENCE, name);
+  }
+
+  needsSurgery(injuries) {
+    return (injuries || []).some(injury => {
+      const type = toText(injury?.type).toLowerCase();
+      const location = toText(injury?.location).toLowerCase();
+      return SURGICAL_INJURY_TYPES.some(keyword => type.includes(keyword)) &&
+        SURGICAL_LOCATIONS.some(region => location.includes(region));
+    });
+  }
+
+  // Public precedence name for a triage category, e.g. for a single analysis
+  getPrecedenceForTriage(triageLevel, options = {}) {
+    const code = this.derivePrecedence({ triageLevel, ...options });
+    return code ? PRECEDENCE[code] : null;
+  }
+
+  formatLocation(location, warnings) {
+    if (!location) return null;
+
+    const gridReference = toText(typeof location === 'object' ? location.gridReference : location);
+    if (gridReference) {
+      const match = gridReference.toUpperCase().match(MGRS_PATTERN);
+
+      // Easting and northing must have the same precision; an invalid grid is echoed as given
+      const parts = match ? match[3].split(/\s+/) : [];
+      const digits = parts.join('');
+      if (!match || digits.length % 2 !== 0 || (parts.length === 2 && parts[0].length !== parts[1].length)) {
+        return { gridReference, valid: false };
+      }
+
+      const half = digits.length / 2;
+      return { gridReference: `${match[1]} ${match[2]} ${digits.slice(0, half)} ${digits.slice(half)}`, valid: true };
+    }
+
+    const [longitude, latitude] = location?.coordinates || [];
+    if (Number.isFinite(longitude) && Number.isFinite(latitude)) {
+      warnings.push({ line: 1, message: 'No grid reference - sending latitude/longitude; convert to MGRS if the net requires it' });
+      return { gridReference: `${latitude.toFixed(5)} ${longitude.toFixed(5)}`, valid: true, latLon: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check every line is present and well formed.
+   * @returns {{ valid: boolean, errors: Array<{line, message}>, warnings: Array<{line, message}> }}
+   */
+  validate(request) {
+    const errors = [];
+    const error = (line, message) => errors.push({ line, message });
+
+    if (!request.location) error(1, 'Pickup site location is required');
+    else if (!request.location.valid) error(1, `"${request.location.gridReference}" is not a valid MGRS grid reference`);
+
+    if (!request.frequency) error(2, 'Radio frequency is required');
+    else if (!/^\d+(\.\d+)?$/.test(request.frequency)) error(2, `Frequency "${request.frequency}" must be numeric (MHz)`);
+    if (!request.callsign) error(2, 'Call sign is required');
+
+    if (request.patients.length === 0) error(3, 'At least one patient is required');
+    request.patients
+      .filter(patient => !patient.precedence)
+      .forEach(patient => error(3, `Precedence required for ${patient.casualtyId || 'patient'}${patient.triageLevel ? ` (${patient.triageLevel})` : ' (untriaged)'}`));
+
+    if (!request.security) error(6, 'Security at pickup site is required (N, P, E or X)');
+    if (!request.marking) error(7, 'Marking method is required (A-E)');
+    else if (request.marking === 'E' && !request.markingDetail) error(7, 'Describe the marking method when using "other"');
+
+    request.patients
+      .filter(patient => !patient.nationality)
+      .forEach(patient => error(8, `Unknown nationality/status for ${patient.casualtyId || 'patient'}`));
+
+    const warnings = [...(request.warnings || [])];
+    if (request.precedence.A + request.precedence.B > 0 && request.security === 'X') {
+      warnings.push({ line: 6, message: 'Urgent patients with armed escort required - expect delay for escort' });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  buildLines(request) {
+    const counts = (tally) => Object.entries(tally)
+      .filter(([, count]) => count > 0)
+      .map(([code, count]) => `${count}${code}`);
+
+    const radio = [request.frequency && `${request.frequency} MHZ`, [request.callsign, request.suffix].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(' / ');
+
+    const values = {
+      1: request.location?.gridReference || '',
+      2: radio,
+      3: counts(request.precedence).join(', '),
+      4: request.specialEquipment.join(', '),
+      5: counts(request.patientTypes).join(', '),
+      6: request.security || '',
+      7: [request.marking, request.markingDetail && `(${request.markingDetail.toUpperCase()})`].filter(Boolean).join(' '),
+      8: counts(request.nationality).join(', '),
+      9: request.nbc.length > 0 ? request.nbc.join(', ') : 'NONE'
+    };
+
+    const meanings = {
+      3: this.describe(request.precedence, PRECEDENCE),
+      4: request.specialEquipment.map(code => SPECIAL_EQUIPMENT[code]),
+      5: this.describe(request.patientTypes, PATIENT_TYPE),
+      6: request.security ? [SECURITY[request.security]] : [],
+      7: request.marking ? [MARKING[request.marking]] : [],
+      8: this.describe(request.nationality, NATIONALITY),
+      9: request.nbc.map(code => NBC[code])
+    };
+
+    return Object.keys(LINE_TITLES).map(number => ({
+      line: Number(number),
+      title: LINE_TITLES[number],
+      value: values[number],
+      meaning: meanings[number] || []
+    }));
+  }
+
+  // Compact radio/text format, one line per row
+  renderText(request) {
+    return [
+      'MEDEVAC REQUEST - 9 LINE',
+      ...request.lines.map(line => `LINE ${line.line}: ${line.value || '[MISSING]'}`)
+    ].join('\n');
+  }
+
+  // Phonetic read-out for voice transmission or text-to-speech
+  renderVoice(request) {
+    const sentences = request.lines.map(line => {
+      const spoken = line.value ? this.toPhonetic(line.value) : 'missing';
+      return `Line ${LINE_NUMBERS[line.line]}: ${spoken}. Break.`;
+    });
+
+    return ['MEDEVAC request, nine line. Break.', ...sentences, 'Over.'].join('\n');
+  }
+
+  // "38S MB 123" -> "three eight Sierra, Mike Bravo, one two three"
+  toPhonetic(value) {
+    return value
+      .split(/[\s,/()]+/)
+      .filter(Boolean)
+      .map(token => {
+        if (SPOKEN_WORDS[token]) return SPOKEN_WORDS[token];
+        // Whole words (call signs, NONE, SMOKE) are spoken as words; codes and numbers are spelled out
+        if (/^[A-Z_]{3,}$/.test(token)) return token.toLowerCase().replace(/_/g, ' ');
+        return token
+          .toUpperCase()
+          .split('')
+          .map(character => PHONETIC[character] || '')
+          .filter(Boolean)
+          .join(' ');
+      })
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  // Helper methods
+  resolveCode(table, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const normalized = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (table[normalized]) return normalized;
+
+    const code = Object.keys(table).find(key => table[key] === normalized);
+    return code || null;
+  }
+
+  resolveList(table, values, warnings, line) {
+    const codes = [];
+
+    values.forEach(value => {
+      if (String(value).toUpperCase() === 'NONE') return;
+      const code = this.resolveCode(table, value);
+      if (!code) {
+        warnings.push({ line, message: `Unknown code "${value}"` });
+        return;
+      }
+      if (!codes.includes(code)) codes.push(code);
+    });
+
+    return codes;
+  }
+
+  countBy(patients, field, table) {
+    const tally = Object.fromEntries(Object.keys(table).map(code => [code, 0]));
+    patients.forEach(patient => {
+      if (patient[field]) tally[patient[field]]++;
+    });
+    return tally;
+  }
+
+  describe(tally, table) {
+    return Object.entries(tally)
+      .filter(([, count]) => count > 0)
+      .map(([code, count]) => `${count} ${table[code]}`);
+  }
+}
+
+export {
+  PRECEDENCE,
+  SPECIAL_EQUIPMENT,
+  PATIENT_TYPE,
+  SECURITY,
+  MARKING,
+  NATIONALITY,
+  NBC
+};
+
+export default NineLineMedevac;
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import Device from '../../models/Device.js';
+
+// How far a signature's timestamp may be from the server clock, and so how long a nonce is remembered
+const SIGNATURE_WINDOW_SECONDS = Number(process.env.DEVICE_SIGNATURE_WINDOW_SECONDS) || 300;
+
+// Device enrollment and request signatures. A device generates an ECDSA P-256 key pair, enrolls the
+// public key, and signs "<METHOD>\n<path>\n<timestamp>\n<nonce>\n<body hash>" for every request, the
+// body hash being the base64url SHA-256 of the body bytes as sent (of nothing for a request without
+// one; multipart uploads are signed without their body). The signature is sent in x-device-signature
+// (base64url, raw r||s as WebCrypto produces it) with x-device-fingerprint, x-device-timestamp (ms)
+// and x-device-nonce.
+class DeviceRegistry {
+  constructor() {
+    // nonce key -> expiry; insertion order is expiry order, so pruning stops at the first live entry.
+    // In memory, like the event stream: one backend process per deployment.
+    this.seenNonces = new Map();
+  }
+
+  // RFC 7638 JWK thumbprint (members in lexicographic order, no whitespace), base64url
+  thumbprint({ crv, kty, x, y }) {
+    return crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest('base64url');
+  }
+
+  toKeyObject(publicKey) {
+    if (publicKey?.kty !== 'EC' || publicKey?.crv !== 'P-256') return null;
+
+    try {
+      return crypto.createPublicKey({ key: { kty: 'EC', crv: 'P-256', x: publicKey.x, y: publicKey.y }, format: 'jwk' });
+    } catch {
+      return null;
+    }
+  }
+
+  readProof(req) {
+    return {
+      deviceFingerprint: req.headers['x-device-fingerprint'],
+      timestamp: req.headers['x-device-timestamp'],
+      nonce: req.headers['x-device-nonce'],
+      signature: req.headers['x-device-signature'],
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      bodyHash: this.hashBody(req.rawBody)
+    };
+  }
+
+  // req.rawBody is kept by the JSON and form parsers (server.js)
+  hashBody(body = '') {
+    return crypto.createHash('sha256').update(body).digest('base64url');
+  }
+
+  signingInput({ method, path, timestamp, nonce, bodyHash }) {
+    return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+  }
+
+  // null when the proof holds, otherwise the reason it doesn't
+  checkSignature(keyObject, proof) {
+    const signedAt = Number(proof.timestamp);
+    if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_WINDOW_SECONDS * 1000) {
+      return 'STALE';
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(
+        'sha256',
+        Buffer.from(this.signingInput(proof)),
+        { key: keyObject, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(proof.signature, 'base64url')
+      );
+    } catch {
+      // Malformed signature
+    }
+    if (!valid) return 'INVALID_SIGNATURE';
+
+    // Checked after the signature so nobody can burn a device's nonces with forged requests
+    return this.useNonce(`${proof.deviceFingerprint}:${proof.nonce}`) ? null : 'REPLAYED';
+  }
+
+  useNonce(key) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of this.seenNonces) {
+      if (expiresAt > now) break;
+      this.seenNonces.delete(seen);
+    }
+
+    if (this.seenNonces.has(key)) return false;
+    this.seenNonces.set(key, now + SIGNATURE_WINDOW_SECONDS * 1000);
+    return true;
+  }
+
+  hasProof(proof) {
+    return Boolean(proof.deviceFingerprint && proof.timestamp && proof.nonce && proof.signature);
+  }
+
+  /**
+   * Register a device's public key. The enrollment request must itself be signed with the key, and the
+   * fingerprint it claims must be the key's thumbprint. Enrolling a known key again is a no-op.
+   * @returns {{ device, enrolled: boolean } | { error: 'MISSING'|'INVALID_KEY'|'MISMATCH'|'REVOKED'|'STALE'|'INVALID_SIGNATURE'|'REPLAYED' }}
+   */
+  async enroll(req, publicKey, deviceInfo = {}) {
+    const proof = this.readProof(req);
+    if (!this.hasProof(proof)) return { error: 'MISSING' };
+
+    const keyObject = this.toKeyObject(publicKey);
+    if (!keyObject) return { error: 'INVALID_KEY' };
+
+    const deviceFingerprint = this.thumbprint(publicKey);
+    if (proof.deviceFingerprint !== deviceFingerprint) return { error: 'MISMATCH' };
+
+    const error = this.checkSignature(keyObject, proof);
+    if (error) return { error };
+
+    const existing = await Device.findByFingerprint(deviceFingerprint);
+    if (existing?.status === 'revoked') return { error: 'REVOKED' };
+
+    const device = existing || new Device({
+      deviceFingerprint,
+      publicKey: { kty: 'EC', crv: 'P-256', x: publicKey.x, y: publicKey.y }
+    });
+    device.deviceInfo = deviceInfo;
+    device.lastSeenAt = new Date();
+    await device.save();
+
+    return { device, enrolled: !existing };
+  }
+
+  /**
+   * Verify the signature on a request from an enrolled device. `allowRevoked` accepts a revoked key,
+   * which still proves the request comes from that device (remote wipe check-in and confirmation).
+   * @returns {{ device } | { error: 'MISSING'|'UNKNOWN'|'REVOKED'|'STALE'|'INVALID_SIGNATURE'|'REPLAYED' }}
+   */
+  async verifyRequest(req, { allowRevoked = false } = {}) {
+    const proof = this.readProof(req);
+    if (!this.hasProof(proof)) return { error: 'MISSING' };
+
+    const device = await Device.findByFingerprint(proof.deviceFingerprint).lean();
+    if (!device) return { error: 'UNKNOWN' };
+    if (device.status === 'revoked' && !allowRevoked) return { error: 'REVOKED' };
+
+    const error = this.checkSignature(this.toKeyObject(device.publicKey), proof);
+    return error ? { error } : { device };
+  }
+
+  // A revoked device cannot log in or sign requests again; it has to be wiped and enrolled with a new key
+  async revoke(deviceFingerprint, revokedBy, reason) {
+    const device = await Device.findByFingerprint(deviceFingerprint);
+    if (!device || device.status === 'revoked') return false;
+
+    device.revoke(revokedBy, reason);
+    await device.save();
+    return true;
+  }
+}
+
+// One registry per process so the nonce cache is shared by every route
+const deviceRegistry = new DeviceRegistry();
+
+export { DeviceRegistry };
+export default deviceRegistry;
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../../models/Session.js';
+import RevokedToken from '../../models/RevokedToken.js';
+import Personnel from '../../models/Personnel.js';
+import deviceRegistry from './DeviceRegistry.js';
+import MilitaryAuth, { ACCESS_TOKEN_TTL } from '../../middleware/auth.js';
+
+// Absolute session lifetime from login; refreshing does not extend it
+const REFRESH_TOKEN_TTL_HOURS = Number(process.env.REFRESH_TOKEN_TTL_HOURS) || 72;
+
+class SessionRegistry {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Opaque "<sessionId>.<secret>"; only its hash is stored
+  newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  // Access token bound to the session's device; its jti is kept so a revoke can denylist it
+  issueAccessToken(session, personnel) {
+    const token = MilitaryAuth.generateToken(personnel.soldierId, personnel.unit, personnel.role, {
+      sessionId: session.sessionId,
+      deviceFingerprint: session.deviceFingerprint
+    });
+    const { jti, exp } = jwt.decode(token);
+
+    session.addAccessToken(jti, new Date(exp * 1000));
+    return token;
+  }
+
+  toTokens(session, accessToken, refreshToken) {
+    return {
+      token: accessToken,
+      refreshToken,
+      sessionId: session.sessionId,
+      deviceFingerprint: session.deviceFingerprint,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshExpiresAt: session.expiresAt
+    };
+  }
+
+  // `device` is the enrolled device the login was signed by
+  async create(personnel, device, deviceInfo = {}) {
+    const now = new Date();
+    const session = new Session({
+      sessionId: crypto.randomUUID(),
+      soldierId: personnel.soldierId,
+      deviceFingerprint: device.deviceFingerprint,
+      deviceInfo,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+      lastUsedAt: now
+    });
+
+    const accessToken = this.issueAccessToken(session, personnel);
+    const refreshToken = this.newRefreshToken(session.sessionId);
+    session.refreshTokenHash = this.hashToken(refreshToken);
+    await session.save();
+
+    return this.toTokens(session, accessToken, refreshToken);
+  }
+
+  /**
+   * Trade a refresh token for a new access and refresh token. `device` is the enrolled device the
+   * refresh request was signed by; it has to be the session's own.
+   * @returns {{ tokens, session } | { error: 'INVALID'|'REUSED'|'DEVICE'|'REVOKED'|'EXPIRED'|'INACTIVE', session? }}
+   */
+  async rotate(refreshToken, device) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    const session = sessionId
+      ? await Session.findOne({ sessionId }).select('+refreshTokenHash +usedRefreshTokenHashes')
+      : null;
+    if (!session) return { error: 'INVALID' };
+
+    const hash = this.hashToken(refreshToken);
+
+    if (session.status === 'revoked') return { error: 'REVOKED', session };
+
+    // A spent token came back: the device or someone holding a copy of it, and we can't tell which
+    if (session.usedRefreshTokenHashes.includes(hash)) {
+      await this.revoke(session, 'system', 'Refresh token reuse detected');
+      return { error: 'REUSED', session };
+    }
+
+    if (hash !== session.refreshTokenHash) return { error: 'INVALID' };
+
+    // A live refresh token signed for by another device was copied off the session's device
+    if (device.deviceFingerprint !== session.deviceFingerprint) {
+      await this.revoke(session, 'system', 'Refresh token presented from another device');
+      return { error: 'DEVICE', session };
+    }
+    if (session.expiresAt <= new Date()) return { error: 'EXPIRED', session };
+
+    const personnel = await Personnel.findBySoldierId(session.soldierId);
+    if (!personnel || personnel.status !== 'active') {
+      await this.revoke(session, 'system', 'Soldier is not active on the roster');
+      return { error: 'INACTIVE', session };
+    }
+
+    const nextRefreshToken = this.newRefreshToken(session.sessionId);
+    const accessToken = this.issueAccessToken(session, personnel);
+
+    // Spend the token in one conditional write: of two requests presenting it at once, only one
+    // matches the stored hash. The other one is a replay, the same as presenting it after rotation.
+    const rotated = await Session.findOneAndUpdate(
+      { sessionId, status: 'active', refreshTokenHash: hash },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(nextRefreshToken),
+          lastUsedAt: new Date(),
+          accessTokens: session.accessTokens
+        },
+        $push: { usedRefreshTokenHashes: hash }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      const current = await Session.findOne({ sessionId }) || session;
+      if (current.status === 'revoked') return { error: 'REVOKED', session: current };
+
+      await this.revoke(current, 'system', 'Refresh token reuse detected');
+      return { error: 'REUSED', session: current };
+    }
+
+    return { session: rotated, tokens: this.toTokens(rotated, accessToken, nextRefreshToken) };
+  }
+
+  // End a session and denylist its access tokens that haven't expired; returns how many were denylisted
+  async revoke(session, revokedBy, reason) {
+    if (session.status !== 'revoked') session.revoke(revokedBy, reason);
+
+    const now = new Date();
+    const liveTokens = session.accessTokens.filter(token => token.expiresAt > now);
+    await Promise.all(liveTokens.map(token => this.denylist({
+      jti: token.jti,
+      soldierId: session.soldierId,
+      sessionId: session.sessionId,
+      expiresAt: token.expiresAt
+    }, reason)));
+
+    await session.save();
+    return liveTokens.length;
+  }
+
+  // Every session on a lost or captured device, and the device's enrollment so it cannot log in again
+  async revokeDevice(deviceFingerprint, revokedBy, reason) {
+    const sessions = await Session.find({ deviceFingerprint, status: 'active' });
+
+    let tokens = 0;
+    for (const session of sessions) {
+      tokens += await this.revoke(session, revokedBy, reason);
+    }
+
+    const deviceRevoked = await deviceRegistry.revoke(deviceFingerprint, revokedBy, reason);
+
+    return {
+      deviceFingerprint,
+      deviceRevoked,
+      sessions: sessions.length,
+      tokens,
+      soldierIds: [...new Set(sessions.map(session => session.soldierId))]
+    };
+  }
+
+  // Kill one access token; used for tokens outside a session (emergency access)
+  async revokeToken({ jti, soldierId, sid, exp }, reason) {
+    if (!jti) return 0;
+    await this.denylist({ jti, soldierId, sessionId: sid, expiresAt: new Date(exp * 1000) }, reason);
+    return 1;
+  }
+
+  denylist({ jti, soldierId, sessionId, expiresAt }, reason) {
+    return RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, soldierId, sessionId, reason, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  listActive(soldierId) {
+    return Session.findActive({ soldierId });
+  }
+}
+
+export default SessionRegistry;
@@ -0,0 +1,120 @@
+import Personnel from '../../models/Personnel.js';
+
+// Roster CSV columns (header row required, any order, case-insensitive):
+//   soldierId, name, rank, role, unit, status, bloodType, allergies, password
+// `unit` is the chain from the top down separated by ">" ("1st Brigade > 2nd Battalion > Alpha Company"),
+// `allergies` is separated by ";". Empty cells leave an existing entry's value unchanged.
+const COLUMNS = ['soldierId', 'name', 'rank', 'role', 'unit', 'status', 'bloodType', 'allergies', 'password'];
+
+class RosterImport {
+  // RFC 4180-style: quoted fields may contain commas, newlines and doubled quotes.
+  // Rows are { line, cells }, `line` being where the row starts in the file
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+        row = [];
+        field = '';
+        rowLine = ++line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+    }
+
+    return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Rows as { line, entry } keyed by the known columns; unknown headers are reported, not guessed
+  parseRoster(text) {
+    const [{ cells: header } = { cells: [] }, ...rows] = this.parseCsv(String(text || ''));
+    const columns = header.map(name => COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+    const unknown = header.filter((name, index) => !columns[index]).map(name => name.trim());
+
+    if (!columns.includes('soldierId')) {
+      return { entries: [], errors: ['Header row must include a soldierId column'] };
+    }
+
+    const entries = rows.map(({ line, cells }) => ({
+      line,
+      entry: Object.fromEntries(columns
+        .map((column, position) => [column, (cells[position] || '').trim()])
+        .filter(([column, value]) => column && value !== ''))
+    }));
+
+    return { entries, errors: unknown.length > 0 ? [`Unknown columns: ${unknown.join(', ')}`] : [] };
+  }
+
+  // Roster fields to model fields
+  toPersonnel({ unit, allergies, password, ...fields }) {
+    return {
+      ...fields,
+      ...(unit && { unitPath: unit.split('>').map(part => part.trim()) }),
+      ...(allergies && { allergies: allergies.split(';').map(allergy => allergy.trim()).filter(Boolean) }),
+      ...(fields.role && { role: fields.role.toLowerCase() }),
+      ...(fields.status && { status: fields.status.toLowerCase() }),
+      ...(fields.bloodType && { bloodType: fields.bloodType.toUpperCase() }),
+      password
+    };
+  }
+
+  /**
+   * Create or update personnel from roster CSV, one row at a time so a bad row doesn't stop the import
+   * @returns {{ total, created, updated, failed: [{ line, soldierId, error }], errors }}
+   */
+  async importCsv(text) {
+    const { entries, errors } = this.parseRoster(text);
+    const result = { total: entries.length, created: 0, updated: 0, failed: [], errors };
+
+    for (const { line, entry } of entries) {
+      try {
+        const { password, ...fields } = this.toPersonnel(entry);
+        if (!fields.soldierId) throw new Error('soldierId is required');
+
+        const existing = await Personnel.findBySoldierId(fields.soldierId);
+        const personnel = existing || new Personnel();
+        personnel.set(fields);
+        if (password) await personnel.setPassword(password);
+
+        await personnel.save();
+        existing ? result.updated++ : result.created++;
+      } catch (error) {
+        result.failed.push({ line, soldierId: entry.soldierId || null, error: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+export default RosterImport;
@@ -1,5 +1,8 @@
 // Validation utilities for military medical data
 
+// Most rows a list endpoint returns in one response
+export const MAX_LIST_LIMIT = 500;
+
 export class MedicalValidators {
   // Validate soldier ID format
   static validateSoldierId(soldierId) {
@@ -41,7 +44,8 @@ export class MedicalValidators {
     return { valid: true, normalized: Array.isArray(symptoms) ? symptoms : [symptoms] };
   }
 
-  // Validate vital signs
+  // Validate vital signs. Ranges reject impossible readings (SpO2 140, a typo) but keep every value a
+  // dying casualty can have: a heart rate or SpO2 of 0 must still reach triage.
   static validateVitalSigns(vitalSigns) {
     if (!vitalSigns || typeof vitalSigns !== 'object') {
       return { valid: false, error: 'Vital signs must be an object' };
@@ -53,8 +57,8 @@ export class MedicalValidators {
     // Heart rate validation
     if (vitalSigns.heartRate !== undefined) {
       const hr = parseInt(vitalSigns.heartRate);
-      if (isNaN(hr) || hr < 30 || hr > 250) {
-        errors.push('Heart rate must be between 30 and 250 BPM');
+      if (isNaN(hr) || hr < 0 || hr > 300) {
+        errors.push('Heart rate must be between 0 and 300 BPM');
       } else {
         validated.heartRate = hr;
       }
@@ -63,25 +67,27 @@ export class MedicalValidators {
     // Respiratory rate validation
     if (vitalSigns.respiratoryRate !== undefined) {
       const rr = parseInt(vitalSigns.respiratoryRate);
-      if (isNaN(rr) || rr < 5 || rr > 60) {
-        errors.push('Respiratory rate must be between 5 and 60 breaths per minute');
+      if (isNaN(rr) || rr < 0 || rr > 80) {
+        errors.push('Respiratory rate must be between 0 and 80 breaths per minute');
       } else {
         validated.respiratoryRate = rr;
       }
     }
 
-    // Blood pressure validation
+    // Blood pressure validation ("120/80" or { systolic, diastolic })
     if (vitalSigns.bloodPressure !== undefined) {
-      const bpRegex = /^(\d{2,3})\/(\d{2,3})$/;
-      const match = vitalSigns.bloodPressure.match(bpRegex);
+      const bpRegex = /^(\d{1,3})\/(\d{1,3})$/;
+      const match = typeof vitalSigns.bloodPressure === 'object' && vitalSigns.bloodPressure !== null
+        ? [null, vitalSigns.bloodPressure.systolic, vitalSigns.bloodPressure.diastolic]
+        : String(vitalSigns.bloodPressure).match(bpRegex);
       
-      if (!match) {
+      if (!match || isNaN(parseInt(match[1])) || isNaN(parseInt(match[2]))) {
         errors.push('Blood pressure must be in format "120/80"');
       } else {
         const systolic = parseInt(match[1]);
         const diastolic = parseInt(match[2]);
         
-        if (systolic < 60 || systolic > 250 || diastolic < 40 || diastolic > 150) {
+        if (systolic < 0 || systolic > 300 || diastolic < 0 || diastolic > 200 || diastolic > systolic) {
           errors.push('Blood pressure values out of reasonable range');
         } else {
           validated.bloodPressure = { systolic, diastolic };
@@ -92,13 +98,69 @@ export class MedicalValidators {
     // Oxygen saturation validation
     if (vitalSigns.oxygenSaturation !== undefined) {
       const spo2 = parseInt(vitalSigns.oxygenSaturation);
-      if (isNaN(spo2) || spo2 < 50 || spo2 > 100) {
-        errors.push('Oxygen saturation must be between 50% and 100%');
+      if (isNaN(spo2) || spo2 < 0 || spo2 > 100) {
+        errors.push('Oxygen saturation must be between 0% and 100%');
       } else {
         validated.oxygenSaturation = spo2;
       }
     }
 
+    // Temperature validation (degrees Celsius)
+    if (vitalSigns.temperature !== undefined) {
+      const temp = parseFloat(vitalSigns.temperature);
+      if (isNaN(temp) || temp < 20 || temp > 45) {
+        errors.push('Temperature must be between 20 and 45 °C');
+      } else {
+        validated.temperature = temp;
+      }
+    }
+
+    // Capillary refill validation (seconds)
+    if (vitalSigns.capillaryRefill !== undefined) {
+      const refill = parseFloat(vitalSigns.capillaryRefill);
+      if (isNaN(refill) || refill < 0 || refill > 10) {
+        errors.push('Capillary refill must be between 0 and 10 seconds');
+      } else {
+        validated.capillaryRefill = refill;
+      }
+    }
+
+    // AVPU validation
+    if (vitalSigns.avpu !== undefined) {
+      const avpu = String(vitalSigns.avpu).trim().charAt(0).toUpperCase();
+      if (!['A', 'V', 'P', 'U'].includes(avpu)) {
+        errors.push('AVPU must be one of A (alert), V (voice), P (pain) or U (unresponsive)');
+      } else {
+        validated.avpu = avpu;
+      }
+    }
+
+    // Glasgow Coma Scale validation (eye 1-4, verbal 1-5, motor 1-6)
+    if (vitalSigns.gcs !== undefined) {
+      const ranges = { eye: 4, verbal: 5, motor: 6 };
+      const gcs = {};
+
+      if (!vitalSigns.gcs || typeof vitalSigns.gcs !== 'object') {
+        errors.push('GCS must be an object with eye, verbal and motor scores');
+      } else {
+        for (const [component, max] of Object.entries(ranges)) {
+          const value = parseInt(vitalSigns.gcs[component]);
+          if (isNaN(value) || value < 1 || value > max) {
+            errors.push(`GCS ${component} score must be between 1 and ${max}`);
+          } else {
+            gcs[component] = value;
+          }
+        }
+        if (Object.keys(gcs).length === 3) {
+          validated.gcs = gcs;
+        }
+      }
+    }
+
+    if (vitalSigns.supplementalOxygen !== undefined) {
+      validated.supplementalOxygen = vitalSigns.supplementalOxygen === true || vitalSigns.supplementalOxygen === 'true';
+    }
+
     if (errors.length > 0) {
       return { valid: false, errors };
     }
@@ -244,6 +306,13 @@ export class MedicalValidators {
     return input;
   }
 
+  // Page size for list endpoints: the route's default when missing or not a positive number, capped at MAX_LIST_LIMIT
+  static parseLimit(limit, fallback) {
+    const number = parseInt(limit, 10);
+    if (!Number.isFinite(number) || number < 1) return fallback;
+    return Math.min(number, MAX_LIST_LIMIT);
+  }
+
   // Validate authentication token format
   static validateTokenFormat(token) {
     if (!token || typeof token !== 'string') {
@@ -322,4 +391,22 @@ export const validateRequest = (validationRules) => {
   };
 };
 
+// Reject a request whose body.vitalSigns holds an impossible reading; a request without vital signs passes
+export const validateVitalSignsBody = (req, res, next) => {
+  const { vitalSigns } = req.body || {};
+  if (vitalSigns === undefined || vitalSigns === null) return next();
+
+  const validation = MedicalValidators.validateVitalSigns(vitalSigns);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid vital signs',
+      details: validation.errors || [validation.error],
+      timestamp: new Date()
+    });
+  }
+
+  next();
+};
+
 export default MedicalValidators;
\ No newline at end of file
@@ -5,6 +5,9 @@ import { EmergencyProvider } from './contexts/EmergencyContext';
 import EmergencyChatbot from './components/UI/Chatbot/EmergencyChatbot';
 import SyncStatus from './components/UI/SyncStatus';
 import EmergencyAlert from './components/UI/EmergencyAlert';
+import IncidentBoard from './components/UI/Dashboard/IncidentBoard';
+import InterventionTracker from './components/UI/InterventionTracker';
+import LoginPanel from './components/UI/LoginPanel';
 
 function App() {
   return (
@@ -20,7 +23,16 @@ function App() {
             
             {/* Main Application */}
             <div className="container mx-auto px-4 py-6">
+              {/* Sign-in and device enrollment */}
+              <LoginPanel />
+
               <EmergencyChatbot />
+
+              {/* Tourniquet / TXA / airway timers */}
+              <InterventionTracker />
+
+              {/* Mass Casualty Board */}
+              <IncidentBoard />
             </div>
             
             {/* Offline Indicator */}
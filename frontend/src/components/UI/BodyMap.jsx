@@ -0,0 +1,68 @@
+import React from 'react';
+import { BODY_REGIONS } from '@shared/bodyMap/regions';
+
+// Outline per region (viewBox 0 0 120 260). The front view faces the viewer, so the casualty's right is on the left.
+const SHAPES = {
+  'head-front': { type: 'ellipse', cx: 60, cy: 22, rx: 14, ry: 17 },
+  'neck-front': { type: 'rect', x: 53, y: 38, width: 14, height: 10 },
+  chest: { type: 'rect', x: 38, y: 48, width: 44, height: 40, rx: 6 },
+  abdomen: { type: 'rect', x: 40, y: 88, width: 40, height: 36 },
+  perineum: { type: 'rect', x: 50, y: 124, width: 20, height: 12 },
+  'right-arm-front': { type: 'rect', x: 20, y: 50, width: 16, height: 90, rx: 6 },
+  'left-arm-front': { type: 'rect', x: 84, y: 50, width: 16, height: 90, rx: 6 },
+  'right-leg-front': { type: 'rect', x: 40, y: 136, width: 18, height: 110, rx: 6 },
+  'left-leg-front': { type: 'rect', x: 62, y: 136, width: 18, height: 110, rx: 6 },
+  'head-back': { type: 'ellipse', cx: 60, cy: 22, rx: 14, ry: 17 },
+  'neck-back': { type: 'rect', x: 53, y: 38, width: 14, height: 10 },
+  'upper-back': { type: 'rect', x: 38, y: 48, width: 44, height: 40, rx: 6 },
+  'lower-back': { type: 'rect', x: 40, y: 88, width: 40, height: 48 },
+  'left-arm-back': { type: 'rect', x: 20, y: 50, width: 16, height: 90, rx: 6 },
+  'right-arm-back': { type: 'rect', x: 84, y: 50, width: 16, height: 90, rx: 6 },
+  'left-leg-back': { type: 'rect', x: 40, y: 136, width: 18, height: 110, rx: 6 },
+  'right-leg-back': { type: 'rect', x: 62, y: 136, width: 18, height: 110, rx: 6 }
+};
+
+const UNMARKED_FILL = '#4b5563';
+
+// Front and back outlines; tap (or Enter) a region to select it. `fills` colours marked regions by id.
+const BodyMap = ({ fills = {}, onSelect, disabled = false }) => {
+  const renderRegion = (region) => {
+    const { type, ...geometry } = SHAPES[region.id];
+    const Shape = type;
+    const select = () => !disabled && onSelect?.(region.id);
+
+    return (
+      <Shape
+        key={region.id}
+        {...geometry}
+        fill={fills[region.id] || UNMARKED_FILL}
+        stroke="#111827"
+        strokeWidth={1}
+        role="button"
+        tabIndex={disabled ? -1 : 0}
+        aria-label={region.label}
+        aria-pressed={Boolean(fills[region.id])}
+        className={disabled ? '' : 'cursor-pointer hover:opacity-80 focus:outline-none'}
+        onClick={select}
+        onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && select()}
+      >
+        <title>{region.label}</title>
+      </Shape>
+    );
+  };
+
+  return (
+    <div className="flex justify-center space-x-6">
+      {['front', 'back'].map(view => (
+        <figure key={view} className="text-center">
+          <svg viewBox="0 0 120 260" className="w-28 h-60">
+            {BODY_REGIONS.filter(region => region.view === view).map(renderRegion)}
+          </svg>
+          <figcaption className="text-xs text-gray-400 capitalize">{view}</figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+};
+
+export default BodyMap;
@@ -0,0 +1,374 @@
+import React, { useState } from 'react';
+import {
+  EVAC_CATEGORIES,
+  MECHANISMS,
+  TOURNIQUET_SITES,
+  TREATMENTS,
+  MEDICATION_CATEGORIES,
+  ROUTES,
+  AVPU,
+  GENDERS
+} from '@shared/casualtyCard/codes';
+import { casualtyCardService } from '../../services';
+import { Plus, Printer, Save, Trash2, FileJson, X } from 'lucide-react';
+
+const TREATMENT_SECTIONS = { circulation: 'C', airway: 'A', breathing: 'B', other: 'Other' };
+
+const inputClass = 'w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm';
+
+// <input type="datetime-local"> works in local time; the card stores ISO timestamps
+const toLocalInput = iso => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date)) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromLocalInput = value => (value ? new Date(value).toISOString() : null);
+
+const Field = ({ label, type = 'text', value, onChange, options }) => {
+  let control;
+  if (options) {
+    control = (
+      <select value={value ?? ''} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+        <option value="">—</option>
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  } else if (type === 'datetime') {
+    control = (
+      <input type="datetime-local" value={toLocalInput(value)} onChange={(e) => onChange(fromLocalInput(e.target.value))} className={inputClass} />
+    );
+  } else if (type === 'number') {
+    control = (
+      <input type="number" value={value ?? ''} onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))} className={inputClass} />
+    );
+  } else {
+    control = (
+      <input type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value || null)} className={inputClass} />
+    );
+  }
+
+  return (
+    <label className="block">
+      <span className="block text-xs text-gray-400 mb-1">{label}</span>
+      {control}
+    </label>
+  );
+};
+
+const toOptions = codes => (Array.isArray(codes)
+  ? codes.map(code => ({ value: code, label: code }))
+  : Object.entries(codes).map(([value, label]) => ({ value, label })));
+
+// Repeating rows (tourniquets, vitals, fluids, meds, injuries)
+const ListSection = ({ title, items, fields, blank, onChange }) => {
+  const update = (index, key, value) => onChange(items.map((item, i) => (i === index ? { ...item, [key]: value } : item)));
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">{title}</h3>
+        <button
+          type="button"
+          onClick={() => onChange([...items, blank()])}
+          className="flex items-center space-x-1 bg-gray-600 hover:bg-gray-500 px-2 py-1 rounded text-xs"
+        >
+          <Plus size={12} />
+          <span>Add</span>
+        </button>
+      </div>
+      {items.length === 0 && <p className="text-xs text-gray-500">None recorded</p>}
+      {items.map((item, index) => (
+        <div key={index} className="flex items-end space-x-2 mb-2">
+          <div className="flex-1 grid grid-cols-2 md:grid-cols-4 gap-2">
+            {fields.map(field => (
+              <Field
+                key={field.key}
+                {...field}
+                value={item[field.key]}
+                onChange={(value) => update(index, field.key, value)}
+              />
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange(items.filter((_, i) => i !== index))}
+            className="p-2 text-gray-400 hover:text-red-400"
+            title="Remove"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </section>
+  );
+};
+
+// Editable TCCC Casualty Card (DD 1380) with print/PDF and JSON export
+const CasualtyCardEditor = ({ initialCard, draft = false, onSaved, onClose }) => {
+  const [card, setCard] = useState(() => casualtyCardService.create(initialCard));
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState(draft ? 'Draft prefilled from recorded data - review before saving' : null);
+  const [saving, setSaving] = useState(false);
+
+  const setSection = (section, changes) => setCard(current => ({ ...current, [section]: { ...current[section], ...changes } }));
+  const setList = key => items => setCard(current => ({ ...current, [key]: items }));
+
+  const toggleCode = (section, key, code) => {
+    const selected = card[section][key];
+    setSection(section, {
+      [key]: selected.includes(code) ? selected.filter(value => value !== code) : [...selected, code]
+    });
+  };
+
+  const checkValid = () => {
+    const validation = casualtyCardService.validate(card);
+    setErrors(validation.errors);
+    return validation.valid;
+  };
+
+  const save = async () => {
+    if (!checkValid()) return;
+
+    setSaving(true);
+    try {
+      const result = await casualtyCardService.save(card);
+      setCard(result.card);
+      setStatus(result.synced ? 'Saved' : 'Saved on this device - will upload with the next save online');
+      onSaved?.(result);
+    } catch (error) {
+      setErrors(error.response?.data?.details || [{ field: 'card', message: 'Failed to save casualty card' }]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const print = () => {
+    try {
+      casualtyCardService.print(card);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  const exportJson = () => {
+    if (checkValid()) casualtyCardService.downloadJson(card);
+  };
+
+  const nowIso = () => new Date().toISOString();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-6">
+          <div className="flex justify-between items-start">
+            <div>
+              <h2 className="text-xl font-bold">TCCC Casualty Card (DD 1380)</h2>
+              <p className="text-xs text-gray-400 font-mono">
+                {card.cardId}{card.casualtyId ? ` • ${card.casualtyId}` : ''}
+              </p>
+              {status && <p className="text-xs text-yellow-300 mt-1">{status}</p>}
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-white">
+              <X size={20} />
+            </button>
+          </div>
+
+          {/* Evacuation category */}
+          <section className="flex items-center space-x-4">
+            <h3 className="font-semibold">Evac</h3>
+            {Object.entries(EVAC_CATEGORIES).map(([code, label]) => (
+              <label key={code} className="flex items-center space-x-1 text-sm">
+                <input
+                  type="radio"
+                  name="evacuationCategory"
+                  checked={card.evacuationCategory === code}
+                  onChange={() => setCard(current => ({ ...current, evacuationCategory: code }))}
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+          </section>
+
+          {/* Patient */}
+          <section>
+            <h3 className="font-semibold mb-2">Patient</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              <Field label="Battle roster #" value={card.patient.battleRosterNumber} onChange={(value) => setSection('patient', { battleRosterNumber: value })} />
+              <Field label="Last name" value={card.patient.lastName} onChange={(value) => setSection('patient', { lastName: value })} />
+              <Field label="First name" value={card.patient.firstName} onChange={(value) => setSection('patient', { firstName: value })} />
+              <Field label="Last 4" value={card.patient.last4} onChange={(value) => setSection('patient', { last4: value })} />
+              <Field label="Gender" value={card.patient.gender} options={toOptions(GENDERS)} onChange={(value) => setSection('patient', { gender: value })} />
+              <Field label="Service" value={card.patient.service} onChange={(value) => setSection('patient', { service: value })} />
+              <Field label="Unit" value={card.patient.unit} onChange={(value) => setSection('patient', { unit: value })} />
+              <Field label="Allergies" value={card.patient.allergies} onChange={(value) => setSection('patient', { allergies: value })} />
+            </div>
+          </section>
+
+          {/* Mechanism and injuries */}
+          <section>
+            <h3 className="font-semibold mb-2">Mechanism of injury</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-2">
+              <Field label="Date/time of injury" type="datetime" value={card.injury.injuredAt} onChange={(value) => setSection('injury', { injuredAt: value })} />
+              {card.injury.mechanisms.includes('OTHER') && (
+                <Field label="Other mechanism" value={card.injury.mechanismOther} onChange={(value) => setSection('injury', { mechanismOther: value })} />
+              )}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {Object.entries(MECHANISMS).map(([code, label]) => (
+                <label key={code} className="flex items-center space-x-1 text-sm">
+                  <input type="checkbox" checked={card.injury.mechanisms.includes(code)} onChange={() => toggleCode('injury', 'mechanisms', code)} />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </section>
+
+          <ListSection
+            title="Injuries"
+            items={card.injury.injuries}
+            blank={() => ({ description: null, location: null, view: null })}
+            onChange={(injuries) => setSection('injury', { injuries })}
+            fields={[
+              { key: 'description', label: 'Injury' },
+              { key: 'location', label: 'Location' },
+              { key: 'view', label: 'View', options: toOptions(['FRONT', 'BACK']) }
+            ]}
+          />
+
+          <ListSection
+            title="Tourniquets"
+            items={card.tourniquets}
+            blank={() => ({ site: null, type: null, appliedAt: nowIso() })}
+            onChange={setList('tourniquets')}
+            fields={[
+              { key: 'site', label: 'Site', options: toOptions(TOURNIQUET_SITES) },
+              { key: 'type', label: 'Type' },
+              { key: 'appliedAt', label: 'Time', type: 'datetime' }
+            ]}
+          />
+
+          <ListSection
+            title="Signs & symptoms"
+            items={card.vitals}
+            blank={() => ({ time: nowIso(), pulse: null, pulseLocation: null, bloodPressure: null, respiratoryRate: null, oxygenSaturation: null, avpu: null, painScale: null })}
+            onChange={setList('vitals')}
+            fields={[
+              { key: 'time', label: 'Time', type: 'datetime' },
+              { key: 'pulse', label: 'Pulse', type: 'number' },
+              { key: 'pulseLocation', label: 'Pulse location' },
+              { key: 'bloodPressure', label: 'BP (sys/dia)' },
+              { key: 'respiratoryRate', label: 'Resp rate', type: 'number' },
+              { key: 'oxygenSaturation', label: 'SpO2 %', type: 'number' },
+              { key: 'avpu', label: 'AVPU', options: toOptions(AVPU) },
+              { key: 'painScale', label: 'Pain (0-10)', type: 'number' }
+            ]}
+          />
+
+          {/* MARCH treatments */}
+          <section>
+            <h3 className="font-semibold mb-2">Treatments</h3>
+            {Object.entries(TREATMENT_SECTIONS).map(([section, label]) => (
+              <div key={section} className="flex flex-wrap items-center gap-x-4 gap-y-1 mb-1">
+                <span className="w-12 text-sm font-bold text-gray-300">{label}</span>
+                {Object.entries(TREATMENTS[section]).map(([code, codeLabel]) => (
+                  <label key={code} className="flex items-center space-x-1 text-sm">
+                    <input type="checkbox" checked={card.treatments[section].includes(code)} onChange={() => toggleCode('treatments', section, code)} />
+                    <span>{codeLabel}</span>
+                  </label>
+                ))}
+              </div>
+            ))}
+            {card.treatments.other.includes('HYPOTHERMIA_PREVENTION') && (
+              <div className="mt-2 max-w-xs">
+                <Field label="Hypothermia prevention type" value={card.treatments.hypothermiaType} onChange={(value) => setSection('treatments', { hypothermiaType: value })} />
+              </div>
+            )}
+          </section>
+
+          <ListSection
+            title="Fluids & blood products"
+            items={card.fluids}
+            blank={() => ({ name: null, volume: null, route: 'IV', time: nowIso() })}
+            onChange={setList('fluids')}
+            fields={[
+              { key: 'name', label: 'Name' },
+              { key: 'volume', label: 'Volume' },
+              { key: 'route', label: 'Route', options: toOptions(ROUTES) },
+              { key: 'time', label: 'Time', type: 'datetime' }
+            ]}
+          />
+
+          <ListSection
+            title="Medications"
+            items={card.medications}
+            blank={() => ({ category: 'ANALGESIC', name: null, dose: null, route: null, time: nowIso() })}
+            onChange={setList('medications')}
+            fields={[
+              { key: 'category', label: 'Type', options: toOptions(MEDICATION_CATEGORIES) },
+              { key: 'name', label: 'Name' },
+              { key: 'dose', label: 'Dose' },
+              { key: 'route', label: 'Route', options: toOptions(ROUTES) },
+              { key: 'time', label: 'Time', type: 'datetime' }
+            ]}
+          />
+
+          {/* Notes and first responder */}
+          <section className="space-y-2">
+            <label className="block">
+              <span className="block text-xs text-gray-400 mb-1">Notes</span>
+              <textarea
+                value={card.notes || ''}
+                onChange={(e) => setCard(current => ({ ...current, notes: e.target.value || null }))}
+                rows={3}
+                className={inputClass}
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <Field label="First responder name" value={card.firstResponder.name} onChange={(value) => setSection('firstResponder', { name: value })} />
+              <Field label="First responder last 4" value={card.firstResponder.last4} onChange={(value) => setSection('firstResponder', { last4: value })} />
+            </div>
+          </section>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-400 space-y-1">
+              {errors.map((error, index) => (
+                <li key={index}>❌ {error.field}: {error.message}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={exportJson}
+              className="flex items-center space-x-2 bg-gray-600 hover:bg-gray-500 px-3 py-2 rounded-lg text-sm"
+            >
+              <FileJson size={16} />
+              <span>Export JSON</span>
+            </button>
+            <button
+              onClick={print}
+              className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-lg text-sm"
+            >
+              <Printer size={16} />
+              <span>Print / PDF</span>
+            </button>
+            <button
+              onClick={save}
+              disabled={saving}
+              className="flex items-center space-x-2 bg-green-700 hover:bg-green-800 disabled:opacity-50 px-3 py-2 rounded-lg text-sm"
+            >
+              <Save size={16} />
+              <span>{saving ? 'Saving...' : 'Save'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CasualtyCardEditor;
@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { burnService } from '../../../services';
+import BodyMap from '../BodyMap';
+import TriageIndicator from '../TriageIndicator';
+import { Flame, AlertTriangle } from 'lucide-react';
+
+const DEPTH_FILLS = {
+  SUPERFICIAL: '#fca5a5',
+  PARTIAL_THICKNESS: '#f97316',
+  FULL_THICKNESS: '#7f1d1d'
+};
+
+const FRACTIONS = [1, 0.75, 0.5, 0.25];
+
+const inputClass = 'w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm';
+
+// Burn chart: tap regions with the selected depth and coverage; %TBSA, triage and fluids update as you mark
+const BurnInput = ({ onAssess, disabled }) => {
+  const [marks, setMarks] = useState({});
+  const [depth, setDepth] = useState('PARTIAL_THICKNESS');
+  const [fraction, setFraction] = useState(1);
+  const [method, setMethod] = useState('RULE_OF_NINES');
+  const [ageYears, setAgeYears] = useState('');
+  const [weightKg, setWeightKg] = useState('');
+  const [timeOfInjury, setTimeOfInjury] = useState('');
+  const [inhalationInjury, setInhalationInjury] = useState(false);
+
+  const chart = useMemo(() => ({
+    regions: Object.entries(marks).map(([region, mark]) => ({ region, ...mark })),
+    method,
+    ageYears: ageYears === '' ? undefined : Number(ageYears),
+    weightKg: weightKg === '' ? undefined : Number(weightKg),
+    timeOfInjury: timeOfInjury ? new Date(timeOfInjury).toISOString() : undefined,
+    inhalationInjury
+  }), [marks, method, ageYears, weightKg, timeOfInjury, inhalationInjury]);
+
+  const result = useMemo(() => (chart.regions.length > 0 ? burnService.assess(chart) : null), [chart]);
+
+  // Tapping a region with the same depth and coverage clears it
+  const toggleRegion = (region) => {
+    setMarks(current => {
+      const { [region]: existing, ...rest } = current;
+      return existing?.depth === depth && existing?.fraction === fraction
+        ? rest
+        : { ...rest, [region]: { depth, fraction } };
+    });
+  };
+
+  const submit = () => {
+    if (!result) return;
+    onAssess({ chart, result });
+    setMarks({});
+    setInhalationInjury(false);
+  };
+
+  const fluids = result?.fluids;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Depth</span>
+          <select value={depth} onChange={(e) => setDepth(e.target.value)} className={inputClass}>
+            {Object.entries(burnService.depths).map(([code, entry]) => (
+              <option key={code} value={code}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Region covered</span>
+          <select value={fraction} onChange={(e) => setFraction(Number(e.target.value))} className={inputClass}>
+            {FRACTIONS.map(value => <option key={value} value={value}>{value * 100}%</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Chart</span>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} className={inputClass}>
+            <option value="RULE_OF_NINES">Rule of Nines</option>
+            <option value="LUND_BROWDER">Lund-Browder</option>
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Age (years)</span>
+          <input type="number" value={ageYears} onChange={(e) => setAgeYears(e.target.value)} className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Weight (kg)</span>
+          <input type="number" value={weightKg} onChange={(e) => setWeightKg(e.target.value)} className={inputClass} />
+        </label>
+        <label className="block md:col-span-2">
+          <span className="block text-xs text-gray-400 mb-1">Time of injury</span>
+          <input type="datetime-local" value={timeOfInjury} onChange={(e) => setTimeOfInjury(e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex items-center space-x-2 text-sm">
+          <input type="checkbox" checked={inhalationInjury} onChange={(e) => setInhalationInjury(e.target.checked)} />
+          <span>Inhalation injury</span>
+        </label>
+      </div>
+
+      <BodyMap
+        fills={Object.fromEntries(Object.entries(marks).map(([region, mark]) => [region, DEPTH_FILLS[mark.depth]]))}
+        onSelect={toggleRegion}
+        disabled={disabled}
+      />
+
+      {result && (
+        <div className="bg-gray-800 rounded p-3 text-sm space-y-2">
+          <div className="flex items-center justify-between">
+            <p>
+              <span className="text-2xl font-bold">{result.tbsa}%</span> TBSA
+              <span className="text-gray-400"> ({result.fullThickness}% full thickness, {result.table})</span>
+            </p>
+            <TriageIndicator level={result.triageLevel} size="small" />
+          </div>
+          {fluids.indicated ? (
+            <ul className="text-xs space-y-1">
+              {Object.values(fluids.formulas).map(formula => (
+                <li key={formula.label}>
+                  <strong>{formula.label}</strong>: {formula.totalMl} mL / 24 h — {formula.first8hMl} mL in first 8 h
+                  {formula.first8hRateMlPerHour !== null && ` (${formula.first8hRateMlPerHour} mL/h)`}, then {formula.next16hRateMlPerHour} mL/h
+                </li>
+              ))}
+              {fluids.ruleOfTen && <li><strong>Rule of Ten</strong>: start at {fluids.ruleOfTen.initialRateMlPerHour} mL/h</li>}
+            </ul>
+          ) : (
+            <p className="text-xs text-gray-400">Below {fluids.threshold}% TBSA — oral fluids if able</p>
+          )}
+          {result.warnings.map(warning => (
+            <p key={warning} className="flex items-center space-x-1 text-xs text-yellow-300">
+              <AlertTriangle size={12} />
+              <span>{warning}</span>
+            </p>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={submit}
+        disabled={disabled || !result}
+        className="w-full flex items-center justify-center space-x-2 bg-orange-600 hover:bg-orange-700 disabled:opacity-50 px-4 py-2 rounded-lg text-white font-semibold"
+      >
+        <Flame size={16} />
+        <span>Add burn assessment</span>
+      </button>
+    </div>
+  );
+};
+
+export default BurnInput;
@@ -2,32 +2,61 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useSpeechRecognition } from '../../../hooks/useSpeechRecognition';
 import { useOfflineSync } from '../../../hooks/useOfflineSync';
 import { useAuth } from '../../../contexts/AuthContext';
-import { diagnosisService, apiClient } from '../../../services';
+import { useEmergency } from '../../../contexts/EmergencyContext';
+import { diagnosisService, handoverService, casualtyCardService, injuryService, offlineDiagnosisService, apiClient } from '../../../services';
+import InterventionTimers from '@shared/interventions/InterventionTimers';
+import TriageCore from '@shared/triage/TriageCore';
 import { encryptMedicalData } from '../../../utils/encryption';
 import { logger } from '../../../utils/logger';
 import VoiceInput from './VoiceInput';
 import TextInput from './TextInput';
 import ImageInput from './ImageInput';
+import BurnInput from './BurnInput';
+import InjuryInput from './InjuryInput';
 import TriageIndicator from '../TriageIndicator';
-import { Mic, MessageSquare, Camera, AlertTriangle, Download, Upload } from 'lucide-react';
+import CasualtyCardEditor from '../CasualtyCardEditor';
+import { Mic, MessageSquare, Camera, AlertTriangle, Download, Upload, ClipboardList, FileText, Flame, Crosshair } from 'lucide-react';
 import { getBatteryLevel } from '../../../utils/deviceInfo';
 
+const interventionTimers = new InterventionTimers();
+const triageCore = new TriageCore();
+
+const burnDepthLabel = mark => `${mark.depth.toLowerCase().replace(/_/g, ' ')}${mark.fraction < 1 ? `, ${mark.fraction * 100}%` : ''}`;
+
 const EmergencyChatbot = () => {
   const [messages, setMessages] = useState([]);
   const [inputMode, setInputMode] = useState('text');
   const [emergencyMode, setEmergencyMode] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [handoverFormat, setHandoverFormat] = useState('ATMIST');
+  const [casualtyCard, setCasualtyCard] = useState(null);
   const messagesEndRef = useRef(null);
   
   const { isListening, transcript, startListening, stopListening, hasSpeechSupport } = useSpeechRecognition();
   const { queueRecord, syncStatus } = useOfflineSync();
   const { soldier, isAuthenticated } = useAuth();
+  const { interventions, linkInterventionsToRecord } = useEmergency();
 
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Offline diagnoses are re-run by the server on sync; say so when it came out differently
+  useEffect(() => {
+    const handleVerified = ({ detail: { verification } }) => {
+      if (verification.agrees) return;
+      addMessage('assistant', [
+        `🔁 **SERVER RE-CHECK** of an offline assessment: ${verification.serverDiagnosis} (${verification.serverTriageLevel})`,
+        `• On device: ${verification.offlineDiagnosis} (${verification.offlineTriageLevel})`,
+        verification.escalated && `⚠️ Record raised to ${verification.serverTriageLevel} — reassess the casualty`
+      ].filter(Boolean).join('\n'));
+    };
+
+    window.addEventListener('offline-analysis-verified', handleVerified);
+    return () => window.removeEventListener('offline-analysis-verified', handleVerified);
+  }, []);
+
   // Initialize with welcome message
   useEffect(() => {
     if (messages.length === 0) {
@@ -52,21 +81,28 @@ const EmergencyChatbot = () => {
     try {
       // Extract symptoms string from input object or use input directly if it's a string
       const symptomsText = typeof input === 'object' && input !== null ? input.symptoms : input;
+      const vitalSigns = typeof input === 'object' && input !== null ? input.vitalSigns : undefined;
+      const injuries = (typeof input === 'object' && input?.injuries) || [];
+      const injuryText = injuryService.describe(injuries);
       
       // Add user message to chat with fallback
-      addMessage('user', symptomsText || 'Image analysis requested');
+      addMessage('user', [symptomsText, injuryText && `Body map: ${injuryText}`].filter(Boolean).join('\n') || 'Image analysis requested');
 
       // Show analyzing message
       const analyzingId = addMessage('assistant', '🔍 Analyzing situation...', true);
 
-      // Simulate AI analysis - in real app, call your backend API
-      const analysis = await simulateAIAnalysis(symptomsText, imageData);
+      // The same request goes to the backend, to the on-device engine and, if run offline, to the server re-check
+      const request = { symptoms: symptomsText, vitalSigns, injuries };
+      const analysis = await simulateAIAnalysis(request, imageData);
       
-      // Update analyzing message with results
+      // Update analyzing message with results; symptoms, vitals and marked wounds are kept for the handover report
       updateMessage(analyzingId, {
         content: formatAnalysisResponse(analysis),
         triageLevel: analysis.triageLevel,
         analysisData: analysis,
+        symptoms: symptomsText || injuryText,
+        vitalSigns,
+        injuries,
         isAnalyzing: false
       });
 
@@ -77,6 +113,7 @@ const EmergencyChatbot = () => {
         soldierId: soldier?.soldierId || 'emergency-unknown',
         encryptedData: await encryptMedicalData({
           symptoms: symptomsText,
+          injuries,
           imageData: imageData,
           analysis: analysis
         }),
@@ -95,13 +132,20 @@ const EmergencyChatbot = () => {
             offline: !navigator.onLine
           }
         },
+        injuries,
+        // Inputs and result of an on-device diagnosis, for the server to re-run on sync
+        ...(analysis.offline && {
+          offlineAnalysis: offlineDiagnosisService.toVerification(request, analysis)
+        }),
         emergencyMode: !soldier
       };
 
       // Attempt to queue record but don't block on failure
-      queueRecord(record).catch(syncError => {
-        console.warn('Failed to queue medical record:', syncError);
-      });
+      queueRecord(record)
+        .then(result => result.success && linkInterventionsToRecord(result.recordId))
+        .catch(syncError => {
+          console.warn('Failed to queue medical record:', syncError);
+        });
 
       // Read instructions aloud if critical
       if (analysis.triageLevel === 'IMMEDIATE') {
@@ -116,98 +160,35 @@ const EmergencyChatbot = () => {
     }
   };
 
-  const simulateAIAnalysis = async (symptoms, imageData) => {
+  const simulateAIAnalysis = async (request, imageData) => {
+    const { symptoms, vitalSigns = {}, injuries = [] } = request;
     try {
       // Get location first
       const location = await getCurrentLocation();
       logger.info('Starting symptom analysis', { symptoms, hasImage: !!imageData, location });
 
-      // Ensure symptoms is a string
-      const symptomsText = symptoms || '';
       let analysis;
 
       try {
-        // Attempt to use backend service
-        const result = await diagnosisService.analyzeSymptoms(symptoms, imageData, location);
+        // Attempt to use backend service; body-map wounds go to triage, which grades them by location and severity
+        const result = injuries.length > 0
+          ? await injuryService.triage(request)
+          : await diagnosisService.analyzeSymptoms(symptoms, imageData, location, vitalSigns);
         logger.info('Backend analysis successful', result);
         return result;
       } catch (apiError) {
         // Log the API error details
         logger.warn('Backend service unavailable, using offline analysis', apiError);
         
-        // Provide offline analysis with appropriate triage level
-        const lowerSymptoms = symptomsText.toLowerCase();
-        
-        if (lowerSymptoms.includes('gunshot') || lowerSymptoms.includes('bleeding')) {
-          analysis = {
-            primaryDiagnosis: { diagnosis: 'Ballistic Trauma', confidence: 0.92 },
-            triageLevel: 'IMMEDIATE',
-            confidence: 0.9,
-            firstAidSteps: [
-              "APPLY DIRECT PRESSURE TO WOUND",
-              "CHECK FOR EXIT WOUND",
-              "USE HEMOSTATIC GAUZE IF AVAILABLE",
-              "APPLY TOURNIQUET IF SEVERE BLEEDING",
-              "TREAT FOR SHOCK",
-              "PREPARE FOR EMERGENCY EVACUATION"
-            ],
-            emergencyActions: ["IMMEDIATE MEDEVAC REQUIRED", "CONTROL BLEEDING"],
-            militaryContext: { combatRelated: true, evacuationPriority: 1 },
-            timestamp: new Date()
-          };
-        } else if (lowerSymptoms.includes('burn') || lowerSymptoms.includes('fire')) {
-          analysis = {
-            primaryDiagnosis: { diagnosis: 'Thermal Burns', confidence: 0.88 },
-            triageLevel: 'DELAYED',
-            confidence: 0.85,
-            firstAidSteps: [
-              "COOL BURN WITH CLEAN WATER",
-              "COVER WITH STERILE DRESSING",
-              "DO NOT BREAK BLISTERS",
-              "MONITOR BREATHING",
-              "PAIN MANAGEMENT IF AVAILABLE"
-            ],
-            emergencyActions: ["CHECK FOR INHALATION INJURY"],
-            militaryContext: { combatRelated: false, evacuationPriority: 2 },
-            timestamp: new Date()
-          };
-        } else if (lowerSymptoms.includes('broken') || lowerSymptoms.includes('fracture')) {
-          analysis = {
-            primaryDiagnosis: { diagnosis: 'Fracture', confidence: 0.87 },
-            triageLevel: 'DELAYED',
-            confidence: 0.82,
-            firstAidSteps: [
-              "IMMOBILIZE INJURED AREA",
-              "APPLY SPLINT IF AVAILABLE",
-              "CHECK CIRCULATION",
-              "APPLY COLD PACK",
-              "ELEVATE IF POSSIBLE"
-            ],
-            emergencyActions: [],
-            militaryContext: { combatRelated: false, evacuationPriority: 2 },
-            timestamp: new Date()
-          };
-        } else {
-          analysis = {
-            primaryDiagnosis: { 
-              diagnosis: 'Condition Assessment Required',
-              confidence: 0.85
-            },
-            triageLevel: 'MINOR',
-            confidence: 0.8,
-            firstAidSteps: [
-              "Monitor vital signs",
-              "Keep patient comfortable",
-              "Seek medical assistance when possible"
-            ],
-            emergencyActions: [],
-            militaryContext: { 
-              combatRelated: false,
-              evacuationPriority: 3
-            },
-            timestamp: new Date(),
-            offlineMode: true
-          };
+        // Same diagnosis engine and rule pack as the backend, run on the device
+        try {
+          analysis = await offlineDiagnosisService.analyze({ ...request, location });
+        } catch (engineError) {
+          // Last resort: the triage core's keyword table, raised by vitals and marked wounds
+          logger.error('Offline diagnosis engine failed, using keyword triage', engineError);
+          analysis = triageCore.offlineAnalysis([symptoms, injuryService.describe(injuries)].filter(Boolean).join(', '));
+          triageCore.triageAnalysis(analysis, { vitalSigns, injuries });
+          analysis.offline = true;
         }
 
         // Enhance if image data provided
@@ -229,12 +210,27 @@ const EmergencyChatbot = () => {
     }
   };
 
+  const formatVitalScores = (scores = {}) => {
+    const lines = [
+      scores.shockIndex && `• Shock Index: ${scores.shockIndex.value} — ${scores.shockIndex.interpretation}`,
+      scores.gcs && `• GCS: ${scores.gcs.value}${scores.gcs.estimated ? ' (from AVPU)' : ''} — ${scores.gcs.interpretation}`,
+      scores.revisedTraumaScore && `• RTS: ${scores.revisedTraumaScore.value} (T-RTS ${scores.revisedTraumaScore.triageScore}) — ${scores.revisedTraumaScore.interpretation}`,
+      scores.news2 && `• NEWS2: ${scores.news2.value}${scores.news2.complete ? '' : ' (partial)'} — ${scores.news2.interpretation}`,
+      scores.capillaryRefill && `• Capillary Refill: ${scores.capillaryRefill.value}s — ${scores.capillaryRefill.interpretation}`
+    ].filter(Boolean);
+
+    return lines.length > 0 ? `\n💓 **VITAL SCORES**:\n${lines.join('\n')}\n` : '';
+  };
+
   const formatAnalysisResponse = (analysis) => {
     return `
 🎯 **DIAGNOSIS**: ${analysis.primaryDiagnosis.diagnosis}
 ⚡ **TRIAGE LEVEL**: ${analysis.triageLevel}
 📊 **CONFIDENCE**: ${Math.round(analysis.confidence * 100)}%
-
+${analysis.offline ? '📴 Assessed on this device while offline — the server re-checks it when the record syncs\n' : ''}${formatVitalScores(analysis.vitalScores)}${analysis.differentialDiagnosis?.length > 1 ? `
+🩺 **DIFFERENTIAL**:
+${analysis.differentialDiagnosis.map(d => `• ${d.diagnosis} (${d.triage}, ${Math.round(d.confidence * 100)}%)`).join('\n')}
+` : ''}
 🚑 **FIRST AID STEPS**:
 ${analysis.firstAidSteps.map(step => `• ${step}`).join('\n')}
 
@@ -314,6 +310,80 @@ ${analysis.militaryContext.combatRelated ? `
     }]);
   };
 
+  // Burn chart result as a chat message; its triage category and burn injury join the session
+  const handleBurnAssessment = ({ result }) => {
+    addMessage('user', `Burn chart: ${result.regions.map(mark => `${mark.label} (${burnDepthLabel(mark)})`).join(', ')}`);
+
+    const fluids = Object.values(result.fluids.formulas)
+      .map(formula => `• ${formula.label}: ${formula.totalMl} mL / 24 h, ${formula.first8hMl} mL in first 8 h from injury`);
+    if (result.fluids.ruleOfTen) {
+      fluids.push(`• Rule of Ten: start at ${result.fluids.ruleOfTen.initialRateMlPerHour} mL/h`);
+    }
+
+    const id = addMessage('assistant', [
+      `🔥 **BURNS**: ${result.tbsa}% TBSA (${result.fullThickness}% full thickness) — ${result.method === 'LUND_BROWDER' ? 'Lund-Browder' : 'Rule of Nines'}, ${result.table}`,
+      `⚡ **TRIAGE LEVEL**: ${result.triageLevel} — ${result.triageReason}`,
+      result.fluids.indicated ? `💧 **FLUIDS**:\n${fluids.join('\n')}` : '💧 Resuscitation not indicated',
+      ...result.warnings.map(warning => `⚠️ ${warning}`)
+    ].join('\n'));
+    updateMessage(id, { triageLevel: result.triageLevel, burnAssessment: result });
+  };
+
+  // This session's assessments in the shape the handover and casualty card generators take
+  const buildSessionInput = () => {
+    const assessments = messages.filter(message => message.analysisData);
+    const burns = messages.filter(message => message.burnAssessment);
+    if (assessments.length === 0 && burns.length === 0) return null;
+
+    const triaged = messages.filter(message => message.triageLevel);
+
+    return {
+      casualty: { soldierId: soldier?.soldierId, unit: soldier?.unit },
+      analysis: assessments[assessments.length - 1]?.analysisData || null,
+      triageLevel: triaged[triaged.length - 1]?.triageLevel,
+      symptoms: assessments.map(message => message.symptoms).filter(Boolean),
+      injuries: [
+        ...assessments.flatMap(message => message.injuries || []),
+        ...burns.map(message => message.burnAssessment.injury)
+      ],
+      vitalsHistory: assessments
+        .filter(message => message.vitalSigns && Object.keys(message.vitalSigns).length > 0)
+        .map(message => ({ timestamp: message.timestamp, vitals: message.vitalSigns })),
+      interventions: interventions
+        .filter(intervention => intervention.status !== 'PLANNED')
+        .map(intervention => interventionTimers.toTreatmentEntry(intervention))
+    };
+  };
+
+  // MIST / ATMIST for the MEDEVAC crew from this session's assessments, generated on the device
+  const generateHandover = () => {
+    const input = buildSessionInput();
+
+    if (!input) {
+      addMessage('assistant', '⚠️ No assessment yet. Describe the casualty first to build a handover report.');
+      return;
+    }
+
+    const { report, text } = handoverService.generate(input, { format: handoverFormat });
+
+    const missing = report.missing.length > 0 ? `\n\n⚠️ Not recorded: ${report.missing.join(', ')}` : '';
+    addMessage('assistant', `📋 ${text}${missing}`);
+
+    navigator.clipboard?.writeText(text).catch(() => {});
+  };
+
+  // DD 1380 card prefilled from this session, opened in the editor
+  const openCasualtyCard = () => {
+    const input = buildSessionInput();
+
+    if (!input) {
+      addMessage('assistant', '⚠️ No assessment yet. Describe the casualty first to fill in a casualty card.');
+      return;
+    }
+
+    setCasualtyCard(casualtyCardService.fromSession(input));
+  };
+
   const exportChat = () => {
     const chatData = {
       timestamp: new Date(),
@@ -349,6 +419,36 @@ ${analysis.militaryContext.combatRelated ? `
           </div>
           
           <div className="flex items-center space-x-2">
+            <select
+              value={handoverFormat}
+              onChange={(e) => setHandoverFormat(e.target.value)}
+              className="bg-gray-700 text-white rounded-lg px-2 py-2 text-sm border border-gray-600"
+              title="Handover format"
+            >
+              <option value="ATMIST">ATMIST</option>
+              <option value="MIST">MIST</option>
+            </select>
+
+            <button
+              onClick={generateHandover}
+              disabled={isAnalyzing}
+              className="flex items-center space-x-2 bg-green-700 hover:bg-green-800 disabled:opacity-50 px-3 py-2 rounded-lg text-white text-sm transition-colors"
+              title="Generate handover report for the MEDEVAC crew"
+            >
+              <ClipboardList size={16} />
+              <span>Handover</span>
+            </button>
+
+            <button
+              onClick={openCasualtyCard}
+              disabled={isAnalyzing}
+              className="flex items-center space-x-2 bg-green-700 hover:bg-green-800 disabled:opacity-50 px-3 py-2 rounded-lg text-white text-sm transition-colors"
+              title="Fill in a TCCC casualty card (DD 1380)"
+            >
+              <FileText size={16} />
+              <span>Card</span>
+            </button>
+
             <button
               onClick={exportChat}
               className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-lg text-white text-sm transition-colors"
@@ -453,6 +553,30 @@ ${analysis.militaryContext.combatRelated ? `
             </button>
           )}
           
+          <button
+            onClick={() => setInputMode('body')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg flex-1 justify-center transition-colors ${
+              inputMode === 'body' 
+                ? 'bg-red-700 text-white' 
+                : 'bg-gray-600 text-gray-300 hover:bg-gray-500'
+            }`}
+          >
+            <Crosshair size={18} />
+            <span>Wounds</span>
+          </button>
+
+          <button
+            onClick={() => setInputMode('burns')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg flex-1 justify-center transition-colors ${
+              inputMode === 'burns' 
+                ? 'bg-orange-600 text-white' 
+                : 'bg-gray-600 text-gray-300 hover:bg-gray-500'
+            }`}
+          >
+            <Flame size={18} />
+            <span>Burns</span>
+          </button>
+
           <button
             onClick={() => setInputMode('image')}
             className={`flex items-center space-x-2 px-4 py-2 rounded-lg flex-1 justify-center transition-colors ${
@@ -492,6 +616,20 @@ ${analysis.militaryContext.combatRelated ? `
           />
         )}
 
+        {inputMode === 'body' && (
+          <InjuryInput
+            onAnalysis={handleEmergencyAssessment}
+            disabled={isAnalyzing}
+          />
+        )}
+
+        {inputMode === 'burns' && (
+          <BurnInput
+            onAssess={handleBurnAssessment}
+            disabled={isAnalyzing}
+          />
+        )}
+
         {/* Emergency Warning */}
         {emergencyMode && !soldier && (
           <div className="mt-3 p-3 bg-red-900 border border-red-700 rounded-lg">
@@ -505,6 +643,14 @@ ${analysis.militaryContext.combatRelated ? `
           </div>
         )}
       </div>
+
+      {casualtyCard && (
+        <CasualtyCardEditor
+          initialCard={casualtyCard}
+          draft
+          onClose={() => setCasualtyCard(null)}
+        />
+      )}
     </div>
   );
 };
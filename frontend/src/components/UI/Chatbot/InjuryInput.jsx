@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { injuryService } from '../../../services';
+import BodyMap from '../BodyMap';
+import { Crosshair, X } from 'lucide-react';
+
+const SEVERITY_FILLS = {
+  minor: '#facc15',
+  moderate: '#f97316',
+  severe: '#dc2626',
+  critical: '#7f1d1d'
+};
+
+const inputClass = 'w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm';
+
+// Wound map: tap a region to mark it with the selected wound type and severity; tapping the same mark again clears it
+const InjuryInput = ({ onAnalysis, disabled }) => {
+  const [injuries, setInjuries] = useState([]);
+  const [type, setType] = useState('GUNSHOT');
+  const [severity, setSeverity] = useState('moderate');
+  const [notes, setNotes] = useState('');
+  const [symptoms, setSymptoms] = useState('');
+
+  const toggleRegion = (region) => {
+    setInjuries(current => {
+      const existing = current.findIndex(injury => injury.region === region && injury.code === type);
+      return existing >= 0
+        ? current.filter((_, index) => index !== existing)
+        : [...current, injuryService.create({ region, type, severity, notes })];
+    });
+    setNotes('');
+  };
+
+  const removeInjury = (index) => setInjuries(current => current.filter((_, i) => i !== index));
+
+  // Each region shows its most severe wound
+  const fills = {};
+  injuries.forEach(injury => {
+    const current = fills[injury.region];
+    if (!current || injuryService.severities.indexOf(injury.severity) > injuryService.severities.indexOf(current)) {
+      fills[injury.region] = injury.severity;
+    }
+  });
+
+  const submit = () => {
+    if (injuries.length === 0) return;
+    onAnalysis({ symptoms: symptoms.trim(), injuries });
+    setInjuries([]);
+    setSymptoms('');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Wound</span>
+          <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+            {Object.entries(injuryService.types).map(([code, entry]) => (
+              <option key={code} value={code}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Severity</span>
+          <select value={severity} onChange={(e) => setSeverity(e.target.value)} className={inputClass}>
+            {injuryService.severities.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <label className="block col-span-2 md:col-span-1">
+          <span className="block text-xs text-gray-400 mb-1">Note for next mark</span>
+          <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className={inputClass} placeholder="e.g. exit wound" />
+        </label>
+      </div>
+
+      <BodyMap
+        fills={Object.fromEntries(Object.entries(fills).map(([region, level]) => [region, SEVERITY_FILLS[level]]))}
+        onSelect={toggleRegion}
+        disabled={disabled}
+      />
+
+      {injuries.length > 0 && (
+        <ul className="bg-gray-800 rounded p-3 text-sm space-y-1">
+          {injuries.map((injury, index) => (
+            <li key={`${injury.region}-${injury.code}-${index}`} className="flex items-center justify-between">
+              <span>
+                <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: SEVERITY_FILLS[injury.severity] }} />
+                {injury.type} — {injury.location}{injury.view === 'back' && injury.location !== 'back' ? ' (back)' : ''}
+                <span className="text-gray-400"> ({injury.severity}{injury.notes ? `, ${injury.notes}` : ''})</span>
+              </span>
+              <button onClick={() => removeInjury(index)} disabled={disabled} className="text-gray-400 hover:text-white" aria-label="Remove injury">
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <textarea
+        value={symptoms}
+        onChange={(e) => setSymptoms(e.target.value)}
+        placeholder="Other symptoms (optional)"
+        rows={2}
+        className={inputClass}
+      />
+
+      <button
+        onClick={submit}
+        disabled={disabled || injuries.length === 0}
+        className="w-full flex items-center justify-center space-x-2 bg-red-700 hover:bg-red-800 disabled:opacity-50 px-4 py-2 rounded-lg text-white font-semibold"
+      >
+        <Crosshair size={16} />
+        <span>Assess {injuries.length || ''} {injuries.length === 1 ? 'injury' : 'injuries'}</span>
+      </button>
+    </div>
+  );
+};
+
+export default InjuryInput;
@@ -7,24 +7,41 @@ const TextInput = ({ onAnalysis, disabled }) => {
     heartRate: '',
     respiratoryRate: '',
     bloodPressure: '',
-    oxygenSaturation: ''
+    oxygenSaturation: '',
+    temperature: '',
+    capillaryRefill: '',
+    avpu: '',
+    gcsEye: '',
+    gcsVerbal: '',
+    gcsMotor: ''
   });
 
   const handleSubmit = () => {
     if (symptoms.trim()) {
+      const { gcsEye, gcsVerbal, gcsMotor, ...otherVitals } = vitalSigns;
       const analysisData = {
         symptoms: symptoms.trim(),
         vitalSigns: Object.fromEntries(
-          Object.entries(vitalSigns).filter(([_, value]) => value.trim())
+          Object.entries(otherVitals).filter(([_, value]) => value.trim())
         )
       };
+      // GCS is only meaningful with all three components
+      if (gcsEye && gcsVerbal && gcsMotor) {
+        analysisData.vitalSigns.gcs = { eye: gcsEye, verbal: gcsVerbal, motor: gcsMotor };
+      }
       onAnalysis(analysisData);
       setSymptoms('');
       setVitalSigns({
         heartRate: '',
         respiratoryRate: '',
         bloodPressure: '',
-        oxygenSaturation: ''
+        oxygenSaturation: '',
+        temperature: '',
+        capillaryRefill: '',
+        avpu: '',
+        gcsEye: '',
+        gcsVerbal: '',
+        gcsMotor: ''
       });
     }
   };
@@ -134,6 +151,86 @@ const TextInput = ({ onAnalysis, disabled }) => {
               disabled={disabled}
             />
           </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Temperature</label>
+            <input
+              type="number"
+              value={vitalSigns.temperature}
+              onChange={(e) => setVitalSigns(prev => ({ ...prev, temperature: e.target.value }))}
+              placeholder="°C"
+              step="0.1"
+              className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Capillary Refill</label>
+            <input
+              type="number"
+              value={vitalSigns.capillaryRefill}
+              onChange={(e) => setVitalSigns(prev => ({ ...prev, capillaryRefill: e.target.value }))}
+              placeholder="seconds"
+              step="0.5"
+              className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">AVPU</label>
+            <select
+              value={vitalSigns.avpu}
+              onChange={(e) => setVitalSigns(prev => ({ ...prev, avpu: e.target.value }))}
+              className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+              disabled={disabled}
+            >
+              <option value="">—</option>
+              <option value="A">Alert</option>
+              <option value="V">Responds to voice</option>
+              <option value="P">Responds to pain</option>
+              <option value="U">Unresponsive</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">GCS (E / V / M)</label>
+            <div className="grid grid-cols-3 gap-1">
+              <select
+                value={vitalSigns.gcsEye}
+                onChange={(e) => setVitalSigns(prev => ({ ...prev, gcsEye: e.target.value }))}
+                className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+                disabled={disabled}
+                aria-label="GCS Eye"
+              >
+                <option value="">E</option>
+                {Array.from({ length: 4 }, (_, i) => i + 1).map(score => (
+                  <option key={score} value={score}>E{score}</option>
+                ))}
+              </select>
+              <select
+                value={vitalSigns.gcsVerbal}
+                onChange={(e) => setVitalSigns(prev => ({ ...prev, gcsVerbal: e.target.value }))}
+                className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+                disabled={disabled}
+                aria-label="GCS Verbal"
+              >
+                <option value="">V</option>
+                {Array.from({ length: 5 }, (_, i) => i + 1).map(score => (
+                  <option key={score} value={score}>V{score}</option>
+                ))}
+              </select>
+              <select
+                value={vitalSigns.gcsMotor}
+                onChange={(e) => setVitalSigns(prev => ({ ...prev, gcsMotor: e.target.value }))}
+                className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+                disabled={disabled}
+                aria-label="GCS Motor"
+              >
+                <option value="">M</option>
+                {Array.from({ length: 6 }, (_, i) => i + 1).map(score => (
+                  <option key={score} value={score}>M{score}</option>
+                ))}
+              </select>
+            </div>
+          </div>
         </div>
       </div>
 
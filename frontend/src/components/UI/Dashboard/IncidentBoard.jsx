@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useEmergency } from '../../../contexts/EmergencyContext';
+import { apiService, casualtyCardService } from '../../../services';
+import TriageIndicator from '../TriageIndicator';
+import CasualtyCardEditor from '../CasualtyCardEditor';
+import MedicationRecord from '../MedicationRecord';
+import { Users, RefreshCw, TrendingDown, TrendingUp, XCircle, FileText, Pill } from 'lucide-react';
+
+// Fallback polling only - pushed MCI_BOARD_UPDATE events refresh the board immediately
+const REFRESH_INTERVAL = 30000;
+
+const TAG_STYLES = {
+  RED: 'bg-red-600',
+  YELLOW: 'bg-yellow-500',
+  GREEN: 'bg-green-600',
+  BLACK: 'bg-gray-900 border border-gray-500',
+  UNTRIAGED: 'bg-gray-600'
+};
+
+// Shared mass-casualty board, shown while mass casualty mode is active
+const IncidentBoard = () => {
+  const { massCasualtyMode, addAlert, lastEvent } = useEmergency();
+  const [incidents, setIncidents] = useState([]);
+  const [incidentId, setIncidentId] = useState(null);
+  const [board, setBoard] = useState(null);
+  const [newIncidentName, setNewIncidentName] = useState('');
+  const [error, setError] = useState(null);
+  const [openCard, setOpenCard] = useState(null);
+  const [medicationsFor, setMedicationsFor] = useState(null);
+
+  const loadIncidents = useCallback(async () => {
+    try {
+      const response = await apiService.incidents.list();
+      setIncidents(response.data.data.incidents);
+    } catch {
+      setError('Incident list unavailable offline');
+    }
+  }, []);
+
+  const loadBoard = useCallback(async () => {
+    if (!incidentId) return;
+    try {
+      const response = await apiService.incidents.board(incidentId);
+      setBoard(response.data.data);
+      setError(null);
+    } catch {
+      setError('Board refresh failed - showing last known state');
+    }
+  }, [incidentId]);
+
+  useEffect(() => {
+    if (massCasualtyMode) loadIncidents();
+  }, [massCasualtyMode, loadIncidents]);
+
+  useEffect(() => {
+    if (!massCasualtyMode || !incidentId) return;
+
+    loadBoard();
+    const interval = setInterval(loadBoard, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [massCasualtyMode, incidentId, loadBoard]);
+
+  useEffect(() => {
+    if (!massCasualtyMode || lastEvent?.type !== 'MCI_BOARD_UPDATE') return;
+
+    if (lastEvent.data.incidentId === incidentId) {
+      loadBoard();
+    } else if (!incidentId) {
+      loadIncidents();
+    }
+  }, [lastEvent, massCasualtyMode, incidentId, loadBoard, loadIncidents]);
+
+  const openIncident = async () => {
+    if (!newIncidentName.trim()) return;
+    try {
+      const response = await apiService.incidents.create({ name: newIncidentName.trim() });
+      setIncidentId(response.data.data.incidentId);
+      setNewIncidentName('');
+      addAlert('MCI_OPENED', `Incident ${response.data.data.incidentId} opened`, 'high');
+    } catch {
+      setError('Failed to open incident');
+    }
+  };
+
+  const closeIncident = async () => {
+    try {
+      await apiService.incidents.close(incidentId);
+      addAlert('MCI_CLOSED', `Incident ${incidentId} closed`, 'medium');
+      setIncidentId(null);
+      setBoard(null);
+      loadIncidents();
+    } catch {
+      setError('Failed to close incident');
+    }
+  };
+
+  const showCard = async (casualtyId) => {
+    try {
+      setOpenCard(await casualtyCardService.load(casualtyId));
+    } catch {
+      setError(`Casualty card for ${casualtyId} unavailable offline`);
+    }
+  };
+
+  if (!massCasualtyMode) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto mt-6 bg-military-medium rounded-xl border border-gray-700 p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Users size={20} className="text-red-400" />
+          <h2 className="text-lg font-bold">
+            {board ? `${board.incident.name} (${board.incident.incidentId})` : 'Mass Casualty Incident'}
+          </h2>
+        </div>
+        {incidentId && (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={loadBoard}
+              className="flex items-center space-x-1 bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded text-sm"
+            >
+              <RefreshCw size={14} />
+              <span>Refresh</span>
+            </button>
+            <button
+              onClick={closeIncident}
+              className="flex items-center space-x-1 bg-red-700 hover:bg-red-800 px-3 py-1 rounded text-sm"
+            >
+              <XCircle size={14} />
+              <span>Close</span>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-yellow-400 text-sm mb-3">{error}</p>}
+
+      {!incidentId && (
+        <div className="space-y-3">
+          {incidents.map(incident => (
+            <button
+              key={incident.incidentId}
+              onClick={() => setIncidentId(incident.incidentId)}
+              className="w-full text-left bg-gray-700 hover:bg-gray-600 rounded-lg px-4 py-2"
+            >
+              {incident.incidentId} — {incident.name}
+            </button>
+          ))}
+          <div className="flex space-x-2">
+            <input
+              value={newIncidentName}
+              onChange={(e) => setNewIncidentName(e.target.value)}
+              placeholder="New incident name"
+              className="flex-1 bg-gray-700 text-white rounded px-3 py-2 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+            />
+            <button
+              onClick={openIncident}
+              className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded text-sm font-semibold"
+            >
+              Open Incident
+            </button>
+          </div>
+        </div>
+      )}
+
+      {board && (
+        <div className="space-y-4">
+          {/* Counts by tag */}
+          <div className="grid grid-cols-5 gap-2 text-center">
+            {Object.entries(board.counts.byTag).map(([tag, count]) => (
+              <div key={tag} className={`${TAG_STYLES[tag]} rounded-lg py-2`}>
+                <p className="text-2xl font-bold">{count}</p>
+                <p className="text-xs">{tag}</p>
+              </div>
+            ))}
+          </div>
+
+          {board.recommendations.length > 0 && (
+            <ul className="text-sm text-yellow-300 space-y-1">
+              {board.recommendations.map((recommendation, index) => (
+                <li key={index}>⚠️ {recommendation}</li>
+              ))}
+            </ul>
+          )}
+
+          {/* Casualties in priority order */}
+          <ul className="divide-y divide-gray-700">
+            {board.casualties.map(casualty => (
+              <li
+                key={casualty.casualtyId}
+                className={`flex items-center justify-between py-2 ${board.deteriorating.includes(casualty.casualtyId) ? 'bg-red-900 bg-opacity-30' : ''}`}
+              >
+                <div>
+                  <p className="font-mono text-sm">{casualty.casualtyId}</p>
+                  <p className="text-xs text-gray-400">
+                    {casualty.soldierId || casualty.description || 'Unidentified'} • {casualty.status}
+                    {casualty.trend.minutesSinceLastAssessment !== undefined &&
+                      ` • assessed ${casualty.trend.minutesSinceLastAssessment} min ago`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => showCard(casualty.casualtyId)}
+                    className="text-gray-400 hover:text-white"
+                    title="TCCC casualty card"
+                  >
+                    <FileText size={16} />
+                  </button>
+                  <button
+                    onClick={() => setMedicationsFor(casualty.casualtyId)}
+                    className="text-gray-400 hover:text-white"
+                    title="Medications"
+                  >
+                    <Pill size={16} />
+                  </button>
+                  {casualty.trend.direction === 'deteriorated' && <TrendingDown size={16} className="text-red-400" />}
+                  {casualty.trend.direction === 'improved' && <TrendingUp size={16} className="text-green-400" />}
+                  {casualty.currentTriage?.level
+                    ? <TriageIndicator level={casualty.currentTriage.level} size="small" />
+                    : <span className="text-xs text-gray-400">UNTRIAGED</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {openCard && (
+        <CasualtyCardEditor
+          initialCard={openCard.card}
+          draft={openCard.draft}
+          onClose={() => setOpenCard(null)}
+        />
+      )}
+
+      {medicationsFor && (
+        <MedicationRecord casualtyId={medicationsFor} onClose={() => setMedicationsFor(null)} />
+      )}
+    </div>
+  );
+};
+
+export default IncidentBoard;
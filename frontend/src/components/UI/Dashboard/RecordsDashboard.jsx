@@ -414,6 +414,47 @@ const RecordsDashboard = () => {
                   </div>
                 )}
 
+                {/* Explanation */}
+                {selectedRecord.analysis?.explanation?.triageScoring && (
+                  <div>
+                    <h3 className="text-lg font-semibold mb-3">Why This Triage</h3>
+                    <div className="bg-gray-700 rounded-lg p-4 space-y-3 text-sm">
+                      <p className="text-gray-400">
+                        Score {selectedRecord.analysis.explanation.triageScoring.score}
+                        {selectedRecord.analysis.rulePack && ` • Rule pack ${selectedRecord.analysis.rulePack.id}@${selectedRecord.analysis.rulePack.version}`}
+                      </p>
+                      <ul className="space-y-1">
+                        {selectedRecord.analysis.explanation.triageScoring.contributions.map((rule, index) => (
+                          <li key={index} className="flex justify-between gap-4">
+                            <span>{rule.description || rule.id}</span>
+                            <span className="text-gray-400">+{rule.weight}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      {selectedRecord.analysis.explanation.symptomMatches?.length > 0 && (
+                        <ul className="space-y-1 border-t border-gray-600 pt-3">
+                          {selectedRecord.analysis.explanation.symptomMatches.map((match, index) => (
+                            <li key={index} className={match.accepted ? '' : 'text-gray-500'}>
+                              "{match.symptom}" → {match.diagnosis || 'no match'} ({Math.round(match.similarity * 100)}%)
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {selectedRecord.analysis.explanation.qualifiers?.some(q => q.negated || q.resolved) && (
+                        <ul className="space-y-1 border-t border-gray-600 pt-3 text-gray-400">
+                          {selectedRecord.analysis.explanation.qualifiers
+                            .filter(q => q.negated || q.resolved)
+                            .map((qualifier, index) => (
+                              <li key={index}>
+                                "{qualifier.text}" — {qualifier.negated ? `negated (${qualifier.cue})` : 'resolved, not scored'}
+                              </li>
+                            ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                )}
+
                 {/* Military Context */}
                 {selectedRecord.analysis?.militaryContext && (
                   <div>
@@ -12,8 +12,9 @@ const EmergencyAlert = () => {
   } = useEmergency();
 
   const criticalAlerts = getCriticalAlerts();
+  const toastAlerts = alerts.filter(alert => !alert.acknowledged && alert.priority !== 'critical');
 
-  if (criticalAlerts.length === 0 && !emergencyMode) {
+  if (criticalAlerts.length === 0 && toastAlerts.length === 0 && !emergencyMode) {
     return null;
   }
 
@@ -78,31 +79,29 @@ const EmergencyAlert = () => {
 
       {/* Alert Toast Stack */}
       <div className="fixed top-20 right-4 z-40 space-y-2">
-        {alerts
-          .filter(alert => !alert.acknowledged && alert.priority !== 'critical')
-          .map((alert) => (
-            <div
-              key={alert.id}
-              className={`p-3 rounded-lg shadow-lg border max-w-xs transition-all ${
-                alert.priority === 'high'
-                  ? 'bg-orange-600 border-orange-500 text-white'
-                  : 'bg-blue-600 border-blue-500 text-white'
-              }`}
-            >
-              <div className="flex items-start space-x-2">
-                <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
-                <div className="flex-1 text-sm">
-                  {alert.message}
-                </div>
-                <button
-                  onClick={() => removeAlert(alert.id)}
-                  className="flex-shrink-0 text-white hover:text-gray-200 transition-colors"
-                >
-                  <X size={14} />
-                </button>
+        {toastAlerts.map((alert) => (
+          <div
+            key={alert.id}
+            className={`p-3 rounded-lg shadow-lg border max-w-xs transition-all ${
+              alert.priority === 'high'
+                ? 'bg-orange-600 border-orange-500 text-white'
+                : 'bg-blue-600 border-blue-500 text-white'
+            }`}
+          >
+            <div className="flex items-start space-x-2">
+              <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+              <div className="flex-1 text-sm">
+                {alert.message}
               </div>
+              <button
+                onClick={() => removeAlert(alert.id)}
+                className="flex-shrink-0 text-white hover:text-gray-200 transition-colors"
+              >
+                <X size={14} />
+              </button>
             </div>
-          ))}
+          </div>
+        ))}
       </div>
     </>
   );
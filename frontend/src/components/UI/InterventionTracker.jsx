@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { useEmergency } from '../../contexts/EmergencyContext';
+import { INTERVENTION_TYPES } from '@shared/interventions/InterventionTimers';
+import { Timer, Check, Syringe, XCircle, Plus } from 'lucide-react';
+
+const formatMinutes = minutes => {
+  if (minutes === null || minutes === undefined) return '--';
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+const minutesUntil = iso => Math.ceil((new Date(iso) - Date.now()) / 60000);
+
+// Running intervention timers (tourniquet, chest seal, TXA, ...) with reassessment countdowns
+const InterventionTracker = () => {
+  const {
+    interventions,
+    startIntervention,
+    reassessIntervention,
+    administerIntervention,
+    endIntervention,
+    getInterventionStatus
+  } = useEmergency();
+  const [type, setType] = useState('TOURNIQUET');
+  const [bodyLocation, setBodyLocation] = useState('');
+  const [injuredAt, setInjuredAt] = useState('');
+  const [planned, setPlanned] = useState(false);
+  const [error, setError] = useState(null);
+  const [, setTick] = useState(0);
+
+  // Re-render so elapsed times and countdowns stay current
+  useEffect(() => {
+    const interval = setInterval(() => setTick(tick => tick + 1), 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const running = interventions.filter(intervention => ['PLANNED', 'ACTIVE'].includes(intervention.status));
+
+  const submit = async () => {
+    try {
+      await startIntervention({
+        type,
+        bodyLocation: bodyLocation.trim() || null,
+        injuredAt: injuredAt ? new Date(injuredAt).toISOString() : null,
+        status: type === 'TXA' && planned ? 'PLANNED' : 'ACTIVE'
+      });
+      setBodyLocation('');
+      setPlanned(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto mt-6 bg-military-medium rounded-xl border border-gray-700 p-4">
+      <div className="flex items-center space-x-2 mb-4">
+        <Timer size={20} className="text-yellow-400" />
+        <h2 className="text-lg font-bold">Interventions</h2>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end mb-2">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-2 border border-gray-600 text-sm"
+        >
+          {Object.entries(INTERVENTION_TYPES).map(([code, definition]) => (
+            <option key={code} value={code}>{definition.label}</option>
+          ))}
+        </select>
+        <input
+          value={bodyLocation}
+          onChange={(e) => setBodyLocation(e.target.value)}
+          placeholder={INTERVENTION_TYPES[type].requiresLocation ? 'Body location (required)' : 'Body location'}
+          className="bg-gray-700 text-white rounded px-2 py-2 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+        />
+        <label className="text-xs text-gray-400">
+          Time of injury
+          <input
+            type="datetime-local"
+            value={injuredAt}
+            onChange={(e) => setInjuredAt(e.target.value)}
+            className="w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 text-sm"
+          />
+        </label>
+        {type === 'TXA' ? (
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={planned} onChange={(e) => setPlanned(e.target.checked)} />
+            <span>Indicated, not yet given</span>
+          </label>
+        ) : <span />}
+        <button
+          onClick={submit}
+          className="flex items-center justify-center space-x-1 bg-green-700 hover:bg-green-800 px-3 py-2 rounded text-sm font-semibold"
+        >
+          <Plus size={14} />
+          <span>Start</span>
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+      {running.length === 0 ? (
+        <p className="text-sm text-gray-400">No running interventions</p>
+      ) : (
+        <ul className="divide-y divide-gray-700">
+          {running.map(intervention => {
+            const status = getInterventionStatus(intervention);
+            const reassessIn = status.nextReassessmentAt ? minutesUntil(status.nextReassessmentAt) : null;
+
+            return (
+              <li key={intervention.interventionId} className="flex items-center justify-between py-2">
+                <div>
+                  <p className="font-semibold text-sm">
+                    {status.label}{intervention.bodyLocation ? ` — ${intervention.bodyLocation}` : ''}
+                    {intervention.status === 'PLANNED' && <span className="ml-2 text-xs text-yellow-300">NOT GIVEN</span>}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {status.elapsedMinutes !== null && `On ${formatMinutes(status.elapsedMinutes)}`}
+                    {reassessIn !== null && (
+                      <span className={reassessIn <= 0 ? 'text-red-400 font-semibold' : ''}>
+                        {' • '}{reassessIn <= 0 ? `Reassess overdue ${formatMinutes(-reassessIn)}` : `Reassess in ${formatMinutes(reassessIn)}`}
+                      </span>
+                    )}
+                    {status.nextMilestone && ` • ${status.nextMilestone.id.replace(/_/g, ' ')} in ${formatMinutes(status.nextMilestone.inMinutes)}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {intervention.status === 'PLANNED' ? (
+                    <button
+                      onClick={() => administerIntervention(intervention.interventionId)}
+                      className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded text-xs"
+                    >
+                      <Syringe size={12} />
+                      <span>Given</span>
+                    </button>
+                  ) : status.nextReassessmentAt && (
+                    <button
+                      onClick={() => reassessIntervention(intervention.interventionId)}
+                      className="flex items-center space-x-1 bg-gray-600 hover:bg-gray-500 px-2 py-1 rounded text-xs"
+                    >
+                      <Check size={12} />
+                      <span>Reassessed</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={() => endIntervention(intervention.interventionId, intervention.type === 'TXA' ? 'COMPLETED' : 'REMOVED')}
+                    className="flex items-center space-x-1 bg-red-700 hover:bg-red-800 px-2 py-1 rounded text-xs"
+                    title={intervention.type === 'TXA' ? 'Mark complete' : 'Removed or converted'}
+                  >
+                    <XCircle size={12} />
+                    <span>{intervention.type === 'TXA' ? 'Done' : 'Remove'}</span>
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default InterventionTracker;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { LogIn, LogOut, ShieldCheck } from 'lucide-react';
+
+// Sign-in with soldier ID and password. The first sign-in on a device enrolls its key (AuthContext.login).
+// Emergency triage stays usable without signing in, so this sits above the tools instead of in front of them.
+const LoginPanel = () => {
+  const { soldier, isAuthenticated, loading, login, logout } = useAuth();
+  const [soldierId, setSoldierId] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (loading) return null;
+
+  if (isAuthenticated) {
+    return (
+      <div className="max-w-4xl mx-auto mb-6 bg-military-medium rounded-xl border border-gray-700 px-4 py-3 flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm">
+          <ShieldCheck size={18} className="text-green-400" />
+          <span>
+            {soldier.rank ? `${soldier.rank} ` : ''}{soldier.name || soldier.soldierId}
+            <span className="text-gray-400"> · {soldier.role}</span>
+          </span>
+        </div>
+        <button
+          onClick={logout}
+          className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+        >
+          <LogOut size={16} />
+          <span>Sign out</span>
+        </button>
+      </div>
+    );
+  }
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const result = await login(soldierId.trim(), password);
+    setSubmitting(false);
+
+    if (result.success) {
+      setPassword('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      className="max-w-4xl mx-auto mb-6 bg-military-medium rounded-xl border border-gray-700 p-4"
+    >
+      <div className="flex items-center space-x-2 mb-3">
+        <LogIn size={20} className="text-blue-400" />
+        <h2 className="text-lg font-bold">Sign in</h2>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <input
+          value={soldierId}
+          onChange={(e) => setSoldierId(e.target.value)}
+          placeholder="Soldier ID"
+          autoComplete="username"
+          required
+          className="bg-gray-700 text-white rounded px-2 py-2 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+          required
+          className="bg-gray-700 text-white rounded px-2 py-2 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm"
+        />
+        <button
+          type="submit"
+          disabled={submitting || !soldierId.trim() || !password}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded px-3 py-2 text-sm font-semibold transition-colors"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </form>
+  );
+};
+
+export default LoginPanel;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { medicationService } from '../../services';
+import { Pill, Syringe, AlertTriangle, X } from 'lucide-react';
+
+const inputClass = 'w-full bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus:border-blue-500 focus:outline-none text-sm';
+
+const formatTime = iso => (iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--');
+
+// Medication administration record for a tracked casualty: doses given, cumulative totals,
+// next allowed dose, and a dose calculator that checks contraindications before logging
+const MedicationRecord = ({ casualtyId, onClose }) => {
+  const { soldier } = useAuth();
+  const [record, setRecord] = useState(null);
+  const [drug, setDrug] = useState('MORPHINE');
+  const [route, setRoute] = useState('IV');
+  const [dose, setDose] = useState('');
+  const [weightKg, setWeightKg] = useState('');
+  const [allergies, setAllergies] = useState('');
+  const [overrideReason, setOverrideReason] = useState('');
+  const [rejected, setRejected] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await medicationService.load(casualtyId);
+      setRecord(data);
+      setWeightKg(current => current || (data.weightKg ?? ''));
+      setAllergies(current => current || (data.allergies ?? ''));
+    } catch {
+      setError('Medication record unavailable offline');
+    }
+  }, [casualtyId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const definition = medicationService.formulary[drug];
+
+  const selectDrug = (value) => {
+    setDrug(value);
+    setRoute(medicationService.formulary[value].routes[0]);
+    setDose('');
+    setRejected(null);
+  };
+
+  // Local preview of the server-side check; the server has the final say
+  const preview = useMemo(() => medicationService.check({
+    drug,
+    route,
+    dose: dose === '' ? undefined : Number(dose),
+    weightKg: weightKg === '' ? undefined : Number(weightKg),
+    allergies,
+    timeOfInjury: record?.injuredAt,
+    history: record?.administrations || [],
+    flags: record?.flags,
+    permissions: soldier?.permissions || [],
+    overrideReason: overrideReason.trim() || undefined
+  }), [drug, route, dose, weightKg, allergies, record, soldier, overrideReason]);
+
+  const administer = async () => {
+    setSaving(true);
+    setRejected(null);
+    try {
+      await medicationService.administer(casualtyId, {
+        drug,
+        route,
+        dose: preview.dose,
+        weightKg: weightKg === '' ? undefined : Number(weightKg),
+        allergies: allergies || undefined,
+        overrideReason: overrideReason.trim() || undefined
+      });
+      setDose('');
+      setOverrideReason('');
+      setError(null);
+      await load();
+    } catch (err) {
+      if (err.response?.data?.details) {
+        setRejected(err.response.data.details);
+      } else {
+        setError('Failed to record medication');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const problems = rejected || preview.errors;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex justify-between items-start">
+            <div className="flex items-center space-x-2">
+              <Pill size={20} className="text-blue-400" />
+              <div>
+                <h2 className="text-xl font-bold">Medications</h2>
+                <p className="text-xs text-gray-400 font-mono">{casualtyId}</p>
+              </div>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-white">
+              <X size={20} />
+            </button>
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          {record && (
+            <>
+              {record.totals.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-400">
+                      <th>Drug</th><th>Total</th><th>Last</th><th>Next dose</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.totals.map(total => (
+                      <tr key={total.drug} className="border-t border-gray-700">
+                        <td className="py-1">{total.name}</td>
+                        <td>
+                          {total.totalDose} {total.unit}
+                          {total.maxCumulative && <span className="text-gray-400"> / {total.maxCumulative}</span>}
+                        </td>
+                        <td>{formatTime(total.lastGivenAt)}</td>
+                        <td className={total.canRedoseNow ? 'text-green-400' : 'text-yellow-300'}>
+                          {total.canRedoseNow ? 'Now' : formatTime(total.nextAllowedAt)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">Drug</span>
+                  <select value={drug} onChange={(e) => selectDrug(e.target.value)} className={inputClass}>
+                    {Object.entries(medicationService.formulary).map(([code, entry]) => (
+                      <option key={code} value={code}>{entry.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">Route</span>
+                  <select value={route} onChange={(e) => setRoute(e.target.value)} className={inputClass}>
+                    {definition.routes.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">Weight (kg)</span>
+                  <input type="number" value={weightKg} onChange={(e) => setWeightKg(e.target.value)} className={inputClass} />
+                </label>
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">Dose ({definition.unit})</span>
+                  <input
+                    type="number"
+                    value={dose}
+                    placeholder={String(preview.calculated?.dose ?? '')}
+                    onChange={(e) => setDose(e.target.value)}
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+
+              <label className="block">
+                <span className="block text-xs text-gray-400 mb-1">Allergies</span>
+                <input value={allergies} onChange={(e) => setAllergies(e.target.value)} className={inputClass} />
+              </label>
+
+              <p className="text-xs text-gray-400">
+                {preview.calculated?.basis}
+                {preview.cumulative?.remaining !== null && preview.cumulative?.remaining !== undefined &&
+                  ` • ${preview.cumulative.remaining} ${definition.unit} remaining before max`}
+              </p>
+
+              {problems.length > 0 && (
+                <ul className="text-sm text-red-400 space-y-1">
+                  {problems.map(problem => (
+                    <li key={problem.message} className="flex items-center space-x-1">
+                      <AlertTriangle size={14} />
+                      <span>{problem.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {preview.warnings.length > 0 && (
+                <ul className="text-xs text-yellow-300 space-y-1">
+                  {preview.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              )}
+
+              {preview.contraindications?.length > 0 && (
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">Override reason (logged)</span>
+                  <input value={overrideReason} onChange={(e) => setOverrideReason(e.target.value)} className={inputClass} />
+                </label>
+              )}
+
+              <button
+                onClick={administer}
+                disabled={saving || !preview.allowed}
+                className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-3 py-2 rounded text-sm font-semibold"
+              >
+                <Syringe size={14} />
+                <span>Give {preview.dose ?? ''} {definition.unit} {route}</span>
+              </button>
+
+              {record.administrations.length > 0 && (
+                <ul className="divide-y divide-gray-700 text-sm">
+                  {[...record.administrations].reverse().map(entry => (
+                    <li key={`${entry.drug}-${entry.administeredAt}`} className="py-1 flex justify-between">
+                      <span>{entry.name} {entry.dose} {entry.unit} {entry.route}</span>
+                      <span className="text-xs text-gray-400">
+                        {formatTime(entry.administeredAt)} • {entry.recordedBy}
+                        {entry.overrideReason && ' • override'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MedicationRecord;
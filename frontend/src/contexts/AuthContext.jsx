@@ -1,7 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import AccessPolicy from '@shared/authorization/AccessPolicy';
+import { apiService } from '../services/api';
 
 const AuthContext = createContext();
 
+// The same policy the backend enforces, so the UI never offers what the API would refuse
+const accessPolicy = new AccessPolicy();
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -43,52 +48,52 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
-  const login = async (soldierId, unit, rank, deviceInfo) => {
+  const login = async (soldierId, password) => {
     try {
-      // In a real app, this would call your backend
-      const mockSoldier = {
-        soldierId,
-        unit,
-        rank,
-        permissions: getPermissions(rank),
-        loginTime: new Date()
+      const deviceInfo = {
+        userAgent: navigator.userAgent,
+        platform: navigator.platform,
+        language: navigator.language
       };
 
+      // The login is signed with the device key, so the key has to be enrolled first.
+      // Enrolling a key the backend already knows changes nothing.
+      await apiService.devices.enroll(deviceInfo);
+      const response = await apiService.auth.login({ soldierId, password, deviceInfo });
+      const { soldier: profile, token, refreshToken, sessionId, refreshExpiresAt } = response.data.data;
+
       const authData = {
-        soldier: mockSoldier,
-        token: 'mock-jwt-token', // In real app, get from backend
-        expiresAt: Date.now() + (8 * 60 * 60 * 1000) // 8 hours
+        soldier: { ...profile, loginTime: new Date() },
+        token,
+        refreshToken,
+        sessionId,
+        expiresAt: new Date(refreshExpiresAt).getTime() // The session's end; access tokens are refreshed until then
       };
 
-      setSoldier(mockSoldier);
+      setSoldier(authData.soldier);
       setIsAuthenticated(true);
       localStorage.setItem('battlefield_auth', JSON.stringify(authData));
 
-      return { success: true, soldier: mockSoldier };
+      return { success: true, soldier: authData.soldier };
     } catch (error) {
       console.error('Login failed:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.response?.data?.error || error.message };
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    // Revoke the session on the backend too; offline, the local sign-out still goes ahead
+    try {
+      await apiService.auth.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+
     setSoldier(null);
     setIsAuthenticated(false);
     localStorage.removeItem('battlefield_auth');
   };
 
-  const getPermissions = (rank) => {
-    const permissions = {
-      private: ['self:read', 'self:write', 'emergency:access'],
-      corporal: ['squad:read', 'medic:access', 'triage:basic'],
-      sergeant: ['platoon:read', 'medic:write', 'triage:advanced'],
-      medic: ['all:read', 'medic:write', 'triage:expert'],
-      officer: ['all:read', 'all:write', 'system:access']
-    };
-
-    return permissions[rank] || permissions.private;
-  };
-
   const value = {
     soldier,
     isAuthenticated,
@@ -96,7 +101,11 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     hasPermission: (permission) => {
-      return soldier?.permissions?.includes(permission) || false;
+      return soldier ? accessPolicy.can(soldier, permission) : false;
+    },
+    // 'self', 'squad', 'platoon', 'unit', 'all', or null when the soldier can't do it at all
+    scopeFor: (resource, action) => {
+      return soldier ? accessPolicy.scopeFor(soldier, resource, action) : null;
     }
   };
 
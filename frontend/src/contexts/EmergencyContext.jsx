@@ -1,4 +1,14 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { eventStreamService } from '../services/eventStream';
+import { deviceWipeService } from '../services/deviceWipe';
+import battlefieldDB from '../services/offlineDB';
+import InterventionTimers, { INTERVENTION_TYPES } from '@shared/interventions/InterventionTimers';
+
+const interventionTimers = new InterventionTimers();
+
+// How often running intervention timers are checked for due alerts
+const TIMER_CHECK_INTERVAL = 15000;
 
 const EmergencyContext = createContext();
 
@@ -15,6 +25,68 @@ export const EmergencyProvider = ({ children }) => {
   const [massCasualtyMode, setMassCasualtyMode] = useState(false);
   const [alerts, setAlerts] = useState([]);
   const [systemStatus, setSystemStatus] = useState('normal');
+  const [lastEvent, setLastEvent] = useState(null);
+  const [eventStreamStatus, setEventStreamStatus] = useState('closed');
+  const [interventions, setInterventions] = useState([]);
+  const [currentRecordId, setCurrentRecordId] = useState(null);
+  const { soldier, isAuthenticated } = useAuth();
+
+  // Stable across renders so the timer and event-stream effects don't resubscribe on every alert
+  const removeAlert = useCallback((alertId) => {
+    setAlerts(prev => prev.filter(alert => alert.id !== alertId));
+  }, []);
+
+  const addAlert = useCallback((type, message, priority = 'medium') => {
+    const alert = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, // pushed events can arrive in the same millisecond
+      type,
+      message,
+      priority,
+      timestamp: new Date(),
+      acknowledged: false
+    };
+    
+    setAlerts(prev => [alert, ...prev.slice(0, 9)]); // Keep last 10 alerts
+    
+    // Auto-remove low priority alerts after 30 seconds
+    if (priority === 'low') {
+      setTimeout(() => {
+        removeAlert(alert.id);
+      }, 30000);
+    }
+  }, [removeAlert]);
+
+  useEffect(() => {
+    // Timers survive reloads: pick up anything still planned or running
+    battlefieldDB.getRunningInterventions().then(setInterventions);
+  }, []);
+
+  useEffect(() => {
+    const checkTimers = () => {
+      const now = new Date();
+      const fired = [];
+
+      interventions.forEach(intervention => {
+        const due = interventionTimers.getDueAlerts(intervention, now);
+        if (due.length === 0) return;
+
+        due.forEach(alert => addAlert(alert.type, alert.message, alert.priority));
+        fired.push(interventionTimers.markFired(intervention, due));
+      });
+
+      if (fired.length > 0) {
+        fired.forEach(intervention => battlefieldDB.saveIntervention(intervention, { sync: false }));
+        setInterventions(prev => prev.map(intervention =>
+          fired.find(updated => updated.interventionId === intervention.interventionId) || intervention
+        ));
+      }
+    };
+
+    checkTimers();
+    const interval = setInterval(checkTimers, TIMER_CHECK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [interventions, addAlert]);
 
   useEffect(() => {
     // Monitor system resources
@@ -34,6 +106,41 @@ export const EmergencyProvider = ({ children }) => {
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    // A wipe ordered while the device was offline or logged out is picked up on the next contact.
+    // The wipe revokes the device's tokens, so a sudden 401 is also a reason to check.
+    const checkWipe = async () => {
+      const wipe = await deviceWipeService.check();
+      if (wipe) deviceWipeService.execute(wipe);
+    };
+
+    checkWipe();
+    window.addEventListener('online', checkWipe);
+    window.addEventListener('auth-required', checkWipe);
+
+    return () => {
+      window.removeEventListener('online', checkWipe);
+      window.removeEventListener('auth-required', checkWipe);
+    };
+  }, []);
+
+  useEffect(() => {
+    // Server-pushed emergency, triage, sync and MCI events for this soldier's unit
+    if (!isAuthenticated) return;
+
+    const unsubscribe = eventStreamService.subscribe((event) => {
+      if (event.type === 'DEVICE_WIPE') {
+        deviceWipeService.execute(event.data);
+      }
+      setLastEvent(event);
+      if (event.message) {
+        addAlert(event.type, event.message, event.priority);
+      }
+    }, { onStatusChange: setEventStreamStatus });
+
+    return unsubscribe;
+  }, [isAuthenticated, soldier?.soldierId, addAlert]);
+
   const activateEmergencyMode = () => {
     setEmergencyMode(true);
     addAlert('EMERGENCY_MODE_ACTIVATED', 'Emergency medical protocols activated', 'high');
@@ -60,30 +167,6 @@ export const EmergencyProvider = ({ children }) => {
     addAlert('MASS_CASUALTY_ACTIVATED', 'Mass casualty protocols activated', 'critical');
   };
 
-  const addAlert = (type, message, priority = 'medium') => {
-    const alert = {
-      id: Date.now(),
-      type,
-      message,
-      priority,
-      timestamp: new Date(),
-      acknowledged: false
-    };
-    
-    setAlerts(prev => [alert, ...prev.slice(0, 9)]); // Keep last 10 alerts
-    
-    // Auto-remove low priority alerts after 30 seconds
-    if (priority === 'low') {
-      setTimeout(() => {
-        removeAlert(alert.id);
-      }, 30000);
-    }
-  };
-
-  const removeAlert = (alertId) => {
-    setAlerts(prev => prev.filter(alert => alert.id !== alertId));
-  };
-
   const acknowledgeAlert = (alertId) => {
     setAlerts(prev => prev.map(alert => 
       alert.id === alertId ? { ...alert, acknowledged: true } : alert
@@ -102,11 +185,75 @@ export const EmergencyProvider = ({ children }) => {
     return alerts.filter(alert => alert.priority === 'critical' && !alert.acknowledged);
   };
 
+  // Interventions
+  const persistIntervention = async (intervention) => {
+    await battlefieldDB.saveIntervention(intervention);
+    setInterventions(prev => (prev.some(existing => existing.interventionId === intervention.interventionId)
+      ? prev.map(existing => (existing.interventionId === intervention.interventionId ? intervention : existing))
+      : [...prev, intervention]));
+    return intervention;
+  };
+
+  const updateIntervention = (interventionId, change) => {
+    const intervention = interventions.find(existing => existing.interventionId === interventionId);
+    if (!intervention) return null;
+    return persistIntervention(change(intervention));
+  };
+
+  const startIntervention = async (data) => {
+    const intervention = interventionTimers.create({
+      recordId: currentRecordId,
+      performedBy: soldier?.soldierId,
+      ...data
+    });
+
+    const validation = interventionTimers.validate(intervention);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    await persistIntervention(intervention);
+
+    const { label } = INTERVENTION_TYPES[intervention.type];
+    addAlert(
+      'INTERVENTION_STARTED',
+      intervention.status === 'PLANNED'
+        ? `${label} indicated - timer running`
+        : `${label}${intervention.bodyLocation ? ` (${intervention.bodyLocation})` : ''} applied at ${new Date(intervention.startedAt).toLocaleTimeString()}`,
+      'low'
+    );
+    validation.warnings.forEach(warning => addAlert('INTERVENTION_WARNING', warning, 'medium'));
+
+    return intervention;
+  };
+
+  const reassessIntervention = (interventionId) =>
+    updateIntervention(interventionId, intervention => interventionTimers.reassess(intervention));
+
+  // PLANNED -> ACTIVE, e.g. TXA given
+  const administerIntervention = (interventionId) =>
+    updateIntervention(interventionId, intervention => interventionTimers.start(intervention));
+
+  const endIntervention = (interventionId, status = 'COMPLETED') =>
+    updateIntervention(interventionId, intervention => interventionTimers.end(intervention, status));
+
+  // New records adopt the unlinked interventions so they sync together
+  const linkInterventionsToRecord = async (recordId) => {
+    setCurrentRecordId(recordId);
+    await Promise.all(interventions
+      .filter(intervention => intervention.recordId === null || intervention.recordId === undefined)
+      .map(intervention => persistIntervention({ ...intervention, recordId })));
+  };
+
+  const getInterventionStatus = (intervention) => interventionTimers.getStatus(intervention);
+
   const value = {
     emergencyMode,
     massCasualtyMode,
     alerts,
     systemStatus,
+    lastEvent,
+    eventStreamStatus,
     activateEmergencyMode,
     deactivateEmergencyMode,
     activateMassCasualtyMode,
@@ -115,7 +262,14 @@ export const EmergencyProvider = ({ children }) => {
     acknowledgeAlert,
     clearAlerts,
     getActiveAlerts,
-    getCriticalAlerts
+    getCriticalAlerts,
+    interventions,
+    startIntervention,
+    reassessIntervention,
+    administerIntervention,
+    endIntervention,
+    linkInterventionsToRecord,
+    getInterventionStatus
   };
 
   return (
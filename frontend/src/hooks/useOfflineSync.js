@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import battlefieldDB from '../services/offlineDB.js';
+import { apiService } from '../services/api.js';
+import { recordsService } from '../services/diagnosis.js';
 import { useAuth } from '../contexts/AuthContext.jsx';
 
 export const useOfflineSync = () => {
@@ -111,6 +113,30 @@ export const useOfflineSync = () => {
 
       for (const item of pendingItems) {
         try {
+          // Intervention changes made after their record was queued sync on their own
+          if (item.type === 'intervention') {
+            const intervention = await battlefieldDB.getIntervention(item.recordId);
+            if (!intervention) {
+              await battlefieldDB.markAsSynced(item.recordId);
+              continue;
+            }
+
+            // Until its record reaches the server the intervention travels with the record instead
+            const record = intervention.recordId && await battlefieldDB.getMedicalRecord(intervention.recordId);
+            if (!record?.cloudId) {
+              continue;
+            }
+
+            const syncResult = await syncIntervention(record.cloudId, intervention);
+            if (syncResult.success) {
+              await battlefieldDB.markInterventionSynced(item.recordId);
+              successCount++;
+            } else {
+              errorCount++;
+            }
+            continue;
+          }
+
           // Get the full record from medical_records store
           let record;
           if (soldier) {
@@ -128,11 +154,25 @@ export const useOfflineSync = () => {
             continue;
           }
 
-          // Simulate API call - in real implementation, call your backend
-          const syncResult = await simulateAPISync(record);
+          // Interventions travel with their record
+          const interventions = await battlefieldDB.getRecordInterventions(item.recordId);
+
+          // The server re-runs any diagnosis made offline and may raise the record's triage level
+          const syncResult = await syncMedicalRecord({ ...record, interventions });
           
           if (syncResult.success) {
-            await battlefieldDB.markAsSynced(item.recordId);
+            await battlefieldDB.markAsSynced(item.recordId, {
+              cloudId: syncResult.cloudId,
+              ...(syncResult.verification && { verification: syncResult.verification })
+            });
+            if (syncResult.verification) {
+              window.dispatchEvent(new CustomEvent('offline-analysis-verified', {
+                detail: { recordId: item.recordId, verification: syncResult.verification }
+              }));
+            }
+            await Promise.all(interventions.map(intervention =>
+              battlefieldDB.markInterventionSynced(intervention.interventionId)
+            ));
             successCount++;
           } else {
             errorCount++;
@@ -214,16 +254,38 @@ export const useOfflineSync = () => {
   };
 };
 
-// Mock API sync function - replace with actual backend calls
-const simulateAPISync = async (record) => {
-  // Simulate API call delay
-  await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1000));
-  
-  // Simulate occasional failures
-  if (Math.random() < 0.1) { // 10% failure rate for testing
-    throw new Error('Simulated API failure');
+// Send one stored record to POST /records/sync; the stored record's IndexedDB id is its localId
+const syncMedicalRecord = async ({ id, encryptedData, metadata, injuries, interventions, offlineAnalysis, syncPriority }) => {
+  const response = await recordsService.syncRecords([{
+    localId: id,
+    encryptedData,
+    metadata,
+    injuries,
+    interventions,
+    offlineAnalysis,
+    syncPriority
+  }]);
+
+  const synced = response.data.successful.find(result => result.localId === id);
+  if (!synced) {
+    const failure = response.data.failed.find(result => result.localId === id);
+    console.error(`❌ Server rejected record ${id}:`, failure?.error);
+    return { success: false };
   }
-  
-  console.log(`✅ Synced record: ${record.id}`, record);
+
+  console.log(`✅ Synced record: ${id} -> ${synced.cloudId}`);
+  return { success: true, cloudId: synced.cloudId, verification: synced.verification };
+};
+
+// Send an intervention changed after its record synced to PUT /records/:recordId/interventions
+const syncIntervention = async (cloudId, intervention) => {
+  const response = await apiService.records.updateInterventions(cloudId, [intervention]);
+
+  if (!response.data?.success) {
+    console.error(`❌ Server rejected intervention ${intervention.interventionId}:`, response.data?.error);
+    return { success: false };
+  }
+
+  console.log(`✅ Synced intervention: ${intervention.interventionId} -> ${cloudId}`);
   return { success: true };
-};
\ No newline at end of file
+};
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { offlineDiagnosisService } from './offlineDiagnosis';
+import { deviceIdentityService } from './deviceIdentity';
 
 // Base API configuration
 const API_BASE_URL = import.meta.env.VITE_ENV === 'production' 
@@ -14,12 +16,17 @@ export const apiClient = axios.create({
   },
 });
 
-// Request interceptor - add auth token and device fingerprint
+// Request interceptor - add auth token and device signature
 apiClient.interceptors.request.use(
-  (config) => {
-    // Add device fingerprint
-    const deviceFingerprint = localStorage.getItem('device_fingerprint') || generateDeviceFingerprint();
-    config.headers['x-device-fingerprint'] = deviceFingerprint;
+  async (config) => {
+    // Sign with the device key. The signature covers the body as sent, so JSON is serialized here
+    // rather than by axios; uploads (FormData) are signed without their body. A wiped device has no
+    // stored key left and signs with the one it held before the wipe.
+    if (config.data !== undefined && config.data !== null && typeof config.data !== 'string' && !(config.data instanceof FormData)) {
+      config.data = JSON.stringify(config.data);
+    }
+    const sign = config.deviceSigner || deviceIdentityService.sign.bind(deviceIdentityService);
+    Object.assign(config.headers, await sign(config.method, apiClient.getUri(config), typeof config.data === 'string' ? config.data : ''));
 
     // Add auth token if available
     const authData = getAuthData();
@@ -56,10 +63,18 @@ apiClient.interceptors.response.use(
       return handleOfflineError(error);
     }
 
+    // Access tokens are short-lived: trade the refresh token for a new pair and replay the request once
+    if (error.response.data?.error === 'Token expired' && getAuthData()?.refreshToken && !error.config._retried) {
+      return refreshSession()
+        .then(() => apiClient({ ...error.config, _retried: true }))
+        .catch(() => Promise.reject(error));
+    }
+
     // Handle specific HTTP status codes
     switch (error.response.status) {
       case 401:
-        handleUnauthorizedError();
+        // A device-signed call without a token says nothing about the soldier's login
+        if (!error.config.deviceOnly) handleUnauthorizedError();
         break;
       case 403:
         handleForbiddenError();
@@ -78,20 +93,18 @@ apiClient.interceptors.response.use(
   }
 );
 
-// Generate device fingerprint
-function generateDeviceFingerprint() {
-  const fingerprint = [
-    navigator.userAgent,
-    navigator.language,
-    navigator.hardwareConcurrency,
-    screen.width,
-    screen.height,
-    Date.now()
-  ].join('|');
-
-  const hash = btoa(fingerprint).substring(0, 64);
-  localStorage.setItem('device_fingerprint', hash);
-  return hash;
+// Refresh tokens are single-use, so requests that fail together share one refresh (the event stream too)
+let refreshing = null;
+export function refreshSession() {
+  refreshing ||= apiService.auth.refresh(getAuthData().refreshToken)
+    .then(({ data }) => {
+      const { token, refreshToken } = data.data;
+      localStorage.setItem('battlefield_auth', JSON.stringify({ ...getAuthData(), token, refreshToken }));
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
 }
 
 // Get authentication data from storage
@@ -118,8 +131,7 @@ export function handleOfflineError(error) {
 
   // For critical endpoints, return offline fallback
   if (isCriticalEndpoint(error.config.url)) {
-    const offlineResponse = createOfflineFallback(error.config);
-    return Promise.resolve({ data: offlineResponse, offline: true });
+    return createOfflineFallback(error.config).then(offlineResponse => ({ data: offlineResponse, offline: true }));
   }
 
   return Promise.reject({
@@ -133,6 +145,7 @@ export function handleOfflineError(error) {
 function isCriticalEndpoint(url) {
   const criticalEndpoints = [
     '/diagnose/analyze',
+    '/diagnose/triage',
     '/injury/detect',
     '/records/save'
   ];
@@ -140,8 +153,8 @@ function isCriticalEndpoint(url) {
   return criticalEndpoints.some(endpoint => url.includes(endpoint));
 }
 
-// Create offline fallback response
-function createOfflineFallback(config) {
+// Create offline fallback response; diagnosis runs the on-device engine on the original request
+async function createOfflineFallback(config) {
   const baseResponse = {
     success: true,
     offline: true,
@@ -149,20 +162,11 @@ function createOfflineFallback(config) {
     message: 'Offline mode active - using local processing'
   };
 
-  if (config.url.includes('/diagnose/analyze')) {
+  if (config.url.includes('/diagnose/analyze') || config.url.includes('/diagnose/triage')) {
+    const request = typeof config.data === 'string' ? JSON.parse(config.data) : config.data || {};
     return {
       ...baseResponse,
-      data: {
-        primaryDiagnosis: { diagnosis: 'Offline Assessment', confidence: 0.7 },
-        triageLevel: 'MINOR',
-        firstAidSteps: [
-          "Provide basic first aid",
-          "Monitor vital signs",
-          "Seek medical assistance when connection available"
-        ],
-        emergencyActions: [],
-        militaryContext: { combatRelated: false, evacuationPriority: 3 }
-      }
+      data: await offlineDiagnosisService.analyze(request)
     };
   }
 
@@ -256,11 +260,34 @@ export const apiService = {
     login: (credentials) => apiClient.post('/auth/login', credentials),
     logout: () => apiClient.post('/auth/logout'),
     verify: () => apiClient.post('/auth/verify'),
-    refresh: () => apiClient.post('/auth/refresh'),
+    // Refresh tokens are single-use: store the new one from every response
+    refresh: (refreshToken) => apiClient.post('/auth/refresh', { refreshToken }),
+    sessions: (soldierId) => apiClient.get('/auth/sessions', { params: { soldierId } }),
+    revokeSession: (sessionId, reason) => apiClient.delete(`/auth/sessions/${sessionId}`, { data: { reason } }),
+    // Officers: revoke every session on a lost or captured device
+    revokeDevice: (deviceFingerprint, reason) =>
+      apiClient.post(`/auth/devices/${encodeURIComponent(deviceFingerprint)}/revoke`, { reason }),
     emergencyAccess: (code, location) => 
       apiClient.post('/auth/emergency-access', { emergencyCode: code, location })
   },
 
+  // Device enrollment and remote wipe of lost or captured devices
+  devices: {
+    // Register this device's public key; safe to repeat, a known key is left as it is
+    enroll: async (deviceInfo) => {
+      const { publicKey } = await deviceIdentityService.get();
+      return apiClient.post('/devices/enroll', { publicKey, deviceInfo });
+    },
+    // Officers
+    wipe: (deviceFingerprint, reason) =>
+      apiClient.post(`/devices/${encodeURIComponent(deviceFingerprint)}/wipe`, { reason }),
+    wipes: (params = {}) => apiClient.get('/devices/wipes', { params }),
+    // The device itself, signed with its key; no token needed, its tokens are revoked when the wipe is ordered
+    checkWipe: () => apiClient.post('/devices/wipe-check', null, { deviceOnly: true }),
+    confirmWipe: (wipeId, report, deviceSigner) =>
+      apiClient.post(`/devices/wipes/${wipeId}/confirm`, { report }, { deviceSigner, deviceOnly: true })
+  },
+
   // Medical Diagnosis
   diagnosis: {
     analyze: (symptoms, vitalSigns, location) =>
@@ -268,18 +295,70 @@ export const apiService = {
     
     triage: (assessment) =>
       apiClient.post('/diagnose/triage', assessment),
+
+    startTriage: (assessment, protocol) =>
+      apiClient.post('/diagnose/start-triage', { assessment, protocol }),
     
     massCasualty: (casualties) =>
       apiClient.post('/diagnose/mass-casualty', { casualties })
   },
 
+  // Casualty Tracking
+  casualties: {
+    create: (casualty) => apiClient.post('/casualties', casualty),
+    list: (params) => apiClient.get('/casualties', { params }),
+    get: (casualtyId) => apiClient.get(`/casualties/${casualtyId}`),
+    assess: (casualtyId, assessment) =>
+      apiClient.post(`/casualties/${casualtyId}/assessments`, assessment),
+    recordVitals: (casualtyId, vitalSigns) =>
+      apiClient.post(`/casualties/${casualtyId}/vitals`, { vitalSigns }),
+    recordIntervention: (casualtyId, intervention) =>
+      apiClient.post(`/casualties/${casualtyId}/interventions`, intervention),
+    updateStatus: (casualtyId, status, reason) =>
+      apiClient.patch(`/casualties/${casualtyId}/status`, { status, reason }),
+    handover: (casualtyId, params) => apiClient.get(`/casualties/${casualtyId}/handover`, { params }),
+    card: (casualtyId) => apiClient.get(`/casualties/${casualtyId}/card`),
+    saveCard: (casualtyId, card) => apiClient.put(`/casualties/${casualtyId}/card`, { card }),
+    cardSchema: () => apiClient.get('/casualties/card-schema'),
+    medications: (casualtyId) => apiClient.get(`/casualties/${casualtyId}/medications`),
+    // { drug, dose?, route, weightKg, allergies, timeOfInjury, overrideReason, administeredAt }
+    administerMedication: (casualtyId, administration) =>
+      apiClient.post(`/casualties/${casualtyId}/medications`, administration)
+  },
+
+  // Mass-Casualty Incidents
+  incidents: {
+    create: (incident) => apiClient.post('/incidents', incident),
+    list: (params) => apiClient.get('/incidents', { params }),
+    board: (incidentId) => apiClient.get(`/incidents/${incidentId}`),
+    counts: (incidentId) => apiClient.get(`/incidents/${incidentId}/counts`),
+    addCasualties: (incidentId, casualties) =>
+      apiClient.post(`/incidents/${incidentId}/casualties`, Array.isArray(casualties) ? { casualties } : casualties),
+    retriage: (incidentId, casualtyId, assessment) =>
+      apiClient.post(`/incidents/${incidentId}/casualties/${casualtyId}/assessments`, assessment),
+    close: (incidentId, notes) => apiClient.post(`/incidents/${incidentId}/close`, { notes })
+  },
+
+  // Evacuation
+  evac: {
+    // { casualtyId | incidentId | patients, location, frequency, callsign, security, marking, ... }
+    nineLine: (request) => apiClient.post('/evac/nine-line', request)
+  },
+
+  // Medications
+  medications: {
+    formulary: () => apiClient.get('/medications/formulary'),
+    check: (request) => apiClient.post('/medications/check', request)
+  },
+
   // Injury Detection
   injury: {
-    detect: (imageFile, mechanism, location) => {
+    detect: (imageFile, mechanism, location, burns) => {
       const formData = new FormData();
       formData.append('image', imageFile);
       if (mechanism) formData.append('mechanism', mechanism);
       if (location) formData.append('location', JSON.stringify(location));
+      if (burns) formData.append('burns', JSON.stringify(burns));
       
       return apiClient.post('/injury/detect', formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
@@ -297,7 +376,10 @@ export const apiService = {
       });
     },
     
-    capabilities: () => apiClient.get('/injury/capabilities')
+    capabilities: () => apiClient.get('/injury/capabilities'),
+
+    // { regions: [{ region, depth, fraction }], method, ageYears, weightKg, timeOfInjury, inhalationInjury }
+    burns: (chart) => apiClient.post('/injury/burns', chart)
   },
 
   // Medical Records
@@ -315,6 +397,9 @@ export const apiService = {
     
     search: (filters) =>
       apiClient.get('/records/search', { params: filters }),
+
+    updateInterventions: (recordId, interventions) =>
+      apiClient.put(`/records/${recordId}/interventions`, { interventions }),
     
     getSyncStatus: () => apiClient.get('/records/sync-status')
   },
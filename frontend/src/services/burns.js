@@ -0,0 +1,27 @@
+import BurnAssessment, { BURN_DEPTHS, BURN_METHODS } from '@shared/burns/BurnAssessment';
+import { apiService } from './api';
+
+const burnAssessment = new BurnAssessment();
+
+// Burn sizing runs on the device so it works offline; the backend exposes the same module at
+// POST /api/injury/burns and uses it for the `burns` chart on /api/diagnose/triage.
+export const burnService = {
+  depths: BURN_DEPTHS,
+  methods: BURN_METHODS,
+
+  assess(chart) {
+    const result = burnAssessment.assess(chart);
+    return { ...result, injury: burnAssessment.toInjury(result) };
+  },
+
+  validate(chart) {
+    return burnAssessment.validate(chart);
+  },
+
+  async triage(request) {
+    const response = await apiService.diagnosis.triage(request);
+    return response.data.data;
+  }
+};
+
+export default burnService;
@@ -0,0 +1,78 @@
+import CasualtyCard from '@shared/casualtyCard/CasualtyCard';
+import { apiService } from './api';
+import battlefieldDB from './offlineDB';
+import { logger } from '../utils/logger';
+
+const casualtyCard = new CasualtyCard();
+
+// TCCC Casualty Card (DD 1380). Cards are prefilled and rendered on the device and always kept in
+// IndexedDB; cards for tracked casualties are also saved to /api/casualties/:casualtyId/card.
+export const casualtyCardService = {
+  fromSession(input) {
+    return casualtyCard.fromSession(input);
+  },
+
+  create(card) {
+    return casualtyCard.create(card);
+  },
+
+  validate(card) {
+    return casualtyCard.validate(card);
+  },
+
+  // Saved card or server-side draft for a tracked casualty; falls back to the local copy offline
+  async load(casualtyId) {
+    try {
+      const response = await apiService.casualties.card(casualtyId);
+      return response.data.data;
+    } catch (error) {
+      const cards = await battlefieldDB.getCasualtyCards();
+      const card = cards.find(saved => saved.casualtyId === casualtyId);
+      if (!card) throw error;
+      return { card, draft: false, offline: true, validation: casualtyCard.validate(card) };
+    }
+  },
+
+  async save(card) {
+    const updated = casualtyCard.create({ ...card, updatedAt: new Date().toISOString() });
+    await battlefieldDB.saveCasualtyCard(updated);
+
+    if (!updated.casualtyId) {
+      return { card: updated, synced: false };
+    }
+
+    try {
+      const response = await apiService.casualties.saveCard(updated.casualtyId, updated);
+      return { card: response.data.data.card, synced: true };
+    } catch (error) {
+      // Validation errors are the medic's to fix; anything else stays local until the next save
+      if (error.response?.status === 400) throw error;
+      logger.error('Casualty card sync failed, kept locally:', { error, cardId: updated.cardId });
+      return { card: updated, synced: false };
+    }
+  },
+
+  // Opens the printable card; "Save as PDF" in the print dialog produces the PDF
+  print(card) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      throw new Error('Pop-up blocked - allow pop-ups to print the casualty card');
+    }
+    printWindow.document.write(casualtyCard.renderHtml(card));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  },
+
+  downloadJson(card) {
+    const blob = new Blob([JSON.stringify(casualtyCard.toExport(card), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${card.cardId}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+};
+
+export default casualtyCardService;
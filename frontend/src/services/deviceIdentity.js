@@ -0,0 +1,89 @@
+import battlefieldDB from './offlineDB';
+
+// This device's identity: an ECDSA P-256 key pair generated here and enrolled with the backend
+// (POST /devices/enroll). The private key is non-extractable, so it can sign but can't be copied off the
+// device, not even by this app. The device fingerprint is the RFC 7638 thumbprint of the public key,
+// computed the same way by the backend. Every API request carries a signature over
+// "<METHOD>\n<path>\n<timestamp>\n<nonce>\n<body hash>", the body hash being the base64url SHA-256 of
+// the body as sent (backend/services/auth/DeviceRegistry.js).
+const KEY_ID = 'device';
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+let identityPromise = null;
+
+const base64url = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const loadIdentity = async () => {
+  let entry = await battlefieldDB.getDeviceKey(KEY_ID);
+
+  if (!entry) {
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+    entry = { id: KEY_ID, keyPair, createdAt: new Date() };
+    await battlefieldDB.saveDeviceKey(entry);
+    console.log('🔑 Device key pair generated');
+  }
+
+  // Thumbprint members in lexicographic order, as RFC 7638 requires
+  const { crv, kty, x, y } = await crypto.subtle.exportKey('jwk', entry.keyPair.publicKey);
+  const publicKey = { crv, kty, x, y };
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(publicKey)));
+  const deviceFingerprint = base64url(digest);
+
+  // Kept for code that needs the fingerprint synchronously (remote wipe check)
+  localStorage.setItem('device_fingerprint', deviceFingerprint);
+
+  return { privateKey: entry.keyPair.privateKey, publicKey, deviceFingerprint };
+};
+
+const signWith = async ({ privateKey, deviceFingerprint }, method, url, body = '') => {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomUUID();
+  const path = new URL(url, window.location.origin).pathname;
+  const bodyHash = base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body)));
+
+  const signature = await crypto.subtle.sign(
+    SIGNATURE_ALGORITHM,
+    privateKey,
+    new TextEncoder().encode([method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n'))
+  );
+
+  return {
+    'x-device-fingerprint': deviceFingerprint,
+    'x-device-timestamp': timestamp,
+    'x-device-nonce': nonce,
+    'x-device-signature': base64url(signature)
+  };
+};
+
+export const deviceIdentityService = {
+  // Generated on first use; concurrent callers share one key
+  get() {
+    identityPromise ||= loadIdentity().catch((error) => {
+      identityPromise = null;
+      throw error;
+    });
+    return identityPromise;
+  },
+
+  // Device headers for a request to `url` (absolute, or relative to this page) with `body`, a string, as sent
+  async sign(method, url, body) {
+    return signWith(await this.get(), method, url, body);
+  },
+
+  // A sign() bound to the key held now, which keeps working after a wipe destroys the stored key
+  async signer() {
+    const identity = await this.get();
+    return (method, url, body) => signWith(identity, method, url, body);
+  },
+
+  // After a remote wipe the stored key is gone; don't keep signing with the copy in memory
+  forget() {
+    identityPromise = null;
+  }
+};
+
+export default deviceIdentityService;
@@ -0,0 +1,98 @@
+import { apiService } from './api';
+import battlefieldDB from './offlineDB';
+import { deviceIdentityService } from './deviceIdentity';
+
+// Remote wipe ordered by an officer for a lost or captured device. The order reaches the device over
+// its event stream or on the next check-in; the device then destroys everything it holds locally and
+// reports back what it destroyed.
+let wiping = false;
+
+export const deviceWipeService = {
+  fingerprint: () => localStorage.getItem('device_fingerprint'),
+
+  // Ask the server whether this device is under a wipe order; null when it isn't or the server is unreachable
+  async check() {
+    if (!this.fingerprint() || !navigator.onLine) return null;
+
+    try {
+      const response = await apiService.devices.checkWipe();
+      return response.data.data.wipe;
+    } catch (error) {
+      console.error('❌ Wipe check failed:', error);
+      return null;
+    }
+  },
+
+  // Destroy the medical database (with the device key), cached app and API responses, the service worker
+  // and all stored credentials. Each step runs even if an earlier one fails.
+  async wipe() {
+    const report = { indexedDB: false, caches: 0, serviceWorkers: 0, storage: false, errors: [] };
+
+    try {
+      deviceIdentityService.forget();
+      report.indexedDB = await battlefieldDB.destroy();
+    } catch (error) {
+      report.errors.push(`indexedDB: ${error.message}`);
+    }
+
+    try {
+      if ('caches' in window) {
+        const names = await caches.keys();
+        await Promise.all(names.map(name => caches.delete(name)));
+        report.caches = names.length;
+      }
+    } catch (error) {
+      report.errors.push(`caches: ${error.message}`);
+    }
+
+    try {
+      if ('serviceWorker' in navigator) {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations.map(registration => registration.unregister()));
+        report.serviceWorkers = registrations.length;
+      }
+    } catch (error) {
+      report.errors.push(`serviceWorker: ${error.message}`);
+    }
+
+    try {
+      localStorage.clear();
+      sessionStorage.clear();
+      report.storage = true;
+    } catch (error) {
+      report.errors.push(`storage: ${error.message}`);
+    }
+
+    return report;
+  },
+
+  // Carry out a wipe order for this device, confirm it and restart the app with nothing left
+  async execute(wipe) {
+    const deviceFingerprint = this.fingerprint();
+    if (wiping || !wipe || wipe.deviceFingerprint !== deviceFingerprint) return;
+    wiping = true;
+
+    console.warn(`🧨 Executing remote wipe ${wipe.wipeId}`);
+
+    // The server only takes a confirmation signed by this device's key, which the wipe destroys: keep
+    // hold of it in memory to sign the report, then let it go with the page
+    const deviceSigner = await deviceIdentityService.signer()
+      .catch((error) => {
+        console.error('❌ Could not load the key to sign the wipe confirmation:', error);
+        return null;
+      });
+
+    const report = await this.wipe();
+
+    if (deviceSigner) {
+      try {
+        await apiService.devices.confirmWipe(wipe.wipeId, report, deviceSigner);
+        console.log(`✅ Remote wipe ${wipe.wipeId} confirmed`);
+      } catch (error) {
+        console.error('❌ Wipe confirmation failed:', error);
+      }
+    }
+
+    window.location.reload();
+  }
+};
@@ -37,8 +37,9 @@ export const diagnosisService = {
         payload.imageData = imageData;
       }
 
-      const response = await apiClient.post('/diagnosis/analyze', payload);
-      return response.data;
+      const response = await apiClient.post('/diagnose/analyze', payload);
+      // Unwrap the { success, data } envelope so the analysis (and its explanation) is stored as-is
+      return response.data.data;
     } catch (error) {
       logger.error('Diagnosis service error:', {
         error,
@@ -74,7 +75,7 @@ export const diagnosisService = {
 export const recordsService = {
   async syncRecords(records) {
     try {
-      const response = await apiClient.post('/records/sync', { records });
+      const response = await apiClient.post('/records/sync', { pendingRecords: records });
       return response.data;
     } catch (error) {
       console.error('Failed to sync records:', error);
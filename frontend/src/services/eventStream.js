@@ -0,0 +1,130 @@
+import { apiClient, getAuthData, refreshSession } from './api';
+import { deviceIdentityService } from './deviceIdentity';
+import { logger } from '../utils/logger';
+
+const INITIAL_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+// Parse one SSE block ("id: ..\nevent: ..\ndata: ..") into { id, type, data }
+function parseEventBlock(block) {
+  const event = { id: null, type: 'message', data: '' };
+
+  block.split('\n').forEach(line => {
+    if (!line || line.startsWith(':')) return; // heartbeat comment
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'id') event.id = value;
+    if (field === 'event') event.type = value;
+    if (field === 'data') event.data += event.data ? `\n${value}` : value;
+  });
+
+  if (!event.data) return null;
+
+  try {
+    return { ...event, data: JSON.parse(event.data) };
+  } catch {
+    return event;
+  }
+}
+
+// Server-Sent Events client for /api/events/stream.
+// Uses fetch rather than EventSource so the auth token and device signature can be sent as headers.
+export const eventStreamService = {
+  subscribe(onEvent, { onStatusChange } = {}) {
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryDelay = INITIAL_RETRY_DELAY;
+    let retryTimer = null;
+    let refreshed = false;
+
+    const connect = async () => {
+      const authData = getAuthData();
+      if (!authData?.token || controller.signal.aborted) return;
+
+      try {
+        const url = `${apiClient.defaults.baseURL || ''}/events/stream`;
+        const headers = {
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${authData.token}`,
+          ...(await deviceIdentityService.sign('GET', url))
+        };
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+        const response = await fetch(url, {
+          headers,
+          signal: controller.signal
+        });
+
+        // The access token expires while the stream is down: refresh it once and reconnect straight away
+        if (response.status === 401 && !refreshed && authData.refreshToken) {
+          refreshed = true;
+          try {
+            await refreshSession();
+            return connect();
+          } catch (error) {
+            logger.warn('Event stream token refresh failed:', error.message);
+          }
+        }
+
+        // Credentials won't fix themselves; the subscriber reconnects after the next login
+        if (response.status === 401 || response.status === 403) {
+          logger.warn(`Event stream refused (${response.status}) - not reconnecting`);
+          onStatusChange?.('unauthorized');
+          return;
+        }
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream rejected: ${response.status}`);
+        }
+
+        console.log('📡 Event stream connected');
+        onStatusChange?.('connected');
+        retryDelay = INITIAL_RETRY_DELAY;
+        refreshed = false;
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          blocks.forEach(block => {
+            const event = parseEventBlock(block);
+            if (!event) return;
+            if (event.id) lastEventId = event.id;
+            onEvent(event.data?.type ? event.data : { type: event.type, data: event.data });
+          });
+        }
+
+        throw new Error('Event stream closed by server');
+      } catch (error) {
+        if (controller.signal.aborted) return;
+
+        logger.warn('Event stream disconnected:', error.message);
+        onStatusChange?.('disconnected');
+
+        // Back off while offline or while the server is unreachable
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      onStatusChange?.('closed');
+    };
+  }
+};
+
+export default eventStreamService;
@@ -0,0 +1,14 @@
+import HandoverReport from '@shared/handover/HandoverReport';
+
+const handoverReport = new HandoverReport();
+
+// MIST / ATMIST handover reports, generated on the device so they work offline.
+// The backend exposes the same generator at POST /api/handover and GET /api/casualties/:id/handover.
+export const handoverService = {
+  generate(input, options = {}) {
+    const report = handoverReport.generate(input, options);
+    return { report, text: handoverReport.renderText(report) };
+  }
+};
+
+export default handoverService;
@@ -1,3 +1,12 @@
 export * from './api';
+export * from './burns';
+export * from './casualtyCard';
+export * from './deviceIdentity';
+export * from './deviceWipe';
 export * from './diagnosis';
+export * from './eventStream';
+export * from './handover';
+export * from './injuries';
+export * from './medications';
+export * from './offlineDiagnosis';
 export * from './offlineDB';
\ No newline at end of file
@@ -0,0 +1,34 @@
+import InjuryAnnotations, { INJURY_TYPES, INJURY_SEVERITIES } from '@shared/bodyMap/InjuryAnnotations';
+import { apiService } from './api';
+
+const injuryAnnotations = new InjuryAnnotations();
+
+// Body-map wounds in the structured shape /api/diagnose/triage, the record and the handover read
+export const injuryService = {
+  types: INJURY_TYPES,
+  severities: INJURY_SEVERITIES,
+
+  create(mark) {
+    return injuryAnnotations.create(mark);
+  },
+
+  validate(injuries) {
+    return injuryAnnotations.validate(injuries);
+  },
+
+  describe(injuries) {
+    return injuryAnnotations.describe(injuries);
+  },
+
+  async triage({ symptoms, vitalSigns, injuries, mechanismOfInjury }) {
+    const response = await apiService.diagnosis.triage({
+      symptoms: symptoms || undefined,
+      vitalSigns,
+      injuries,
+      mechanismOfInjury: mechanismOfInjury || injuryAnnotations.deriveMechanism(injuries) || undefined
+    });
+    return response.data.data;
+  }
+};
+
+export default injuryService;
@@ -0,0 +1,38 @@
+import MedicationCalculator, { FORMULARY } from '@shared/medications/MedicationCalculator';
+import { apiService } from './api';
+
+const medicationCalculator = new MedicationCalculator();
+
+// Dose calculation and contraindication checks run on the device so they work offline;
+// administrations are only logged through /api/casualties/:casualtyId/medications, which re-checks them.
+export const medicationService = {
+  formulary: FORMULARY,
+
+  calculateDose(drug, patient) {
+    return medicationCalculator.calculateDose(drug, patient);
+  },
+
+  check(request) {
+    return medicationCalculator.check({
+      ...request,
+      morphineAuthorized: medicationCalculator.isMorphineAuthorized(request.analysis)
+    });
+  },
+
+  summarize(drug, history) {
+    return medicationCalculator.summarize(drug, history);
+  },
+
+  async load(casualtyId) {
+    const response = await apiService.casualties.medications(casualtyId);
+    return response.data.data;
+  },
+
+  // Rejected doses come back as 403/409 with the failed checks in error.response.data.details
+  async administer(casualtyId, administration) {
+    const response = await apiService.casualties.administerMedication(casualtyId, administration);
+    return response.data.data;
+  }
+};
+
+export default medicationService;
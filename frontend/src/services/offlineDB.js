@@ -1,9 +1,9 @@
-import { openDB } from 'idb';
+import { openDB, deleteDB } from 'idb';
 
 class BattlefieldMedicalDB {
   constructor() {
     this.dbName = 'BattlefieldMedical';
-    this.version = 4;
+    this.version = 7;
     this.db = null;
   }
 
@@ -52,6 +52,33 @@ class BattlefieldMedicalDB {
             syncStore.createIndex('priority', 'priority');
             syncStore.createIndex('timestamp', 'timestamp');
           }
+
+          // Version 5: Add TCCC casualty cards
+          if (oldVersion < 5) {
+            const cardsStore = db.createObjectStore('casualty_cards', {
+              keyPath: 'cardId'
+            });
+            cardsStore.createIndex('casualtyId', 'casualtyId');
+            cardsStore.createIndex('updatedAt', 'updatedAt');
+          }
+
+          // Version 6: Add intervention timers; index the sync queue by recordId for markAsSynced
+          if (oldVersion < 6) {
+            const interventionsStore = db.createObjectStore('interventions', {
+              keyPath: 'interventionId'
+            });
+            interventionsStore.createIndex('recordId', 'recordId');
+            interventionsStore.createIndex('status', 'status');
+
+            transaction.objectStore('sync_queue').createIndex('recordId', 'recordId');
+          }
+
+          // Version 7: Add the device key pair (see services/deviceIdentity.js)
+          if (oldVersion < 7) {
+            db.createObjectStore('device_keys', {
+              keyPath: 'id'
+            });
+          }
         },
       });
 
@@ -93,6 +120,17 @@ class BattlefieldMedicalDB {
     }
   }
 
+  // One stored record by its local id, as queued (still encrypted)
+  async getMedicalRecord(recordId) {
+    try {
+      const db = await this.init();
+      return await db.get('medical_records', recordId);
+    } catch (error) {
+      console.error('Failed to get medical record:', error);
+      return null;
+    }
+  }
+
   async getMedicalRecords(soldierId, options = {}) {
     try {
       const db = await this.init();
@@ -167,13 +205,15 @@ class BattlefieldMedicalDB {
     }
   }
 
-  async markAsSynced(recordId) {
+  // updates: fields the server returned for the record (cloudId, verification of an offline diagnosis)
+  async markAsSynced(recordId, updates = {}) {
     try {
       const db = await this.init();
       
       // Update medical record
       const record = await db.get('medical_records', recordId);
       if (record) {
+        Object.assign(record, updates);
         record.synced = true;
         record.updatedAt = new Date();
         await db.put('medical_records', record);
@@ -254,6 +294,118 @@ class BattlefieldMedicalDB {
     }
   }
 
+  // Casualty Cards (DD 1380), kept on the device so they can be filled in and printed offline
+  async saveCasualtyCard(card) {
+    try {
+      const db = await this.init();
+      await db.put('casualty_cards', {
+        cardId: card.cardId,
+        casualtyId: card.casualtyId,
+        updatedAt: new Date(),
+        encrypted: await this.encryptRecord(card)
+      });
+      console.log(`💾 Saved casualty card ${card.cardId} locally`);
+      return card.cardId;
+    } catch (error) {
+      console.error('Failed to save casualty card:', error);
+      throw error;
+    }
+  }
+
+  async getCasualtyCard(cardId) {
+    try {
+      const db = await this.init();
+      const entry = await db.get('casualty_cards', cardId);
+      return entry ? await this.decryptRecord(entry.encrypted) : null;
+    } catch (error) {
+      console.error('Failed to get casualty card:', error);
+      return null;
+    }
+  }
+
+  async getCasualtyCards() {
+    try {
+      const db = await this.init();
+      const entries = await db.getAllFromIndex('casualty_cards', 'updatedAt');
+      return Promise.all(entries.reverse().map(entry => this.decryptRecord(entry.encrypted)));
+    } catch (error) {
+      console.error('Failed to get casualty cards:', error);
+      return [];
+    }
+  }
+
+  // Interventions (tourniquet, TXA, ...) with their timers; changes are queued to sync with the record
+  async saveIntervention(intervention, { sync = true } = {}) {
+    try {
+      const db = await this.init();
+      await db.put('interventions', {
+        ...intervention,
+        synced: sync ? false : intervention.synced ?? false,
+        updatedAt: new Date()
+      });
+
+      if (sync) {
+        const queued = await db.getAllFromIndex('sync_queue', 'recordId', intervention.interventionId);
+        if (queued.length === 0) {
+          const priority = intervention.type === 'TOURNIQUET' && intervention.status === 'ACTIVE' ? 1 : 2;
+          await this.addToSyncQueue('intervention', intervention.interventionId, priority);
+        }
+      }
+
+      return intervention.interventionId;
+    } catch (error) {
+      console.error('Failed to save intervention:', error);
+      throw error;
+    }
+  }
+
+  async getIntervention(interventionId) {
+    try {
+      const db = await this.init();
+      return await db.get('interventions', interventionId);
+    } catch (error) {
+      console.error('Failed to get intervention:', error);
+      return null;
+    }
+  }
+
+  async getRunningInterventions() {
+    try {
+      const db = await this.init();
+      const [planned, active] = await Promise.all([
+        db.getAllFromIndex('interventions', 'status', 'PLANNED'),
+        db.getAllFromIndex('interventions', 'status', 'ACTIVE')
+      ]);
+      return [...planned, ...active];
+    } catch (error) {
+      console.error('Failed to get running interventions:', error);
+      return [];
+    }
+  }
+
+  async getRecordInterventions(recordId) {
+    try {
+      const db = await this.init();
+      return await db.getAllFromIndex('interventions', 'recordId', recordId);
+    } catch (error) {
+      console.error('Failed to get record interventions:', error);
+      return [];
+    }
+  }
+
+  async markInterventionSynced(interventionId) {
+    try {
+      const db = await this.init();
+      const intervention = await db.get('interventions', interventionId);
+      if (intervention) {
+        await db.put('interventions', { ...intervention, synced: true });
+      }
+      await this.markAsSynced(interventionId);
+    } catch (error) {
+      console.error('Failed to mark intervention as synced:', error);
+    }
+  }
+
   // Utility Methods
   calculateSyncPriority(record) {
     if (record.triageLevel === 'IMMEDIATE') return 1;
@@ -282,6 +434,18 @@ class BattlefieldMedicalDB {
     }
   }
 
+  // Device key pair. CryptoKey objects are stored as they are; a non-extractable private key stays
+  // non-extractable in IndexedDB too.
+  async saveDeviceKey(entry) {
+    const db = await this.init();
+    await db.put('device_keys', entry);
+  }
+
+  async getDeviceKey(id) {
+    const db = await this.init();
+    return db.get('device_keys', id);
+  }
+
   // Database Maintenance
   async clearOldCache(hours = 24) {
     try {
@@ -305,7 +469,7 @@ class BattlefieldMedicalDB {
   async getDatabaseSize() {
     try {
       const db = await this.init();
-      const stores = ['medical_records', 'symptoms_cache', 'emergency_protocols', 'sync_queue'];
+      const stores = ['medical_records', 'symptoms_cache', 'emergency_protocols', 'sync_queue', 'casualty_cards', 'interventions'];
       let totalSize = 0;
 
       for (const storeName of stores) {
@@ -328,6 +492,25 @@ class BattlefieldMedicalDB {
       return { totalRecords: 0, stores: {} };
     }
   }
+
+  // Remote wipe: drop the whole database, every store with it. Resolves false if another tab keeps it open.
+  async destroy() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+
+    let blocked = false;
+    await deleteDB(this.dbName, {
+      blocked() {
+        blocked = true;
+        console.warn('⚠️ Database deletion blocked by another open tab');
+      }
+    });
+
+    console.log(`🧨 Deleted database ${this.dbName}`);
+    return !blocked;
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,77 @@
+// On-device diagnosis for when the backend is unreachable. The engine runs in a Web Worker
+// (src/workers/diagnosis.worker.js) so a long symptom list doesn't block the UI; browsers without
+// module workers load the same engine on the main thread.
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  try {
+    worker = new Worker(new URL('../workers/diagnosis.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: { id, analysis, error } }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      error ? request.reject(new Error(error)) : request.resolve(analysis);
+    };
+    worker.onerror = (event) => {
+      console.error('❌ Diagnosis worker failed:', event.message);
+      pending.forEach(request => request.reject(new Error('Diagnosis worker failed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  } catch (error) {
+    console.error('❌ Diagnosis worker unavailable:', error);
+    worker = null;
+  }
+
+  return worker;
+};
+
+const analyzeOnMainThread = async (request) => {
+  const { diagnose } = await import('../workers/diagnosisEngine');
+  return diagnose(request);
+};
+
+export const offlineDiagnosisService = {
+  /**
+   * Same request as POST /api/diagnose/triage; the analysis is flagged offline: true
+   * @param {Object} request - { symptoms, vitalSigns, assessment, injuries, burns, mechanismOfInjury, location }
+   */
+  async analyze(request = {}) {
+    const diagnosisWorker = getWorker();
+    if (!diagnosisWorker) return analyzeOnMainThread(request);
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        diagnosisWorker.postMessage({ id, request });
+      });
+    } catch (error) {
+      console.error('❌ Offline diagnosis in worker failed, retrying on main thread:', error);
+      return analyzeOnMainThread(request);
+    }
+  },
+
+  // What the server re-runs on sync to verify an offline result (records /save and /sync `offlineAnalysis`):
+  // every input the device triaged from, or the server checks a different case
+  toVerification(request, analysis) {
+    return {
+      symptoms: request.symptoms,
+      vitalSigns: request.vitalSigns,
+      assessment: request.assessment,
+      injuries: request.injuries,
+      burns: request.burns,
+      mechanismOfInjury: request.mechanismOfInjury,
+      triageLevel: analysis.triageLevel,
+      diagnosis: analysis.primaryDiagnosis?.diagnosis,
+      rulePack: analysis.rulePack
+    };
+  }
+};
+
+export default offlineDiagnosisService;
@@ -59,34 +59,7 @@ export const TRIAGE_LEVELS = {
   }
 };
 
-// Military Ranks and Permissions
-export const MILITARY_RANKS = {
-  PRIVATE: {
-    rank: 'private',
-    permissions: ['self:read', 'self:write', 'emergency:access'],
-    description: 'Basic soldier access'
-  },
-  CORPORAL: {
-    rank: 'corporal', 
-    permissions: ['squad:read', 'medic:access', 'triage:basic'],
-    description: 'Squad leader access'
-  },
-  SERGEANT: {
-    rank: 'sergeant',
-    permissions: ['platoon:read', 'medic:write', 'triage:advanced'],
-    description: 'Platoon leader access'
-  },
-  MEDIC: {
-    rank: 'medic',
-    permissions: ['all:read', 'medic:write', 'triage:expert'],
-    description: 'Medical corps access'
-  },
-  OFFICER: {
-    rank: 'officer',
-    permissions: ['all:read', 'all:write', 'system:access'],
-    description: 'Command level access'
-  }
-};
+// Roles, ranks and permissions live in shared/authorization/AccessPolicy.js
 
 // Emergency Protocols
 export const EMERGENCY_PROTOCOLS = {
@@ -262,7 +235,6 @@ export const STORAGE_KEYS = {
 export default {
   APP_CONSTANTS,
   TRIAGE_LEVELS,
-  MILITARY_RANKS,
   EMERGENCY_PROTOCOLS,
   API_ENDPOINTS,
   ERROR_CODES,
@@ -206,7 +206,9 @@ export const EMERGENCY_PROCEDURES = {
       indication: 'Life-threatening extremity hemorrhage not controlled by direct pressure',
       application: 'Tighten until bleeding stops',
       documentation: 'Mark "T" and time on casualty\'s forehead',
-      duration: 'Can be left in place for up to 6 hours'
+      duration: 'Can be left in place for up to 6 hours',
+      conversion: 'Reassess for conversion to a pressure or hemostatic dressing before 2 hours',
+      timer: 'Start a tourniquet timer in Interventions - reassessment and conversion alerts follow'
     }
   },
   AIRWAY_MANAGEMENT: {
@@ -262,7 +264,8 @@ export const EMERGENCY_PROCEDURES = {
   }
 };
 
-// Medication Administration Protocols
+// Medication Administration Protocols (reference text; doses and checks are computed by
+// shared/medications/MedicationCalculator.js)
 export const MEDICATION_PROTOCOLS = {
   ANALGESICS: {
     MORPHINE: {
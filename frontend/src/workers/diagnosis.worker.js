@@ -0,0 +1,11 @@
+import { diagnose } from './diagnosisEngine';
+
+// Runs the on-device diagnosis off the main thread; replies are matched to requests by id
+self.onmessage = async ({ data: { id, request } }) => {
+  try {
+    const analysis = await diagnose(request);
+    self.postMessage({ id, analysis });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
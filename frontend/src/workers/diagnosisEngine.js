@@ -0,0 +1,13 @@
+import { createDiagnose } from './triagePipeline';
+import symptomMap from '@ml/symptomMap.json';
+import lexicon from '@ml/lexicon.json';
+import emergencyKeywords from '@ml/emergencyKeywords.json';
+
+// Same engine, data and rule packs as the backend's SymptomAnalyzer, bundled so the
+// service worker precaches them with the app
+const rulePacks = Object.values(import.meta.glob('@ml/rulePacks/*.json', { eager: true, import: 'default' }));
+
+// Mirrors POST /api/diagnose/triage; results carry offline: true and are re-checked by the server on sync
+export const diagnose = createDiagnose({ symptomMap, lexicon, emergencyKeywords, rulePacks });
+
+export default diagnose;
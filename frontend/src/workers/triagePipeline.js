@@ -0,0 +1,34 @@
+import DiagnosisEngine from '@shared/diagnosis/DiagnosisEngine';
+import RuleEngine from '@shared/diagnosis/RuleEngine';
+import TriageCore from '@shared/triage/TriageCore';
+import InjuryAnnotations from '@shared/bodyMap/InjuryAnnotations';
+
+/**
+ * The on-device triage pipeline, built from the analyzer data and rule packs it is given.
+ * diagnosisEngine.js builds it from the bundled copies; the backend's golden triage tests build it
+ * from the same files on disk and check it against /triage and /mass-casualty.
+ * @returns {Function} diagnose(request) - same request as POST /api/diagnose/triage
+ */
+export const createDiagnose = ({ symptomMap, lexicon, emergencyKeywords, rulePacks }) => {
+  const engine = new DiagnosisEngine({
+    symptomMap,
+    lexicon,
+    emergencyKeywords,
+    rulePack: DiagnosisEngine.selectRulePack(rulePacks.filter(pack => RuleEngine.validatePack(pack).length === 0), 'default')
+  });
+  const triageCore = new TriageCore();
+  const injuryAnnotations = new InjuryAnnotations();
+
+  // Mirrors routes/diagnosis.js triageCasualty; results carry offline: true and are re-checked by the server on sync
+  return async ({ symptoms, vitalSigns = {}, assessment, injuries = [], burns, mechanismOfInjury, location = {} } = {}) => {
+    const marked = injuryAnnotations.normalize(injuries);
+    const analysis = await engine.analyzeSymptoms(injuryAnnotations.withSymptoms(symptoms, marked), vitalSigns, location);
+
+    triageCore.triageAnalysis(analysis, { assessment, vitalSigns, injuries: marked, burns, mechanismOfInjury });
+    analysis.injuries = marked;
+    analysis.offline = true;
+    return analysis;
+  };
+};
+
+export default createDiagnose;
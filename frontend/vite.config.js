@@ -1,6 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { fileURLToPath } from 'url'
+
+// Isomorphic modules shared with the backend (../shared)
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
+// Diagnosis data (symptom map, lexicon, rule packs) bundled into the offline diagnosis worker
+const mlDir = fileURLToPath(new URL('../backend/ml', import.meta.url))
 
 export default defineConfig({
   plugins: [
@@ -33,10 +39,19 @@ export default defineConfig({
       }
     })
   ],
+  resolve: {
+    alias: {
+      '@shared': sharedDir,
+      '@ml': mlDir
+    }
+  },
   server: {
     port: 3001,
     strictPort: false,
     host: true,
+    fs: {
+      allow: ['.', sharedDir, mlDir]
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
@@ -49,6 +64,9 @@ export default defineConfig({
       port: 3001
     }
   },
+  worker: {
+    format: 'es'
+  },
   build: {
     outDir: 'dist',
     sourcemap: true
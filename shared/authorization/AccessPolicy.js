@@ -0,0 +1,156 @@
+// Who may do what, and over whose data. A grant gives a role (or a rank, for leaders) an action on a
+// resource up to a scope: self, squad, platoon, unit or all. Permissions are written "resource:action".
+// Enforced by MilitaryAuth.authorize on the backend, which also turns the scope into a query filter,
+// and by AuthContext.hasPermission in the PWA. Pure ES module shared by both.
+
+// Narrowest to widest
+export const SCOPES = ['self', 'squad', 'platoon', 'unit', 'all'];
+
+// How squad and platoon are recognized among a soldier's unitPath elements ("2nd Squad", "1st Platoon").
+// `unit` is the soldier's own unit, the last element, with everything below it.
+export const ECHELON_PATTERNS = {
+  squad: /\b(squad|section|team)\b/i,
+  platoon: /\b(platoon|plt)\b/i
+};
+
+// Grants per Personnel role, plus 'emergency' for emergency-access tokens: resource -> action -> scope
+export const ROLE_GRANTS = {
+  soldier: {
+    records: { read: 'self', write: 'self' },
+    medications: { 'buddy-aid': 'all' },
+    triage: { access: 'self' },
+    emergency: { access: 'self' },
+    events: { read: 'self' }
+  },
+  medic: {
+    records: { read: 'all', write: 'all' },
+    casualties: { read: 'all', write: 'all' },
+    incidents: { read: 'all', write: 'all' },
+    medications: { administer: 'all', 'buddy-aid': 'all' },
+    personnel: { read: 'all' },
+    triage: { access: 'all' },
+    emergency: { access: 'self' },
+    events: { read: 'unit' }
+  },
+  officer: {
+    records: { read: 'all', write: 'all' },
+    casualties: { read: 'all', write: 'all' },
+    incidents: { read: 'all', write: 'all' },
+    medications: { administer: 'all', 'buddy-aid': 'all' },
+    personnel: { read: 'all' },
+    triage: { access: 'all' },
+    system: { access: 'all' },
+    emergency: { access: 'self' },
+    events: { read: 'all' }
+  },
+  admin: {
+    records: { read: 'all', write: 'all' },
+    casualties: { read: 'all', write: 'all' },
+    incidents: { read: 'all', write: 'all' },
+    medications: { administer: 'all', 'buddy-aid': 'all' },
+    personnel: { read: 'all', write: 'all' },
+    triage: { access: 'all' },
+    system: { access: 'all' },
+    emergency: { access: 'self' },
+    events: { read: 'all' }
+  },
+  emergency: {
+    records: { write: 'self' },
+    medications: { 'buddy-aid': 'all' },
+    triage: { access: 'self' },
+    emergency: { access: 'self' }
+  }
+};
+
+// Leaders see the records of the element they lead, on top of what their role gives them. Keyed by
+// the grade as written on the roster.
+const TEAM_LEADER = { records: { read: 'squad' } };
+const PLATOON_LEADER = { records: { read: 'platoon' } };
+
+export const RANK_GRANTS = {
+  CPL: TEAM_LEADER,
+  SGT: PLATOON_LEADER,
+  SSG: PLATOON_LEADER,
+  SFC: PLATOON_LEADER
+};
+
+class AccessPolicy {
+  constructor({ roleGrants = ROLE_GRANTS, rankGrants = RANK_GRANTS } = {}) {
+    this.roleGrants = roleGrants;
+    this.rankGrants = rankGrants;
+  }
+
+  wider(a, b) {
+    return SCOPES.indexOf(a) >= SCOPES.indexOf(b) ? a : b;
+  }
+
+  // Widest scope the actor ({ role, rank }) holds for an action, or null
+  scopeFor(actor, resource, action) {
+    const fromRole = this.roleGrants[actor?.role]?.[resource]?.[action];
+    const fromRank = this.rankGrants[String(actor?.rank || '').toUpperCase()]?.[resource]?.[action];
+
+    if (fromRole && fromRank) return this.wider(fromRole, fromRank);
+    return fromRole || fromRank || null;
+  }
+
+  can(actor, permission) {
+    const [resource, action] = String(permission).split(':');
+    return Boolean(this.scopeFor(actor, resource, action));
+  }
+
+  // Every "resource:action" the actor holds at any scope (carried in tokens and login responses)
+  permissionsFor(actor) {
+    const grants = [
+      this.roleGrants[actor?.role],
+      this.rankGrants[String(actor?.rank || '').toUpperCase()]
+    ].filter(Boolean);
+
+    const permissions = grants.flatMap(grant => Object.entries(grant)
+      .flatMap(([resource, actions]) => Object.keys(actions).map(action => `${resource}:${action}`)));
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * The unitPath prefix a scope reaches for this actor, or null when it reaches only the actor.
+   * A squad or platoon the roster doesn't record narrows the scope (platoon -> squad -> self), never widens it.
+   */
+  unitPrefix(actor, scope) {
+    const unitPath = actor?.unitPath?.length ? actor.unitPath : [actor?.unit].filter(Boolean);
+    if (scope === 'unit') return unitPath.length > 0 ? unitPath : null;
+
+    const echelons = scope === 'platoon' ? ['platoon', 'squad'] : scope === 'squad' ? ['squad'] : [];
+    for (const echelon of echelons) {
+      const index = unitPath.findIndex(element => ECHELON_PATTERNS[echelon].test(element));
+      if (index !== -1) return unitPath.slice(0, index + 1);
+    }
+    return null;
+  }
+
+  // Whether a scope held by the actor reaches a target ({ soldierId, unitPath })
+  covers(actor, scope, target = {}) {
+    if (scope === 'all') return true;
+    if (target.soldierId && target.soldierId === actor?.soldierId) return true;
+
+    const prefix = this.unitPrefix(actor, scope);
+    return Boolean(prefix) && prefix.every((element, index) => target.unitPath?.[index] === element);
+  }
+
+  // The same check as a MongoDB filter, for documents carrying the owner's soldierId and unitPath
+  toQuery(actor, scope, { ownerField = 'soldierId', unitField = 'unitPath' } = {}) {
+    if (scope === 'all') return {};
+
+    const own = { [ownerField]: actor?.soldierId };
+    const prefix = this.unitPrefix(actor, scope);
+    if (!prefix) return own;
+
+    return {
+      $or: [
+        own,
+        Object.fromEntries(prefix.map((element, index) => [`${unitField}.${index}`, element]))
+      ]
+    };
+  }
+}
+
+export default AccessPolicy;
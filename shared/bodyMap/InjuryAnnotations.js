@@ -0,0 +1,98 @@
+// Wounds marked on the body map: one entry per tapped region with a wound type and severity.
+// Entries carry `type` and `location` in the words EmergencyTriage.assessInjurySeverity matches on
+// ('gunshot wound', 'chest'), so the same array drives triage, handover, the casualty card and the record.
+import { BODY_REGIONS, getRegion } from './regions.js';
+
+export const INJURY_TYPES = {
+  GUNSHOT: { label: 'gunshot wound', mechanism: 'gunshot' },
+  SHRAPNEL: { label: 'shrapnel wound', mechanism: 'blast' },
+  PENETRATING: { label: 'penetrating wound', mechanism: null },
+  MASSIVE_HEMORRHAGE: { label: 'massive hemorrhage', mechanism: null },
+  AMPUTATION: { label: 'traumatic amputation', mechanism: 'blast' },
+  FRACTURE: { label: 'fracture', mechanism: null },
+  BURN: { label: 'burn', mechanism: null },
+  LACERATION: { label: 'laceration', mechanism: null },
+  BLAST: { label: 'blast injury', mechanism: 'blast' },
+  CONTUSION: { label: 'contusion', mechanism: null },
+  ABRASION: { label: 'abrasion', mechanism: null }
+};
+
+export const INJURY_SEVERITIES = ['minor', 'moderate', 'severe', 'critical'];
+
+class InjuryAnnotations {
+  /**
+   * Structured injury from a body-map mark.
+   * @param {Object} mark - { region, type: INJURY_TYPES key or free text, severity, notes }; location
+   *   and view are only used when there is no region
+   * @returns {{ region, location, view, type, code, severity, notes }}
+   */
+  create({ region, location, view, type, severity = 'moderate', notes } = {}) {
+    const bodyRegion = getRegion(region);
+    const code = String(type || '').toUpperCase();
+
+    return {
+      region: bodyRegion?.id || null,
+      location: bodyRegion?.part || location || null,
+      view: bodyRegion?.view || view || null,
+      type: INJURY_TYPES[code]?.label || type || null,
+      code: INJURY_TYPES[code] ? code : null,
+      severity: INJURY_SEVERITIES.includes(severity) ? severity : 'moderate',
+      notes: notes ? String(notes).trim() : null
+    };
+  }
+
+  // Accepts body-map marks or injuries already in the structured shape; extra fields (a burn's tbsa) are kept
+  normalize(list = []) {
+    return list.map(entry => ({ ...entry, ...this.create({ ...entry, type: entry.code || entry.type }) }));
+  }
+
+  validate(list) {
+    const errors = [];
+
+    if (!Array.isArray(list)) {
+      return { valid: false, errors: ['Injuries must be an array'] };
+    }
+
+    list.forEach((injury, index) => {
+      if (!injury || typeof injury !== 'object') {
+        errors.push(`injuries[${index}]: must be an object`);
+        return;
+      }
+      if (!injury.type && !injury.code) errors.push(`injuries[${index}]: type is required`);
+      if (injury.region && !getRegion(injury.region)) errors.push(`injuries[${index}]: unknown region "${injury.region}"`);
+      if (!injury.region && !injury.location) errors.push(`injuries[${index}]: region or location is required`);
+      if (injury.severity && !INJURY_SEVERITIES.includes(injury.severity)) {
+        errors.push(`injuries[${index}]: severity must be one of ${INJURY_SEVERITIES.join(', ')}`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // "gunshot wound chest (severe), fracture left leg" - the free-text form the symptom analyzer reads
+  describe(injuries = []) {
+    return injuries
+      .map(injury => `${injury.type}${injury.location ? ` ${injury.location}` : ''}${injury.view === 'back' && injury.location !== 'back' ? ' (back)' : ''}`)
+      .join(', ');
+  }
+
+  // Symptoms plus the marked wounds as text, so the symptom analyzer's keyword rules see them
+  withSymptoms(symptoms, injuries = []) {
+    if (injuries.length === 0) return symptoms || [];
+    return [].concat(symptoms || [], this.describe(injuries));
+  }
+
+  // Most likely mechanism from the wound types, for triage and the handover's M line
+  deriveMechanism(injuries = []) {
+    const mechanisms = injuries
+      .map(injury => INJURY_TYPES[injury.code]?.mechanism)
+      .filter(Boolean);
+    return mechanisms.includes('blast') ? 'blast' : mechanisms[0] || null;
+  }
+
+  getRegions() {
+    return BODY_REGIONS;
+  }
+}
+
+export default InjuryAnnotations;
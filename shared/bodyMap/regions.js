@@ -0,0 +1,25 @@
+// Body-map regions shared by the burn chart and injury annotation. `part` is the location string
+// the triage and handover code expect ('head', 'chest', 'left leg', ...); `view` is the side of the body.
+export const BODY_VIEWS = ['front', 'back'];
+
+export const BODY_REGIONS = [
+  { id: 'head-front', part: 'head', view: 'front', label: 'Head / face' },
+  { id: 'neck-front', part: 'neck', view: 'front', label: 'Neck (front)' },
+  { id: 'chest', part: 'chest', view: 'front', label: 'Chest' },
+  { id: 'abdomen', part: 'abdomen', view: 'front', label: 'Abdomen' },
+  { id: 'perineum', part: 'perineum', view: 'front', label: 'Perineum / genitalia' },
+  { id: 'right-arm-front', part: 'right arm', view: 'front', label: 'Right arm (front)' },
+  { id: 'left-arm-front', part: 'left arm', view: 'front', label: 'Left arm (front)' },
+  { id: 'right-leg-front', part: 'right leg', view: 'front', label: 'Right leg (front)' },
+  { id: 'left-leg-front', part: 'left leg', view: 'front', label: 'Left leg (front)' },
+  { id: 'head-back', part: 'head', view: 'back', label: 'Head (back)' },
+  { id: 'neck-back', part: 'neck', view: 'back', label: 'Neck (back)' },
+  { id: 'upper-back', part: 'back', view: 'back', label: 'Upper back' },
+  { id: 'lower-back', part: 'back', view: 'back', label: 'Lower back / buttocks' },
+  { id: 'right-arm-back', part: 'right arm', view: 'back', label: 'Right arm (back)' },
+  { id: 'left-arm-back', part: 'left arm', view: 'back', label: 'Left arm (back)' },
+  { id: 'right-leg-back', part: 'right leg', view: 'back', label: 'Right leg (back)' },
+  { id: 'left-leg-back', part: 'left leg', view: 'back', label: 'Left leg (back)' }
+];
+
+export const getRegion = id => BODY_REGIONS.find(region => region.id === id) || null;
@@ -0,0 +1,280 @@
+// Burn size and resuscitation: %TBSA from the body-map regions a medic marks (Rule of Nines, adult or
+// pediatric, or Lund-Browder by age), 24 h fluid targets (Parkland, modified Brooke, USAISR Rule of Ten)
+// and the triage category the size implies. Pure ES module shared by the backend and the PWA.
+import { BODY_REGIONS, getRegion } from '../bodyMap/regions.js';
+
+const HOUR = 3600000;
+
+export const BURN_METHODS = ['RULE_OF_NINES', 'LUND_BROWDER'];
+
+// Superficial (first-degree) burns are not counted towards %TBSA
+export const BURN_DEPTHS = {
+  SUPERFICIAL: { label: 'Superficial', counted: false },
+  PARTIAL_THICKNESS: { label: 'Partial thickness', counted: true },
+  FULL_THICKNESS: { label: 'Full thickness', counted: true }
+};
+
+// Percent of body surface per region, each side of the body counted separately; each table sums to 100
+const RULE_OF_NINES = {
+  adult: {
+    'head-front': 3.5, 'neck-front': 1, chest: 9, abdomen: 9, perineum: 1,
+    'right-arm-front': 4.5, 'left-arm-front': 4.5, 'right-leg-front': 9, 'left-leg-front': 9,
+    'head-back': 3.5, 'neck-back': 1, 'upper-back': 9, 'lower-back': 9,
+    'right-arm-back': 4.5, 'left-arm-back': 4.5, 'right-leg-back': 9, 'left-leg-back': 9
+  },
+  // Children: larger head, smaller legs
+  pediatric: {
+    'head-front': 8, 'neck-front': 1, chest: 9, abdomen: 9, perineum: 1,
+    'right-arm-front': 4.5, 'left-arm-front': 4.5, 'right-leg-front': 6.75, 'left-leg-front': 6.75,
+    'head-back': 8, 'neck-back': 1, 'upper-back': 9, 'lower-back': 9,
+    'right-arm-back': 4.5, 'left-arm-back': 4.5, 'right-leg-back': 6.75, 'left-leg-back': 6.75
+  }
+};
+
+// Lund-Browder: A = half of head, B = half of one thigh, C = half of one lower leg, by age (years)
+const LUND_BROWDER_AGE_BANDS = [
+  { maxAge: 1, label: 'under 1 year', A: 9.5, B: 2.75, C: 2.5 },
+  { maxAge: 5, label: '1-4 years', A: 8.5, B: 3.25, C: 2.5 },
+  { maxAge: 10, label: '5-9 years', A: 6.5, B: 4, C: 2.75 },
+  { maxAge: 15, label: '10-14 years', A: 5.5, B: 4.25, C: 3 },
+  { maxAge: 18, label: '15-17 years', A: 4.5, B: 4.5, C: 3.25 },
+  { maxAge: Infinity, label: 'adult', A: 3.5, B: 4.75, C: 3.5 }
+];
+
+// Fixed Lund-Browder areas: arm side = upper arm 2 + forearm 1.5 + hand 1.25; leg side adds the foot (1.75)
+const lundBrowderTable = ({ A, B, C }) => ({
+  'head-front': A, 'neck-front': 1, chest: 6.5, abdomen: 6.5, perineum: 1,
+  'right-arm-front': 4.75, 'left-arm-front': 4.75, 'right-leg-front': B + C + 1.75, 'left-leg-front': B + C + 1.75,
+  'head-back': A, 'neck-back': 1, 'upper-back': 6.5, 'lower-back': 11.5,
+  'right-arm-back': 4.75, 'left-arm-back': 4.75, 'right-leg-back': B + C + 1.75, 'left-leg-back': B + C + 1.75
+});
+
+export const FLUID_FORMULAS = {
+  PARKLAND: { label: 'Parkland', mlPerKgPerPercent: 4 },
+  MODIFIED_BROOKE: { label: 'Modified Brooke', mlPerKgPerPercent: 2 }
+};
+
+// Size thresholds from EmergencyTriage's protocols (T3 <15%, T2 15-40%, T4 >85% BSA)
+const TRIAGE_THRESHOLDS = { expectant: 85, immediate: 40, delayed: 15 };
+
+// Resuscitation is indicated from 20% TBSA in adults and 10% in children
+const RESUSCITATION_THRESHOLD = { adult: 20, pediatric: 10 };
+const PEDIATRIC_AGE = 10;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+class BurnAssessment {
+  /**
+   * Percent of body surface for every region under the chosen method.
+   * @returns {{ method, table: string, percentages: Object<string, number> }}
+   */
+  getChart({ method = 'RULE_OF_NINES', ageYears, pediatric } = {}) {
+    const age = toNumber(ageYears);
+
+    if (method === 'LUND_BROWDER') {
+      const band = LUND_BROWDER_AGE_BANDS.find(entry => (age ?? Infinity) < entry.maxAge) ||
+        LUND_BROWDER_AGE_BANDS[LUND_BROWDER_AGE_BANDS.length - 1];
+      return { method, table: band.label, percentages: lundBrowderTable(band) };
+    }
+
+    const table = pediatric === true || (age !== null && age < PEDIATRIC_AGE) ? 'pediatric' : 'adult';
+    return { method: 'RULE_OF_NINES', table, percentages: RULE_OF_NINES[table] };
+  }
+
+  validate({ regions, method, weightKg, ageYears } = {}) {
+    const errors = [];
+
+    if (!Array.isArray(regions) || regions.length === 0) {
+      errors.push('Mark at least one burned region');
+    } else {
+      regions.forEach((mark, index) => {
+        if (!getRegion(mark?.region)) errors.push(`regions[${index}]: unknown region "${mark?.region}"`);
+        if (mark?.depth && !BURN_DEPTHS[mark.depth]) {
+          errors.push(`regions[${index}]: depth must be one of ${Object.keys(BURN_DEPTHS).join(', ')}`);
+        }
+        const fraction = toNumber(mark?.fraction);
+        if (mark?.fraction !== undefined && (fraction === null || fraction <= 0 || fraction > 1)) {
+          errors.push(`regions[${index}]: fraction must be between 0 and 1`);
+        }
+      });
+    }
+
+    if (method && !BURN_METHODS.includes(method)) errors.push(`Method must be one of ${BURN_METHODS.join(', ')}`);
+    if (weightKg !== undefined && weightKg !== null && !(toNumber(weightKg) > 0)) errors.push('Weight must be a positive number');
+    // toNumber gives null for text, and null >= 0 would pass
+    const age = toNumber(ageYears);
+    if (ageYears !== undefined && ageYears !== null && (age === null || age < 0)) errors.push('Age must be a number of years');
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * @param {Object} input - { regions: [{ region, depth = PARTIAL_THICKNESS, fraction = 1 }], method,
+   *   ageYears, pediatric, weightKg, timeOfInjury, inhalationInjury, now }
+   */
+  assess(input = {}) {
+    const chart = this.getChart(input);
+    const warnings = [];
+    const pediatric = chart.table === 'pediatric' || (toNumber(input.ageYears) !== null && toNumber(input.ageYears) < PEDIATRIC_AGE);
+
+    // A region marked twice keeps its deepest depth and largest fraction
+    const depthRank = depth => Object.keys(BURN_DEPTHS).indexOf(depth);
+    const marks = new Map();
+    (input.regions || []).forEach(mark => {
+      const region = getRegion(mark.region);
+      if (!region) return;
+      const depth = BURN_DEPTHS[mark.depth] ? mark.depth : 'PARTIAL_THICKNESS';
+      const fraction = Math.min(Math.max(toNumber(mark.fraction) ?? 1, 0), 1);
+      const existing = marks.get(region.id);
+
+      marks.set(region.id, {
+        region: region.id,
+        part: region.part,
+        view: region.view,
+        label: region.label,
+        depth: existing && depthRank(existing.depth) > depthRank(depth) ? existing.depth : depth,
+        fraction: Math.max(fraction, existing?.fraction ?? 0)
+      });
+    });
+
+    const regions = [...marks.values()].map(mark => ({
+      ...mark,
+      percent: round(chart.percentages[mark.region] * mark.fraction, 2)
+    }));
+
+    const sumOf = depths => round(regions
+      .filter(mark => depths.includes(mark.depth))
+      .reduce((sum, mark) => sum + mark.percent, 0));
+
+    const tbsa = Math.min(sumOf(['PARTIAL_THICKNESS', 'FULL_THICKNESS']), 100);
+    const fullThickness = sumOf(['FULL_THICKNESS']);
+
+    const inhalationInjury = input.inhalationInjury === true;
+    const facialOrAirway = regions.some(mark => ['head-front', 'neck-front'].includes(mark.region) && BURN_DEPTHS[mark.depth].counted);
+    if (facialOrAirway && !inhalationInjury) {
+      warnings.push('Face or neck burned - watch for airway burns and inhalation injury');
+    }
+
+    const triage = this.triage({ tbsa, inhalationInjury });
+
+    return {
+      method: chart.method,
+      table: chart.table,
+      tbsa,
+      fullThickness,
+      partialThickness: round(tbsa - fullThickness),
+      superficial: sumOf(['SUPERFICIAL']),
+      regions,
+      inhalationInjury,
+      triageLevel: triage.level,
+      triageReason: triage.reason,
+      fluids: this.calculateFluids({ tbsa, weightKg: input.weightKg, pediatric, timeOfInjury: input.timeOfInjury, now: input.now }, warnings),
+      warnings
+    };
+  }
+
+  triage({ tbsa, inhalationInjury }) {
+    if (tbsa > TRIAGE_THRESHOLDS.expectant) {
+      return { level: 'EXPECTANT', reason: `Burns >${TRIAGE_THRESHOLDS.expectant}% BSA` };
+    }
+    if (inhalationInjury) {
+      return { level: 'IMMEDIATE', reason: 'Inhalation injury threatens the airway' };
+    }
+    if (tbsa >= TRIAGE_THRESHOLDS.immediate) {
+      return { level: 'IMMEDIATE', reason: `Burns ${TRIAGE_THRESHOLDS.immediate}-${TRIAGE_THRESHOLDS.expectant}% BSA` };
+    }
+    if (tbsa >= TRIAGE_THRESHOLDS.delayed) {
+      return { level: 'DELAYED', reason: `Burns ${TRIAGE_THRESHOLDS.delayed}-${TRIAGE_THRESHOLDS.immediate}% BSA` };
+    }
+    return { level: 'MINOR', reason: `Burns <${TRIAGE_THRESHOLDS.delayed}% BSA` };
+  }
+
+  /**
+   * 24 h crystalloid targets: half in the first 8 h from injury (not from arrival), half over the next 16 h.
+   * When the time of injury is known, the first-8-h volume still due is spread over the hours left.
+   */
+  calculateFluids({ tbsa, weightKg, pediatric = false, timeOfInjury, now } = {}, warnings = []) {
+    const threshold = pediatric ? RESUSCITATION_THRESHOLD.pediatric : RESUSCITATION_THRESHOLD.adult;
+    const weight = toNumber(weightKg);
+    const indicated = tbsa >= threshold;
+
+    const injuredAt = timeOfInjury ? new Date(timeOfInjury) : null;
+    const hoursSinceInjury = injuredAt && !isNaN(injuredAt)
+      ? Math.max(0, ((now ? new Date(now) : new Date()) - injuredAt) / HOUR)
+      : null;
+
+    const fluids = {
+      indicated,
+      threshold,
+      hoursSinceInjury: hoursSinceInjury === null ? null : round(hoursSinceInjury),
+      formulas: {},
+      ruleOfTen: null
+    };
+    if (!indicated) return fluids;
+
+    if (weight) {
+      Object.entries(FLUID_FORMULAS).forEach(([key, formula]) => {
+        const totalMl = Math.round(formula.mlPerKgPerPercent * weight * tbsa);
+        const first8hMl = Math.round(totalMl / 2);
+        const firstPhaseHoursLeft = hoursSinceInjury === null ? 8 : Math.max(0, 8 - hoursSinceInjury);
+
+        fluids.formulas[key] = {
+          label: formula.label,
+          formula: `${formula.mlPerKgPerPercent} mL x ${weight} kg x ${tbsa}% TBSA`,
+          totalMl,
+          first8hMl,
+          next16hMl: totalMl - first8hMl,
+          // Volume already due by now is not given as a bolus; the remaining first-phase volume is spread out
+          first8hRateMlPerHour: firstPhaseHoursLeft > 0 ? Math.round(first8hMl / firstPhaseHoursLeft) : null,
+          next16hRateMlPerHour: Math.round((totalMl - first8hMl) / 16)
+        };
+      });
+      if (hoursSinceInjury !== null && hoursSinceInjury >= 8) {
+        warnings.push('More than 8 h since injury - first-phase targets have passed; follow urine output');
+      }
+    } else {
+      warnings.push('Weight required for 24 h fluid targets');
+    }
+
+    // USAISR Rule of Ten: initial rate for adults 40-80 kg, +100 mL/h per 10 kg above 80 kg
+    if (!pediatric) {
+      const baseRate = Math.round(tbsa) * 10;
+      const extra = weight && weight > 80 ? Math.floor((weight - 80) / 10) * 100 : 0;
+      fluids.ruleOfTen = {
+        initialRateMlPerHour: baseRate + extra,
+        formula: `${Math.round(tbsa)}% x 10 mL/h${extra ? ` + ${extra} mL/h` : ''}`
+      };
+      if (weight && weight < 40) warnings.push('Rule of Ten applies to adults 40 kg and over');
+    }
+
+    return fluids;
+  }
+
+  // One structured injury for triage, handover and the casualty card
+  toInjury(result) {
+    const counted = result.regions.filter(mark => BURN_DEPTHS[mark.depth].counted);
+    const parts = [...new Set(counted.map(mark => mark.part))];
+    const depth = counted.some(mark => mark.depth === 'FULL_THICKNESS') ? 'full thickness' : 'partial thickness';
+
+    return {
+      type: counted.length > 0 ? `burn ${result.tbsa}% TBSA (${depth})` : 'superficial burn',
+      location: parts.length === 1 ? parts[0] : parts.length > 1 ? 'multiple' : null,
+      view: [...new Set(counted.map(mark => mark.view))].length === 1 ? counted[0].view : null,
+      tbsa: result.tbsa,
+      inhalationInjury: result.inhalationInjury,
+      severity: { EXPECTANT: 'critical', IMMEDIATE: 'critical', DELAYED: 'severe', MINOR: 'minor' }[result.triageLevel]
+    };
+  }
+
+  getRegions() {
+    return BODY_REGIONS;
+  }
+}
+
+export default BurnAssessment;
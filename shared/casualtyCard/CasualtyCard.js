@@ -0,0 +1,501 @@
+// TCCC Casualty Card (DD Form 1380): prefilled from analysis/record data, validated, and exported
+// as printable HTML (print or save as PDF from the browser) or as JSON matching CASUALTY_CARD_SCHEMA.
+// Pure ES module shared by the backend and the PWA.
+
+import {
+  EVAC_CATEGORIES,
+  MECHANISMS,
+  TOURNIQUET_SITES,
+  TREATMENTS,
+  MEDICATION_CATEGORIES,
+  ROUTES,
+  AVPU,
+  GENDERS
+} from './codes.js';
+import { CASUALTY_CARD_SCHEMA, CARD_SCHEMA_VERSION } from './schema.js';
+
+// Every matching mechanism is ticked ("IED blast" -> IED)
+const MECHANISM_KEYWORDS = {
+  ARTILLERY: ['artillery', 'mortar', 'shell', 'shelling'],
+  BLUNT: ['blunt', 'struck', 'beaten'],
+  BURN: ['burn', 'burns', 'fire', 'flame'],
+  FALL: ['fall', 'fell'],
+  GRENADE: ['grenade'],
+  GSW: ['gsw', 'gunshot', 'shot', 'bullet', 'sniper'],
+  IED: ['ied', 'blast', 'explosion', 'explosive'],
+  LANDMINE: ['landmine', 'mine'],
+  MVC: ['mvc', 'vehicle', 'rollover', 'crash', 'collision'],
+  RPG: ['rpg', 'rocket']
+};
+
+// Intervention descriptions -> MARCH checkboxes; first match wins
+const INTERVENTION_RULES = [
+  { keywords: ['junctional'], section: 'circulation', code: 'TQ_JUNCTIONAL', tourniquet: true },
+  { keywords: ['tourniquet', 'tq', 'cat'], section: 'circulation', code: 'TQ_EXTREMITY', tourniquet: true },
+  { keywords: ['hemostatic', 'haemostatic', 'combat gauze', 'celox', 'quikclot'], section: 'circulation', code: 'DRESSING_HEMOSTATIC' },
+  { keywords: ['pressure dressing', 'pressure bandage', 'israeli'], section: 'circulation', code: 'DRESSING_PRESSURE' },
+  { keywords: ['dressing', 'bandage', 'wound packing'], section: 'circulation', code: 'DRESSING_OTHER' },
+  { keywords: ['npa', 'nasopharyngeal'], section: 'airway', code: 'NPA' },
+  { keywords: ['cric', 'cricothyroidotomy', 'cricothyrotomy'], section: 'airway', code: 'CRIC' },
+  { keywords: ['sga', 'supraglottic', 'i-gel'], section: 'airway', code: 'SGA' },
+  { keywords: ['ett', 'et tube', 'intubation', 'intubated'], section: 'airway', code: 'ETT' },
+  { keywords: ['needle', 'decompression'], section: 'breathing', code: 'NEEDLE_D' },
+  { keywords: ['chest tube', 'thoracostomy'], section: 'breathing', code: 'CHEST_TUBE' },
+  { keywords: ['chest seal', 'occlusive'], section: 'breathing', code: 'CHEST_SEAL' },
+  { keywords: ['oxygen', 'o2'], section: 'breathing', code: 'O2' },
+  { keywords: ['pill pack'], section: 'other', code: 'PILL_PACK' },
+  { keywords: ['eye shield'], section: 'other', code: 'EYE_SHIELD' },
+  { keywords: ['splint'], section: 'other', code: 'SPLINT' },
+  { keywords: ['hypothermia', 'blanket', 'hpmk'], section: 'other', code: 'HYPOTHERMIA_PREVENTION' }
+];
+
+const PRECEDENCE_TO_EVAC = {
+  URGENT: 'URGENT',
+  URGENT_SURGICAL: 'URGENT',
+  PRIORITY: 'PRIORITY',
+  ROUTINE: 'ROUTINE',
+  CONVENIENCE: 'ROUTINE'
+};
+
+const TRIAGE_TO_EVAC = { IMMEDIATE: 'URGENT', DELAYED: 'PRIORITY', MINOR: 'ROUTINE' };
+
+const NON_INJURY_DETECTIONS = ['normal', 'analysis_failed'];
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toIso = value => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+const containsWord = (text, keyword) => new RegExp(`(^|[^a-z0-9])${keyword.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}($|[^a-z0-9])`).test(text);
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const generateCardId = () => {
+  const random = globalThis.crypto?.randomUUID?.().slice(0, 8) || Math.random().toString(16).slice(2, 10);
+  return `CARD-${random.toUpperCase()}`;
+};
+
+class CasualtyCard {
+  // Blank card with every section present; also used to normalize cards coming back from the editor
+  create(card = {}) {
+    const now = new Date().toISOString();
+
+    return {
+      form: 'DD1380',
+      schemaVersion: CARD_SCHEMA_VERSION,
+      cardId: card.cardId || generateCardId(),
+      casualtyId: card.casualtyId || null,
+      evacuationCategory: card.evacuationCategory || null,
+      patient: {
+        battleRosterNumber: null,
+        lastName: null,
+        firstName: null,
+        last4: null,
+        gender: null,
+        service: null,
+        unit: null,
+        allergies: null,
+        ...card.patient
+      },
+      injury: {
+        injuredAt: null,
+        mechanisms: [],
+        mechanismOther: null,
+        injuries: [],
+        ...card.injury
+      },
+      tourniquets: card.tourniquets || [],
+      vitals: card.vitals || [],
+      treatments: {
+        ...Object.fromEntries(Object.keys(TREATMENTS).map(section => [section, []])),
+        hypothermiaType: null,
+        ...card.treatments
+      },
+      fluids: card.fluids || [],
+      medications: card.medications || [],
+      notes: card.notes || null,
+      firstResponder: {
+        name: null,
+        last4: null,
+        ...card.firstResponder
+      },
+      createdAt: card.createdAt || now,
+      updatedAt: card.updatedAt || now
+    };
+  }
+
+  /**
+   * Prefill a card from the data the app already holds.
+   * @param {Object} input - { casualty, analysis, triageLevel, evacuationPrecedence, mechanism, symptoms,
+   *   injuries, injuryDetections, vitalsHistory, interventions, medications, fluids, timeOfInjury, firstResponder }
+   */
+  fromSession(input = {}) {
+    const { casualty = {}, analysis } = input;
+    const card = this.create({
+      casualtyId: casualty.casualtyId,
+      patient: {
+        unit: casualty.unit || null,
+        battleRosterNumber: casualty.battleRosterNumber || null
+      },
+      firstResponder: input.firstResponder
+    });
+
+    card.evacuationCategory = PRECEDENCE_TO_EVAC[input.evacuationPrecedence] ||
+      TRIAGE_TO_EVAC[input.triageLevel || analysis?.triageLevel] ||
+      null;
+
+    card.injury.injuredAt = toIso(input.timeOfInjury);
+    card.injury.mechanisms = this.deriveMechanisms(input);
+    if (input.mechanism && card.injury.mechanisms.length === 0) {
+      card.injury.mechanisms = ['OTHER'];
+      card.injury.mechanismOther = input.mechanism;
+    }
+    card.injury.injuries = this.collectInjuries(input);
+
+    card.vitals = (input.vitalsHistory || [])
+      .map(entry => this.toVitalsRow(entry.vitals || entry, entry.timestamp))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    (input.interventions || []).forEach(intervention => this.applyIntervention(card, intervention));
+    (input.medications || []).forEach(medication => this.addMedication(card, medication));
+    (input.fluids || []).forEach(fluid => this.addFluid(card, fluid));
+
+    const diagnosis = analysis?.primaryDiagnosis?.diagnosis;
+    if (diagnosis) {
+      card.notes = `Assessment: ${diagnosis}${analysis.triageLevel ? ` (${analysis.triageLevel})` : ''}`;
+    }
+
+    return card;
+  }
+
+  deriveMechanisms({ mechanism, symptoms, analysis, injuries, injuryDetections }) {
+    const text = [].concat(
+      mechanism || [],
+      symptoms || [],
+      analysis?.explanation?.symptomMatches?.flatMap(match => [match.symptom, match.interpretedAs]) || [],
+      (injuries || []).map(injury => injury.type || injury.description || ''),
+      this.detections(injuryDetections).map(detection => detection.injuryType.replace(/_/g, ' '))
+    ).join(' ').toLowerCase();
+
+    return Object.keys(MECHANISM_KEYWORDS)
+      .filter(code => MECHANISM_KEYWORDS[code].some(keyword => containsWord(text, keyword)));
+  }
+
+  collectInjuries({ injuries = [], injuryDetections }) {
+    return [
+      ...injuries.map(injury => ({
+        description: injury.type || injury.description,
+        location: injury.location || null,
+        view: injury.view || null
+      })),
+      ...this.detections(injuryDetections).map(detection => ({
+        description: detection.injuryType.replace(/_/g, ' '),
+        location: detection.location && detection.location !== 'unspecified' ? detection.location : null,
+        view: null
+      }))
+    ].filter(injury => injury.description);
+  }
+
+  toVitalsRow(vitals = {}, timestamp) {
+    const time = toIso(timestamp || vitals.timestamp);
+    if (!time) return null;
+
+    const bloodPressure = typeof vitals.bloodPressure === 'object' && vitals.bloodPressure
+      ? (vitals.bloodPressure.systolic ? `${vitals.bloodPressure.systolic}/${vitals.bloodPressure.diastolic ?? ''}` : null)
+      : vitals.bloodPressure || null;
+
+    const row = {
+      time,
+      pulse: toNumber(vitals.heartRate ?? vitals.pulse),
+      pulseLocation: vitals.pulseLocation || null,
+      bloodPressure: bloodPressure ? String(bloodPressure).replace(/\s+/g, '') : null,
+      respiratoryRate: toNumber(vitals.respiratoryRate),
+      oxygenSaturation: toNumber(vitals.oxygenSaturation),
+      avpu: vitals.avpu ? String(vitals.avpu).trim().charAt(0).toUpperCase() : null,
+      painScale: toNumber(vitals.painScale)
+    };
+
+    const recorded = Object.entries(row).some(([key, value]) => key !== 'time' && value !== null);
+    return recorded ? row : null;
+  }
+
+  // Tick the MARCH box for an intervention; tourniquets also get a site/time row
+  applyIntervention(card, intervention) {
+    if (intervention.dose) return this.addMedication(card, intervention);
+    if (intervention.volume) return this.addFluid(card, intervention);
+
+    const text = [intervention.type, intervention.details].filter(Boolean).join(' ').toLowerCase();
+    const rule = INTERVENTION_RULES.find(({ keywords }) => keywords.some(keyword => containsWord(text, keyword)));
+    if (!rule) return;
+
+    const location = (intervention.bodyLocation || '').toLowerCase();
+    let code = rule.code;
+    if (code === 'EYE_SHIELD') code = /\b(left|l)\b/.test(location) ? 'EYE_SHIELD_L' : 'EYE_SHIELD_R';
+    if (code === 'HYPOTHERMIA_PREVENTION' && intervention.details) card.treatments.hypothermiaType = intervention.details;
+
+    if (!card.treatments[rule.section].includes(code)) card.treatments[rule.section].push(code);
+
+    const appliedAt = toIso(intervention.timestamp || intervention.performedAt);
+    if (rule.tourniquet && appliedAt) {
+      card.tourniquets.push({
+        site: rule.code === 'TQ_JUNCTIONAL' ? 'JUNCTIONAL' : this.resolveTourniquetSite(location),
+        type: intervention.device || null,
+        appliedAt
+      });
+    }
+  }
+
+  resolveTourniquetSite(location) {
+    if (/junction|groin|axilla/.test(location)) return 'JUNCTIONAL';
+    const side = /\b(left|l)\b/.test(location) ? 'L' : /\b(right|r)\b/.test(location) ? 'R' : null;
+    const limb = /arm|hand|forearm|elbow|wrist/.test(location) ? 'ARM' : /leg|thigh|knee|foot|calf|ankle/.test(location) ? 'LEG' : null;
+    return side && limb ? `${side}_${limb}` : null;
+  }
+
+  addMedication(card, medication) {
+    card.medications.push({
+      category: MEDICATION_CATEGORIES[medication.category] ? medication.category : 'OTHER',
+      name: medication.name || medication.type || null,
+      dose: medication.dose !== undefined && medication.dose !== null ? String(medication.dose) : null,
+      route: medication.route ? String(medication.route).toUpperCase() : null,
+      time: toIso(medication.time || medication.timestamp || medication.administeredAt)
+    });
+  }
+
+  addFluid(card, fluid) {
+    card.fluids.push({
+      name: fluid.name || fluid.type || null,
+      volume: fluid.volume !== undefined && fluid.volume !== null ? String(fluid.volume) : null,
+      route: fluid.route ? String(fluid.route).toUpperCase() : null,
+      time: toIso(fluid.time || fluid.timestamp)
+    });
+  }
+
+  /**
+   * Field-level checks matching CASUALTY_CARD_SCHEMA.
+   * @returns {{ valid: boolean, errors: Array<{field, message}>, warnings: Array<{field, message}> }}
+   */
+  validate(card) {
+    const errors = [];
+    const warnings = [];
+    const error = (field, message) => errors.push({ field, message });
+    const isTime = value => Boolean(value) && !isNaN(new Date(value));
+
+    if (card.evacuationCategory && !EVAC_CATEGORIES[card.evacuationCategory]) {
+      error('evacuationCategory', `Unknown evacuation category "${card.evacuationCategory}"`);
+    }
+
+    const { patient = {}, injury = {}, treatments = {}, firstResponder = {} } = card;
+    if (patient.last4 && !/^\d{4}$/.test(patient.last4)) error('patient.last4', 'Last 4 must be four digits');
+    if (patient.gender && !GENDERS.includes(patient.gender)) error('patient.gender', 'Gender must be M or F');
+    if (firstResponder.last4 && !/^\d{4}$/.test(firstResponder.last4)) error('firstResponder.last4', 'Last 4 must be four digits');
+
+    if (injury.injuredAt && !isTime(injury.injuredAt)) error('injury.injuredAt', 'Invalid date/time of injury');
+    (injury.mechanisms || []).forEach(code => {
+      if (!MECHANISMS[code]) error('injury.mechanisms', `Unknown mechanism "${code}"`);
+    });
+    if ((injury.mechanisms || []).includes('OTHER') && !injury.mechanismOther) {
+      error('injury.mechanismOther', 'Describe the mechanism when "Other" is ticked');
+    }
+
+    (card.tourniquets || []).forEach((tourniquet, index) => {
+      if (!TOURNIQUET_SITES[tourniquet.site]) error(`tourniquets[${index}].site`, 'Tourniquet site is required');
+      if (!isTime(tourniquet.appliedAt)) error(`tourniquets[${index}].appliedAt`, 'Tourniquet time is required');
+    });
+
+    (card.vitals || []).forEach((row, index) => {
+      const field = `vitals[${index}]`;
+      if (!isTime(row.time)) error(`${field}.time`, 'Time is required for every vitals entry');
+      if (row.bloodPressure && !/^\d{2,3}\/\d{2,3}$/.test(row.bloodPressure)) error(`${field}.bloodPressure`, 'Blood pressure must be systolic/diastolic');
+      if (row.avpu && !AVPU.includes(row.avpu)) error(`${field}.avpu`, 'AVPU must be A, V, P or U');
+      if (row.painScale !== null && row.painScale !== undefined && !(Number.isInteger(row.painScale) && row.painScale >= 0 && row.painScale <= 10)) {
+        error(`${field}.painScale`, 'Pain scale must be 0-10');
+      }
+      if (row.oxygenSaturation !== null && row.oxygenSaturation !== undefined && (row.oxygenSaturation < 0 || row.oxygenSaturation > 100)) {
+        error(`${field}.oxygenSaturation`, 'SpO2 must be 0-100');
+      }
+    });
+
+    Object.keys(TREATMENTS).forEach(section => {
+      (treatments[section] || []).forEach(code => {
+        if (!TREATMENTS[section][code]) error(`treatments.${section}`, `Unknown treatment "${code}"`);
+      });
+    });
+
+    (card.fluids || []).forEach((fluid, index) => {
+      ['name', 'volume', 'route', 'time'].forEach(key => {
+        if (!fluid[key]) error(`fluids[${index}].${key}`, `Fluid ${key} is required`);
+      });
+      if (fluid.route && !ROUTES.includes(fluid.route)) error(`fluids[${index}].route`, `Unknown route "${fluid.route}"`);
+    });
+
+    (card.medications || []).forEach((medication, index) => {
+      ['name', 'dose', 'route', 'time'].forEach(key => {
+        if (!medication[key]) error(`medications[${index}].${key}`, `Medication ${key} is required`);
+      });
+      if (medication.route && !ROUTES.includes(medication.route)) error(`medications[${index}].route`, `Unknown route "${medication.route}"`);
+      if (!MEDICATION_CATEGORIES[medication.category]) error(`medications[${index}].category`, `Unknown category "${medication.category}"`);
+    });
+
+    if ((injury.mechanisms || []).length === 0) warnings.push({ field: 'injury.mechanisms', message: 'No mechanism of injury ticked' });
+    if ((card.vitals || []).length === 0) warnings.push({ field: 'vitals', message: 'No vital signs recorded' });
+    if ((treatments.circulation || []).some(code => code.startsWith('TQ_')) && (card.tourniquets || []).length === 0) {
+      warnings.push({ field: 'tourniquets', message: 'Tourniquet ticked without a site and time' });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // JSON export for receiving facilities, tagged with the schema it conforms to
+  toExport(card) {
+    return {
+      $schema: CASUALTY_CARD_SCHEMA.$id,
+      ...card
+    };
+  }
+
+  getSchema() {
+    return CASUALTY_CARD_SCHEMA;
+  }
+
+  // Standalone printable document laid out like the paper card; print or save as PDF from the browser
+  renderHtml(card) {
+    const time = value => {
+      if (!value) return '';
+      const date = new Date(value);
+      return isNaN(date) ? '' : `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
+    };
+    const date = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+    const box = checked => (checked ? '&#9746;' : '&#9744;');
+    const checklist = (codes, selected = []) => Object.entries(codes)
+      .map(([code, label]) => `<span class="check">${box(selected.includes(code))} ${escapeHtml(label)}</span>`)
+      .join(' ');
+    const field = (label, value) => `<div class="field"><label>${escapeHtml(label)}</label><span>${escapeHtml(value)}</span></div>`;
+
+    const { patient, injury, treatments, firstResponder } = card;
+    const vitalsColumns = card.vitals.length > 0 ? card.vitals : [{}];
+
+    const vitalsRow = (label, render) => `<tr><th>${label}</th>${vitalsColumns.map(row => `<td>${escapeHtml(render(row) ?? '')}</td>`).join('')}</tr>`;
+
+    const listRows = (items, columns) => items.length > 0
+      ? items.map(item => `<tr>${columns.map(render => `<td>${escapeHtml(render(item) ?? '')}</td>`).join('')}</tr>`).join('')
+      : `<tr><td colspan="${columns.length}" class="empty">None recorded</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>TCCC Casualty Card ${escapeHtml(card.cardId)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; margin: 12mm; color: #000; }
+  h1 { font-size: 15px; margin: 0 0 4px; text-align: center; }
+  h2 { font-size: 12px; background: #000; color: #fff; padding: 2px 4px; margin: 8px 0 4px; }
+  .meta { text-align: center; margin-bottom: 6px; }
+  .grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px; }
+  .field { border-bottom: 1px solid #000; min-height: 28px; }
+  .field label { display: block; font-size: 9px; text-transform: uppercase; }
+  .check { display: inline-block; margin-right: 10px; white-space: nowrap; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #000; padding: 2px 4px; text-align: left; }
+  .empty { color: #555; font-style: italic; }
+  @media print { body { margin: 8mm; } h2 { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<h1>TACTICAL COMBAT CASUALTY CARE (TCCC) CARD &mdash; DD FORM 1380</h1>
+<div class="meta">Card ${escapeHtml(card.cardId)}${card.casualtyId ? ` &bull; Casualty ${escapeHtml(card.casualtyId)}` : ''}</div>
+
+<h2>EVACUATION CATEGORY</h2>
+${checklist(EVAC_CATEGORIES, card.evacuationCategory ? [card.evacuationCategory] : [])}
+
+<h2>PATIENT</h2>
+<div class="grid">
+  ${field('Battle roster #', patient.battleRosterNumber)}
+  ${field('Name (last, first)', [patient.lastName, patient.firstName].filter(Boolean).join(', '))}
+  ${field('Last 4', patient.last4)}
+  ${field('Gender', patient.gender)}
+  ${field('Date of injury', date(injury.injuredAt))}
+  ${field('Time of injury', time(injury.injuredAt))}
+  ${field('Service', patient.service)}
+  ${field('Unit', patient.unit)}
+</div>
+${field('Allergies', patient.allergies)}
+
+<h2>MECHANISM OF INJURY</h2>
+${checklist(MECHANISMS, injury.mechanisms)}${injury.mechanismOther ? ` &mdash; ${escapeHtml(injury.mechanismOther)}` : ''}
+
+<h2>INJURIES</h2>
+<table>
+  <tr><th>Injury</th><th>Location</th><th>View</th></tr>
+  ${listRows(injury.injuries, [item => item.description, item => item.location, item => item.view])}
+</table>
+
+<h2>TOURNIQUETS</h2>
+<table>
+  <tr><th>Site</th><th>Type</th><th>Time</th></tr>
+  ${listRows(card.tourniquets, [item => TOURNIQUET_SITES[item.site] || item.site, item => item.type, item => time(item.appliedAt)])}
+</table>
+
+<h2>SIGNS &amp; SYMPTOMS</h2>
+<table>
+  ${vitalsRow('Time', row => time(row.time))}
+  ${vitalsRow('BP', row => row.bloodPressure)}
+  ${vitalsRow('Pulse (rate &amp; location)', row => [row.pulse, row.pulseLocation].filter(value => value !== null && value !== undefined).join(' '))}
+  ${vitalsRow('Resp rate', row => row.respiratoryRate)}
+  ${vitalsRow('Pulse ox % O2 sat', row => row.oxygenSaturation)}
+  ${vitalsRow('AVPU', row => row.avpu)}
+  ${vitalsRow('Pain scale (0-10)', row => row.painScale)}
+</table>
+
+<h2>TREATMENTS</h2>
+<p><strong>C:</strong> ${checklist(TREATMENTS.circulation, treatments.circulation)}</p>
+<p><strong>A:</strong> ${checklist(TREATMENTS.airway, treatments.airway)}</p>
+<p><strong>B:</strong> ${checklist(TREATMENTS.breathing, treatments.breathing)}</p>
+<table>
+  <tr><th>Fluid / blood product</th><th>Volume</th><th>Route</th><th>Time</th></tr>
+  ${listRows(card.fluids, [item => item.name, item => item.volume, item => item.route, item => time(item.time)])}
+</table>
+
+<h2>MEDS</h2>
+<table>
+  <tr><th>Type</th><th>Name</th><th>Dose</th><th>Route</th><th>Time</th></tr>
+  ${listRows(card.medications, [item => MEDICATION_CATEGORIES[item.category] || item.category, item => item.name, item => item.dose, item => item.route, item => time(item.time)])}
+</table>
+
+<h2>OTHER</h2>
+${checklist(TREATMENTS.other, treatments.other)}${treatments.hypothermiaType ? ` &mdash; ${escapeHtml(treatments.hypothermiaType)}` : ''}
+
+<h2>NOTES</h2>
+<p>${escapeHtml(card.notes || '').replace(/\n/g, '<br>')}</p>
+
+<h2>FIRST RESPONDER</h2>
+<div class="grid">
+  ${field('Name (last, first)', firstResponder.name)}
+  ${field('Last 4', firstResponder.last4)}
+</div>
+</body>
+</html>`;
+  }
+
+  detections(injuryDetections) {
+    const list = Array.isArray(injuryDetections) ? injuryDetections : injuryDetections?.injuries || [];
+    return list.filter(detection => detection?.injuryType && !NON_INJURY_DETECTIONS.includes(detection.injuryType));
+  }
+}
+
+export * from './codes.js';
+export { CASUALTY_CARD_SCHEMA, CARD_SCHEMA_VERSION };
+export default CasualtyCard;
@@ -0,0 +1,75 @@
+// Code lists for the TCCC Casualty Card (DD Form 1380, 2014 revision), shared by the card module,
+// its JSON Schema and the backend model. Keys are stored on the card; values are the printed labels.
+
+export const EVAC_CATEGORIES = {
+  URGENT: 'Urgent',
+  PRIORITY: 'Priority',
+  ROUTINE: 'Routine'
+};
+
+export const MECHANISMS = {
+  ARTILLERY: 'Artillery',
+  BLUNT: 'Blunt',
+  BURN: 'Burn',
+  FALL: 'Fall',
+  GRENADE: 'Grenade',
+  GSW: 'GSW',
+  IED: 'IED',
+  LANDMINE: 'Landmine',
+  MVC: 'MVC',
+  RPG: 'RPG',
+  OTHER: 'Other'
+};
+
+export const TOURNIQUET_SITES = {
+  R_ARM: 'R Arm',
+  L_ARM: 'L Arm',
+  R_LEG: 'R Leg',
+  L_LEG: 'L Leg',
+  JUNCTIONAL: 'Junctional',
+  TRUNCAL: 'Truncal'
+};
+
+// MARCH treatment checkboxes, by section
+export const TREATMENTS = {
+  circulation: {
+    TQ_EXTREMITY: 'TQ-Extremity',
+    TQ_JUNCTIONAL: 'TQ-Junctional',
+    TQ_TRUNCAL: 'TQ-Truncal',
+    DRESSING_HEMOSTATIC: 'Dressing-Hemostatic',
+    DRESSING_PRESSURE: 'Dressing-Pressure',
+    DRESSING_OTHER: 'Dressing-Other'
+  },
+  airway: {
+    INTACT: 'Intact',
+    NPA: 'NPA',
+    CRIC: 'CRIC',
+    SGA: 'SGA',
+    ETT: 'ET-Tube'
+  },
+  breathing: {
+    O2: 'O2',
+    NEEDLE_D: 'Needle-D',
+    CHEST_TUBE: 'Chest-Tube',
+    CHEST_SEAL: 'Chest-Seal'
+  },
+  other: {
+    PILL_PACK: 'Combat Pill Pack',
+    EYE_SHIELD_R: 'Eye Shield (R)',
+    EYE_SHIELD_L: 'Eye Shield (L)',
+    SPLINT: 'Splint',
+    HYPOTHERMIA_PREVENTION: 'Hypothermia Prevention'
+  }
+};
+
+export const MEDICATION_CATEGORIES = {
+  ANALGESIC: 'Analgesic',
+  ANTIBIOTIC: 'Antibiotic',
+  OTHER: 'Other'
+};
+
+export const ROUTES = ['IV', 'IO', 'IM', 'PO', 'IN', 'SL', 'PR', 'TOPICAL', 'INHALED', 'OTHER'];
+
+export const AVPU = ['A', 'V', 'P', 'U'];
+
+export const GENDERS = ['M', 'F'];
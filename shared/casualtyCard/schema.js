@@ -0,0 +1,138 @@
+// JSON Schema for exported casualty cards, so receiving facilities can validate and import them
+import {
+  EVAC_CATEGORIES,
+  MECHANISMS,
+  TOURNIQUET_SITES,
+  TREATMENTS,
+  MEDICATION_CATEGORIES,
+  ROUTES,
+  AVPU,
+  GENDERS
+} from './codes.js';
+
+export const CARD_SCHEMA_VERSION = '1.0.0';
+
+const nullableString = { type: ['string', 'null'] };
+const dateTime = { type: ['string', 'null'], format: 'date-time' };
+const codeList = codes => ({ type: 'array', items: { enum: Object.keys(codes) }, uniqueItems: true });
+
+export const CASUALTY_CARD_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:battlefield-medical:casualty-card:${CARD_SCHEMA_VERSION}`,
+  title: 'TCCC Casualty Card (DD Form 1380)',
+  type: 'object',
+  required: ['form', 'schemaVersion', 'cardId', 'patient', 'injury', 'vitals', 'treatments', 'medications'],
+  properties: {
+    form: { const: 'DD1380' },
+    schemaVersion: { const: CARD_SCHEMA_VERSION },
+    cardId: { type: 'string' },
+    casualtyId: nullableString,
+    evacuationCategory: { enum: [...Object.keys(EVAC_CATEGORIES), null] },
+    patient: {
+      type: 'object',
+      properties: {
+        battleRosterNumber: nullableString,
+        lastName: nullableString,
+        firstName: nullableString,
+        last4: { type: ['string', 'null'], pattern: '^[0-9]{4}$' },
+        gender: { enum: [...GENDERS, null] },
+        service: nullableString,
+        unit: nullableString,
+        allergies: nullableString
+      }
+    },
+    injury: {
+      type: 'object',
+      properties: {
+        injuredAt: dateTime,
+        mechanisms: codeList(MECHANISMS),
+        mechanismOther: nullableString,
+        injuries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['description'],
+            properties: {
+              description: { type: 'string' },
+              location: nullableString,
+              view: { enum: ['FRONT', 'BACK', null] }
+            }
+          }
+        }
+      }
+    },
+    tourniquets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['site', 'appliedAt'],
+        properties: {
+          site: { enum: Object.keys(TOURNIQUET_SITES) },
+          type: nullableString,
+          appliedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    vitals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['time'],
+        properties: {
+          time: { type: 'string', format: 'date-time' },
+          pulse: { type: ['number', 'null'], minimum: 0, maximum: 300 },
+          pulseLocation: nullableString,
+          bloodPressure: { type: ['string', 'null'], pattern: '^[0-9]{2,3}/[0-9]{2,3}$' },
+          respiratoryRate: { type: ['number', 'null'], minimum: 0, maximum: 80 },
+          oxygenSaturation: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+          avpu: { enum: [...AVPU, null] },
+          painScale: { type: ['integer', 'null'], minimum: 0, maximum: 10 }
+        }
+      }
+    },
+    treatments: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(Object.entries(TREATMENTS).map(([section, codes]) => [section, codeList(codes)])),
+        hypothermiaType: nullableString
+      }
+    },
+    fluids: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'volume', 'route', 'time'],
+        properties: {
+          name: { type: 'string' },
+          volume: { type: 'string' },
+          route: { enum: ROUTES },
+          time: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    medications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'name', 'dose', 'route', 'time'],
+        properties: {
+          category: { enum: Object.keys(MEDICATION_CATEGORIES) },
+          name: { type: 'string' },
+          dose: { type: 'string' },
+          route: { enum: ROUTES },
+          time: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    notes: nullableString,
+    firstResponder: {
+      type: 'object',
+      properties: {
+        name: nullableString,
+        last4: { type: ['string', 'null'], pattern: '^[0-9]{4}$' }
+      }
+    },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }
+};
@@ -0,0 +1,464 @@
+// Symptom analysis shared by the backend's SymptomAnalyzer and the PWA's offline diagnosis worker:
+// lexicon matching against symptomMap.json, a ranked differential, MARCH-ordered first aid,
+// rule-pack triage scoring and vital-sign scores. The caller supplies the data, so this module
+// has no Node dependencies; the backend reads it from ml/ and the PWA bundles the same files.
+import RuleEngine from './RuleEngine.js';
+import MedicalLexicon from './MedicalLexicon.js';
+import VitalSignScorer from './VitalSignScorer.js';
+
+const TRIAGE_PRIORITY = { IMMEDIATE: 1, DELAYED: 2, MINOR: 3, EXPECTANT: 4 };
+
+// TCCC MARCH sequence used to order merged first-aid steps; a step belongs to the first phase it mentions
+const MARCH_PHASES = [
+  {
+    phase: 'M',
+    name: 'Massive hemorrhage',
+    keywords: ['tourniquet', 'hemostatic', 'direct pressure', 'pressure dressing', 'pressure points', 'control bleeding', 'soaked dressings', 'wound packing']
+  },
+  {
+    phase: 'A',
+    name: 'Airway',
+    keywords: ['airway', 'cervical spine', 'choking', 'jaw thrust']
+  },
+  {
+    phase: 'R',
+    name: 'Respiration',
+    keywords: ['breathing', 'chest', 'needle decompression', 'oxygen', 'respiratory']
+  },
+  {
+    phase: 'C',
+    name: 'Circulation',
+    keywords: ['shock', 'circulation', 'pulse', 'internal bleeding', 'fluid', 'elevate legs', 'transfusion']
+  },
+  {
+    phase: 'H',
+    name: 'Hypothermia / Head injury',
+    keywords: ['hypothermia', 'warm', 'consciousness', 'pupil', 'neurological', 'head']
+  }
+];
+
+const EMERGENCY_ACTION_TRIGGERS = [
+  {
+    id: 'cardiac-arrest',
+    keywords: ['not breathing', 'no pulse'],
+    actions: ["BEGIN CPR IMMEDIATELY", "USE AED IF AVAILABLE", "CALL EMERGENCY MEDEVAC"]
+  },
+  {
+    id: 'major-hemorrhage',
+    keywords: ['severe bleeding', 'hemorrhage'],
+    actions: ["APPLY TOURNIQUET FOR LIMB BLEEDING", "USE HEMOSTATIC AGENTS", "PREPARE FOR BLOOD TRANSFUSION"]
+  },
+  {
+    id: 'burn-or-chemical',
+    keywords: ['chemical', 'burn'],
+    actions: ["DECONTAMINATE PATIENT", "USE PROTECTIVE EQUIPMENT", "ISOLATE CONTAMINATED AREA"]
+  }
+];
+
+class DiagnosisEngine {
+  /**
+   * @param {Object} data - { symptomMap, lexicon, emergencyKeywords, rulePack } as found in ml/
+   */
+  constructor({ symptomMap, lexicon = {}, emergencyKeywords = {}, rulePack }) {
+    this.symptomMap = symptomMap;
+    this.lexicon = new MedicalLexicon(lexicon, Object.keys(symptomMap));
+    this.emergencyKeywords = emergencyKeywords;
+    this.ruleEngine = new RuleEngine(rulePack, emergencyKeywords);
+    this.vitalScorer = new VitalSignScorer();
+    this.confidenceThreshold = 0.7;
+  }
+
+  // Pick a pack by "id" (newest version) or "id@version" from already-validated packs
+  static selectRulePack(packs, selector = 'default') {
+    const [id, version] = selector.split('@');
+    const candidates = packs
+      .filter(pack => pack.id === id && (!version || pack.version === version))
+      .sort((a, b) => RuleEngine.compareVersions(b.version, a.version));
+
+    if (candidates.length === 0) {
+      throw new Error(`Triage rule pack not found: ${selector}`);
+    }
+    return candidates[0];
+  }
+
+  async analyzeSymptoms(symptoms, vitalSigns = {}, location = {}) {
+    try {
+      const normalizedSymptoms = this.normalizeInput(symptoms);
+
+      // Negated findings count for nothing; resolved past findings still inform the
+      // diagnosis but no longer drive triage or emergency actions. An absent vital function
+      // ("no breathing", "not conscious") is a finding, and goes to the triage core as a primary survey.
+      const findings = this.qualifySymptoms(normalizedSymptoms);
+      const presentFindings = findings.filter(finding => !finding.negated);
+      const activeFindings = presentFindings.filter(finding => !finding.resolved);
+      const presentSymptoms = presentFindings.map(finding => finding.text);
+
+      const triage = this.evaluateTriageRules(activeFindings, vitalSigns);
+      const differential = this.buildDifferential(presentFindings);
+      const analysis = {
+        primaryDiagnosis: differential[0] || this.getDefaultDiagnosis(),
+        differentialDiagnosis: differential,
+        triageLevel: triage.level,
+        rulePack: triage.rulePack,
+        confidence: this.calculateConfidence(presentSymptoms),
+        firstAidSteps: [],
+        emergencyActions: [],
+        militaryContext: {},
+        timestamp: new Date(),
+        vitalSignsAssessment: this.assessVitalSigns(vitalSigns),
+        vitalScores: this.scoreVitalSigns(vitalSigns),
+        primarySurvey: this.surveyFromFindings(activeFindings)
+      };
+
+      // Generate first aid steps, merged across the differential in MARCH order
+      analysis.firstAidSteps = differential.length > 1
+        ? this.mergeFirstAidByMarch(differential)
+        : this.generateFirstAidSteps(analysis.primaryDiagnosis);
+      
+      // Check for emergency actions
+      const actionTriggers = this.traceEmergencyActions(activeFindings.map(finding => finding.text));
+      analysis.emergencyActions = actionTriggers.flatMap(trigger => trigger.actions);
+      
+      // Apply military context
+      analysis.militaryContext = this.applyMilitaryContext(presentSymptoms, location);
+
+      // Record why the analysis came out this way
+      analysis.explanation = this.buildExplanation(presentSymptoms, triage, actionTriggers, findings);
+
+      return analysis;
+    } catch (error) {
+      console.error('Symptom analysis error:', error);
+      return this.getEmergencyFallback(symptoms);
+    }
+  }
+
+  normalizeInput(symptoms) {
+    if (typeof symptoms === 'string') {
+      return symptoms.toLowerCase().split(/[,\\.]+/).map(s => s.trim()).filter(s => s);
+    }
+    return Array.isArray(symptoms) ? symptoms : [symptoms];
+  }
+
+  // Negation, past/resolved state and severity modifiers for every clause of the input
+  qualifySymptoms(symptoms) {
+    return this.lexicon.qualify(symptoms.map(symptom => String(symptom)));
+  }
+
+  // Primary-survey fields stated by absent-function findings, e.g. { breathing: 'absent' } for "not breathing"
+  surveyFromFindings(findings) {
+    return findings
+      .filter(finding => finding.absentFunction?.survey)
+      .reduce((survey, finding) => ({ ...survey, ...finding.absentFunction.survey }), {});
+  }
+
+  matchSymptoms(symptoms) {
+    return this.buildDifferential(symptoms)[0] || this.getDefaultDiagnosis();
+  }
+
+  // Every symptomMap condition matched by at least one symptom, ranked by confidence then triage priority.
+  // Accepts plain strings or qualified findings, whose severity and resolved state are carried through.
+  buildDifferential(symptoms) {
+    const differential = [];
+    const findings = symptoms.map(symptom =>
+      typeof symptom === 'string' ? { text: symptom, severity: null, resolved: false } : symptom
+    );
+
+    for (const [key, condition] of Object.entries(this.symptomMap)) {
+      let best = { similarity: 0, finding: null };
+
+      findings.forEach(finding => {
+        const similarity = this.calculateSimilarity(finding.text, key);
+        if (similarity > best.similarity) {
+          best = { similarity, finding };
+        }
+      });
+
+      if (best.similarity > this.confidenceThreshold) {
+        differential.push({
+          diagnosis: condition.diagnosis,
+          condition: key,
+          confidence: best.similarity,
+          triage: condition.triage,
+          matchedSymptom: best.finding.text,
+          bodyParts: this.lexicon.extractBodyParts(best.finding.text),
+          severity: best.finding.severity?.modifier || null,
+          historical: best.finding.resolved,
+          metadata: condition
+        });
+      }
+    }
+
+    return differential.sort((a, b) =>
+      (b.confidence - a.confidence) ||
+      ((TRIAGE_PRIORITY[a.triage] || 5) - (TRIAGE_PRIORITY[b.triage] || 5))
+    );
+  }
+
+  getDefaultDiagnosis() {
+    return {
+      diagnosis: 'General First Aid Required',
+      confidence: 0.3,
+      metadata: {
+        triage: 'MINOR',
+        firstAid: [
+          "Keep patient calm and comfortable",
+          "Monitor vital signs",
+          "Seek medical assistance when possible",
+          "Document symptoms and timeline"
+        ]
+      }
+    };
+  }
+
+  getMarchPhase(step) {
+    const lowerStep = step.toLowerCase();
+    const index = MARCH_PHASES.findIndex(phase =>
+      phase.keywords.some(keyword => lowerStep.includes(keyword))
+    );
+    return index === -1 ? MARCH_PHASES.length : index;
+  }
+
+  // Merge first-aid steps from every differential entry, de-duplicated and ordered M-A-R-C-H
+  mergeFirstAidByMarch(differential) {
+    const seen = new Set();
+    const steps = [];
+
+    differential.forEach(entry => {
+      (entry.metadata?.firstAid || []).forEach(step => {
+        const key = step.toLowerCase();
+        if (!seen.has(key)) {
+          seen.add(key);
+          steps.push({ step, phase: this.getMarchPhase(step), order: steps.length });
+        }
+      });
+    });
+
+    return steps
+      .sort((a, b) => (a.phase - b.phase) || (a.order - b.order))
+      .map(({ step }) => step);
+  }
+
+  // Lexicon-aware similarity: synonyms, abbreviations, stemming and misspellings all count
+  calculateSimilarity(symptom, condition) {
+    return this.lexicon.similarity(symptom, condition);
+  }
+
+  // Shock index, GCS, RTS and NEWS2 with their components; scores the payload cannot support are null
+  scoreVitalSigns(vitalSigns = {}) {
+    const { vitals, ...scores } = this.vitalScorer.score(vitalSigns);
+    return scores;
+  }
+
+  // Rule packs see normalized vitals plus the computed scores under "scores.*", and each finding as the
+  // lexicon read it: abbreviations expanded and spelling corrected, and the canonical concepts it names
+  evaluateTriageRules(symptoms, vitalSigns = {}) {
+    const ruleInputs = this.vitalScorer.toRuleInputs(this.vitalScorer.score(vitalSigns));
+    const findings = symptoms.map(symptom => {
+      const finding = typeof symptom === 'string' ? { text: symptom, severity: null } : symptom;
+      const { normalized, concepts } = this.lexicon.analyze(finding.text);
+      const names = concepts.map(match => match.concept);
+      return { ...finding, concepts: names, interpretations: [normalized, ...names] };
+    });
+    return this.ruleEngine.evaluate(findings, ruleInputs);
+  }
+
+  assessTriageLevel(symptoms, vitalSigns) {
+    return this.evaluateTriageRules(symptoms, vitalSigns).level;
+  }
+
+  assessVitalSigns(vitalSigns) {
+    const assessment = { status: 'NORMAL', concerns: [] };
+    const vitals = this.vitalScorer.normalize(vitalSigns);
+    const systolic = vitals.bloodPressure?.systolic;
+    const gcs = this.vitalScorer.glasgowComaScale(vitals);
+
+    if (vitals.heartRate > 100) assessment.concerns.push('Tachycardia');
+    if (vitals.heartRate < 60) assessment.concerns.push('Bradycardia');
+    if (vitals.respiratoryRate > 20) assessment.concerns.push('Tachypnea');
+    if (vitals.respiratoryRate < 10) assessment.concerns.push('Bradypnea');
+    if (systolic < 90) assessment.concerns.push('Hypotension');
+    if (vitals.oxygenSaturation < 94) assessment.concerns.push('Hypoxia');
+    if (vitals.temperature < 35) assessment.concerns.push('Hypothermia');
+    if (vitals.temperature > 38) assessment.concerns.push('Fever');
+    if (vitals.capillaryRefill > 2) assessment.concerns.push('Delayed capillary refill');
+    if (gcs && gcs.value < 15) assessment.concerns.push('Altered level of consciousness');
+    
+    if (assessment.concerns.length > 0) {
+      assessment.status = 'ABNORMAL';
+    }
+    
+    return assessment;
+  }
+
+  generateFirstAidSteps(diagnosisResult) {
+    if (diagnosisResult.metadata && diagnosisResult.metadata.firstAid) {
+      return diagnosisResult.metadata.firstAid;
+    }
+    
+    // Fallback first aid steps
+    return [
+      "Ensure scene safety",
+      "Check responsiveness",
+      "Call for medical assistance",
+      "Provide basic life support if needed",
+      "Monitor patient condition",
+      "Document all actions taken"
+    ];
+  }
+
+  getEmergencyActions(symptoms) {
+    return this.traceEmergencyActions(symptoms).flatMap(trigger => trigger.actions);
+  }
+
+  traceEmergencyActions(symptoms) {
+    const lowerSymptoms = symptoms.map(s => s.toLowerCase());
+    const fired = [];
+
+    EMERGENCY_ACTION_TRIGGERS.forEach(trigger => {
+      for (const symptom of lowerSymptoms) {
+        const keyword = trigger.keywords.find(k => symptom.includes(k));
+        if (keyword) {
+          fired.push({ trigger: trigger.id, symptom, keyword, actions: trigger.actions });
+          break;
+        }
+      }
+    });
+
+    return fired;
+  }
+
+  // Best symptomMap key for every normalized symptom, whether or not it cleared the threshold
+  explainSymptomMatches(symptoms) {
+    return symptoms.map(symptom => {
+      let best = { key: null, similarity: 0 };
+
+      for (const key of Object.keys(this.symptomMap)) {
+        const similarity = this.calculateSimilarity(symptom, key);
+        if (similarity > best.similarity) {
+          best = { key, similarity };
+        }
+      }
+
+      const interpretation = this.lexicon.analyze(symptom);
+
+      return {
+        symptom,
+        interpretedAs: interpretation.normalized,
+        concepts: interpretation.concepts,
+        bodyParts: interpretation.bodyParts,
+        matchedKey: best.key,
+        diagnosis: best.key ? this.symptomMap[best.key].diagnosis : null,
+        similarity: Math.round(best.similarity * 100) / 100,
+        accepted: best.similarity > this.confidenceThreshold
+      };
+    });
+  }
+
+  buildExplanation(symptoms, triage, actionTriggers, findings = []) {
+    return {
+      qualifiers: findings.map(({ text, negated, cue, temporal, resolved, severity, absentFunction }) => ({
+        text, negated, cue: cue || null, temporal, resolved, severity, absentFunction: absentFunction || null
+      })),
+      symptomMatches: this.explainSymptomMatches(symptoms),
+      similarityThreshold: this.confidenceThreshold,
+      triageScoring: {
+        level: triage.level,
+        score: triage.score,
+        thresholds: triage.thresholds,
+        contributions: triage.firedRules
+      },
+      emergencyActionTriggers: actionTriggers
+    };
+  }
+
+  applyMilitaryContext(symptoms, location) {
+    const context = {
+      combatRelated: false,
+      evacuationPriority: 3,
+      fieldTreatment: [],
+      tacticalConsiderations: []
+    };
+    
+    const lowerSymptoms = symptoms.map(s => s.toLowerCase());
+    
+    // Check for combat-related injuries
+    const combatKeywords = ['gunshot', 'shrapnel', 'blast', 'ied', 'mortar', 'ambush'];
+    context.combatRelated = lowerSymptoms.some(s => 
+      combatKeywords.some(keyword => s.includes(keyword))
+    );
+    
+    if (context.combatRelated) {
+      context.evacuationPriority = 1;
+      context.tacticalConsiderations.push("Secure area before treatment");
+      context.tacticalConsiderations.push("Consider tactical field care");
+      context.fieldTreatment.push("Apply combat tourniquet if needed");
+      context.fieldTreatment.push("Use hemostatic agents for bleeding");
+    }
+    
+    // Location-based considerations
+    if (location.coordinates) {
+      context.tacticalConsiderations.push(`Treatment at coordinates: ${location.coordinates}`);
+    }
+    
+    return context;
+  }
+
+  calculateConfidence(symptoms) {
+    if (symptoms.length === 0) return 0;
+    
+    let totalConfidence = 0;
+    let matches = 0;
+    
+    symptoms.forEach(symptom => {
+      for (const condition of Object.keys(this.symptomMap)) {
+        const similarity = this.calculateSimilarity(symptom, condition);
+        if (similarity > this.confidenceThreshold) {
+          totalConfidence += similarity;
+          matches++;
+        }
+      }
+    });
+    
+    return matches > 0 ? totalConfidence / matches : 0.3;
+  }
+
+  getEmergencyFallback(symptoms) {
+    return {
+      primaryDiagnosis: {
+        diagnosis: 'Emergency Condition - Immediate Assistance Required',
+        confidence: 0.9,
+        metadata: {
+          triage: 'IMMEDIATE'
+        }
+      },
+      triageLevel: 'IMMEDIATE',
+      confidence: 0.9,
+      firstAidSteps: [
+        "CALL FOR EMERGENCY MEDEVAC",
+        "Ensure scene safety",
+        "Check ABCs (Airway, Breathing, Circulation)",
+        "Control major bleeding",
+        "Treat for shock",
+        "Monitor vital signs continuously",
+        "Prepare for emergency evacuation"
+      ],
+      emergencyActions: [
+        "IMMEDIATE MEDICAL ATTENTION REQUIRED",
+        "PREPARE FOR RAPID EVACUATION"
+      ],
+      militaryContext: {
+        combatRelated: true,
+        evacuationPriority: 1,
+        fieldTreatment: ["Emergency trauma care required"]
+      },
+      rulePack: this.ruleEngine.getPackInfo(),
+      explanation: {
+        fallback: true,
+        reason: 'Analysis failed - emergency protocol applied'
+      },
+      timestamp: new Date()
+    };
+  }
+}
+
+export default DiagnosisEngine;
@@ -0,0 +1,392 @@
+// Medical lexicon: abbreviations, synonyms, stemming, spelling tolerance, body-part extraction
+// and negation / absent-function / temporal / severity qualifiers.
+// Pure ES module driven by ml/lexicon.json so the same data and logic can run in the browser.
+
+const MATCH_SCORES = {
+  exact: 1,
+  synonym: 0.95,
+  abbreviation: 0.95,
+  spelling: 0.85
+};
+
+class MedicalLexicon {
+  constructor(data = {}, extraTerms = []) {
+    this.version = data.version || '0.0.0';
+    this.abbreviations = data.abbreviations || {};
+    this.synonyms = data.synonyms || {};
+    this.bodyParts = data.bodyParts || {};
+    this.stopWords = new Set(data.stopWords || []);
+    this.stemSuffixes = data.stemSuffixes || [];
+    this.spelling = {
+      minWordLength: 5,
+      maxDistance: 1,
+      longWordLength: 8,
+      longWordMaxDistance: 2,
+      ...data.spelling
+    };
+    this.qualifiers = {
+      negationCues: [],
+      absentFunctions: [],
+      absentFunctionFillers: [],
+      absentFunctionContext: [],
+      clauseBreaks: [],
+      pastMarkers: [],
+      presentMarkers: [],
+      severity: {},
+      ...data.qualifiers
+    };
+
+    this.stopStems = new Set([...this.stopWords].map(word => this.stem(word)));
+    this.conceptPhrases = this.buildConceptPhrases(extraTerms);
+    this.bodyPartPhrases = this.buildBodyPartPhrases();
+    this.vocabulary = this.buildVocabulary(extraTerms);
+    this.vocabularyStems = new Set(this.vocabulary.map(word => this.stem(word)));
+    this.analysisCache = new Map();
+  }
+
+  buildConceptPhrases(extraTerms) {
+    const phrases = [];
+    const canonicalTerms = new Set([...Object.keys(this.synonyms), ...extraTerms]);
+
+    canonicalTerms.forEach(term => {
+      phrases.push({ stems: this.stemPhrase(term), concept: term, via: 'exact' });
+      (this.synonyms[term] || []).forEach(synonym => {
+        phrases.push({ stems: this.stemPhrase(synonym), concept: term, via: 'synonym' });
+      });
+    });
+
+    // Longest phrases first so "broken bone" wins over "broken"
+    return phrases.sort((a, b) => b.stems.length - a.stems.length);
+  }
+
+  buildBodyPartPhrases() {
+    const phrases = [];
+
+    Object.entries(this.bodyParts).forEach(([region, terms]) => {
+      terms.forEach(term => phrases.push({ stems: this.stemPhrase(term), region }));
+    });
+
+    return phrases.sort((a, b) => b.stems.length - a.stems.length);
+  }
+
+  buildVocabulary(extraTerms) {
+    const words = new Set();
+    const addWords = text => this.splitWords(text).forEach(word => words.add(word));
+
+    Object.entries(this.synonyms).forEach(([term, synonyms]) => {
+      addWords(term);
+      synonyms.forEach(addWords);
+    });
+    Object.values(this.bodyParts).flat().forEach(addWords);
+    Object.values(this.abbreviations).forEach(addWords);
+    extraTerms.forEach(addWords);
+
+    return [...words];
+  }
+
+  splitWords(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  // Strips one suffix, then a silent final "e", so "fractured" / "fracture" and "bones" / "bone" share a stem
+  stem(word) {
+    const suffix = this.stemSuffixes.find(s => word.endsWith(s) && word.length - s.length >= 3);
+    const base = suffix ? word.slice(0, -suffix.length) : word;
+    return base.length >= 4 && base.endsWith('e') ? base.slice(0, -1) : base;
+  }
+
+  stemPhrase(text) {
+    return this.splitWords(text).map(word => this.stem(word));
+  }
+
+  // Tokens carry their origin so matches can report how much interpretation was needed
+  tokenize(text) {
+    const tokens = [];
+
+    this.splitWords(text).forEach(word => {
+      const expansion = this.abbreviations[word];
+
+      if (expansion) {
+        this.splitWords(expansion).forEach(expanded => {
+          tokens.push({ word: expanded, stem: this.stem(expanded), origin: 'abbreviation', source: word });
+        });
+        return;
+      }
+
+      const corrected = this.correctSpelling(word);
+      tokens.push({
+        word: corrected,
+        stem: this.stem(corrected),
+        origin: corrected === word ? 'text' : 'spelling',
+        source: word
+      });
+    });
+
+    return tokens;
+  }
+
+  correctSpelling(word) {
+    const { minWordLength, maxDistance, longWordLength, longWordMaxDistance } = this.spelling;
+
+    if (word.length < minWordLength || this.stopWords.has(word) || /\d/.test(word)) return word;
+    // An inflection of a known word ("fractured", "bones") is not a misspelling
+    if (this.vocabularyStems.has(this.stem(word))) return word;
+
+    const tolerance = word.length >= longWordLength ? longWordMaxDistance : maxDistance;
+    let best = { word, distance: tolerance + 1 };
+
+    this.vocabulary.forEach(candidate => {
+      if (Math.abs(candidate.length - word.length) > tolerance) return;
+      const distance = MedicalLexicon.editDistance(word, candidate, tolerance);
+      if (distance < best.distance) {
+        best = { word: candidate, distance };
+      }
+    });
+
+    return best.distance <= tolerance ? best.word : word;
+  }
+
+  // Levenshtein distance, abandoning early once every path exceeds the limit
+  static editDistance(a, b, limit = Infinity) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > limit) return limit + 1;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  findPhrases(tokens, phrases, onMatch) {
+    const stems = tokens.map(token => token.stem);
+    let i = 0;
+
+    while (i < stems.length) {
+      const phrase = phrases.find(p =>
+        p.stems.length > 0 && p.stems.every((stem, offset) => stems[i + offset] === stem)
+      );
+
+      if (phrase) {
+        onMatch(phrase, tokens.slice(i, i + phrase.stems.length));
+        i += phrase.stems.length;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  // Interpret free text: canonical concepts found, body regions mentioned and the leftover words
+  analyze(text) {
+    if (this.analysisCache.has(text)) return this.analysisCache.get(text);
+
+    const tokens = this.tokenize(text);
+    const concepts = [];
+    const bodyParts = [];
+
+    this.findPhrases(tokens, this.conceptPhrases, (phrase, matched) => {
+      const origins = matched.map(token => token.origin);
+      const via = origins.includes('spelling') ? 'spelling'
+        : origins.includes('abbreviation') ? 'abbreviation'
+        : phrase.via;
+
+      concepts.push({
+        concept: phrase.concept,
+        via,
+        matched: [...new Set(matched.map(token => token.source))].join(' '),
+        score: MATCH_SCORES[via]
+      });
+    });
+
+    this.findPhrases(tokens, this.bodyPartPhrases, phrase => {
+      if (!bodyParts.includes(phrase.region)) bodyParts.push(phrase.region);
+    });
+
+    const result = {
+      tokens,
+      concepts,
+      bodyParts,
+      normalized: tokens.map(token => token.word).join(' ')
+    };
+
+    if (this.analysisCache.size >= 500) this.analysisCache.clear();
+    this.analysisCache.set(text, result);
+    return result;
+  }
+
+  extractBodyParts(text) {
+    return this.analyze(text).bodyParts;
+  }
+
+  // Similarity of free text to a canonical condition term, in [0, 1]
+  similarity(text, term) {
+    const analysis = this.analyze(text);
+    const concept = analysis.concepts
+      .filter(c => c.concept === term)
+      .sort((a, b) => b.score - a.score)[0];
+
+    if (concept) return concept.score;
+
+    // Fall back to stemmed Jaccard, ignoring stop words
+    const significant = stems => new Set(stems.filter(stem => !this.stopStems.has(stem)));
+    const textStems = significant(analysis.tokens.map(token => token.stem));
+    const termStems = significant(this.stemPhrase(term));
+
+    const intersection = [...textStems].filter(stem => termStems.has(stem));
+    const union = new Set([...textStems, ...termStems]);
+
+    return union.size > 0 ? intersection.length / union.size : 0;
+  }
+
+  // Split symptom text into clauses at punctuation, contrast words ("but") and before "now"
+  splitClauses(text) {
+    const { clauseBreaks, presentMarkers } = this.qualifiers;
+    const escape = word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const breaks = clauseBreaks.map(escape).join('|');
+    const present = presentMarkers.map(escape).join('|');
+    const pattern = new RegExp(
+      [
+        '[,.;]+',
+        breaks && `\\b(?:${breaks})\\b`,
+        present && `(?=\\b(?:${present})\\b)`
+      ].filter(Boolean).join('|'),
+      'i'
+    );
+
+    return String(text).split(pattern).map(clause => clause?.trim()).filter(Boolean);
+  }
+
+  // Index and length of the first negation cue
+  findNegationCue(words) {
+    const cues = this.qualifiers.negationCues.map(cue => this.splitWords(cue));
+    const startsAt = (phrase, i) => phrase.every((word, offset) => words[i + offset] === word);
+
+    for (let i = 0; i < words.length; i++) {
+      const cue = cues.find(c => c.length > 0 && startsAt(c, i));
+      if (cue) return { index: i, length: cue.length };
+    }
+
+    return null;
+  }
+
+  // The vital function ("breathing", "pulse", "responsive") a negated phrase consists of, so that "no breathing",
+  // "not conscious" or "pulse not palpable" read as a finding rather than a pertinent negative. Fillers are
+  // ignored; the phrase may go on with context ("after the blast"), returned as the index where it starts.
+  findAbsentFunction(words) {
+    const { absentFunctions, absentFunctionFillers, absentFunctionContext } = this.qualifiers;
+    const significant = list => list.filter(word => word && !absentFunctionFillers.includes(word)).join(' ');
+    const contextAt = words.findIndex(word => absentFunctionContext.includes(word));
+    const end = contextAt === -1 ? words.length : contextAt;
+    const phrase = significant(words.slice(0, end));
+
+    if (!phrase) return null;
+    const entry = absentFunctions.find(candidate =>
+      candidate.terms.some(term => significant(this.splitWords(term)) === phrase)
+    );
+    return entry ? { entry, contextAt: end } : null;
+  }
+
+  // Absent-function entry named outright ("apneic", "unresponsive") anywhere in an affirmed clause
+  findAbsentFunctionAlias(words) {
+    const text = ` ${words.join(' ')} `;
+    return this.qualifiers.absentFunctions.find(entry =>
+      (entry.aliases || []).some(alias => text.includes(` ${this.splitWords(alias).join(' ')} `))
+    ) || null;
+  }
+
+  qualifyClause(clause) {
+    const { pastMarkers, presentMarkers, severity } = this.qualifiers;
+    const original = clause.split(/\s+/);
+    const words = original.map(word => this.splitWords(word).join(''));
+
+    const temporal = words.some(word => presentMarkers.includes(word)) ? 'current'
+      : words.some(word => pastMarkers.includes(word)) ? 'past'
+      : 'current';
+    const modifier = words.find(word => severity[word] !== undefined);
+    const qualifiers = {
+      temporal,
+      explicitlyCurrent: words.some(word => presentMarkers.includes(word)),
+      severity: modifier ? { modifier, factor: severity[modifier] } : null
+    };
+    // "was" left before "not breathing" is not a finding of its own
+    const hasContent = finding => this.splitWords(finding.text).some(word =>
+      !this.stopWords.has(word) && !pastMarkers.includes(word) && !presentMarkers.includes(word)
+    );
+    const absentFunction = entry => ({ finding: entry.finding, survey: entry.survey || null });
+    const absentFinding = (entry, cue) => ({
+      text: entry.finding,
+      negated: false,
+      cue,
+      absentFunction: absentFunction(entry),
+      ...qualifiers
+    });
+
+    const cue = this.findNegationCue(words);
+    if (!cue) {
+      const alias = this.findAbsentFunctionAlias(words);
+      return [{ text: clause, negated: false, ...(alias && { absentFunction: absentFunction(alias) }), ...qualifiers }];
+    }
+
+    const cueText = original.slice(cue.index, cue.index + cue.length).join(' ').toLowerCase();
+    const afterCue = cue.index + cue.length;
+
+    // "pulse absent", "breathing not detected": the function is everything before the cue
+    if (words.slice(afterCue).every(word => !word || this.qualifiers.absentFunctionFillers.includes(word))) {
+      const postposed = this.findAbsentFunction(words.slice(0, cue.index));
+      if (postposed?.contextAt === cue.index) return [absentFinding(postposed.entry, cueText)];
+    }
+
+    // "no breathing", "not conscious after the blast": an absent vital function is a finding, not a negation;
+    // the context after it is qualified as a clause of its own
+    const absent = this.findAbsentFunction(words.slice(afterCue));
+    if (absent) {
+      const context = original.slice(afterCue + absent.contextAt).join(' ');
+      return [
+        { text: original.slice(0, cue.index).join(' '), negated: false, ...qualifiers },
+        absentFinding(absent.entry, cueText)
+      ].filter(hasContent).concat(context ? this.qualifyClause(context) : []);
+    }
+
+    // Negation scopes from the cue to the end of the clause; anything before it stays affirmed
+    return [
+      { text: original.slice(0, cue.index).join(' '), negated: false, ...qualifiers },
+      {
+        text: original.slice(cue.index + cue.length).join(' '),
+        negated: true,
+        cue: cueText,
+        ...qualifiers
+      }
+    ].filter(hasContent);
+  }
+
+  // Qualify symptom statements: negated, absent vital functions, past (and resolved when a later clause
+  // says "now"), severity
+  qualify(symptoms) {
+    const statements = Array.isArray(symptoms) ? symptoms : [symptoms];
+    const findings = statements
+      .flatMap(statement => this.splitClauses(statement))
+      .flatMap(clause => this.qualifyClause(clause));
+
+    return findings.map((finding, index) => {
+      const { explicitlyCurrent, ...rest } = finding;
+      const resolved = finding.temporal === 'past' &&
+        findings.slice(index + 1).some(later => later.explicitlyCurrent);
+      return { ...rest, resolved };
+    });
+  }
+}
+
+export default MedicalLexicon;
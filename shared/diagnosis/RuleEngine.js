@@ -0,0 +1,274 @@
+// Weighted triage rule engine driven by versioned JSON rule packs (see backend/ml/rulePacks)
+import TriageCore from '../triage/TriageCore.js';
+
+// A low score means nothing urgent was found, so it can never make a casualty EXPECTANT
+const FALLBACK_LEVELS = ['IMMEDIATE', 'DELAYED', 'MINOR'];
+const triageCore = new TriageCore();
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+class RuleEngine {
+  constructor(pack, keywordSets = {}) {
+    const errors = RuleEngine.validatePack(pack);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule pack ${pack?.id}@${pack?.version}: ${errors.join('; ')}`);
+    }
+
+    this.pack = pack;
+    this.keywordRules = pack.keywordRules.map(rule => ({
+      ...rule,
+      keywords: this.resolveKeywords(rule, keywordSets)
+    }));
+  }
+
+  static validatePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object') {
+      return ['Rule pack must be an object'];
+    }
+
+    if (!pack.id) errors.push('id is required');
+    if (!/^\d+\.\d+\.\d+$/.test(pack.version || '')) errors.push('version must be semantic (e.g. 1.0.0)');
+
+    const thresholds = pack.thresholds || {};
+    ['IMMEDIATE', 'DELAYED', 'MINOR'].forEach(level => {
+      if (typeof thresholds[level] !== 'number') {
+        errors.push(`thresholds.${level} must be a number`);
+      }
+    });
+
+    if (pack.fallbackLevel && !FALLBACK_LEVELS.includes(pack.fallbackLevel)) {
+      errors.push(`fallbackLevel must be one of ${FALLBACK_LEVELS.join(', ')}`);
+    }
+
+    const ruleIds = new Set();
+    const checkRule = (rule, type) => {
+      if (!rule.id) errors.push(`${type} rule without id`);
+      if (ruleIds.has(rule.id)) errors.push(`duplicate rule id ${rule.id}`);
+      ruleIds.add(rule.id);
+      if (typeof rule.weight !== 'number') errors.push(`rule ${rule.id} weight must be a number`);
+    };
+
+    // The rules of one list; a list that is not an array is an error (keywordRules is also required)
+    const rulesOf = (key, required = false) => {
+      if (Array.isArray(pack[key])) return pack[key];
+      if (required || pack[key] !== undefined) errors.push(`${key} must be an array`);
+      return [];
+    };
+    const combinationRules = rulesOf('combinationRules');
+
+    rulesOf('keywordRules', true).forEach(rule => {
+      checkRule(rule, 'keyword');
+      if (!rule.keywordSet && !Array.isArray(rule.keywords)) {
+        errors.push(`keyword rule ${rule.id} needs keywordSet or keywords`);
+      }
+    });
+
+    rulesOf('vitalRules').forEach(rule => {
+      checkRule(rule, 'vital');
+      if (!rule.vital) errors.push(`vital rule ${rule.id} needs a vital`);
+      (rule.conditions || []).forEach(condition => {
+        if (!OPERATORS[condition.op]) errors.push(`vital rule ${rule.id} has unknown operator ${condition.op}`);
+        if (condition.weight !== undefined && typeof condition.weight !== 'number') {
+          errors.push(`vital rule ${rule.id} condition weight must be a number`);
+        }
+      });
+    });
+
+    rulesOf('severityRules').forEach(rule => {
+      checkRule(rule, 'severity');
+      if (typeof rule.minFactor !== 'number') errors.push(`severity rule ${rule.id} minFactor must be a number`);
+      if (rule.concepts !== undefined && !Array.isArray(rule.concepts)) {
+        errors.push(`severity rule ${rule.id} concepts must be an array`);
+      }
+    });
+
+    combinationRules.forEach(rule => {
+      checkRule(rule, 'combination');
+      if (!Array.isArray(rule.requires) || rule.requires.length === 0) {
+        errors.push(`combination rule ${rule.id} needs a requires list`);
+      }
+    });
+
+    combinationRules.forEach(rule => {
+      (rule.requires || []).forEach(requiredId => {
+        if (!ruleIds.has(requiredId)) errors.push(`combination rule ${rule.id} requires unknown rule ${requiredId}`);
+      });
+    });
+
+    return errors;
+  }
+
+  resolveKeywords(rule, keywordSets) {
+    const fromSet = rule.keywordSet ? keywordSets[rule.keywordSet] || [] : [];
+    const keywords = [...fromSet, ...(rule.keywords || [])].map(keyword => keyword.toLowerCase());
+    return [...new Set(keywords)];
+  }
+
+  getPackInfo() {
+    return {
+      id: this.pack.id,
+      version: this.pack.version,
+      theatre: this.pack.theatre || 'general'
+    };
+  }
+
+  evaluate(symptoms, vitalSigns = {}) {
+    const firedRules = [
+      ...this.evaluateKeywordRules(symptoms),
+      ...this.evaluateSeverityRules(symptoms),
+      ...this.evaluateVitalRules(vitalSigns)
+    ];
+
+    firedRules.push(...this.evaluateCombinationRules(firedRules));
+
+    const score = firedRules.reduce((total, rule) => total + rule.weight, 0);
+
+    return {
+      level: this.scoreToLevel(score),
+      score,
+      thresholds: this.pack.thresholds,
+      firedRules,
+      rulePack: this.getPackInfo()
+    };
+  }
+
+  // Each symptom contributes the weight of the first keyword rule it matches, in pack order.
+  // Symptoms may be plain strings or qualified findings ({ text, severity, concepts, interpretations })
+  // from the lexicon; a rule matches the text as written or as the lexicon read it ("GSW to thigh" is
+  // "gunshot wound to thigh"). A severity modifier scales the weight unless the keyword already names it
+  // ("severe bleeding").
+  evaluateKeywordRules(symptoms) {
+    return symptoms.map(entry => this.matchKeywordRule(entry)).filter(Boolean);
+  }
+
+  matchKeywordRule(entry) {
+    const symptom = typeof entry === 'string' ? entry : entry.text;
+    const severity = typeof entry === 'string' ? null : entry.severity;
+    const readings = [symptom, ...(entry.interpretations || [])].map(text => text.toLowerCase());
+
+    for (const rule of this.keywordRules) {
+      for (const reading of readings) {
+        const keyword = rule.keywords.find(k => reading.includes(k));
+        if (!keyword) continue;
+
+        const scaled = severity && !keyword.includes(severity.modifier);
+        return {
+          id: rule.id,
+          type: 'keyword',
+          weight: scaled ? Math.round(rule.weight * severity.factor) : rule.weight,
+          description: rule.description,
+          evidence: {
+            symptom,
+            keyword,
+            ...(reading !== readings[0] && { interpretedAs: reading }),
+            ...(scaled && { severity })
+          }
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // A finding whose severity modifier reaches a rule's minFactor (and that mentions one of its lexicon
+  // concepts, when the rule lists any) fires the first such rule, keyword or not. When a keyword rule
+  // already scored the finding, only the difference is added, so the finding weighs the larger of the two.
+  evaluateSeverityRules(symptoms) {
+    const fired = [];
+
+    symptoms.forEach(entry => {
+      if (typeof entry === 'string' || !entry.severity) return;
+
+      const concepts = entry.concepts || [];
+      const rule = (this.pack.severityRules || []).find(r =>
+        entry.severity.factor >= r.minFactor && (!r.concepts || r.concepts.some(concept => concepts.includes(concept)))
+      );
+      if (!rule) return;
+
+      const keywordRule = this.matchKeywordRule(entry);
+      const weight = rule.weight - (keywordRule?.weight || 0);
+      if (weight <= 0) return;
+
+      fired.push({
+        id: rule.id,
+        type: 'severity',
+        weight,
+        description: rule.description,
+        evidence: {
+          symptom: entry.text,
+          severity: entry.severity,
+          concepts: rule.concepts ? rule.concepts.filter(concept => concepts.includes(concept)) : concepts,
+          raises: keywordRule ? { rule: keywordRule.id, weight: keywordRule.weight } : null
+        }
+      });
+    });
+
+    return fired;
+  }
+
+  evaluateVitalRules(vitalSigns) {
+    const fired = [];
+
+    (this.pack.vitalRules || []).forEach(rule => {
+      const value = this.getVitalValue(vitalSigns, rule.vital);
+      if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+      // Conditions are checked in order; a condition may carry its own weight for graded scores
+      const condition = rule.conditions.find(c => OPERATORS[c.op](value, c.value));
+      if (condition) {
+        fired.push({
+          id: rule.id,
+          type: 'vital',
+          weight: condition.weight ?? rule.weight,
+          description: rule.description,
+          evidence: { vital: rule.vital, value, condition: `${condition.op} ${condition.value}` }
+        });
+      }
+    });
+
+    return fired;
+  }
+
+  evaluateCombinationRules(firedRules) {
+    const firedIds = new Set(firedRules.map(rule => rule.id));
+
+    return (this.pack.combinationRules || [])
+      .filter(rule => rule.requires.every(id => firedIds.has(id)))
+      .map(rule => ({
+        id: rule.id,
+        type: 'combination',
+        weight: rule.weight,
+        description: rule.description,
+        evidence: { requires: rule.requires }
+      }));
+  }
+
+  getVitalValue(vitalSigns, vitalPath) {
+    return vitalPath.split('.').reduce((value, key) => value?.[key], vitalSigns);
+  }
+
+  scoreToLevel(score) {
+    return triageCore.levelForScore(score, this.pack.thresholds, this.pack.fallbackLevel);
+  }
+
+  // Compare semantic versions; positive when a is newer than b
+  static compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+      if (pa[i] !== pb[i]) return pa[i] - pb[i];
+    }
+    return 0;
+  }
+}
+
+export default RuleEngine;
@@ -0,0 +1,258 @@
+// Validated physiological scores from a vitalSigns payload: shock index, GCS, Revised Trauma Score and NEWS2.
+// Pure ES module with no Node dependencies so it can also run on an offline client.
+
+const AVPU_LEVELS = {
+  A: 'ALERT',
+  V: 'VOICE',
+  P: 'PAIN',
+  U: 'UNRESPONSIVE'
+};
+
+// Conventional GCS equivalents used when only AVPU was recorded
+const AVPU_TO_GCS = { A: 15, V: 13, P: 8, U: 3 };
+
+// Coded values for the Revised Trauma Score (Champion et al., 1989)
+const RTS_WEIGHTS = { gcs: 0.9368, systolic: 0.7326, respiratoryRate: 0.2908 };
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// First band whose upper bound (inclusive) holds the value; bands are [max, points]
+const band = (value, bands) => bands.find(([max]) => value <= max)[1];
+
+class VitalSignScorer {
+  // Coerce form-style input ("120/80", "98", "v") into numbers and canonical codes
+  normalize(vitalSigns = {}) {
+    const toNumber = value => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    };
+
+    const normalized = {};
+
+    ['heartRate', 'respiratoryRate', 'oxygenSaturation', 'temperature', 'capillaryRefill'].forEach(key => {
+      const value = toNumber(vitalSigns[key]);
+      if (value !== undefined) normalized[key] = value;
+    });
+
+    const bloodPressure = this.parseBloodPressure(vitalSigns.bloodPressure);
+    if (bloodPressure) normalized.bloodPressure = bloodPressure;
+
+    const avpu = this.parseAvpu(vitalSigns.avpu);
+    if (avpu) normalized.avpu = avpu;
+
+    if (vitalSigns.gcs && typeof vitalSigns.gcs === 'object') {
+      const gcs = {
+        eye: toNumber(vitalSigns.gcs.eye),
+        verbal: toNumber(vitalSigns.gcs.verbal),
+        motor: toNumber(vitalSigns.gcs.motor)
+      };
+      if (Object.values(gcs).every(value => value !== undefined)) normalized.gcs = gcs;
+    }
+
+    if (vitalSigns.supplementalOxygen !== undefined) {
+      normalized.supplementalOxygen = vitalSigns.supplementalOxygen === true || vitalSigns.supplementalOxygen === 'true';
+    }
+
+    return normalized;
+  }
+
+  parseBloodPressure(bloodPressure) {
+    if (!bloodPressure) return null;
+
+    if (typeof bloodPressure === 'object') {
+      const systolic = Number(bloodPressure.systolic);
+      const diastolic = Number(bloodPressure.diastolic);
+      return Number.isFinite(systolic)
+        ? { systolic, diastolic: Number.isFinite(diastolic) ? diastolic : undefined }
+        : null;
+    }
+
+    const match = String(bloodPressure).trim().match(/^(\d{1,3})(?:\s*\/\s*(\d{1,3}))?$/);
+    if (!match) return null;
+
+    return {
+      systolic: Number(match[1]),
+      diastolic: match[2] !== undefined ? Number(match[2]) : undefined
+    };
+  }
+
+  parseAvpu(avpu) {
+    if (!avpu) return null;
+    const code = String(avpu).trim().charAt(0).toUpperCase();
+    return AVPU_LEVELS[code] ? code : null;
+  }
+
+  shockIndex(vitals) {
+    const systolic = vitals.bloodPressure?.systolic;
+    if (vitals.heartRate === undefined || !systolic) return null;
+
+    const value = round(vitals.heartRate / systolic);
+    const [severity, interpretation] =
+      value >= 1.4 ? ['SEVERE', 'Severe shock - anticipate massive transfusion'] :
+      value >= 1.0 ? ['HIGH', 'Shock likely - significant blood loss'] :
+      value >= 0.9 ? ['ELEVATED', 'Possible occult shock - reassess frequently'] :
+      ['NORMAL', 'Within normal range'];
+
+    return {
+      value,
+      components: { heartRate: vitals.heartRate, systolic },
+      severity,
+      interpretation
+    };
+  }
+
+  glasgowComaScale(vitals) {
+    let components;
+    let estimated = false;
+
+    if (vitals.gcs) {
+      components = vitals.gcs;
+    } else if (vitals.avpu) {
+      components = { avpu: vitals.avpu };
+      estimated = true;
+    } else {
+      return null;
+    }
+
+    const value = estimated
+      ? AVPU_TO_GCS[vitals.avpu]
+      : components.eye + components.verbal + components.motor;
+
+    const [severity, interpretation] =
+      value <= 8 ? ['SEVERE', 'Severe brain injury - protect the airway'] :
+      value <= 12 ? ['MODERATE', 'Moderate brain injury'] :
+      value <= 14 ? ['MILD', 'Mild brain injury'] :
+      ['NORMAL', 'Fully conscious'];
+
+    return { value, components, estimated, severity, interpretation };
+  }
+
+  revisedTraumaScore(vitals, gcs) {
+    const systolic = vitals.bloodPressure?.systolic;
+    if (!gcs || systolic === undefined || vitals.respiratoryRate === undefined) return null;
+
+    const codes = {
+      gcs: band(gcs.value, [[3, 0], [5, 1], [8, 2], [12, 3], [Infinity, 4]]),
+      systolic: band(systolic, [[0, 0], [49, 1], [75, 2], [89, 3], [Infinity, 4]]),
+      respiratoryRate: vitals.respiratoryRate > 29 ? 3
+        : band(vitals.respiratoryRate, [[0, 0], [5, 1], [9, 2], [29, 4]])
+    };
+
+    const value = round(
+      codes.gcs * RTS_WEIGHTS.gcs +
+      codes.systolic * RTS_WEIGHTS.systolic +
+      codes.respiratoryRate * RTS_WEIGHTS.respiratoryRate
+    );
+    const triageScore = codes.gcs + codes.systolic + codes.respiratoryRate;
+
+    const [severity, interpretation] =
+      triageScore <= 3 ? ['CRITICAL', 'Survival unlikely without immediate intervention'] :
+      triageScore <= 10 ? ['HIGH', 'Major trauma - priority evacuation to surgical care'] :
+      triageScore === 11 ? ['MODERATE', 'Physiological compromise - urgent evacuation'] :
+      ['LOW', 'No physiological compromise'];
+
+    return {
+      value,
+      triageScore,
+      components: codes,
+      gcsEstimated: gcs.estimated,
+      severity,
+      interpretation
+    };
+  }
+
+  // NEWS2 using SpO2 scale 1; parameters that were not recorded are listed rather than assumed normal
+  news2(vitals) {
+    const parameters = {
+      respiratoryRate: vitals.respiratoryRate !== undefined
+        ? band(vitals.respiratoryRate, [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]])
+        : undefined,
+      oxygenSaturation: vitals.oxygenSaturation !== undefined
+        ? band(vitals.oxygenSaturation, [[91, 3], [93, 2], [95, 1], [Infinity, 0]])
+        : undefined,
+      supplementalOxygen: vitals.supplementalOxygen !== undefined
+        ? (vitals.supplementalOxygen ? 2 : 0)
+        : undefined,
+      systolic: vitals.bloodPressure?.systolic !== undefined
+        ? band(vitals.bloodPressure.systolic, [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]])
+        : undefined,
+      heartRate: vitals.heartRate !== undefined
+        ? band(vitals.heartRate, [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]])
+        : undefined,
+      consciousness: vitals.avpu !== undefined ? (vitals.avpu === 'A' ? 0 : 3)
+        : vitals.gcs ? (vitals.gcs.eye + vitals.gcs.verbal + vitals.gcs.motor === 15 ? 0 : 3)
+        : undefined,
+      temperature: vitals.temperature !== undefined
+        ? band(vitals.temperature, [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]])
+        : undefined
+    };
+
+    const components = Object.fromEntries(
+      Object.entries(parameters).filter(([, points]) => points !== undefined)
+    );
+    const missing = Object.keys(parameters).filter(key => parameters[key] === undefined);
+
+    if (Object.keys(components).length === 0) return null;
+
+    const value = Object.values(components).reduce((total, points) => total + points, 0);
+    const redScore = Object.values(components).some(points => points === 3);
+
+    const [severity, interpretation] =
+      value >= 7 ? ['HIGH', 'Emergency response - continuous monitoring'] :
+      value >= 5 ? ['MEDIUM', 'Urgent response - review by medic'] :
+      redScore ? ['LOW_MEDIUM', 'Single parameter in red zone - urgent review'] :
+      ['LOW', 'Routine monitoring'];
+
+    return {
+      value,
+      components,
+      complete: missing.length === 0,
+      missing,
+      severity,
+      interpretation
+    };
+  }
+
+  capillaryRefill(vitals) {
+    if (vitals.capillaryRefill === undefined) return null;
+
+    const delayed = vitals.capillaryRefill > 2;
+    return {
+      value: vitals.capillaryRefill,
+      severity: delayed ? 'DELAYED' : 'NORMAL',
+      interpretation: delayed ? 'Delayed refill - poor peripheral perfusion' : 'Normal peripheral perfusion'
+    };
+  }
+
+  // All scores that can be computed from the payload; unavailable scores are null
+  score(vitalSigns = {}) {
+    const vitals = this.normalize(vitalSigns);
+    const gcs = this.glasgowComaScale(vitals);
+
+    return {
+      vitals,
+      shockIndex: this.shockIndex(vitals),
+      gcs,
+      revisedTraumaScore: this.revisedTraumaScore(vitals, gcs),
+      news2: this.news2(vitals),
+      capillaryRefill: this.capillaryRefill(vitals)
+    };
+  }
+
+  // Flat numeric view of the scores for rule-pack vital rules (e.g. "scores.shockIndex")
+  toRuleInputs(scores) {
+    return {
+      ...scores.vitals,
+      scores: {
+        shockIndex: scores.shockIndex?.value,
+        gcs: scores.gcs?.value,
+        rts: scores.revisedTraumaScore?.value,
+        triageRts: scores.revisedTraumaScore?.triageScore,
+        news2: scores.news2?.value
+      }
+    };
+  }
+}
+
+export default VitalSignScorer;
@@ -0,0 +1,321 @@
+// MIST / ATMIST casualty handover for the MEDEVAC crew: Age, Time of injury, Mechanism, Injuries, Signs, Treatment.
+// Built from an analyzeSymptoms result, InjuryDetector detections, a vitals history and the interventions given.
+// Pure ES module shared by the backend and the PWA, so the report can be produced offline.
+
+const FORMATS = ['MIST', 'ATMIST'];
+
+// First match wins; checked against the free-text symptoms, then detected injury types
+const MECHANISMS = [
+  { mechanism: 'Blast', keywords: ['blast', 'ied', 'explosion', 'explosive', 'mortar', 'rocket', 'grenade', 'mine'] },
+  { mechanism: 'Gunshot', keywords: ['gunshot', 'gsw', 'shot', 'bullet', 'sniper'] },
+  { mechanism: 'Fragmentation', keywords: ['shrapnel', 'fragment', 'frag'] },
+  { mechanism: 'Burn', keywords: ['burn', 'fire', 'flame', 'scald'] },
+  { mechanism: 'Vehicle collision', keywords: ['vehicle', 'rollover', 'crash', 'rta', 'collision'] },
+  { mechanism: 'Fall', keywords: ['fall', 'fell'] },
+  { mechanism: 'Stab / edged weapon', keywords: ['stab', 'knife', 'bayonet'] },
+  { mechanism: 'Crush', keywords: ['crush', 'trapped', 'pinned'] }
+];
+
+const DETECTION_MECHANISMS = {
+  gunshot_wound: 'Gunshot',
+  blast_injury: 'Blast',
+  shrapnel_wound: 'Fragmentation',
+  burn: 'Burn'
+};
+
+const NON_INJURY_DETECTIONS = ['normal', 'analysis_failed'];
+
+// Vitals followed for the trend, with the direction that is a deterioration
+const TRENDED_VITALS = [
+  { key: 'heartRate', label: 'HR', worse: 'up' },
+  { key: 'systolic', label: 'SBP', worse: 'down' },
+  { key: 'respiratoryRate', label: 'RR', worse: 'up' },
+  { key: 'oxygenSaturation', label: 'SpO2', worse: 'down' }
+];
+
+const TRIAGE_TAGS = { IMMEDIATE: 'T1', DELAYED: 'T2', MINOR: 'T3', EXPECTANT: 'T4' };
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const formatTime = value => {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return null;
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+class HandoverReport {
+  /**
+   * Build the structured report.
+   * @param {Object} input - { casualty, age, timeOfInjury, mechanism, symptoms, analysis, injuryDetections,
+   *   injuries, vitalsHistory: [{ timestamp, vitals }], interventions: [{ type, details, bodyLocation, timestamp }] }
+   * @param {Object} options - { format: 'MIST' | 'ATMIST', now }
+   */
+  generate(input = {}, { format = 'ATMIST', now = new Date() } = {}) {
+    const reportFormat = FORMATS.includes(String(format).toUpperCase()) ? String(format).toUpperCase() : 'ATMIST';
+    const { casualty = {}, analysis = null } = input;
+
+    const report = {
+      format: reportFormat,
+      casualty: {
+        casualtyId: casualty.casualtyId || null,
+        soldierId: casualty.soldierId || null,
+        unit: casualty.unit || null
+      },
+      triage: this.buildTriage(input),
+      mechanism: this.deriveMechanism(input),
+      injuries: this.collectInjuries(input),
+      signs: this.summarizeSigns(input.vitalsHistory, analysis),
+      treatment: this.listTreatment(input.interventions),
+      generatedAt: now
+    };
+
+    if (reportFormat === 'ATMIST') {
+      report.age = toNumber(input.age ?? casualty.age) ?? null;
+      report.timeOfInjury = this.resolveTimeOfInjury(input);
+      report.minutesSinceInjury = report.timeOfInjury
+        ? Math.max(0, Math.round((new Date(now) - new Date(report.timeOfInjury)) / 60000))
+        : null;
+    }
+
+    report.missing = this.findMissing(report);
+    return report;
+  }
+
+  buildTriage({ triageLevel, analysis }) {
+    const level = triageLevel || analysis?.triageLevel || null;
+    return {
+      level,
+      tag: TRIAGE_TAGS[level] || null,
+      diagnosis: analysis?.primaryDiagnosis?.diagnosis || null
+    };
+  }
+
+  deriveMechanism({ mechanism, symptoms, analysis, injuries, injuryDetections }) {
+    if (mechanism) return { description: mechanism, source: 'reported' };
+
+    const text = [].concat(symptoms || [], analysis?.explanation?.symptomMatches?.flatMap(match => [match.symptom, match.interpretedAs]) || [])
+      .join(' ')
+      .toLowerCase();
+    const words = text.split(/[^a-z]+/);
+
+    const fromText = MECHANISMS.find(({ keywords }) => keywords.some(keyword => words.includes(keyword)));
+    if (fromText) return { description: fromText.mechanism, source: 'symptoms' };
+
+    const injuryWords = (injuries || []).map(injury => injury.type || injury.description || '').join(' ').toLowerCase().split(/[^a-z]+/);
+    const fromInjuries = MECHANISMS.find(({ keywords }) => keywords.some(keyword => injuryWords.includes(keyword)));
+    if (fromInjuries) return { description: fromInjuries.mechanism, source: 'assessment' };
+
+    const detection = this.detections(injuryDetections).find(item => DETECTION_MECHANISMS[item.injuryType]);
+    if (detection) return { description: DETECTION_MECHANISMS[detection.injuryType], source: 'image' };
+
+    return { description: null, source: null };
+  }
+
+  // Image detections, primary-survey injuries and the working diagnoses, without duplicates
+  collectInjuries({ injuries = [], injuryDetections, analysis }) {
+    const collected = [];
+    const add = (injury) => {
+      const key = `${injury.description}|${injury.location || ''}`.toLowerCase();
+      if (!collected.some(existing => `${existing.description}|${existing.location || ''}`.toLowerCase() === key)) {
+        collected.push(injury);
+      }
+    };
+
+    injuries.forEach(injury => add({
+      description: injury.type || injury.description,
+      location: injury.location || null,
+      severity: injury.severity || null,
+      source: 'assessment'
+    }));
+
+    this.detections(injuryDetections).forEach(detection => add({
+      description: detection.injuryType.replace(/_/g, ' '),
+      location: detection.location && detection.location !== 'unspecified' ? detection.location : null,
+      severity: detection.severity || null,
+      confidence: detection.confidence,
+      source: 'image'
+    }));
+
+    (analysis?.differentialDiagnosis || [])
+      .filter(entry => !entry.historical)
+      .forEach(entry => add({
+        description: entry.diagnosis,
+        location: null,
+        severity: entry.severity?.modifier || null,
+        confidence: entry.confidence,
+        source: 'analysis'
+      }));
+
+    return collected.filter(injury => injury.description);
+  }
+
+  // Latest set of vitals, the trend since the first set, scores and flagged concerns
+  summarizeSigns(vitalsHistory = [], analysis) {
+    const readings = (vitalsHistory || [])
+      .map(entry => ({
+        timestamp: entry.timestamp || entry.vitals?.timestamp || null,
+        vitals: this.normalizeVitals(entry.vitals || entry)
+      }))
+      .filter(reading => Object.keys(reading.vitals).length > 0)
+      .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+    const latest = readings[readings.length - 1] || null;
+    const first = readings[0];
+
+    const trend = readings.length > 1
+      ? TRENDED_VITALS
+        .filter(({ key }) => first.vitals[key] !== undefined && latest.vitals[key] !== undefined)
+        .map(({ key, label, worse }) => {
+          const from = first.vitals[key];
+          const to = latest.vitals[key];
+          const change = to === from ? 'stable' : (to > from) === (worse === 'up') ? 'worsening' : 'improving';
+          return { vital: key, label, from, to, change };
+        })
+      : [];
+
+    const scores = analysis?.vitalScores || {};
+
+    return {
+      latest: latest?.vitals || null,
+      takenAt: latest?.timestamp || null,
+      readings: readings.length,
+      trend,
+      scores: {
+        shockIndex: scores.shockIndex ? { value: scores.shockIndex.value, severity: scores.shockIndex.severity } : null,
+        gcs: scores.gcs ? { value: scores.gcs.value, estimated: scores.gcs.estimated || false } : null,
+        news2: scores.news2 ? { value: scores.news2.value, severity: scores.news2.severity } : null
+      },
+      concerns: analysis?.vitalSignsAssessment?.concerns || []
+    };
+  }
+
+  normalizeVitals(vitals = {}) {
+    const normalized = {};
+
+    ['heartRate', 'respiratoryRate', 'oxygenSaturation', 'temperature', 'capillaryRefill'].forEach(key => {
+      const value = toNumber(vitals[key]);
+      if (value !== undefined) normalized[key] = value;
+    });
+
+    const bloodPressure = vitals.bloodPressure;
+    if (typeof bloodPressure === 'string' && /^\d+\s*\/\s*\d+$/.test(bloodPressure.trim())) {
+      const [systolic, diastolic] = bloodPressure.split('/').map(Number);
+      Object.assign(normalized, { systolic, diastolic });
+    } else if (bloodPressure && typeof bloodPressure === 'object') {
+      const systolic = toNumber(bloodPressure.systolic);
+      const diastolic = toNumber(bloodPressure.diastolic);
+      if (systolic !== undefined) normalized.systolic = systolic;
+      if (diastolic !== undefined) normalized.diastolic = diastolic;
+    }
+
+    if (vitals.avpu) normalized.avpu = String(vitals.avpu).trim().charAt(0).toUpperCase();
+
+    if (vitals.gcs && typeof vitals.gcs === 'object') {
+      const total = ['eye', 'verbal', 'motor'].map(part => toNumber(vitals.gcs[part]));
+      if (total.every(value => value !== undefined)) normalized.gcs = total.reduce((sum, value) => sum + value, 0);
+    }
+
+    return normalized;
+  }
+
+  listTreatment(interventions = []) {
+    return (interventions || [])
+      .map(intervention => ({
+        description: [
+          intervention.type || intervention.summary,
+          intervention.bodyLocation && `(${intervention.bodyLocation})`,
+          intervention.details && `- ${intervention.details}`
+        ].filter(Boolean).join(' '),
+        time: intervention.timestamp || intervention.performedAt || null
+      }))
+      .filter(item => item.description)
+      .sort((a, b) => new Date(a.time || 0) - new Date(b.time || 0));
+  }
+
+  resolveTimeOfInjury({ timeOfInjury, casualty }) {
+    const value = timeOfInjury || casualty?.timeOfInjury;
+    return value && !isNaN(new Date(value)) ? new Date(value) : null;
+  }
+
+  findMissing(report) {
+    const missing = [];
+    if (report.format === 'ATMIST') {
+      if (report.age === null) missing.push('age');
+      if (!report.timeOfInjury) missing.push('timeOfInjury');
+    }
+    if (!report.mechanism.description) missing.push('mechanism');
+    if (report.injuries.length === 0) missing.push('injuries');
+    if (!report.signs.latest) missing.push('signs');
+    return missing;
+  }
+
+  // Plain text, one line per letter, for reading over the radio or pasting into a message
+  renderText(report) {
+    const casualtyLabel = report.casualty.casualtyId || report.casualty.soldierId || 'CASUALTY';
+    const triage = report.triage.level ? ` - ${report.triage.tag} ${report.triage.level}` : '';
+    const lines = [`${report.format} HANDOVER: ${casualtyLabel}${triage}`];
+
+    if (report.format === 'ATMIST') {
+      lines.push(`A: ${report.age !== null ? `${report.age} yrs` : 'Unknown'}`);
+      lines.push(`T: ${report.timeOfInjury
+        ? `${formatTime(report.timeOfInjury)} (${report.minutesSinceInjury} min ago)`
+        : 'Unknown'}`);
+    }
+
+    lines.push(`M: ${report.mechanism.description || 'Unknown'}`);
+    lines.push(`I: ${report.injuries.length > 0
+      ? report.injuries.map(injury => [
+        injury.description,
+        injury.location && `- ${injury.location}`,
+        injury.severity && `(${injury.severity})`
+      ].filter(Boolean).join(' ')).join('; ')
+      : 'None identified'}`);
+    lines.push(`S: ${this.renderSigns(report.signs)}`);
+    lines.push(`T: ${report.treatment.length > 0
+      ? report.treatment.map(item => `${item.description}${formatTime(item.time) ? ` @${formatTime(item.time)}` : ''}`).join('; ')
+      : 'None recorded'}`);
+
+    return lines.join('\n');
+  }
+
+  renderSigns(signs) {
+    if (!signs.latest) return 'Not recorded';
+
+    const vitals = signs.latest;
+    const parts = [
+      vitals.heartRate !== undefined && `HR ${vitals.heartRate}`,
+      vitals.systolic !== undefined && `BP ${vitals.systolic}${vitals.diastolic !== undefined ? `/${vitals.diastolic}` : ''}`,
+      vitals.respiratoryRate !== undefined && `RR ${vitals.respiratoryRate}`,
+      vitals.oxygenSaturation !== undefined && `SpO2 ${vitals.oxygenSaturation}%`,
+      vitals.temperature !== undefined && `T ${vitals.temperature}C`,
+      vitals.capillaryRefill !== undefined && `CRT ${vitals.capillaryRefill}s`,
+      vitals.gcs !== undefined ? `GCS ${vitals.gcs}` : vitals.avpu && `AVPU ${vitals.avpu}`
+    ].filter(Boolean);
+
+    let text = parts.join(', ');
+    if (formatTime(signs.takenAt)) text += ` @${formatTime(signs.takenAt)}`;
+
+    const changes = signs.trend.filter(item => item.change !== 'stable');
+    if (changes.length > 0) {
+      text += `. Trend: ${changes.map(item => `${item.label} ${item.from}->${item.to} (${item.change})`).join(', ')}`;
+    }
+
+    if (signs.scores.shockIndex) {
+      text += `. Shock index ${signs.scores.shockIndex.value} (${signs.scores.shockIndex.severity})`;
+    }
+
+    return text;
+  }
+
+  detections(injuryDetections) {
+    const list = Array.isArray(injuryDetections) ? injuryDetections : injuryDetections?.injuries || [];
+    return list.filter(detection => detection?.injuryType && !NON_INJURY_DETECTIONS.includes(detection.injuryType));
+  }
+}
+
+export { FORMATS as HANDOVER_FORMATS };
+export default HandoverReport;
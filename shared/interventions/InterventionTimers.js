@@ -0,0 +1,308 @@
+// Intervention timers: when each treatment was started, when it is due for reassessment, and the
+// escalating milestones (tourniquet conversion window, TXA cutoff, ...) that should raise alerts.
+// Pure ES module shared by the backend (validation on sync) and the PWA (alerts while offline).
+
+export const INTERVENTION_STATUSES = ['PLANNED', 'ACTIVE', 'COMPLETED', 'REMOVED'];
+
+// Milestones run while the intervention is in the given status, measured from its start or from
+// the time of injury. {location} is replaced with the body location.
+export const INTERVENTION_TYPES = {
+  TOURNIQUET: {
+    label: 'Tourniquet',
+    requiresLocation: true,
+    reassessEveryMinutes: 15,
+    reassessMessage: 'Reassess tourniquet ({location}): bleeding controlled, distal pulse absent',
+    milestones: [
+      { id: 'TQ_1H', while: 'ACTIVE', from: 'start', afterMinutes: 60, priority: 'high', message: 'Tourniquet ({location}) on 1 h - plan conversion before the 2 h mark' },
+      { id: 'TQ_CONVERSION', while: 'ACTIVE', from: 'start', afterMinutes: 120, priority: 'critical', message: 'Tourniquet ({location}) at 2 h conversion window - convert to a pressure or hemostatic dressing if bleeding is controlled' },
+      { id: 'TQ_6H', while: 'ACTIVE', from: 'start', afterMinutes: 360, priority: 'critical', message: 'Tourniquet ({location}) on 6 h - limb at risk, leave in place for surgical removal' }
+    ]
+  },
+  CHEST_SEAL: {
+    label: 'Chest seal',
+    requiresLocation: true,
+    reassessEveryMinutes: 5,
+    reassessMessage: 'Reassess chest seal ({location}) for tension pneumothorax - burp the seal if breathing worsens',
+    milestones: []
+  },
+  NEEDLE_DECOMPRESSION: {
+    label: 'Needle decompression',
+    requiresLocation: true,
+    reassessEveryMinutes: 5,
+    reassessMessage: 'Reassess breathing after needle decompression ({location}) - repeat if tension recurs',
+    milestones: []
+  },
+  NPA: {
+    label: 'NPA',
+    requiresLocation: false,
+    reassessEveryMinutes: 15,
+    reassessMessage: 'Reassess airway: NPA patent and in place',
+    milestones: []
+  },
+  TXA: {
+    label: 'TXA',
+    requiresLocation: false,
+    reassessEveryMinutes: null,
+    // Log TXA as PLANNED when indicated; the countdown runs from injury until it is given
+    milestones: [
+      { id: 'TXA_30_MIN', while: 'PLANNED', from: 'injury', afterMinutes: 150, priority: 'high', message: 'TXA window closes in 30 min (3 h after injury) - give now' },
+      { id: 'TXA_CUTOFF', while: 'PLANNED', from: 'injury', afterMinutes: 180, priority: 'critical', message: '3 h TXA cutoff reached - do not start TXA' }
+    ]
+  },
+  IV_IO: {
+    label: 'IV/IO access',
+    requiresLocation: true,
+    reassessEveryMinutes: 15,
+    reassessMessage: 'Check IV/IO site ({location}) for infiltration and flow',
+    milestones: [
+      { id: 'IO_24H', while: 'ACTIVE', from: 'start', afterMinutes: 24 * 60, priority: 'high', message: 'IV/IO access ({location}) in place 24 h - IO must be removed' }
+    ]
+  }
+};
+
+const TXA_CUTOFF_MINUTES = 180;
+
+// A reassessment that keeps being missed escalates: due, then one and three whole intervals late
+const REASSESSMENT_ESCALATION = [
+  { missedIntervals: 0, priority: 'medium', prefix: '' },
+  { missedIntervals: 1, priority: 'high', prefix: 'OVERDUE: ' },
+  { missedIntervals: 3, priority: 'critical', prefix: 'OVERDUE: ' }
+];
+
+const MINUTE = 60000;
+
+const toDate = value => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const generateInterventionId = () => {
+  const random = globalThis.crypto?.randomUUID?.().slice(0, 8) || Math.random().toString(16).slice(2, 10);
+  return `INT-${random.toUpperCase()}`;
+};
+
+class InterventionTimers {
+  /**
+   * Normalize a new or stored intervention.
+   * @param {Object} data - { type, bodyLocation, status, startedAt, injuredAt, device, dose, notes, recordId, casualtyId }
+   */
+  create(data = {}, now = new Date()) {
+    const type = String(data.type || '').toUpperCase();
+    const status = data.status || 'ACTIVE';
+
+    return {
+      interventionId: data.interventionId || generateInterventionId(),
+      type,
+      bodyLocation: data.bodyLocation || null,
+      status,
+      startedAt: data.startedAt || (status === 'PLANNED' ? null : new Date(now).toISOString()),
+      plannedAt: data.plannedAt || (status === 'PLANNED' ? new Date(now).toISOString() : null),
+      injuredAt: data.injuredAt || null,
+      endedAt: data.endedAt || null,
+      lastReassessedAt: data.lastReassessedAt || null,
+      device: data.device || null,
+      dose: data.dose || null,
+      notes: data.notes || null,
+      recordId: data.recordId ?? null,
+      casualtyId: data.casualtyId || null,
+      firedAlerts: data.firedAlerts || [],
+      performedBy: data.performedBy || null
+    };
+  }
+
+  validate(intervention) {
+    const errors = [];
+    const warnings = [];
+    const definition = INTERVENTION_TYPES[intervention.type];
+
+    if (!definition) {
+      errors.push(`Intervention type must be one of ${Object.keys(INTERVENTION_TYPES).join(', ')}`);
+      return { valid: false, errors, warnings };
+    }
+
+    if (!INTERVENTION_STATUSES.includes(intervention.status)) {
+      errors.push(`Status must be one of ${INTERVENTION_STATUSES.join(', ')}`);
+    }
+    if (definition.requiresLocation && !intervention.bodyLocation) {
+      errors.push(`${definition.label} requires a body location`);
+    }
+    if (intervention.status !== 'PLANNED' && !toDate(intervention.startedAt)) {
+      errors.push(`${definition.label} requires a start time`);
+    }
+
+    const startedAt = toDate(intervention.startedAt);
+    const injuredAt = toDate(intervention.injuredAt);
+    if (startedAt && injuredAt && startedAt < injuredAt) {
+      errors.push('Start time is before the time of injury');
+    }
+    if (intervention.type === 'TXA' && intervention.status !== 'PLANNED' && startedAt && injuredAt &&
+        startedAt - injuredAt > TXA_CUTOFF_MINUTES * MINUTE) {
+      warnings.push('TXA given more than 3 h after injury');
+    }
+    if (intervention.type === 'TXA' && !injuredAt) {
+      warnings.push('Time of injury unknown - TXA cutoff counted from when TXA was logged');
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Timer state for display: elapsed time, next reassessment and next milestone.
+   */
+  getStatus(intervention, now = new Date()) {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    const current = new Date(now);
+    const startedAt = toDate(intervention.startedAt);
+    const running = ['PLANNED', 'ACTIVE'].includes(intervention.status);
+
+    const status = {
+      interventionId: intervention.interventionId,
+      label: definition?.label || intervention.type,
+      status: intervention.status,
+      elapsedMinutes: startedAt ? Math.floor(((toDate(intervention.endedAt) || current) - startedAt) / MINUTE) : null,
+      nextReassessmentAt: null,
+      reassessmentOverdueMinutes: 0,
+      nextMilestone: null
+    };
+
+    if (!definition || !running) return status;
+
+    const reassessAt = this.getNextReassessment(intervention);
+    if (reassessAt) {
+      status.nextReassessmentAt = reassessAt.toISOString();
+      status.reassessmentOverdueMinutes = Math.max(0, Math.floor((current - reassessAt) / MINUTE));
+    }
+
+    const upcoming = this.getMilestones(intervention)
+      .filter(milestone => milestone.at > current)
+      .sort((a, b) => a.at - b.at)[0];
+    if (upcoming) {
+      status.nextMilestone = {
+        id: upcoming.id,
+        at: upcoming.at.toISOString(),
+        inMinutes: Math.ceil((upcoming.at - current) / MINUTE),
+        priority: upcoming.priority,
+        message: upcoming.message
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Alerts that are due and have not fired yet. Reassessments escalate per REASSESSMENT_ESCALATION
+   * while nobody records one; record the returned keys with markFired so they fire once.
+   * @returns {Array<{ key, type, priority, message }>}
+   */
+  getDueAlerts(intervention, now = new Date()) {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    if (!definition || !['PLANNED', 'ACTIVE'].includes(intervention.status)) return [];
+
+    const current = new Date(now);
+    const fired = new Set(intervention.firedAlerts || []);
+    const alerts = [];
+
+    this.getMilestones(intervention)
+      .filter(milestone => milestone.at <= current && !fired.has(milestone.id))
+      .forEach(milestone => alerts.push({
+        key: milestone.id,
+        type: `${intervention.type}_TIMER`,
+        priority: milestone.priority,
+        message: milestone.message
+      }));
+
+    // A missed milestone is superseded by a later one of the same intervention
+    const latestMilestone = alerts[alerts.length - 1];
+    const dueAlerts = latestMilestone ? [latestMilestone] : [];
+    const supersededKeys = alerts.slice(0, -1).map(alert => alert.key);
+
+    const reassessAt = this.getNextReassessment(intervention);
+    if (reassessAt && reassessAt <= current) {
+      const missedIntervals = Math.floor((current - reassessAt) / (definition.reassessEveryMinutes * MINUTE));
+      const level = REASSESSMENT_ESCALATION.filter(step => missedIntervals >= step.missedIntervals).pop();
+      const key = `REASSESS_${reassessAt.toISOString()}_${level.priority}`;
+
+      if (!fired.has(key)) {
+        dueAlerts.push({
+          key,
+          type: 'REASSESSMENT_DUE',
+          priority: level.priority,
+          message: `${level.prefix}${this.formatMessage(definition.reassessMessage, intervention)}`
+        });
+      }
+    }
+
+    return dueAlerts.map(alert => ({ ...alert, supersedes: alert === latestMilestone ? supersededKeys : [] }));
+  }
+
+  markFired(intervention, alerts) {
+    const keys = alerts.flatMap(alert => [alert.key, ...(alert.supersedes || [])]);
+    return {
+      ...intervention,
+      firedAlerts: [...new Set([...(intervention.firedAlerts || []), ...keys])]
+    };
+  }
+
+  reassess(intervention, now = new Date()) {
+    return { ...intervention, lastReassessedAt: new Date(now).toISOString() };
+  }
+
+  // PLANNED -> ACTIVE (e.g. TXA given)
+  start(intervention, now = new Date()) {
+    return { ...intervention, status: 'ACTIVE', startedAt: new Date(now).toISOString() };
+  }
+
+  // COMPLETED for a finished treatment, REMOVED for a device taken off (tourniquet converted, ...)
+  end(intervention, status = 'COMPLETED', now = new Date()) {
+    return { ...intervention, status, endedAt: new Date(now).toISOString() };
+  }
+
+  getNextReassessment(intervention) {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    if (!definition?.reassessEveryMinutes || intervention.status !== 'ACTIVE') return null;
+
+    const from = toDate(intervention.lastReassessedAt) || toDate(intervention.startedAt);
+    return from ? new Date(from.getTime() + definition.reassessEveryMinutes * MINUTE) : null;
+  }
+
+  getMilestones(intervention) {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    if (!definition) return [];
+
+    return definition.milestones
+      .filter(milestone => milestone.while === intervention.status)
+      .map(milestone => {
+        const from = milestone.from === 'injury'
+          ? toDate(intervention.injuredAt) || toDate(intervention.plannedAt) || toDate(intervention.startedAt)
+          : toDate(intervention.startedAt);
+        return from
+          ? {
+            ...milestone,
+            at: new Date(from.getTime() + milestone.afterMinutes * MINUTE),
+            message: this.formatMessage(milestone.message, intervention)
+          }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  formatMessage(template, intervention) {
+    return template.replace('{location}', intervention.bodyLocation || 'unspecified');
+  }
+
+  // Shape used by the casualty timeline, handover report and casualty card
+  toTreatmentEntry(intervention) {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    return {
+      type: definition?.label || intervention.type,
+      bodyLocation: intervention.bodyLocation,
+      details: intervention.notes,
+      device: intervention.device,
+      ...(intervention.dose ? { dose: intervention.dose, route: intervention.device || 'IV' } : {}),
+      timestamp: intervention.startedAt
+    };
+  }
+}
+
+export default InterventionTimers;
@@ -0,0 +1,386 @@
+// Field medication formulary, weight-based dose calculation and pre-administration checks:
+// authorization by permission, contraindications from the current analysis, redose intervals and
+// cumulative maximums. Pure ES module shared by the backend and the PWA (dose checks work offline).
+
+const MINUTE = 60000;
+
+// Staff allowed to give controlled and IV/IO drugs; pill-pack drugs can be given by any soldier
+// (grants in shared/authorization/AccessPolicy.js)
+const MEDIC_PERMISSIONS = ['medications:administer'];
+const BUDDY_PERMISSIONS = ['medications:buddy-aid', ...MEDIC_PERMISSIONS];
+
+/**
+ * Doses per MEDICATION_PROTOCOLS / TCCC guidance. A dose is either fixed or weight-based
+ * (perKg, clamped to min/max); maxCumulative is per maxCumulativeWindowHours (whole encounter if unset).
+ */
+export const FORMULARY = {
+  MORPHINE: {
+    name: 'Morphine',
+    category: 'ANALGESIC',
+    drugClass: 'OPIOID',
+    unit: 'mg',
+    routes: ['IV', 'IO', 'IM'],
+    dose: { perKg: 0.05, min: 2, max: 4 },
+    redoseIntervalMinutes: 10,
+    maxCumulative: 20,
+    authorizedBy: MEDIC_PERMISSIONS,
+    contraindications: ['HEAD_INJURY_HYPOTENSION', 'HEAD_INJURY_ALTERED', 'HYPOTENSION', 'RESPIRATORY_DEPRESSION', 'ALLERGY']
+  },
+  FENTANYL: {
+    name: 'Fentanyl',
+    category: 'ANALGESIC',
+    drugClass: 'OPIOID',
+    unit: 'mcg',
+    routes: ['IV', 'IO'],
+    dose: { perKg: 1, min: 50, max: 100 },
+    redoseIntervalMinutes: 10,
+    maxCumulative: 300,
+    authorizedBy: MEDIC_PERMISSIONS,
+    contraindications: ['HEAD_INJURY_HYPOTENSION', 'RESPIRATORY_DEPRESSION', 'ALLERGY']
+  },
+  KETAMINE: {
+    name: 'Ketamine',
+    category: 'ANALGESIC',
+    drugClass: 'DISSOCIATIVE',
+    unit: 'mg',
+    routes: ['IV', 'IO', 'IM'],
+    dose: { perKg: 0.3, min: 20, max: 30 },
+    redoseIntervalMinutes: 20,
+    maxCumulative: null,
+    authorizedBy: MEDIC_PERMISSIONS,
+    contraindications: ['ALLERGY']
+  },
+  MELOXICAM: {
+    name: 'Meloxicam',
+    category: 'ANALGESIC',
+    drugClass: 'NSAID',
+    unit: 'mg',
+    routes: ['PO'],
+    dose: { fixed: 15 },
+    redoseIntervalMinutes: 24 * 60,
+    maxCumulative: 15,
+    maxCumulativeWindowHours: 24,
+    authorizedBy: BUDDY_PERMISSIONS,
+    contraindications: ['UNABLE_TO_SWALLOW', 'ALLERGY']
+  },
+  ACETAMINOPHEN: {
+    name: 'Acetaminophen',
+    category: 'ANALGESIC',
+    drugClass: 'ANALGESIC',
+    unit: 'mg',
+    routes: ['PO'],
+    dose: { fixed: 1000 },
+    redoseIntervalMinutes: 8 * 60,
+    maxCumulative: 3000,
+    maxCumulativeWindowHours: 24,
+    authorizedBy: BUDDY_PERMISSIONS,
+    contraindications: ['UNABLE_TO_SWALLOW', 'ALLERGY']
+  },
+  MOXIFLOXACIN: {
+    name: 'Moxifloxacin',
+    category: 'ANTIBIOTIC',
+    drugClass: 'FLUOROQUINOLONE',
+    unit: 'mg',
+    routes: ['PO'],
+    dose: { fixed: 400 },
+    redoseIntervalMinutes: 24 * 60,
+    maxCumulative: 400,
+    maxCumulativeWindowHours: 24,
+    authorizedBy: BUDDY_PERMISSIONS,
+    contraindications: ['UNABLE_TO_SWALLOW', 'ALLERGY']
+  },
+  CEFTRIAXONE: {
+    name: 'Ceftriaxone',
+    category: 'ANTIBIOTIC',
+    drugClass: 'CEPHALOSPORIN',
+    unit: 'mg',
+    routes: ['IV', 'IM'],
+    dose: { fixed: 2000 },
+    redoseIntervalMinutes: 24 * 60,
+    maxCumulative: 2000,
+    maxCumulativeWindowHours: 24,
+    authorizedBy: MEDIC_PERMISSIONS,
+    contraindications: ['ALLERGY']
+  },
+  TXA: {
+    name: 'Tranexamic acid',
+    category: 'OTHER',
+    drugClass: 'ANTIFIBRINOLYTIC',
+    unit: 'mg',
+    routes: ['IV', 'IO'],
+    dose: { fixed: 1000 },
+    redoseIntervalMinutes: 10, // second gram follows the first, over 8 h
+    maxCumulative: 2000,
+    authorizedBy: MEDIC_PERMISSIONS,
+    contraindications: ['TXA_AFTER_3H', 'ALLERGY']
+  }
+};
+
+export const ADMINISTRATION_ERRORS = {
+  UNKNOWN_DRUG: 'UNKNOWN_DRUG',
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  INVALID_ROUTE: 'INVALID_ROUTE',
+  INVALID_DOSE: 'INVALID_DOSE',
+  CONTRAINDICATED: 'CONTRAINDICATED',
+  REDOSE_TOO_SOON: 'REDOSE_TOO_SOON',
+  MAX_DOSE_EXCEEDED: 'MAX_DOSE_EXCEEDED'
+};
+
+const HEAD_INJURY_PATTERN = /\b(head|skull|brain|tbi|concussion|traumatic brain)\b/i;
+const TXA_CUTOFF_MINUTES = 180;
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = value => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Each check returns a message when the contraindication applies, null otherwise
+const CONTRAINDICATIONS = {
+  HEAD_INJURY_HYPOTENSION: ({ flags }) => (flags.headInjury && flags.hypotension
+    ? 'No opioids with head injury plus hypotension'
+    : null),
+  HEAD_INJURY_ALTERED: ({ flags }) => (flags.headInjury && flags.alteredConsciousness
+    ? 'Head injury with altered mental status'
+    : null),
+  HYPOTENSION: ({ flags }) => (flags.hypotension
+    ? 'Hypotension - consider fentanyl or ketamine instead'
+    : null),
+  RESPIRATORY_DEPRESSION: ({ flags }) => (flags.respiratoryDepression
+    ? 'Respiratory depression'
+    : null),
+  UNABLE_TO_SWALLOW: ({ flags }) => (flags.alteredConsciousness
+    ? 'Altered consciousness - nothing by mouth'
+    : null),
+  TXA_AFTER_3H: ({ minutesSinceInjury, previousDoses }) => (previousDoses === 0 && minutesSinceInjury !== null && minutesSinceInjury > TXA_CUTOFF_MINUTES
+    ? 'No TXA more than 3 h after injury'
+    : null),
+  ALLERGY: ({ drug, allergies }) => {
+    const listed = String(allergies || '').toLowerCase();
+    if (!listed) return null;
+    const terms = [drug.name, drug.drugClass].map(term => term.toLowerCase());
+    const match = terms.find(term => listed.includes(term));
+    return match ? `Documented allergy (${match})` : null;
+  }
+};
+
+class MedicationCalculator {
+  getFormulary() {
+    return FORMULARY;
+  }
+
+  /**
+   * Dose for a casualty; weight-based doses fall back to the adult minimum when weight is unknown.
+   * @returns {{ dose: number, unit: string, basis: string, warnings: string[] }}
+   */
+  calculateDose(drugKey, { weightKg } = {}) {
+    const drug = FORMULARY[drugKey];
+    if (!drug) return null;
+
+    const warnings = [];
+    const weight = toNumber(weightKg);
+
+    if (drug.dose.fixed !== undefined) {
+      return { dose: drug.dose.fixed, unit: drug.unit, basis: 'fixed dose', warnings };
+    }
+
+    if (!weight) {
+      warnings.push('Weight unknown - standard adult starting dose used');
+      return { dose: drug.dose.min, unit: drug.unit, basis: 'standard adult dose', warnings };
+    }
+
+    const calculated = drug.dose.perKg * weight;
+    const dose = round(Math.min(Math.max(calculated, drug.dose.min), drug.dose.max));
+    const basis = `${drug.dose.perKg} ${drug.unit}/kg x ${weight} kg`;
+    if (dose !== round(calculated)) {
+      warnings.push(`Calculated ${round(calculated)} ${drug.unit} clamped to the ${drug.dose.min}-${drug.dose.max} ${drug.unit} range`);
+    }
+
+    return { dose, unit: drug.unit, basis, warnings };
+  }
+
+  /**
+   * Clinical flags the contraindications use, from an analyzeSymptoms result, vitals and injuries.
+   */
+  deriveFlags({ analysis, vitals = {}, symptoms, injuries = [] } = {}) {
+    const text = [].concat(
+      symptoms || [],
+      analysis?.primaryDiagnosis?.diagnosis || [],
+      (analysis?.differentialDiagnosis || [])
+        .filter(entry => !entry.historical)
+        .flatMap(entry => [entry.diagnosis, entry.matchedSymptom, ...(entry.bodyParts || [])]),
+      injuries.flatMap(injury => [injury.type, injury.description, injury.location])
+    ).filter(Boolean).join(' ');
+
+    const concerns = analysis?.vitalSignsAssessment?.concerns || [];
+    const systolic = toNumber(typeof vitals.bloodPressure === 'object'
+      ? vitals.bloodPressure?.systolic
+      : String(vitals.bloodPressure || '').split('/')[0]);
+    const respiratoryRate = toNumber(vitals.respiratoryRate);
+    const avpu = String(vitals.avpu || '').trim().charAt(0).toUpperCase();
+    const gcs = toNumber(analysis?.vitalScores?.gcs?.value);
+
+    return {
+      headInjury: HEAD_INJURY_PATTERN.test(text),
+      hypotension: concerns.includes('Hypotension') || (systolic !== null && systolic < 90),
+      alteredConsciousness: concerns.includes('Altered level of consciousness') ||
+        ['V', 'P', 'U'].includes(avpu) || (gcs !== null && gcs < 15),
+      respiratoryDepression: concerns.includes('Bradypnea') || (respiratoryRate !== null && respiratoryRate < 10)
+    };
+  }
+
+  // Totals for one drug from the administration history
+  summarize(drugKey, history = [], now = new Date()) {
+    const drug = FORMULARY[drugKey];
+    const current = new Date(now);
+    const doses = history
+      .filter(entry => entry.drug === drugKey)
+      .sort((a, b) => new Date(a.administeredAt) - new Date(b.administeredAt));
+
+    const windowStart = drug?.maxCumulativeWindowHours
+      ? new Date(current.getTime() - drug.maxCumulativeWindowHours * 60 * MINUTE)
+      : null;
+    const counted = windowStart ? doses.filter(entry => new Date(entry.administeredAt) >= windowStart) : doses;
+    const totalDose = round(counted.reduce((sum, entry) => sum + (toNumber(entry.dose) || 0), 0));
+
+    const last = doses[doses.length - 1];
+    const nextAllowedAt = last && drug
+      ? new Date(new Date(last.administeredAt).getTime() + drug.redoseIntervalMinutes * MINUTE)
+      : null;
+
+    return {
+      drug: drugKey,
+      name: drug?.name || drugKey,
+      unit: drug?.unit || null,
+      doses: doses.length,
+      totalDose,
+      maxCumulative: drug?.maxCumulative ?? null,
+      remaining: drug?.maxCumulative ? round(Math.max(0, drug.maxCumulative - totalDose)) : null,
+      lastGivenAt: last ? new Date(last.administeredAt).toISOString() : null,
+      nextAllowedAt: nextAllowedAt ? nextAllowedAt.toISOString() : null,
+      canRedoseNow: !nextAllowedAt || nextAllowedAt <= current
+    };
+  }
+
+  /**
+   * Everything that must hold before a dose is given.
+   * @param {Object} request - { drug, dose?, route, weightKg, permissions, history, analysis, vitals,
+   *   symptoms, injuries (or precomputed flags), timeOfInjury, allergies, overrideReason, now }
+   * @returns {{ allowed, drug, dose, unit, route, calculated, errors: [{code, message}], warnings, cumulative }}
+   */
+  check(request = {}) {
+    const now = request.now ? new Date(request.now) : new Date();
+    const drugKey = String(request.drug || '').toUpperCase();
+    const drug = FORMULARY[drugKey];
+    const errors = [];
+    const warnings = [];
+
+    if (!drug) {
+      return {
+        allowed: false,
+        drug: drugKey,
+        errors: [{ code: ADMINISTRATION_ERRORS.UNKNOWN_DRUG, message: `Drug must be one of ${Object.keys(FORMULARY).join(', ')}` }],
+        warnings
+      };
+    }
+
+    const permissions = request.permissions || [];
+    if (!drug.authorizedBy.some(permission => permissions.includes(permission))) {
+      errors.push({ code: ADMINISTRATION_ERRORS.NOT_AUTHORIZED, message: `${drug.name} requires one of: ${drug.authorizedBy.join(', ')}` });
+    }
+
+    const route = String(request.route || drug.routes[0]).toUpperCase();
+    if (!drug.routes.includes(route)) {
+      errors.push({ code: ADMINISTRATION_ERRORS.INVALID_ROUTE, message: `${drug.name} route must be one of ${drug.routes.join(', ')}` });
+    }
+
+    const calculated = this.calculateDose(drugKey, { weightKg: request.weightKg });
+    warnings.push(...calculated.warnings);
+
+    const dose = request.dose !== undefined && request.dose !== null && request.dose !== '' ? toNumber(request.dose) : calculated.dose;
+    const singleMax = drug.dose.fixed ?? drug.dose.max;
+    if (dose === null || dose <= 0) {
+      errors.push({ code: ADMINISTRATION_ERRORS.INVALID_DOSE, message: 'Dose must be a positive number' });
+    } else if (dose > singleMax) {
+      errors.push({ code: ADMINISTRATION_ERRORS.INVALID_DOSE, message: `${dose} ${drug.unit} exceeds the single-dose maximum of ${singleMax} ${drug.unit}` });
+    }
+
+    const history = request.history || [];
+    const cumulative = this.summarize(drugKey, history, now);
+    if (!cumulative.canRedoseNow) {
+      const wait = Math.ceil((new Date(cumulative.nextAllowedAt) - now) / MINUTE);
+      errors.push({ code: ADMINISTRATION_ERRORS.REDOSE_TOO_SOON, message: `Next ${drug.name} dose not before ${cumulative.nextAllowedAt} (${wait} min)` });
+    }
+    if (drug.maxCumulative && dose !== null && cumulative.totalDose + dose > drug.maxCumulative) {
+      errors.push({
+        code: ADMINISTRATION_ERRORS.MAX_DOSE_EXCEEDED,
+        message: `Cumulative ${drug.name} would reach ${round(cumulative.totalDose + dose)} ${drug.unit} (max ${drug.maxCumulative} ${drug.unit}${drug.maxCumulativeWindowHours ? ` per ${drug.maxCumulativeWindowHours} h` : ''})`
+      });
+    }
+
+    // Contraindications from the current picture; an override reason turns them into logged warnings
+    const injuredAt = toDate(request.timeOfInjury);
+    const context = {
+      drug,
+      flags: request.flags || this.deriveFlags(request),
+      allergies: request.allergies,
+      previousDoses: cumulative.doses,
+      minutesSinceInjury: injuredAt ? Math.floor((now - injuredAt) / MINUTE) : null
+    };
+    const contraindications = drug.contraindications
+      .map(id => ({ id, message: CONTRAINDICATIONS[id](context) }))
+      .filter(result => result.message);
+
+    contraindications.forEach(({ message }) => {
+      if (request.overrideReason) {
+        warnings.push(`Contraindication overridden (${request.overrideReason}): ${message}`);
+      } else {
+        errors.push({ code: ADMINISTRATION_ERRORS.CONTRAINDICATED, message });
+      }
+    });
+
+    if (drugKey === 'TXA' && !injuredAt) {
+      warnings.push('Time of injury unknown - confirm TXA is within 3 h of injury');
+    }
+    if (drug.drugClass === 'OPIOID' && request.morphineAuthorized === false) {
+      warnings.push('Opioids are not pre-authorized for the current diagnosis - confirm with the medical officer');
+    }
+
+    return {
+      allowed: errors.length === 0,
+      drug: drugKey,
+      name: drug.name,
+      category: drug.category,
+      dose,
+      unit: drug.unit,
+      route,
+      calculated,
+      contraindications: contraindications.map(({ id }) => id),
+      errors,
+      warnings,
+      cumulative
+    };
+  }
+
+  // symptomMap conditions carry militaryContext.morphineAuthorization; false when none of the
+  // matched conditions pre-authorizes opioids, undefined when the analysis says nothing either way
+  isMorphineAuthorized(analysis) {
+    const flags = (analysis?.differentialDiagnosis || [analysis?.primaryDiagnosis])
+      .filter(Boolean)
+      .map(entry => entry.metadata?.militaryContext?.morphineAuthorization)
+      .filter(flag => flag !== undefined);
+
+    if (flags.length === 0) return undefined;
+    return flags.some(Boolean);
+  }
+}
+
+export default MedicationCalculator;
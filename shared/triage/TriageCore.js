@@ -0,0 +1,386 @@
+// The one triage decision behind POST /api/diagnose/triage, /mass-casualty, the primary survey and the
+// offline chatbot. A rule-pack score (or the offline keyword fallback) gives a base level; the primary survey,
+// recorded vitals, body-map injuries, the burn chart and the mechanism can only make it more urgent.
+// EXPECTANT comes from explicit findings only - never from a low score.
+// Pure ES module shared by the backend and the PWA.
+import BurnAssessment from '../burns/BurnAssessment.js';
+import InjuryAnnotations from '../bodyMap/InjuryAnnotations.js';
+
+export const TRIAGE_LEVELS = ['IMMEDIATE', 'DELAYED', 'MINOR', 'EXPECTANT'];
+
+// Military triage categories
+export const TRIAGE_PROTOCOLS = {
+  T1: {
+    level: 'IMMEDIATE',
+    color: 'RED',
+    description: 'Immediate - Life-threatening injuries requiring immediate intervention',
+    treatmentPriority: 1,
+    evacuationPriority: 1,
+    examples: [
+      'Airway obstruction',
+      'Tension pneumothorax',
+      'Massive external hemorrhage',
+      'Shock'
+    ]
+  },
+  T2: {
+    level: 'DELAYED',
+    color: 'YELLOW',
+    description: 'Urgent - Serious injuries not immediately life-threatening',
+    treatmentPriority: 2,
+    evacuationPriority: 2,
+    examples: [
+      'Major fractures',
+      'Burns 15-40% BSA',
+      'Soft tissue injuries',
+      'Eye injuries'
+    ]
+  },
+  T3: {
+    level: 'MINOR',
+    color: 'GREEN',
+    description: 'Minor - Walking wounded with minor injuries',
+    treatmentPriority: 3,
+    evacuationPriority: 3,
+    examples: [
+      'Minor lacerations',
+      'Contusions',
+      'Minor burns <15% BSA',
+      'Sprains'
+    ]
+  },
+  T4: {
+    level: 'EXPECTANT',
+    color: 'BLACK',
+    description: 'Expectant - Victims unlikely to survive given available resources',
+    treatmentPriority: 4,
+    evacuationPriority: 4,
+    examples: [
+      'Unsurvivable injuries',
+      'Cardiac arrest in trauma',
+      'Severe burns >85% BSA'
+    ]
+  }
+};
+
+const HIGH_RISK_MECHANISMS = [
+  'blast', 'explosion', 'gunshot', 'vehicle_rollover',
+  'fall_height', 'crush', 'chemical_exposure'
+];
+
+// Keyword fallback when the symptom analyzer cannot be reached; first match wins
+export const OFFLINE_CONDITIONS = [
+  {
+    keywords: ['gunshot', 'bleeding'],
+    diagnosis: 'Ballistic Trauma',
+    diagnosisConfidence: 0.92,
+    confidence: 0.9,
+    triageLevel: 'IMMEDIATE',
+    firstAidSteps: [
+      'APPLY DIRECT PRESSURE TO WOUND',
+      'CHECK FOR EXIT WOUND',
+      'USE HEMOSTATIC GAUZE IF AVAILABLE',
+      'APPLY TOURNIQUET IF SEVERE BLEEDING',
+      'TREAT FOR SHOCK',
+      'PREPARE FOR EMERGENCY EVACUATION'
+    ],
+    emergencyActions: ['IMMEDIATE MEDEVAC REQUIRED', 'CONTROL BLEEDING'],
+    militaryContext: { combatRelated: true, evacuationPriority: 1 }
+  },
+  {
+    keywords: ['burn', 'fire'],
+    diagnosis: 'Thermal Burns',
+    diagnosisConfidence: 0.88,
+    confidence: 0.85,
+    triageLevel: 'DELAYED',
+    firstAidSteps: [
+      'COOL BURN WITH CLEAN WATER',
+      'COVER WITH STERILE DRESSING',
+      'DO NOT BREAK BLISTERS',
+      'MONITOR BREATHING',
+      'PAIN MANAGEMENT IF AVAILABLE'
+    ],
+    emergencyActions: ['CHECK FOR INHALATION INJURY'],
+    militaryContext: { combatRelated: false, evacuationPriority: 2 }
+  },
+  {
+    keywords: ['broken', 'fracture'],
+    diagnosis: 'Fracture',
+    diagnosisConfidence: 0.87,
+    confidence: 0.82,
+    triageLevel: 'DELAYED',
+    firstAidSteps: [
+      'IMMOBILIZE INJURED AREA',
+      'APPLY SPLINT IF AVAILABLE',
+      'CHECK CIRCULATION',
+      'APPLY COLD PACK',
+      'ELEVATE IF POSSIBLE'
+    ],
+    emergencyActions: [],
+    militaryContext: { combatRelated: false, evacuationPriority: 2 }
+  }
+];
+
+const OFFLINE_DEFAULT = {
+  diagnosis: 'Condition Assessment Required',
+  diagnosisConfidence: 0.85,
+  confidence: 0.8,
+  triageLevel: 'MINOR',
+  firstAidSteps: [
+    'Monitor vital signs',
+    'Keep patient comfortable',
+    'Seek medical assistance when possible'
+  ],
+  emergencyActions: [],
+  militaryContext: { combatRelated: false, evacuationPriority: 3 }
+};
+
+const PRIORITY = { IMMEDIATE: 1, DELAYED: 2, MINOR: 3, EXPECTANT: 4 };
+
+class TriageCore {
+  constructor({ burnAssessment = new BurnAssessment() } = {}) {
+    this.burnAssessment = burnAssessment;
+    this.injuryAnnotations = new InjuryAnnotations();
+  }
+
+  // Protocol entry (tag, color, priorities) for a triage level such as 'IMMEDIATE'
+  getProtocol(level) {
+    const entry = Object.entries(TRIAGE_PROTOCOLS).find(([, protocol]) => protocol.level === level);
+    return entry ? { tag: entry[0], ...entry[1] } : null;
+  }
+
+  // Sort order: IMMEDIATE first, EXPECTANT and untriaged last
+  compare(a, b) {
+    return (PRIORITY[a] || 5) - (PRIORITY[b] || 5);
+  }
+
+  // Rule-pack score to level; below the MINOR threshold is still MINOR (or the pack's fallback), never EXPECTANT
+  levelForScore(score, thresholds, fallbackLevel = 'MINOR') {
+    if (score >= thresholds.IMMEDIATE) return 'IMMEDIATE';
+    if (score >= thresholds.DELAYED) return 'DELAYED';
+    if (score >= thresholds.MINOR) return 'MINOR';
+    return fallbackLevel === 'EXPECTANT' ? 'MINOR' : fallbackLevel;
+  }
+
+  /**
+   * Triage decision from everything known about a casualty.
+   * @param {Object} input - { baseLevel, baseReason, assessment: { breathing, breathingAfterAirwayRepositioning,
+   *   perfusion, mentalStatus }, vitalSigns, injuries, burns, mechanismOfInjury }
+   * @returns {{ level, reason, source, tag, color, findings, injurySeverity, burnAssessment, awaiting }} -
+   *   awaiting names the next primary-survey check when the decision depends on one not yet recorded
+   */
+  decide({ baseLevel, baseReason, assessment, vitalSigns, injuries, burns, mechanismOfInjury } = {}) {
+    const burnAssessment = burns?.regions?.length ? this.assessBurns(burns) : null;
+    const severities = this.assessInjurySeverity(injuries);
+    const survey = { ...this.surveyFromVitals(vitalSigns), ...this.definedFields(assessment) };
+    const findings = [];
+    const add = (level, reason, source) => findings.push({ level, reason, source });
+
+    // Breathing - expectant only once repositioning the airway has been tried and recorded as failing
+    let awaiting = null;
+    if (this.isNotBreathing(survey.breathing)) {
+      if (survey.breathingAfterAirwayRepositioning === undefined) {
+        add('IMMEDIATE', 'Not breathing - reposition the airway and reassess', 'primary-survey');
+        awaiting = { field: 'breathingAfterAirwayRepositioning', question: 'Breathing after repositioning the airway?' };
+      } else if (this.isPresent(survey.breathingAfterAirwayRepositioning)) {
+        add('IMMEDIATE', 'Breathing only after airway repositioning', 'primary-survey');
+      } else {
+        add('EXPECTANT', 'Not breathing after airway repositioning', 'primary-survey');
+      }
+    }
+
+    // Burns over 85% BSA are expectant whatever the circulation
+    if (burnAssessment?.triageLevel === 'EXPECTANT') {
+      add('EXPECTANT', burnAssessment.triageReason, 'burns');
+    } else if (severities.includes('unsurvivable')) {
+      add('EXPECTANT', 'Unsurvivable burns', 'injuries');
+    }
+
+    if (survey.perfusion === 'absent' || survey.perfusion === 'weak') {
+      add('IMMEDIATE', 'Inadequate perfusion', 'primary-survey');
+    }
+    if (survey.mentalStatus === 'unresponsive' || survey.mentalStatus === 'confused') {
+      add('IMMEDIATE', `Mental status: ${survey.mentalStatus}`, 'primary-survey');
+    }
+
+    const description = this.injuryAnnotations.describe(injuries || []);
+    if (severities.includes('life_threatening')) {
+      add('IMMEDIATE', description ? `Life-threatening injuries: ${description}` : 'Life-threatening injuries', 'injuries');
+    } else if (severities.includes('serious')) {
+      add('DELAYED', description ? `Serious injuries: ${description}` : 'Serious injuries', 'injuries');
+    }
+    if (burnAssessment && burnAssessment.triageLevel !== 'EXPECTANT' && burnAssessment.tbsa > 0) {
+      add(burnAssessment.triageLevel, burnAssessment.triageReason, 'burns');
+    }
+
+    if (baseLevel) add(baseLevel, baseReason || null, 'score');
+
+    // An explicit expectant finding wins; otherwise the most urgent finding, MINOR when there is none
+    const expectant = findings.find(finding => finding.level === 'EXPECTANT' && finding.source !== 'score');
+    let decision = expectant ||
+      [...findings].sort((a, b) => this.compare(a.level, b.level))[0] ||
+      { level: 'MINOR', reason: 'No urgent findings', source: 'default' };
+
+    // High-risk mechanisms (given, or read from the wound types) upgrade the walking wounded
+    const mechanism = mechanismOfInjury || this.injuryAnnotations.deriveMechanism(injuries || []);
+    if (decision.level === 'MINOR' && this.isHighRiskMechanism(mechanism)) {
+      decision = { level: 'DELAYED', reason: `High-risk mechanism: ${mechanism}`, source: 'mechanism' };
+      findings.push(decision);
+    }
+
+    const { tag, color } = this.getProtocol(decision.level);
+    return {
+      ...decision,
+      tag,
+      color,
+      findings,
+      injurySeverity: ['unsurvivable', 'life_threatening', 'serious', 'minor'].find(level => severities.includes(level)) || null,
+      burnAssessment,
+      awaiting
+    };
+  }
+
+  // Applies the decision to an analyzeSymptoms result (backend) or offline analysis (PWA), in place.
+  // Absent vital functions read from the symptoms ("not breathing") count as a primary survey that the
+  // caller's own assessment overrides.
+  triageAnalysis(analysis, input = {}) {
+    const decision = this.decide({
+      ...input,
+      assessment: { ...analysis.primarySurvey, ...this.definedFields(input.assessment) },
+      baseLevel: analysis.triageLevel,
+      baseReason: analysis.primaryDiagnosis?.diagnosis
+    });
+
+    analysis.triageLevel = decision.level;
+    analysis.triageReason = decision.reason;
+    analysis.triageDecision = { source: decision.source, tag: decision.tag, findings: decision.findings, awaiting: decision.awaiting };
+    if (decision.burnAssessment) analysis.burnAssessment = decision.burnAssessment;
+    if (input.injuries?.length) {
+      analysis.injuryAssessment = {
+        severity: decision.injurySeverity,
+        description: this.injuryAnnotations.describe(input.injuries)
+      };
+    }
+
+    return decision;
+  }
+
+  // Analysis from free text alone, for when the symptom analyzer cannot be reached
+  offlineAnalysis(text = '') {
+    const lowerText = String(text).toLowerCase();
+    const condition = OFFLINE_CONDITIONS.find(entry => entry.keywords.some(keyword => lowerText.includes(keyword))) || OFFLINE_DEFAULT;
+
+    return {
+      primaryDiagnosis: { diagnosis: condition.diagnosis, confidence: condition.diagnosisConfidence },
+      triageLevel: condition.triageLevel,
+      confidence: condition.confidence,
+      firstAidSteps: [...condition.firstAidSteps],
+      emergencyActions: [...condition.emergencyActions],
+      militaryContext: { ...condition.militaryContext },
+      timestamp: new Date(),
+      offlineMode: true
+    };
+  }
+
+  // Perfusion and mental status read from recorded vitals; an explicit primary survey overrides them
+  surveyFromVitals(vitalSigns = {}) {
+    const bloodPressure = vitalSigns?.bloodPressure;
+    const systolic = typeof bloodPressure === 'object' ? Number(bloodPressure?.systolic) : parseInt(bloodPressure, 10);
+    const avpu = String(vitalSigns?.avpu || '').trim().charAt(0).toUpperCase();
+    const survey = {};
+
+    if (systolic < 90 || Number(vitalSigns?.capillaryRefill) > 2) survey.perfusion = 'weak';
+    if (avpu === 'P' || avpu === 'U') survey.mentalStatus = 'unresponsive';
+
+    return survey;
+  }
+
+  definedFields(object = {}) {
+    return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  // Only an explicit "not breathing" counts; an unrecorded breathing check is not a finding
+  isNotBreathing(breathing) {
+    if (breathing === undefined) return false;
+    return breathing === false || ['absent', 'no', 'none', 'false'].includes(String(breathing).trim().toLowerCase());
+  }
+
+  // Accepts booleans and field shorthand ("yes", "present", "absent")
+  isPresent(value) {
+    if (typeof value === 'string') {
+      return ['yes', 'y', 'true', 'present', 'normal'].includes(value.trim().toLowerCase());
+    }
+    return value === true;
+  }
+
+  assessInjurySeverity(injuries) {
+    const severity = [];
+
+    (injuries || []).forEach(injury => {
+      const injuryType = injury.type?.toLowerCase() || '';
+      const location = injury.location?.toLowerCase();
+
+      // Life-threatening injuries
+      if (
+        injuryType.includes('gunshot') &&
+        ['chest', 'abdomen', 'back', 'head', 'neck'].includes(location)
+      ) {
+        severity.push('life_threatening');
+      } else if (injuryType.includes('massive hemorrhage') || injuryType.includes('amputation')) {
+        severity.push('life_threatening');
+      } else if (injuryType.includes('airway compromise')) {
+        severity.push('life_threatening');
+      } else if (injuryType.includes('tension pneumothorax')) {
+        severity.push('life_threatening');
+      }
+      // Burns sized on the burn chart are graded by %TBSA
+      else if (injuryType.includes('burn') && typeof injury.tbsa === 'number') {
+        severity.push(this.gradeBurn(injury));
+      }
+      // Severity marked on the body map
+      else if (injury.severity === 'critical') {
+        severity.push('life_threatening');
+      }
+      // Serious injuries
+      else if (
+        injuryType.includes('fracture') ||
+        injuryType.includes('burn') ||
+        injuryType.includes('penetrating') ||
+        injury.severity === 'severe'
+      ) {
+        severity.push('serious');
+      }
+      // Minor injuries
+      else {
+        severity.push('minor');
+      }
+    });
+
+    return severity;
+  }
+
+  gradeBurn(injury) {
+    const level = this.burnAssessment.triage({ tbsa: injury.tbsa, inhalationInjury: injury.inhalationInjury === true }).level;
+    return { EXPECTANT: 'unsurvivable', IMMEDIATE: 'life_threatening', DELAYED: 'serious', MINOR: 'minor' }[level];
+  }
+
+  // %TBSA, fluid targets and triage from burn-chart regions ({ regions, method, ageYears, weightKg, ... })
+  assessBurns(burns) {
+    const result = this.burnAssessment.assess(burns);
+    return { ...result, injury: this.burnAssessment.toInjury(result) };
+  }
+
+  // Primary-survey injuries plus the burn chart, if one was filled in
+  withBurnInjury(injuries, burns) {
+    if (!burns?.regions?.length) return injuries;
+    return [...(injuries || []), this.assessBurns(burns).injury];
+  }
+
+  isHighRiskMechanism(mechanism) {
+    return HIGH_RISK_MECHANISMS.some(risk =>
+      mechanism?.toLowerCase().includes(risk)
+    );
+  }
+}
+
+export default TriageCore;